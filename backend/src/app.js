@@ -25,8 +25,9 @@ console.log(`✅ JWT_SECRET length: ${process.env.JWT_SECRET.length} characters`
 
 const database = require('./config/database');
 const logger = require('./utils/logger');
-const { authenticateSocket } = require('./middleware/auth');
+const { authenticateSocket, authenticateDeviceSocket } = require('./middleware/auth');
 const errorHandler = require('./middleware/errorHandler');
+const Settings = require('./models/Settings');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -37,12 +38,27 @@ const settingsRoutes = require('./routes/settings');
 const pmsRoutes = require('./routes/pms');
 const launcherRoutes = require('./routes/launcher');
 const logsRoutes = require('./routes/logs');
+const messageRoutes = require('./routes/messages');
+const deviceGroupRoutes = require('./routes/deviceGroups');
+const emergencyRoutes = require('./routes/emergency');
+const automationRuleRoutes = require('./routes/automationRules');
+const roomRoutes = require('./routes/rooms');
+const enrollmentTokenRoutes = require('./routes/enrollmentTokens');
+const launcherReleaseRoutes = require('./routes/launcherReleases');
 
 // Import services
 const PMSService = require('./services/pmsService');
+const FiasService = require('./services/fiasService');
+const GuestStayService = require('./services/guestStayService');
+const PMSSyncService = require('./services/pmsSyncService');
 const ConfigWatcher = require('./services/configWatcher');
 const DeviceManager = require('./services/deviceManager');
+const DeviceTelemetry = require('./services/deviceTelemetry');
 const GuestAutomation = require('./services/guestAutomation');
+const ExpressCheckout = require('./services/expressCheckout');
+const MessageService = require('./services/messageService');
+const EmergencyAlertService = require('./services/emergencyAlert');
+const GuestDataResetService = require('./services/guestDataReset');
 
 
 const app = express();
@@ -125,11 +141,44 @@ app.use('/api/settings', settingsRoutes);
 app.use('/api/pms', pmsRoutes);
 app.use('/api/launcher', launcherRoutes);
 app.use('/api/logs', logsRoutes);
+app.use('/api/messages', messageRoutes);
+app.use('/api/device-groups', deviceGroupRoutes);
+app.use('/api/emergency', emergencyRoutes);
+app.use('/api/automation-rules', automationRuleRoutes);
+app.use('/api/rooms', roomRoutes);
+app.use('/api/enrollment-tokens', enrollmentTokenRoutes);
+app.use('/api/launcher-releases', launcherReleaseRoutes);
 
 // Error handling middleware
 app.use(errorHandler);
 
+// Launcher devices use a dedicated namespace authenticated by device credentials
+function setupDeviceNamespace(server) {
+  const devices = server.of('/devices');
+  devices.use(authenticateDeviceSocket);
+  DeviceManager.registerNamespace(devices);
+
+  devices.on('connection', (socket) => {
+    logger.info(`Device connected: ${socket.id}`, { uuid: socket.deviceUuid });
+    DeviceManager.handleConnection(socket);
+
+    socket.on('disconnect', () => {
+      logger.info(`Device disconnected: ${socket.id}`, { uuid: socket.deviceUuid });
+      DeviceManager.handleDisconnect(socket);
+    });
+
+    socket.on('device:heartbeat', (data) => {
+      DeviceManager.handleHeartbeat(socket, data || {});
+    });
+
+    socket.on('device:register', (data) => {
+      DeviceManager.handleRegistration(socket, data || {});
+    });
+  });
+}
+
 // Socket.IO connection handling
+setupDeviceNamespace(io);
 io.use(authenticateSocket);
 
 io.on('connection', (socket) => {
@@ -142,15 +191,6 @@ io.on('connection', (socket) => {
     logger.info(`Client disconnected: ${socket.id}`);
   });
 
-  // Device-specific events
-  socket.on('device:heartbeat', (data) => {
-    DeviceManager.handleHeartbeat(socket, data);
-  });
-
-  socket.on('device:register', (data) => {
-    DeviceManager.handleRegistration(socket, data);
-  });
-
   socket.on('admin:join-room', (room) => {
     if (socket.user?.role === 'admin' || socket.user?.role === 'super_admin') {
       socket.join(`admin:${room}`);
@@ -168,15 +208,27 @@ async function initializeServices() {
     await database.connect();
     logger.info('Database connected successfully');
 
+    // Settings added by updates exist before any service or route reads them
+    await Settings.initializeDefaultSettings();
+
     // Note: Mock PMS now runs as a standalone service on port 3001
     if (process.env.USE_MOCK_PMS === 'true') {
       logger.info('Mock PMS mode enabled - ensure mock PMS service is running on port 3001');
     }
 
     // Initialize services
+    await DeviceManager.initialize();
     await PMSService.initialize();
+    await FiasService.initialize();
     await ConfigWatcher.initialize();
+    await GuestStayService.initialize();
+    await PMSSyncService.initialize();
     await GuestAutomation.initialize();
+    await ExpressCheckout.initialize();
+    await MessageService.initialize();
+    await EmergencyAlertService.initialize();
+    await GuestDataResetService.initialize();
+    await DeviceTelemetry.initialize();
     
     logger.info('All services initialized successfully');
   } catch (error) {
@@ -202,6 +254,7 @@ const wsIo = new Server(wsServer, {
 });
 
 // Use the same socket handlers
+setupDeviceNamespace(wsIo);
 wsIo.use(authenticateSocket);
 wsIo.on('connection', (socket) => {
   logger.info(`Client connected: ${socket.id}`, { 
@@ -213,15 +266,6 @@ wsIo.on('connection', (socket) => {
     logger.info(`Client disconnected: ${socket.id}`);
   });
 
-  // Device-specific events
-  socket.on('device:heartbeat', (data) => {
-    DeviceManager.handleHeartbeat(socket, data);
-  });
-
-  socket.on('device:register', (data) => {
-    DeviceManager.handleRegistration(socket, data);
-  });
-
   socket.on('admin:join-room', (room) => {
     if (socket.user?.role === 'admin' || socket.user?.role === 'super_admin') {
       socket.join(`admin:${room}`);
@@ -248,6 +292,13 @@ wsServer.listen(WS_PORT, () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  DeviceManager.stop();
+  FiasService.stop();
+  PMSSyncService.stop();
+  MessageService.stop();
+  EmergencyAlertService.stop();
+  GuestDataResetService.stop();
+  DeviceTelemetry.stop();
   Promise.all([
     new Promise(resolve => server.close(resolve)),
     new Promise(resolve => wsServer.close(resolve))
@@ -260,6 +311,13 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down gracefully');
+  DeviceManager.stop();
+  FiasService.stop();
+  PMSSyncService.stop();
+  MessageService.stop();
+  EmergencyAlertService.stop();
+  GuestDataResetService.stop();
+  DeviceTelemetry.stop();
   Promise.all([
     new Promise(resolve => server.close(resolve)),
     new Promise(resolve => wsServer.close(resolve))
@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const logger = require('../utils/logger');
+const { verifyDeviceToken, extractDeviceToken } = require('../utils/deviceCredentials');
 
 // JWT Authentication middleware for HTTP requests
 const authenticateToken = async (req, res, next) => {
@@ -123,38 +124,119 @@ const authenticateSocket = async (socket, next) => {
   }
 };
 
+// Resolve a device from a signed device token, enforcing revocation
+const findDeviceByToken = async (token) => {
+  const Device = require('../models/Device');
+  const decoded = verifyDeviceToken(token);
+  const device = await Device.findById(decoded.id).select('+credentials.pendingToken');
+
+  if (!device || device.uuid !== decoded.uuid) {
+    return { error: 'Device not registered', code: 'DEVICE_NOT_REGISTERED' };
+  }
+
+  if (device.credentials?.revokedAt || decoded.ver !== device.credentials?.tokenVersion) {
+    return { error: 'Device token revoked', code: 'DEVICE_TOKEN_REVOKED' };
+  }
+
+  // First successful use of a freshly issued token completes the hand-over
+  if (device.credentials.pendingToken && device.credentials.pendingToken === token) {
+    device.claimCredentials();
+    await device.save();
+  }
+
+  return { device };
+};
+
+// Resolve a device from legacy UUID + MAC headers (only before a token is issued)
+const findDeviceByMAC = async (deviceUUID, deviceMAC) => {
+  const Device = require('../models/Device');
+  const device = await Device.findByUUID(deviceUUID);
+
+  if (!device) {
+    return { error: 'Device not registered', code: 'DEVICE_NOT_REGISTERED' };
+  }
+
+  if (device.macAddress !== deviceMAC.toUpperCase()) {
+    return { error: 'MAC address mismatch', code: 'MAC_MISMATCH' };
+  }
+
+  if (device.hasCredentials()) {
+    return { error: 'Device token required', code: 'DEVICE_TOKEN_REQUIRED' };
+  }
+
+  return { device };
+};
+
+// Socket.IO authentication middleware for the /devices namespace
+const authenticateDeviceSocket = async (socket, next) => {
+  try {
+    const auth = socket.handshake.auth || {};
+    const token = auth.token || extractDeviceToken(socket.handshake.headers);
+    const deviceUUID = auth.uuid || socket.handshake.headers['x-device-uuid'];
+    const deviceMAC = auth.macAddress || socket.handshake.headers['x-device-mac'];
+
+    let result;
+    if (token) {
+      result = await findDeviceByToken(token);
+    } else if (deviceUUID && deviceMAC) {
+      result = await findDeviceByMAC(deviceUUID, deviceMAC);
+    } else {
+      return next(new Error('Device token or UUID and MAC address required'));
+    }
+
+    if (result.error) {
+      return next(new Error(result.error));
+    }
+
+    const { device } = result;
+
+    // Pending devices may connect so they can be notified of approval
+    if (!['pending', 'approved'].includes(device.status)) {
+      return next(new Error(`Device ${device.status}`));
+    }
+
+    socket.device = device;
+    socket.deviceUuid = device.uuid;
+
+    next();
+  } catch (error) {
+    if (error.name === 'TokenExpiredError' || error.name === 'JsonWebTokenError') {
+      return next(new Error('Invalid device token'));
+    }
+
+    logger.error('Device socket authentication error:', error);
+    next(new Error('Device authentication failed'));
+  }
+};
+
 // Device authentication middleware (for launcher devices)
 const authenticateDevice = async (req, res, next) => {
   try {
+    const token = extractDeviceToken(req.headers);
     const deviceUUID = req.headers['x-device-uuid'];
     const deviceMAC = req.headers['x-device-mac'];
 
-    if (!deviceUUID || !deviceMAC) {
+    let result;
+    if (token) {
+      result = await findDeviceByToken(token);
+    } else if (deviceUUID && deviceMAC) {
+      result = await findDeviceByMAC(deviceUUID, deviceMAC);
+    } else {
       return res.status(401).json({
         success: false,
-        message: 'Device UUID and MAC address required'
+        message: 'Device token or UUID and MAC address required'
       });
     }
 
-    // Find device in database
-    const Device = require('../models/Device');
-    const device = await Device.findByUUID(deviceUUID);
-
-    if (!device) {
+    if (result.error) {
       return res.status(401).json({
         success: false,
-        message: 'Device not registered',
-        code: 'DEVICE_NOT_REGISTERED'
+        message: result.error,
+        code: result.code
       });
     }
 
-    if (device.macAddress !== deviceMAC) {
-      return res.status(401).json({
-        success: false,
-        message: 'MAC address mismatch',
-        code: 'MAC_MISMATCH'
-      });
-    }
+    const { device } = result;
 
     if (device.status !== 'approved') {
       return res.status(403).json({
@@ -167,6 +249,22 @@ const authenticateDevice = async (req, res, next) => {
     req.device = device;
     next();
   } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({
+        success: false,
+        message: 'Device token expired',
+        code: 'DEVICE_TOKEN_EXPIRED'
+      });
+    }
+
+    if (error.name === 'JsonWebTokenError') {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid device token',
+        code: 'INVALID_DEVICE_TOKEN'
+      });
+    }
+
     logger.error('Device authentication error:', error);
     res.status(500).json({
       success: false,
@@ -270,6 +368,7 @@ module.exports = {
   requireSuperAdmin,
   requireAdmin,
   authenticateSocket,
+  authenticateDeviceSocket,
   authenticateDevice,
   validateRefreshToken,
   logActivity
@@ -0,0 +1,202 @@
+const mongoose = require('mongoose');
+
+// Stay events a rule can react to, plus "time" for a local time on a day of the stay
+const TRIGGER_EVENTS = ['check-in', 'check-out', 'room-move', 'stay-extended', 'time'];
+const TRIGGER_DAYS = ['arrival', 'departure', 'every'];
+
+// Stay transitions that fire each event trigger
+const TRANSITION_EVENTS = {
+  'checked-in': 'check-in',
+  'checked-out': 'check-out',
+  'moved': 'room-move',
+  'extended': 'stay-extended'
+};
+
+// Guest and room facts a condition can test (see GuestAutomation.buildRuleFacts)
+const CONDITION_FIELDS = [
+  'loyalty_tier',
+  'is_vip',
+  'guest_language',
+  'guest_name',
+  'room_number',
+  'floor',
+  'room_type',
+  'nights',
+  'balance'
+];
+const CONDITION_OPERATORS = ['equals', 'not_equals', 'in', 'not_in', 'gte', 'lte', 'exists', 'not_exists'];
+
+const ACTION_TYPES = ['show_message', 'assign_background', 'assign_apps', 'send_command', 'migrate_device_config'];
+const RULE_COMMANDS = ['CONFIG_UPDATE', 'REBOOT'];
+
+const isEmpty = (value) => value === null || value === undefined || value === '';
+
+const normalize = (value) => (typeof value === 'string' ? value.trim().toLowerCase() : value);
+
+const equals = (actual, expected) => {
+  if (isEmpty(actual) || isEmpty(expected)) return isEmpty(actual) && isEmpty(expected);
+  if (typeof actual === 'boolean' || typeof expected === 'boolean') {
+    return String(actual).toLowerCase() === String(expected).toLowerCase();
+  }
+  if (typeof actual === 'number') return actual === Number(expected);
+  return normalize(String(actual)) === normalize(String(expected));
+};
+
+const conditionSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    enum: CONDITION_FIELDS,
+    required: true
+  },
+  operator: {
+    type: String,
+    enum: CONDITION_OPERATORS,
+    default: 'equals'
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, { _id: false });
+
+const actionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ACTION_TYPES,
+    required: true
+  },
+  // show_message: { title, body, imageUrl, displayDuration, priority }
+  // assign_background: { bundleId }; assign_apps: { appIds }; send_command: { command }
+  params: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, { _id: false });
+
+// MongoDB Schema (Mongoose)
+const automationRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true,
+    maxlength: [100, 'Rule name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+    default: ''
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  trigger: {
+    event: {
+      type: String,
+      enum: TRIGGER_EVENTS,
+      required: true
+    },
+    // Local time (HH:mm) and day of the stay, for "time" triggers
+    time: {
+      type: String,
+      default: null
+    },
+    day: {
+      type: String,
+      enum: [...TRIGGER_DAYS, null],
+      default: null
+    }
+  },
+  // All conditions must match
+  conditions: [conditionSchema],
+  actions: {
+    type: [actionSchema],
+    validate: [actions => actions.length > 0, 'A rule needs at least one action']
+  },
+  stats: {
+    runCount: { type: Number, default: 0 },
+    lastRunAt: { type: Date, default: null },
+    lastError: { type: String, default: null }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { isActive: 1, 'trigger.event': 1 }
+  ]
+});
+
+// Instance methods
+
+// Conditions that do not hold for the given facts; an empty list means the rule applies
+automationRuleSchema.methods.getFailedConditions = function(facts) {
+  return this.conditions.filter(condition => {
+    const actual = facts[condition.field];
+    const expected = condition.value;
+    const list = [].concat(expected ?? []);
+
+    switch (condition.operator) {
+      case 'equals': return !equals(actual, expected);
+      case 'not_equals': return equals(actual, expected);
+      case 'in': return !list.some(item => equals(actual, item));
+      case 'not_in': return list.some(item => equals(actual, item));
+      case 'gte': return isEmpty(actual) || Number(actual) < Number(expected);
+      case 'lte': return isEmpty(actual) || Number(actual) > Number(expected);
+      case 'exists': return isEmpty(actual) || actual === false;
+      case 'not_exists': return !(isEmpty(actual) || actual === false);
+      default: return true;
+    }
+  });
+};
+
+automationRuleSchema.methods.matches = function(facts) {
+  return this.getFailedConditions(facts).length === 0;
+};
+
+automationRuleSchema.methods.toApi = function() {
+  return {
+    id: this.id,
+    name: this.name,
+    description: this.description,
+    isActive: this.isActive,
+    trigger: {
+      event: this.trigger.event,
+      time: this.trigger.time,
+      day: this.trigger.day
+    },
+    conditions: this.conditions.map(condition => ({
+      field: condition.field,
+      operator: condition.operator,
+      value: condition.value
+    })),
+    actions: this.actions.map(action => ({
+      type: action.type,
+      params: action.params || {}
+    })),
+    stats: this.stats,
+    createdBy: this.createdBy,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Static methods
+automationRuleSchema.statics.findActiveForEvent = function(event) {
+  return this.find({ isActive: true, 'trigger.event': event }).sort({ createdAt: 1 });
+};
+
+automationRuleSchema.statics.TRIGGER_EVENTS = TRIGGER_EVENTS;
+automationRuleSchema.statics.TRIGGER_DAYS = TRIGGER_DAYS;
+automationRuleSchema.statics.TRANSITION_EVENTS = TRANSITION_EVENTS;
+automationRuleSchema.statics.CONDITION_FIELDS = CONDITION_FIELDS;
+automationRuleSchema.statics.CONDITION_OPERATORS = CONDITION_OPERATORS;
+automationRuleSchema.statics.ACTION_TYPES = ACTION_TYPES;
+automationRuleSchema.statics.RULE_COMMANDS = RULE_COMMANDS;
+
+module.exports = mongoose.model('AutomationRule', automationRuleSchema);
@@ -1,4 +1,18 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Stored paths are relative to backend/public (e.g. /uploads/backgrounds/x.jpg)
+const UPLOAD_ROOT = path.join(__dirname, '../../public');
+
+const hashFile = (filePath) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  fs.createReadStream(filePath)
+    .on('data', chunk => hash.update(chunk))
+    .on('error', reject)
+    .on('end', () => resolve(hash.digest('hex')));
+});
 
 const backgroundSchema = new mongoose.Schema({
   name: {
@@ -41,6 +55,10 @@ const backgroundSchema = new mongoose.Schema({
     type: Number,
     default: null // For videos only
   },
+  checksum: {
+    type: String,
+    default: null // SHA-256 of the file contents
+  },
   bundleId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'BackgroundBundle',
@@ -103,6 +121,15 @@ backgroundSchema.methods.removeFromBundle = function() {
   this.bundleId = null;
 };
 
+backgroundSchema.methods.getFilePath = function() {
+  return path.join(UPLOAD_ROOT, this.path || `/uploads/backgrounds/${this.filename}`);
+};
+
+backgroundSchema.methods.computeChecksum = async function() {
+  this.checksum = await hashFile(this.getFilePath());
+  return this.checksum;
+};
+
 // Static methods
 backgroundSchema.statics.findByType = async function(type) {
   return await this.find({ type, isActive: true });
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+
+const CHECKOUT_STATUSES = ['pending', 'forwarded', 'completed', 'failed', 'cancelled'];
+
+// Requests still waiting on the front desk
+const OPEN_STATUSES = ['pending', 'forwarded', 'failed'];
+
+// MongoDB Schema (Mongoose)
+const checkoutRequestSchema = new mongoose.Schema({
+  reservationId: {
+    type: String,
+    required: true,
+    trim: true,
+    index: true
+  },
+  roomNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  guestId: {
+    type: String,
+    default: null
+  },
+  guestName: {
+    type: String,
+    default: null
+  },
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device',
+    default: null
+  },
+  folioId: {
+    type: String,
+    default: null
+  },
+  // Folio state when the guest asked to check out
+  balance: {
+    type: Number,
+    default: null
+  },
+  currency: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: CHECKOUT_STATUSES,
+    default: 'pending',
+    index: true
+  },
+  vendor: {
+    type: String,
+    default: null
+  },
+  forwardedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters'],
+    default: null
+  },
+  handledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { status: 1, createdAt: -1 },
+    { reservationId: 1, createdAt: -1 }
+  ]
+});
+
+// Instance methods
+checkoutRequestSchema.methods.isOpen = function() {
+  return OPEN_STATUSES.includes(this.status);
+};
+
+checkoutRequestSchema.methods.toApi = function() {
+  return {
+    id: this.id,
+    reservationId: this.reservationId,
+    roomNumber: this.roomNumber,
+    guestId: this.guestId,
+    guestName: this.guestName,
+    deviceId: this.device ? (this.device._id || this.device).toString() : null,
+    folioId: this.folioId,
+    balance: this.balance,
+    currency: this.currency,
+    status: this.status,
+    vendor: this.vendor,
+    forwardedAt: this.forwardedAt,
+    completedAt: this.completedAt,
+    error: this.error,
+    notes: this.notes,
+    handledBy: this.handledBy,
+    requestedAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Static methods
+checkoutRequestSchema.statics.findLatestForReservation = function(reservationId) {
+  return this.findOne({ reservationId: String(reservationId), status: { $ne: 'cancelled' } })
+    .sort({ createdAt: -1 });
+};
+
+checkoutRequestSchema.statics.CHECKOUT_STATUSES = CHECKOUT_STATUSES;
+checkoutRequestSchema.statics.OPEN_STATUSES = OPEN_STATUSES;
+
+module.exports = mongoose.model('CheckoutRequest', checkoutRequestSchema);
@@ -1,4 +1,13 @@
 const mongoose = require('mongoose');
+const { signDeviceToken, hashRegistrationKey, matchesRegistrationKey } = require('../utils/deviceCredentials');
+
+function hidePendingToken(doc, ret) {
+  if (ret.credentials) {
+    delete ret.credentials.pendingToken;
+    delete ret.credentials.registrationKeyHash;
+  }
+  return ret;
+}
 
 // MongoDB Schema (Mongoose)
 const deviceSchema = new mongoose.Schema({
@@ -22,6 +31,19 @@ const deviceSchema = new mongoose.Schema({
     trim: true,
     maxlength: [10, 'Room number cannot exceed 10 characters']
   },
+  // Room record the device is in; roomNumber is kept alongside it for queries
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    default: null
+  },
+  // Where in the room the TV is, for rooms with several (e.g. "Bedroom")
+  location: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Location cannot exceed 50 characters'],
+    default: null
+  },
   status: {
     type: String,
     enum: ['pending', 'approved', 'rejected', 'inactive'],
@@ -36,6 +58,11 @@ const deviceSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // When connectionStatus last changed
+  connectionChangedAt: {
+    type: Date,
+    default: null
+  },
   firstContact: {
     type: Date,
     default: Date.now
@@ -54,6 +81,7 @@ const deviceSchema = new mongoose.Schema({
     model: String,
     androidVersion: String,
     launcherVersion: String,
+    launcherVersionCode: Number,
     screenResolution: String,
     ipAddress: String,
     networkType: String
@@ -112,20 +140,137 @@ const deviceSchema = new mongoose.Schema({
     messagesReceived: {
       type: Number,
       default: 0
+    },
+    lastDeliveredRevision: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Launcher release channel; beta devices also get stable releases
+  launcherChannel: {
+    type: String,
+    enum: ['stable', 'beta'],
+    default: 'stable'
+  },
+  // Derived from reported telemetry; see services/deviceTelemetry.js
+  health: {
+    score: {
+      type: Number,
+      default: null
+    },
+    status: {
+      type: String,
+      enum: ['unknown', 'healthy', 'warning', 'critical'],
+      default: 'unknown'
+    },
+    issues: [{
+      _id: false,
+      code: String,
+      severity: {
+        type: String,
+        enum: ['warning', 'critical']
+      },
+      message: String,
+      value: Number
+    }],
+    evaluatedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  configState: {
+    revision: {
+      type: Number,
+      default: 0
+    },
+    hash: {
+      type: String,
+      default: null
+    },
+    updatedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  credentials: {
+    tokenVersion: {
+      type: Number,
+      default: 0
+    },
+    issuedAt: {
+      type: Date,
+      default: null
+    },
+    claimedAt: {
+      type: Date,
+      default: null
+    },
+    revokedAt: {
+      type: Date,
+      default: null
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    // Token waiting to be picked up by the device; cleared on first use
+    pendingToken: {
+      type: String,
+      default: null,
+      select: false
+    },
+    pendingDelivery: {
+      type: String,
+      enum: ['register', 'refresh', null],
+      default: null
+    },
+    // Version of the last token the device actually used; only it can be refreshed
+    claimedVersion: {
+      type: Number,
+      default: null
+    },
+    // Digest of the secret the launcher generated at registration; /register hands a
+    // pending token only to a caller that presents it, UUID and MAC alone are not enough
+    registrationKeyHash: {
+      type: String,
+      default: null,
+      select: false
     }
   },
   notes: {
     type: String,
     maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  // Set on both sides when a TV is swapped for a new one
+  replacement: {
+    replacedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Device',
+      default: null
+    },
+    replaces: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Device',
+      default: null
+    },
+    replacedAt: {
+      type: Date,
+      default: null
+    }
   }
 }, {
   timestamps: true,
+  toJSON: { transform: hidePendingToken },
+  toObject: { transform: hidePendingToken },
   indexes: [
     { uuid: 1 },
     { macAddress: 1 },
     { roomNumber: 1 },
+    { room: 1 },
     { status: 1 },
-    { connectionStatus: 1 }
+    { connectionStatus: 1 },
+    { 'health.status': 1 }
   ]
 });
 
@@ -153,8 +298,61 @@ deviceSchema.methods.reject = function() {
   this.status = 'rejected';
 };
 
-deviceSchema.methods.assignRoom = function(roomNumber) {
-  this.roomNumber = roomNumber;
+// Mint a new device token, invalidating every previously issued one
+deviceSchema.methods.issueCredentials = function(delivery = 'register') {
+  const credentials = this.credentials || {};
+  credentials.tokenVersion = (credentials.tokenVersion || 0) + 1;
+  credentials.issuedAt = new Date();
+  credentials.claimedAt = null;
+  credentials.revokedAt = null;
+  credentials.revokedBy = null;
+  credentials.pendingDelivery = delivery;
+  // Tokens collected via /register need the MAC check, so no earlier token may refresh into them
+  if (delivery === 'register') {
+    credentials.claimedVersion = null;
+  }
+  this.credentials = credentials;
+
+  const token = signDeviceToken(this);
+  this.credentials.pendingToken = token;
+  return token;
+};
+
+deviceSchema.methods.revokeCredentials = function(userId) {
+  const credentials = this.credentials || {};
+  credentials.tokenVersion = (credentials.tokenVersion || 0) + 1;
+  credentials.revokedAt = new Date();
+  credentials.revokedBy = userId;
+  credentials.pendingToken = null;
+  credentials.pendingDelivery = null;
+  credentials.claimedVersion = null;
+  this.credentials = credentials;
+};
+
+deviceSchema.methods.claimCredentials = function() {
+  this.credentials.claimedAt = new Date();
+  this.credentials.claimedVersion = this.credentials.tokenVersion;
+  this.credentials.pendingToken = null;
+  this.credentials.pendingDelivery = null;
+};
+
+deviceSchema.methods.setRegistrationKey = function(key) {
+  this.set('credentials.registrationKeyHash', hashRegistrationKey(key));
+};
+
+// Needs the document loaded with +credentials.registrationKeyHash
+deviceSchema.methods.matchesRegistrationKey = function(key) {
+  return matchesRegistrationKey(key, this.credentials?.registrationKeyHash);
+};
+
+deviceSchema.methods.hasCredentials = function() {
+  return !!(this.credentials && this.credentials.issuedAt);
+};
+
+// Pass the Room record when there is one so the reference stays in sync with the number
+deviceSchema.methods.assignRoom = function(roomNumber, room = null) {
+  this.roomNumber = roomNumber || null;
+  this.room = room ? room._id : null;
 };
 
 deviceSchema.methods.updateConfiguration = function(config) {
@@ -238,14 +436,15 @@ deviceSchema.statics.findByMAC = async function(macAddress) {
   return await this.findOne({ macAddress: mac });
 };
 
-deviceSchema.statics.findByRoom = async function(roomNumber) {
-  return await this.findOne({ roomNumber });
+// Rooms can have several TVs (suites)
+deviceSchema.statics.findByRoom = async function(roomNumber, status = null) {
+  return await this.find(status ? { roomNumber, status } : { roomNumber }).sort({ location: 1, createdAt: 1 });
 };
 
+// connectionStatus is kept current by the DeviceManager sweeper (max_device_heartbeat_minutes)
 deviceSchema.statics.getOnlineDevices = async function() {
-  const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000);
   return await this.find({
-    lastHeartbeat: { $gte: fiveMinutesAgo },
+    connectionStatus: { $in: ['online', 'idle'] },
     status: 'approved'
   });
 };
@@ -260,7 +459,7 @@ deviceSchema.statics.getDeviceStats = async function() {
     this.countDocuments({ status: 'approved' }),
     this.countDocuments({ status: 'pending' }),
     this.countDocuments({
-      lastHeartbeat: { $gte: new Date(Date.now() - 5 * 60 * 1000) },
+      connectionStatus: { $in: ['online', 'idle'] },
       status: 'approved'
     })
   ]);
@@ -273,6 +472,9 @@ deviceSchema.pre('save', function(next) {
   if (this.macAddress) {
     this.macAddress = this.macAddress.toUpperCase();
   }
+  if (this.isModified('connectionStatus')) {
+    this.connectionChangedAt = new Date();
+  }
   next();
 });
 
@@ -0,0 +1,250 @@
+const mongoose = require('mongoose');
+
+// Default time-to-live per command type (minutes)
+const DEFAULT_TTL_MINUTES = {
+  REBOOT: 60,
+  CONFIG_UPDATE: 24 * 60,
+  MESSAGE: 60,
+  INSTALL_APP: 24 * 60,
+  RESET_GUEST_DATA: 24 * 60
+};
+
+// Default priority per command type (higher is delivered first)
+const DEFAULT_PRIORITY = {
+  REBOOT: 8,
+  CONFIG_UPDATE: 5,
+  MESSAGE: 6,
+  INSTALL_APP: 3,
+  RESET_GUEST_DATA: 7
+};
+
+// MongoDB Schema (Mongoose)
+const deviceCommandSchema = new mongoose.Schema({
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device',
+    required: true,
+    index: true
+  },
+  deviceUuid: {
+    type: String,
+    required: true,
+    trim: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: ['REBOOT', 'CONFIG_UPDATE', 'MESSAGE', 'INSTALL_APP', 'RESET_GUEST_DATA'],
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  priority: {
+    type: Number,
+    min: 0,
+    max: 10,
+    default: 5
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'delivered', 'acked', 'failed', 'expired'],
+    default: 'queued',
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  deliveryAttempts: {
+    type: Number,
+    default: 0
+  },
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  history: [{
+    status: {
+      type: String,
+      enum: ['queued', 'delivered', 'acked', 'failed', 'expired']
+    },
+    channel: {
+      type: String,
+      enum: ['socket', 'poll', 'system', null],
+      default: null
+    },
+    details: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true,
+  indexes: [
+    { device: 1, status: 1, priority: -1, createdAt: 1 },
+    { status: 1, expiresAt: 1 },
+    { createdAt: -1 }
+  ]
+});
+
+// Instance methods
+deviceCommandSchema.methods.addHistory = function(status, channel = null, details = null) {
+  this.history.push({ status, channel, details, at: new Date() });
+};
+
+deviceCommandSchema.methods.isExpired = function() {
+  return this.expiresAt && this.expiresAt <= new Date();
+};
+
+deviceCommandSchema.methods.isPending = function() {
+  return ['queued', 'delivered'].includes(this.status) && !this.isExpired();
+};
+
+deviceCommandSchema.methods.markDelivered = function(channel) {
+  this.status = 'delivered';
+  this.deliveryAttempts = (this.deliveryAttempts || 0) + 1;
+  this.deliveredAt = new Date();
+  this.addHistory('delivered', channel);
+};
+
+deviceCommandSchema.methods.markAcked = function(result = null) {
+  this.status = 'acked';
+  this.result = result;
+  this.completedAt = new Date();
+  this.addHistory('acked', null);
+};
+
+deviceCommandSchema.methods.markFailed = function(error, channel = null) {
+  this.status = 'failed';
+  this.error = error || 'Command failed';
+  this.completedAt = new Date();
+  this.addHistory('failed', channel, this.error);
+};
+
+deviceCommandSchema.methods.markExpired = function() {
+  this.status = 'expired';
+  this.completedAt = new Date();
+  this.addHistory('expired', 'system');
+};
+
+// Wire format sent to launcher devices over Socket.IO or polling
+deviceCommandSchema.methods.toDevicePayload = function() {
+  return {
+    commandId: this.id,
+    type: this.type,
+    priority: this.priority,
+    payload: this.payload || {},
+    expiresAt: this.expiresAt.toISOString(),
+    timestamp: this.createdAt ? this.createdAt.toISOString() : new Date().toISOString()
+  };
+};
+
+// Static methods
+deviceCommandSchema.statics.enqueue = async function(device, type, payload = {}, options = {}) {
+  const ttlMinutes = options.ttlMinutes || DEFAULT_TTL_MINUTES[type] || 60;
+  const priority = options.priority !== undefined ? options.priority : (DEFAULT_PRIORITY[type] ?? 5);
+
+  const command = new this({
+    device: device._id,
+    deviceUuid: device.uuid,
+    type,
+    payload,
+    priority,
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+    requestedBy: options.requestedBy || null
+  });
+  command.addHistory('queued', 'system', options.reason || null);
+
+  return await command.save();
+};
+
+deviceCommandSchema.statics.expireStale = async function(filter = {}) {
+  const stale = await this.find({
+    ...filter,
+    status: { $in: ['queued', 'delivered'] },
+    expiresAt: { $lte: new Date() }
+  });
+
+  for (const command of stale) {
+    command.markExpired();
+    await command.save();
+  }
+
+  return stale.length;
+};
+
+deviceCommandSchema.statics.getPendingForDevice = async function(deviceId, limit = 20) {
+  await this.expireStale({ device: deviceId });
+
+  return await this.find({
+    device: deviceId,
+    status: { $in: ['queued', 'delivered'] },
+    expiresAt: { $gt: new Date() }
+  })
+    .sort({ priority: -1, createdAt: 1 })
+    .limit(limit);
+};
+
+deviceCommandSchema.statics.getDeviceTimeline = async function(deviceId, options = {}) {
+  const { page = 1, limit = 50, status, type } = options;
+
+  const filter = { device: deviceId };
+  if (status) filter.status = status;
+  if (type) filter.type = type;
+
+  const skip = (page - 1) * limit;
+  const [commands, total] = await Promise.all([
+    this.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('requestedBy', 'name email'),
+    this.countDocuments(filter)
+  ]);
+
+  return {
+    commands,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+deviceCommandSchema.statics.cleanupOldCommands = async function(retentionDays = 30) {
+  const cutoffDate = new Date();
+  cutoffDate.setDate(cutoffDate.getDate() - retentionDays);
+
+  const result = await this.deleteMany({
+    status: { $in: ['acked', 'failed', 'expired'] },
+    createdAt: { $lt: cutoffDate }
+  });
+  return result.deletedCount;
+};
+
+deviceCommandSchema.statics.DEFAULT_TTL_MINUTES = DEFAULT_TTL_MINUTES;
+deviceCommandSchema.statics.DEFAULT_PRIORITY = DEFAULT_PRIORITY;
+
+module.exports = mongoose.model('DeviceCommand', deviceCommandSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// MongoDB Schema (Mongoose)
+const deviceConfigRevisionSchema = new mongoose.Schema({
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device',
+    required: true
+  },
+  revision: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  hash: {
+    type: String,
+    required: true
+  },
+  config: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+deviceConfigRevisionSchema.index({ device: 1, revision: -1 }, { unique: true });
+
+// Static methods
+deviceConfigRevisionSchema.statics.findRevision = async function(deviceId, revision) {
+  return await this.findOne({ device: deviceId, revision });
+};
+
+deviceConfigRevisionSchema.statics.pruneForDevice = async function(deviceId, keep = 10) {
+  const stale = await this.find({ device: deviceId })
+    .sort({ revision: -1 })
+    .skip(keep)
+    .select('_id');
+
+  if (stale.length === 0) {
+    return 0;
+  }
+
+  const result = await this.deleteMany({ _id: { $in: stale.map(doc => doc._id) } });
+  return result.deletedCount;
+};
+
+module.exports = mongoose.model('DeviceConfigRevision', deviceConfigRevisionSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// MongoDB Schema (Mongoose)
+const deviceGroupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Group name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Group name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+    default: ''
+  },
+  devices: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device'
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { devices: 1 }
+  ]
+});
+
+// Instance methods
+deviceGroupSchema.methods.toSummary = function() {
+  return {
+    id: this.id,
+    name: this.name,
+    description: this.description,
+    deviceIds: this.devices.map(device => (device._id || device).toString()),
+    deviceCount: this.devices.length,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Static methods
+deviceGroupSchema.statics.getDeviceIds = async function(groupIds) {
+  const groups = await this.find({ _id: { $in: groupIds } }).select('devices');
+  return groups.flatMap(group => group.devices.map(id => id.toString()));
+};
+
+module.exports = mongoose.model('DeviceGroup', deviceGroupSchema);
@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+
+// Telemetry the launcher reports, with how samples are combined when downsampled
+// and the range accepted from devices
+const METRICS = {
+  heartbeatLatencyMs: { aggregate: 'avg', min: 0, max: 600000 },
+  freeStorageMb: { aggregate: 'avg', min: 0, max: 10000000 },
+  freeMemoryMb: { aggregate: 'avg', min: 0, max: 1000000 },
+  wifiRssi: { aggregate: 'avg', min: -127, max: 0 },
+  cpuTemperature: { aggregate: 'avg', min: -40, max: 150 },
+  uptimeSeconds: { aggregate: 'max', min: 0, max: 10 * 365 * 24 * 3600 },
+  appCrashes: { aggregate: 'sum', min: 0, max: 10000 }
+};
+const METRIC_NAMES = Object.keys(METRICS);
+
+// raw: one row per report; hour and day: rollups of the resolution below
+const RESOLUTIONS = ['raw', 'hour', 'day'];
+const RESOLUTION_MS = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000
+};
+
+const metricValuesSchema = new mongoose.Schema(
+  Object.fromEntries(METRIC_NAMES.map(name => [name, { type: Number, default: null }])),
+  { _id: false }
+);
+
+// One telemetry row for a device. Rollups keep the average (max for uptime, sum for
+// crashes) in values and the extremes in min/max.
+const deviceMetricSchema = new mongoose.Schema({
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device',
+    required: true
+  },
+  deviceUuid: {
+    type: String,
+    required: true
+  },
+  resolution: {
+    type: String,
+    enum: RESOLUTIONS,
+    default: 'raw'
+  },
+  // Report time, or the start of the hour/day for rollups
+  at: {
+    type: Date,
+    required: true
+  },
+  samples: {
+    type: Number,
+    default: 1
+  },
+  values: {
+    type: metricValuesSchema,
+    default: () => ({})
+  },
+  min: {
+    type: metricValuesSchema,
+    default: null
+  },
+  max: {
+    type: metricValuesSchema,
+    default: null
+  }
+}, {
+  indexes: [
+    { device: 1, resolution: 1, at: -1 },
+    { resolution: 1, at: 1 }
+  ]
+});
+
+// Instance methods
+deviceMetricSchema.methods.toApi = function() {
+  const pick = (values) => values
+    ? Object.fromEntries(METRIC_NAMES.map(name => [name, values[name] ?? null]))
+    : null;
+
+  return {
+    at: this.at,
+    resolution: this.resolution,
+    samples: this.samples,
+    values: pick(this.values),
+    min: pick(this.min),
+    max: pick(this.max)
+  };
+};
+
+// Static methods
+deviceMetricSchema.statics.findSeries = function(deviceId, resolution, from, to) {
+  return this.find({ device: deviceId, resolution, at: { $gte: from, $lt: to } }).sort({ at: 1 });
+};
+
+// Combine rows of one resolution in [from, to) into hour or day rollups. Re-running a
+// window overwrites its rollups, so late reports are picked up on the next pass.
+deviceMetricSchema.statics.rollup = async function(source, target, from, to) {
+  const bucketMs = RESOLUTION_MS[target];
+  const atMs = { $toLong: '$at' };
+  const group = {
+    _id: {
+      device: '$device',
+      at: { $toDate: { $subtract: [atMs, { $mod: [atMs, bucketMs] }] } }
+    },
+    deviceUuid: { $first: '$deviceUuid' },
+    samples: { $sum: '$samples' }
+  };
+  for (const [name, { aggregate }] of Object.entries(METRICS)) {
+    group[`value_${name}`] = { [`$${aggregate}`]: `$values.${name}` };
+    group[`min_${name}`] = { $min: { $ifNull: [`$min.${name}`, `$values.${name}`] } };
+    group[`max_${name}`] = { $max: { $ifNull: [`$max.${name}`, `$values.${name}`] } };
+  }
+
+  const buckets = await this.aggregate([
+    { $match: { resolution: source, at: { $gte: from, $lt: to } } },
+    { $group: group }
+  ]);
+  if (buckets.length === 0) {
+    return 0;
+  }
+
+  const field = (bucket, prefix) => Object.fromEntries(
+    METRIC_NAMES.map(name => [name, bucket[`${prefix}_${name}`] ?? null])
+  );
+
+  await this.bulkWrite(buckets.map(bucket => ({
+    updateOne: {
+      filter: { device: bucket._id.device, resolution: target, at: bucket._id.at },
+      update: {
+        $set: {
+          deviceUuid: bucket.deviceUuid,
+          samples: bucket.samples,
+          values: field(bucket, 'value'),
+          min: field(bucket, 'min'),
+          max: field(bucket, 'max')
+        }
+      },
+      upsert: true
+    }
+  })));
+
+  return buckets.length;
+};
+
+deviceMetricSchema.statics.METRICS = METRICS;
+deviceMetricSchema.statics.METRIC_NAMES = METRIC_NAMES;
+deviceMetricSchema.statics.RESOLUTIONS = RESOLUTIONS;
+deviceMetricSchema.statics.RESOLUTION_MS = RESOLUTION_MS;
+
+module.exports = mongoose.model('DeviceMetric', deviceMetricSchema);
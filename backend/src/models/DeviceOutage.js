@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// A period a TV was offline: from its last heartbeat until it was heard from again.
+// Open outages (endedAt null) are the TVs that are offline right now.
+const deviceOutageSchema = new mongoose.Schema({
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device',
+    required: true
+  },
+  deviceUuid: {
+    type: String,
+    required: true
+  },
+  roomNumber: {
+    type: String,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  durationSeconds: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { device: 1, endedAt: 1 },
+    { roomNumber: 1, startedAt: -1 },
+    { startedAt: 1, endedAt: 1 }
+  ]
+});
+
+// Instance methods
+deviceOutageSchema.methods.end = function(at = new Date()) {
+  this.endedAt = at;
+  this.durationSeconds = Math.max(0, Math.round((at - this.startedAt) / 1000));
+};
+
+// Milliseconds of this outage that fall inside [from, to]
+deviceOutageSchema.methods.getOverlapMs = function(from, to) {
+  const start = Math.max(this.startedAt.getTime(), from.getTime());
+  const end = Math.min((this.endedAt || to).getTime(), to.getTime());
+  return Math.max(0, end - start);
+};
+
+deviceOutageSchema.methods.toApi = function() {
+  return {
+    id: this.id,
+    deviceId: this.device.toString(),
+    deviceUuid: this.deviceUuid,
+    roomNumber: this.roomNumber,
+    startedAt: this.startedAt,
+    endedAt: this.endedAt,
+    durationSeconds: this.durationSeconds
+  };
+};
+
+// Static methods
+deviceOutageSchema.statics.findOpen = function(deviceId) {
+  return this.findOne({ device: deviceId, endedAt: null }).sort({ startedAt: -1 });
+};
+
+// Outages of the given devices that overlap [from, to]
+deviceOutageSchema.statics.findOverlapping = function(deviceIds, from, to) {
+  return this.find({
+    device: { $in: deviceIds },
+    startedAt: { $lt: to },
+    $or: [{ endedAt: null }, { endedAt: { $gt: from } }]
+  }).sort({ startedAt: 1 });
+};
+
+module.exports = mongoose.model('DeviceOutage', deviceOutageSchema);
@@ -0,0 +1,280 @@
+const mongoose = require('mongoose');
+
+const ALERT_TYPES = ['fire', 'evacuation', 'severe_weather', 'other'];
+const DELIVERY_STATUSES = ['queued', 'delivered', 'displayed', 'acknowledged', 'failed'];
+
+// Order in which a delivery progresses; acks never move a delivery backwards
+const DELIVERY_PROGRESS = ['queued', 'delivered', 'displayed', 'acknowledged'];
+
+const deliverySchema = new mongoose.Schema({
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device',
+    required: true
+  },
+  deviceUuid: {
+    type: String,
+    required: true
+  },
+  roomNumber: {
+    type: String,
+    default: null
+  },
+  commandId: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: DELIVERY_STATUSES,
+    default: 'queued'
+  },
+  queuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  displayedAt: {
+    type: Date,
+    default: null
+  },
+  acknowledgedAt: {
+    type: Date,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
+// MongoDB Schema (Mongoose)
+const emergencyAlertSchema = new mongoose.Schema({
+  alertType: {
+    type: String,
+    enum: ALERT_TYPES,
+    required: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Alert title is required'],
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+  body: {
+    type: String,
+    required: [true, 'Alert text is required'],
+    trim: true,
+    maxlength: [1000, 'Alert text cannot exceed 1000 characters']
+  },
+  // Volume (0-100) the TVs are raised to while the alert is shown
+  volume: {
+    type: Number,
+    min: 0,
+    max: 100,
+    required: true
+  },
+  repeatIntervalSeconds: {
+    type: Number,
+    min: 10,
+    max: 3600,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active',
+    index: true
+  },
+  startedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+  lastRepeatedAt: {
+    type: Date,
+    default: null
+  },
+  repeatCount: {
+    type: Number,
+    default: 0
+  },
+  deliveries: [deliverySchema]
+}, {
+  timestamps: true,
+  indexes: [
+    { status: 1, createdAt: -1 },
+    { createdAt: -1 }
+  ]
+});
+
+// Instance methods
+emergencyAlertSchema.methods.isActive = function() {
+  return this.status === 'active';
+};
+
+emergencyAlertSchema.methods.getDelivery = function(deviceId) {
+  return this.deliveries.find(delivery => delivery.device.toString() === deviceId.toString()) || null;
+};
+
+emergencyAlertSchema.methods.updateDelivery = function(deviceId, status, error = null) {
+  const delivery = this.getDelivery(deviceId);
+  if (!delivery) {
+    return null;
+  }
+
+  const now = new Date();
+  if (status === 'failed') {
+    delivery.status = 'failed';
+    delivery.error = error || 'Alert could not be shown';
+    return delivery;
+  }
+
+  // A device that failed once but reports progress later is back on track
+  if (delivery.status === 'failed' || DELIVERY_PROGRESS.indexOf(status) > DELIVERY_PROGRESS.indexOf(delivery.status)) {
+    delivery.status = status;
+    delivery.error = null;
+  }
+
+  const reached = DELIVERY_PROGRESS.indexOf(status);
+  if (reached >= 1 && !delivery.deliveredAt) delivery.deliveredAt = now;
+  if (reached >= 2 && !delivery.displayedAt) delivery.displayedAt = now;
+  if (reached >= 3 && !delivery.acknowledgedAt) delivery.acknowledgedAt = now;
+
+  return delivery;
+};
+
+emergencyAlertSchema.methods.getStats = function() {
+  const stats = { total: this.deliveries.length };
+  DELIVERY_STATUSES.forEach(status => {
+    stats[status] = 0;
+  });
+  this.deliveries.forEach(delivery => {
+    stats[delivery.status] += 1;
+  });
+  return stats;
+};
+
+emergencyAlertSchema.methods.toApi = function({ includeDeliveries = false } = {}) {
+  const alert = {
+    id: this.id,
+    alertType: this.alertType,
+    title: this.title,
+    body: this.body,
+    volume: this.volume,
+    repeatIntervalSeconds: this.repeatIntervalSeconds,
+    status: this.status,
+    startedBy: this.startedBy,
+    cancelledBy: this.cancelledBy,
+    cancelledAt: this.cancelledAt,
+    lastRepeatedAt: this.lastRepeatedAt,
+    repeatCount: this.repeatCount,
+    stats: this.getStats(),
+    startedAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+
+  if (includeDeliveries) {
+    alert.deliveries = this.deliveries
+      .map(delivery => ({
+        deviceId: delivery.device.toString(),
+        deviceUuid: delivery.deviceUuid,
+        roomNumber: delivery.roomNumber,
+        commandId: delivery.commandId,
+        status: delivery.status,
+        queuedAt: delivery.queuedAt,
+        deliveredAt: delivery.deliveredAt,
+        displayedAt: delivery.displayedAt,
+        acknowledgedAt: delivery.acknowledgedAt,
+        error: delivery.error
+      }))
+      .sort((a, b) => String(a.roomNumber || '').localeCompare(String(b.roomNumber || ''), undefined, { numeric: true }));
+  }
+
+  return alert;
+};
+
+// Static methods
+emergencyAlertSchema.statics.findActive = function() {
+  return this.findOne({ status: 'active' }).sort({ createdAt: -1 });
+};
+
+// Add a device's delivery row before the alert is sent, so an ack can't arrive ahead of it;
+// false when the device already has one
+emergencyAlertSchema.statics.addDelivery = async function(alertId, delivery) {
+  const result = await this.updateOne(
+    { _id: alertId, 'deliveries.device': { $ne: delivery.device } },
+    { $push: { deliveries: delivery } }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Outcome of sending the alert; an ack that got in first is not moved back
+emergencyAlertSchema.statics.recordDispatch = async function(alertId, deviceId, { commandId = null, delivered = false, error = null }) {
+  await this.updateOne(
+    { _id: alertId, 'deliveries.device': deviceId },
+    { $set: { 'deliveries.$.commandId': commandId } }
+  );
+
+  if (!delivered && !error) {
+    return;
+  }
+
+  await this.updateOne(
+    { _id: alertId, deliveries: { $elemMatch: { device: deviceId, status: 'queued' } } },
+    {
+      $set: error
+        ? { 'deliveries.$.status': 'failed', 'deliveries.$.error': error }
+        : { 'deliveries.$.status': 'delivered', 'deliveries.$.deliveredAt': new Date() }
+    }
+  );
+};
+
+// Apply a launcher ack to one delivery row without rewriting the rest of the alert;
+// retried when another ack for the same device changed the row in between
+emergencyAlertSchema.statics.recordAck = async function(alertId, deviceId, status, error = null) {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const alert = await this.findOne({ _id: alertId, 'deliveries.device': deviceId });
+    if (!alert) {
+      return null;
+    }
+
+    const previous = alert.getDelivery(deviceId).status;
+    const delivery = alert.updateDelivery(deviceId, status, error);
+
+    const result = await this.updateOne(
+      { _id: alertId, deliveries: { $elemMatch: { device: deviceId, status: previous } } },
+      {
+        $set: {
+          'deliveries.$.status': delivery.status,
+          'deliveries.$.error': delivery.error,
+          'deliveries.$.deliveredAt': delivery.deliveredAt,
+          'deliveries.$.displayedAt': delivery.displayedAt,
+          'deliveries.$.acknowledgedAt': delivery.acknowledgedAt
+        }
+      }
+    );
+    if (result.matchedCount > 0) {
+      return alert;
+    }
+  }
+
+  throw new Error(`Delivery for device ${deviceId} kept changing while recording an ack`);
+};
+
+emergencyAlertSchema.statics.ALERT_TYPES = ALERT_TYPES;
+emergencyAlertSchema.statics.DELIVERY_STATUSES = DELIVERY_STATUSES;
+
+module.exports = mongoose.model('EmergencyAlert', emergencyAlertSchema);
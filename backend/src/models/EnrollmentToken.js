@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_EXPIRY_MINUTES = 60;
+const MAX_EXPIRY_MINUTES = 7 * 24 * 60;
+const MAX_USES = 500;
+// PINs are guessable, so they stop working well before a long-lived QR token does
+const PIN_EXPIRY_MINUTES = 60;
+
+const enrollmentUseSchema = new mongoose.Schema({
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device',
+    required: true
+  },
+  uuid: String,
+  macAddress: String,
+  ipAddress: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Time-limited code a launcher presents at registration to be approved straight into a
+// room and/or device group. Installers scan it as a QR code or type the short PIN.
+const enrollmentTokenSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters'],
+    default: ''
+  },
+  token: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Unlimited-use tokens are QR-only and have no PIN
+  pin: {
+    type: String,
+    default: null,
+    index: true
+  },
+  pinExpiresAt: {
+    type: Date,
+    default: null
+  },
+  roomNumber: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  location: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeviceGroup',
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // null allows any number of TVs until the token expires (QR only)
+  maxUses: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  useCount: {
+    type: Number,
+    default: 0
+  },
+  uses: [enrollmentUseSchema],
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { expiresAt: 1, revokedAt: 1 }
+  ]
+});
+
+// Instance methods
+
+// Why the token can no longer enroll a TV, or null while it can
+enrollmentTokenSchema.methods.getUnusableReason = function(at = new Date()) {
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= at) return 'expired';
+  if (this.maxUses !== null && this.useCount >= this.maxUses) return 'used_up';
+  return null;
+};
+
+enrollmentTokenSchema.methods.toApi = function() {
+  return {
+    id: this.id,
+    name: this.name,
+    token: this.token,
+    pin: this.pin,
+    pinExpiresAt: this.pinExpiresAt,
+    roomNumber: this.roomNumber,
+    location: this.location,
+    groupId: this.group ? this.group.toString() : null,
+    expiresAt: this.expiresAt,
+    maxUses: this.maxUses,
+    useCount: this.useCount,
+    status: this.getUnusableReason() || 'active',
+    uses: this.uses.map(use => ({
+      deviceId: use.device.toString(),
+      uuid: use.uuid,
+      macAddress: use.macAddress,
+      ipAddress: use.ipAddress,
+      at: use.at
+    })),
+    revokedAt: this.revokedAt,
+    createdAt: this.createdAt
+  };
+};
+
+// Static methods
+
+enrollmentTokenSchema.statics.isPin = function(code) {
+  return /^\d{6}$/.test(String(code || '').trim());
+};
+
+// Active token matching a QR token or PIN
+enrollmentTokenSchema.statics.findByCode = function(code) {
+  const value = String(code || '').trim();
+  const filter = this.isPin(value)
+    ? { pin: value, revokedAt: null, expiresAt: { $gt: new Date() }, pinExpiresAt: { $gt: new Date() } }
+    : { token: value };
+  return this.findOne(filter);
+};
+
+// Count a use only while the token still has uses left, so concurrent registrations can't overshoot
+enrollmentTokenSchema.statics.claimUse = function(tokenId, use) {
+  return this.findOneAndUpdate({
+    _id: tokenId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+    $or: [{ maxUses: null }, { $expr: { $lt: ['$useCount', '$maxUses'] } }]
+  }, {
+    $inc: { useCount: 1 },
+    $push: { uses: use }
+  }, { new: true });
+};
+
+enrollmentTokenSchema.statics.DEFAULT_EXPIRY_MINUTES = DEFAULT_EXPIRY_MINUTES;
+enrollmentTokenSchema.statics.MAX_EXPIRY_MINUTES = MAX_EXPIRY_MINUTES;
+enrollmentTokenSchema.statics.MAX_USES = MAX_USES;
+enrollmentTokenSchema.statics.PIN_EXPIRY_MINUTES = PIN_EXPIRY_MINUTES;
+
+module.exports = mongoose.model('EnrollmentToken', enrollmentTokenSchema);
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+// Local cache of PMS folios (guest bills), refreshed by the PMS sync
+const folioSchema = new mongoose.Schema({
+  pmsId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  reservationId: {
+    type: String,
+    default: null,
+    index: true
+  },
+  guestId: {
+    type: String,
+    default: null
+  },
+  roomNumber: {
+    type: String,
+    default: null,
+    index: true
+  },
+  currency: {
+    type: String,
+    default: null
+  },
+  totalAmount: {
+    type: Number,
+    default: 0
+  },
+  balance: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    default: 'open'
+  },
+  charges: [{
+    _id: false,
+    id: String,
+    date: Date,
+    description: String,
+    category: String,
+    amount: Number,
+    taxAmount: Number,
+    total: Number
+  }],
+  payments: [{
+    _id: false,
+    id: String,
+    date: Date,
+    description: String,
+    method: String,
+    amount: Number,
+    status: String
+  }],
+  vendor: {
+    type: String,
+    default: null
+  },
+  syncedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Instance methods
+folioSchema.methods.toApi = function() {
+  return {
+    id: this.pmsId,
+    reservationId: this.reservationId,
+    guestId: this.guestId,
+    roomNumber: this.roomNumber,
+    currency: this.currency,
+    totalAmount: this.totalAmount,
+    balance: this.balance,
+    status: this.status,
+    charges: this.charges,
+    payments: this.payments,
+    syncedAt: this.syncedAt
+  };
+};
+
+// Static methods
+folioSchema.statics.upsertFromPMS = async function(folio, extra = {}) {
+  const { id, ...fields } = folio;
+
+  const result = await this.updateOne(
+    { pmsId: id },
+    { $set: { ...fields, ...extra, syncedAt: new Date() } },
+    { upsert: true }
+  );
+  return result.upsertedCount > 0 ? 'created' : 'updated';
+};
+
+module.exports = mongoose.model('Folio', folioSchema);
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+// Local cache of PMS guest profiles, refreshed by the PMS sync
+const guestSchema = new mongoose.Schema({
+  pmsId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  firstName: {
+    type: String,
+    default: null
+  },
+  lastName: {
+    type: String,
+    default: null
+  },
+  name: {
+    type: String,
+    default: null
+  },
+  salutation: {
+    type: String,
+    default: null
+  },
+  email: {
+    type: String,
+    default: null
+  },
+  phone: {
+    type: String,
+    default: null
+  },
+  nationality: {
+    type: String,
+    default: null
+  },
+  language: {
+    type: String,
+    default: null
+  },
+  loyaltyTier: {
+    type: String,
+    default: null
+  },
+  loyaltyPoints: {
+    type: Number,
+    default: null
+  },
+  preferences: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Latest reservation of the guest, denormalized for filtering
+  currentReservation: {
+    pmsId: { type: String, default: null },
+    status: { type: String, default: null },
+    roomNumber: { type: String, default: null },
+    arrivalDate: { type: Date, default: null },
+    departureDate: { type: Date, default: null }
+  },
+  vendor: {
+    type: String,
+    default: null
+  },
+  syncedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { 'currentReservation.status': 1, 'currentReservation.roomNumber': 1 },
+    { lastName: 1, firstName: 1 }
+  ]
+});
+
+// Instance methods
+guestSchema.methods.toApi = function() {
+  return {
+    id: this.pmsId,
+    firstName: this.firstName,
+    lastName: this.lastName,
+    name: this.name,
+    salutation: this.salutation,
+    email: this.email,
+    phone: this.phone,
+    nationality: this.nationality,
+    language: this.language,
+    loyaltyTier: this.loyaltyTier,
+    loyaltyPoints: this.loyaltyPoints,
+    roomNumber: this.currentReservation?.roomNumber || null,
+    status: this.currentReservation?.status || null,
+    reservationId: this.currentReservation?.pmsId || null,
+    arrivalDate: this.currentReservation?.arrivalDate || null,
+    departureDate: this.currentReservation?.departureDate || null,
+    syncedAt: this.syncedAt
+  };
+};
+
+// Static methods
+guestSchema.statics.upsertFromPMS = async function(guest, extra = {}) {
+  const { id, roomNumber, ...fields } = guest;
+  const update = { ...fields, ...extra, syncedAt: new Date() };
+
+  const result = await this.updateOne({ pmsId: id }, { $set: update }, { upsert: true });
+  return result.upsertedCount > 0 ? 'created' : 'updated';
+};
+
+module.exports = mongoose.model('Guest', guestSchema);
@@ -0,0 +1,229 @@
+const mongoose = require('mongoose');
+
+const RESET_STATUSES = ['pending', 'completed', 'failed'];
+const APP_STATUSES = ['pending', 'success', 'failed', 'not_installed'];
+const RESET_TRIGGERS = ['checkout', 'manual'];
+
+// Streaming apps that keep guest logins and history (guest_data_reset_packages default)
+const DEFAULT_RESET_PACKAGES = [
+  'com.netflix.ninja',
+  'com.google.android.youtube.tv',
+  'com.amazon.amazonvideo.livingroom',
+  'com.disney.disneyplus',
+  'com.spotify.tv.android'
+];
+
+// App outcomes that count as cleared
+const CLEARED_APP_STATUSES = ['success', 'not_installed'];
+
+const appResultSchema = new mongoose.Schema({
+  packageName: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: APP_STATUSES,
+    default: 'pending'
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  at: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+// One RESET_GUEST_DATA run on one device, with the outcome the launcher reported per app
+const guestDataResetSchema = new mongoose.Schema({
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device',
+    required: true,
+    index: true
+  },
+  deviceUuid: {
+    type: String,
+    required: true
+  },
+  roomNumber: {
+    type: String,
+    default: null,
+    index: true
+  },
+  reservationId: {
+    type: String,
+    default: null
+  },
+  trigger: {
+    type: String,
+    enum: RESET_TRIGGERS,
+    default: 'checkout'
+  },
+  commandId: {
+    type: String,
+    default: null
+  },
+  commandStatus: {
+    type: String,
+    enum: ['pending', 'acked', 'failed'],
+    default: 'pending'
+  },
+  status: {
+    type: String,
+    enum: RESET_STATUSES,
+    default: 'pending',
+    index: true
+  },
+  apps: [appResultSchema],
+  layoutRestored: {
+    type: Boolean,
+    default: false
+  },
+  backgroundRestored: {
+    type: Boolean,
+    default: false
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  // The launcher must confirm every app by then, or the room is flagged. Set once the TV has
+  // received the command, so TVs that were off at checkout are not flagged early.
+  ackDeadline: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  // A failed reset stays flagged until a later reset of the device succeeds or staff dismiss it
+  resolvedAt: {
+    type: Date,
+    default: null
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  resolution: {
+    type: String,
+    enum: ['superseded', 'dismissed', null],
+    default: null
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { status: 1, resolvedAt: 1 },
+    { device: 1, createdAt: -1 },
+    { status: 1, ackDeadline: 1 }
+  ]
+});
+
+// Instance methods
+guestDataResetSchema.methods.getApp = function(packageName) {
+  return this.apps.find(app => app.packageName === packageName) || null;
+};
+
+// Derive the overall status from the command and app outcomes; returns true when it changed
+guestDataResetSchema.methods.refreshStatus = function() {
+  const previous = this.status;
+  const failedApps = this.apps.filter(app => app.status === 'failed');
+  const cleared = this.apps.every(app => CLEARED_APP_STATUSES.includes(app.status));
+
+  if (this.commandStatus === 'failed' || failedApps.length > 0) {
+    this.status = 'failed';
+    this.error = failedApps.length > 0
+      ? failedApps.map(app => `${app.packageName}: ${app.error}`).join('; ')
+      : this.error;
+  } else if (cleared && (this.apps.length > 0 || this.commandStatus === 'acked')) {
+    this.status = 'completed';
+    this.error = null;
+  } else {
+    this.status = 'pending';
+  }
+
+  if (this.status === 'completed' && !this.completedAt) {
+    this.completedAt = new Date();
+  }
+
+  return this.status !== previous;
+};
+
+guestDataResetSchema.methods.isFlagged = function() {
+  return this.status === 'failed' && !this.resolvedAt;
+};
+
+guestDataResetSchema.methods.toApi = function() {
+  return {
+    id: this.id,
+    deviceId: this.device.toString(),
+    deviceUuid: this.deviceUuid,
+    roomNumber: this.roomNumber,
+    reservationId: this.reservationId,
+    trigger: this.trigger,
+    commandId: this.commandId,
+    commandStatus: this.commandStatus,
+    status: this.status,
+    flagged: this.isFlagged(),
+    apps: this.apps.map(app => ({
+      packageName: app.packageName,
+      status: app.status,
+      error: app.error,
+      at: app.at
+    })),
+    layoutRestored: this.layoutRestored,
+    backgroundRestored: this.backgroundRestored,
+    error: this.error,
+    ackDeadline: this.ackDeadline,
+    completedAt: this.completedAt,
+    resolvedAt: this.resolvedAt,
+    resolution: this.resolution,
+    requestedAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Static methods
+
+// Store one app result atomically, so concurrent per-app acks can't overwrite each other.
+// Returns the reset as it is after the update, or null when it doesn't exist.
+guestDataResetSchema.statics.recordApp = async function(resetId, deviceId, packageName, status, error = null) {
+  // The launcher may report packages it cleared on its own (e.g. its own caches)
+  await this.updateOne(
+    { _id: resetId, device: deviceId, 'apps.packageName': { $ne: packageName } },
+    { $push: { apps: { packageName } } }
+  );
+
+  return this.findOneAndUpdate(
+    { _id: resetId, device: deviceId, 'apps.packageName': packageName },
+    {
+      $set: {
+        'apps.$.status': status,
+        'apps.$.error': status === 'failed' ? (error || 'App data could not be cleared') : null,
+        'apps.$.at': new Date()
+      }
+    },
+    { new: true }
+  );
+};
+
+guestDataResetSchema.statics.findFlagged = function() {
+  return this.find({ status: 'failed', resolvedAt: null }).sort({ roomNumber: 1, createdAt: -1 });
+};
+
+guestDataResetSchema.statics.RESET_STATUSES = RESET_STATUSES;
+guestDataResetSchema.statics.APP_STATUSES = APP_STATUSES;
+guestDataResetSchema.statics.RESET_TRIGGERS = RESET_TRIGGERS;
+guestDataResetSchema.statics.DEFAULT_RESET_PACKAGES = DEFAULT_RESET_PACKAGES;
+
+module.exports = mongoose.model('GuestDataReset', guestDataResetSchema);
@@ -0,0 +1,241 @@
+const mongoose = require('mongoose');
+
+const STAY_STATES = ['expected', 'checked-in', 'moved', 'extended', 'checked-out'];
+
+// States in which the guest occupies the room
+const IN_HOUSE_STATES = ['checked-in', 'moved', 'extended'];
+
+// Welcome/farewell trigger outcomes kept per stay, so front desk can see why a message was or wasn't sent
+const TRIGGER_TYPES = ['welcome', 'farewell'];
+const TRIGGER_OUTCOMES = ['scheduled', 'sent', 'skipped', 'failed'];
+const TRIGGERS_TO_KEEP = 50;
+
+// Allowed transitions; moved/extended are in-house states that remember the last change
+const TRANSITIONS = {
+  'expected': ['checked-in', 'checked-out'],
+  'checked-in': ['moved', 'extended', 'checked-out'],
+  'moved': ['moved', 'extended', 'checked-out'],
+  'extended': ['moved', 'extended', 'checked-out'],
+  'checked-out': []
+};
+
+// MongoDB Schema (Mongoose)
+const guestStaySchema = new mongoose.Schema({
+  reservationId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  confirmationNumber: {
+    type: String,
+    default: null
+  },
+  roomNumber: {
+    type: String,
+    trim: true,
+    default: null,
+    index: true
+  },
+  previousRoomNumbers: [{
+    type: String,
+    trim: true
+  }],
+  state: {
+    type: String,
+    enum: STAY_STATES,
+    default: 'expected',
+    index: true
+  },
+  guest: {
+    id: { type: String, default: null },
+    name: { type: String, default: null },
+    firstName: { type: String, default: null },
+    lastName: { type: String, default: null },
+    salutation: { type: String, default: null },
+    language: { type: String, default: null },
+    loyaltyTier: { type: String, default: null }
+  },
+  arrivalDate: {
+    type: Date,
+    default: null
+  },
+  departureDate: {
+    type: Date,
+    default: null
+  },
+  checkedInAt: {
+    type: Date,
+    default: null
+  },
+  checkedOutAt: {
+    type: Date,
+    default: null
+  },
+  // Once-per-stay automation bookkeeping
+  actions: {
+    welcomeDueAt: { type: Date, default: null },
+    welcomeSentAt: { type: Date, default: null },
+    farewellSentAt: { type: Date, default: null }
+  },
+  triggers: [{
+    type: {
+      type: String,
+      enum: TRIGGER_TYPES
+    },
+    outcome: {
+      type: String,
+      enum: TRIGGER_OUTCOMES
+    },
+    reason: String,
+    message: String,
+    roomNumber: String,
+    locale: String,
+    devices: [{
+      _id: false,
+      uuid: String,
+      delivered: Boolean,
+      error: String
+    }],
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Automation rules with "time" triggers already run for this stay (key: rule id and local date)
+  ruleRuns: [{
+    _id: false,
+    rule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AutomationRule'
+    },
+    key: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  lastSource: {
+    type: String,
+    enum: ['fias', 'webhook', 'sync', 'manual'],
+    default: 'sync'
+  },
+  lastSyncedAt: {
+    type: Date,
+    default: null
+  },
+  history: [{
+    from: {
+      type: String,
+      enum: [...STAY_STATES, null],
+      default: null
+    },
+    to: {
+      type: String,
+      enum: STAY_STATES
+    },
+    source: String,
+    details: mongoose.Schema.Types.Mixed,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true,
+  indexes: [
+    { roomNumber: 1, state: 1 },
+    { state: 1, departureDate: 1 },
+    { state: 1, 'actions.welcomeDueAt': 1 },
+    { 'triggers.roomNumber': 1, 'triggers.at': -1 }
+  ]
+});
+
+// Instance methods
+guestStaySchema.methods.isInHouse = function() {
+  return IN_HOUSE_STATES.includes(this.state);
+};
+
+guestStaySchema.methods.canTransition = function(to) {
+  return (TRANSITIONS[this.state] || []).includes(to);
+};
+
+// Apply a state change; returns false when the transition is not allowed
+guestStaySchema.methods.transition = function(to, source, details = null) {
+  if (!this.canTransition(to)) {
+    return false;
+  }
+
+  const from = this.state;
+  const now = new Date();
+
+  this.state = to;
+  this.lastSource = source;
+  this.history.push({ from, to, source, details, at: now });
+
+  if (to === 'checked-in') {
+    this.checkedInAt = now;
+  }
+  if (to === 'checked-out') {
+    this.checkedOutAt = now;
+  }
+
+  return true;
+};
+
+guestStaySchema.methods.toSummary = function() {
+  return {
+    id: this.id,
+    reservationId: this.reservationId,
+    confirmationNumber: this.confirmationNumber,
+    roomNumber: this.roomNumber,
+    previousRoomNumbers: this.previousRoomNumbers,
+    state: this.state,
+    guest: this.guest,
+    arrivalDate: this.arrivalDate,
+    departureDate: this.departureDate,
+    checkedInAt: this.checkedInAt,
+    checkedOutAt: this.checkedOutAt,
+    actions: this.actions,
+    lastSource: this.lastSource,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Static methods
+guestStaySchema.statics.findByReservation = function(reservationId) {
+  return this.findOne({ reservationId: String(reservationId) });
+};
+
+guestStaySchema.statics.findInHouseByRoom = function(roomNumber) {
+  return this.findOne({ roomNumber, state: { $in: IN_HOUSE_STATES } }).sort({ checkedInAt: -1 });
+};
+
+guestStaySchema.statics.findInHouse = function(filter = {}) {
+  return this.find({ ...filter, state: { $in: IN_HOUSE_STATES } });
+};
+
+// Append a trigger outcome without loading the stay; only the latest TRIGGERS_TO_KEEP are kept
+guestStaySchema.statics.recordTrigger = function(stayId, trigger) {
+  return this.updateOne(
+    { _id: stayId },
+    { $push: { triggers: { $each: [{ ...trigger, at: new Date() }], $slice: -TRIGGERS_TO_KEEP } } }
+  );
+};
+
+// Claim a once-per-key rule run so concurrent ticks cannot both execute it
+guestStaySchema.statics.claimRuleRun = async function(stayId, ruleId, key) {
+  const result = await this.updateOne(
+    { _id: stayId, 'ruleRuns.key': { $ne: key } },
+    { $push: { ruleRuns: { rule: ruleId, key, at: new Date() } } }
+  );
+  return result.modifiedCount === 1;
+};
+
+guestStaySchema.statics.STAY_STATES = STAY_STATES;
+guestStaySchema.statics.IN_HOUSE_STATES = IN_HOUSE_STATES;
+guestStaySchema.statics.TRANSITIONS = TRANSITIONS;
+guestStaySchema.statics.TRIGGER_TYPES = TRIGGER_TYPES;
+guestStaySchema.statics.TRIGGER_OUTCOMES = TRIGGER_OUTCOMES;
+
+module.exports = mongoose.model('GuestStay', guestStaySchema);
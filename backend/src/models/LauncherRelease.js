@@ -0,0 +1,170 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const UPLOAD_ROOT = path.join(__dirname, '../../public');
+
+const hashFile = (filePath) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  fs.createReadStream(filePath)
+    .on('data', chunk => hash.update(chunk))
+    .on('error', reject)
+    .on('end', () => resolve(hash.digest('hex')));
+});
+
+const CHANNELS = ['stable', 'beta'];
+const RELEASE_STATUSES = ['active', 'paused', 'halted'];
+
+// Halt a rollout once this share of finished installs failed...
+const DEFAULT_FAILURE_THRESHOLD = 20;
+// ...but only after enough devices finished for the rate to mean something
+const MIN_RESULTS_FOR_HALT = 5;
+
+// A launcher APK build offered to devices on a channel or in device groups. Devices get it
+// in a staged rollout: only the rolloutPercentage share of eligible devices is offered it.
+const launcherReleaseSchema = new mongoose.Schema({
+  versionCode: {
+    type: Number,
+    required: [true, 'Version code is required'],
+    unique: true,
+    min: [1, 'Version code must be positive']
+  },
+  versionName: {
+    type: String,
+    required: [true, 'Version name is required'],
+    trim: true,
+    maxlength: [50, 'Version name cannot exceed 50 characters']
+  },
+  releaseNotes: {
+    type: String,
+    trim: true,
+    maxlength: [5000, 'Release notes cannot exceed 5000 characters'],
+    default: ''
+  },
+  filePath: {
+    type: String,
+    required: true
+  },
+  fileSize: {
+    type: Number,
+    required: true
+  },
+  sha256: {
+    type: String,
+    required: true
+  },
+  channels: [{
+    type: String,
+    enum: CHANNELS
+  }],
+  groups: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeviceGroup'
+  }],
+  status: {
+    type: String,
+    enum: RELEASE_STATUSES,
+    default: 'active'
+  },
+  rolloutPercentage: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 10
+  },
+  failureThreshold: {
+    type: Number,
+    min: 1,
+    max: 100,
+    default: DEFAULT_FAILURE_THRESHOLD
+  },
+  haltedAt: {
+    type: Date,
+    default: null
+  },
+  haltReason: {
+    type: String,
+    default: null
+  },
+  // Set when a halted release is resumed; the failure rate only counts results after it
+  resumedAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { status: 1, versionCode: -1 }
+  ]
+});
+
+// Instance methods
+launcherReleaseSchema.methods.getFilePath = function() {
+  return path.join(UPLOAD_ROOT, this.filePath);
+};
+
+// Launchers verify the download against this before installing
+launcherReleaseSchema.methods.computeChecksum = async function() {
+  this.sha256 = await hashFile(this.getFilePath());
+  return this.sha256;
+};
+
+launcherReleaseSchema.methods.halt = function(reason) {
+  this.status = 'halted';
+  this.haltedAt = new Date();
+  this.haltReason = reason;
+};
+
+launcherReleaseSchema.methods.resume = function() {
+  if (this.status === 'halted') {
+    this.resumedAt = new Date();
+  }
+  this.status = 'active';
+  this.haltedAt = null;
+  this.haltReason = null;
+};
+
+launcherReleaseSchema.methods.toApi = function(stats = null) {
+  return {
+    id: this.id,
+    versionCode: this.versionCode,
+    versionName: this.versionName,
+    releaseNotes: this.releaseNotes,
+    fileSize: this.fileSize,
+    sha256: this.sha256,
+    channels: this.channels,
+    groupIds: this.groups.map(group => group.toString()),
+    status: this.status,
+    rolloutPercentage: this.rolloutPercentage,
+    failureThreshold: this.failureThreshold,
+    haltedAt: this.haltedAt,
+    haltReason: this.haltReason,
+    resumedAt: this.resumedAt,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt,
+    ...(stats && { stats })
+  };
+};
+
+// Static methods
+
+// Active releases newer than the given version for a channel or any of the groups, newest first
+launcherReleaseSchema.statics.findCandidates = function(versionCode, channels, groupIds) {
+  return this.find({
+    status: 'active',
+    versionCode: { $gt: versionCode },
+    $or: [{ channels: { $in: channels } }, { groups: { $in: groupIds } }]
+  }).sort({ versionCode: -1 });
+};
+
+launcherReleaseSchema.statics.CHANNELS = CHANNELS;
+launcherReleaseSchema.statics.RELEASE_STATUSES = RELEASE_STATUSES;
+launcherReleaseSchema.statics.MIN_RESULTS_FOR_HALT = MIN_RESULTS_FOR_HALT;
+
+module.exports = mongoose.model('LauncherRelease', launcherReleaseSchema);
@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+
+const UPDATE_STATUSES = ['offered', 'downloading', 'installing', 'installed', 'failed'];
+// Statuses that end an update; the failure rate is taken over these
+const FINISHED_STATUSES = ['installed', 'failed'];
+
+// Progress of one launcher release on one device, as the launcher reports it
+const launcherUpdateSchema = new mongoose.Schema({
+  release: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LauncherRelease',
+    required: true
+  },
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device',
+    required: true
+  },
+  deviceUuid: {
+    type: String,
+    required: true
+  },
+  versionCode: {
+    type: Number,
+    required: true
+  },
+  // Version the device ran when it was offered the update
+  fromVersionCode: {
+    type: Number,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: UPDATE_STATUSES,
+    default: 'offered'
+  },
+  progress: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  history: [{
+    _id: false,
+    status: {
+      type: String,
+      enum: UPDATE_STATUSES
+    },
+    progress: Number,
+    error: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true,
+  indexes: [
+    { release: 1, status: 1 }
+  ]
+});
+
+launcherUpdateSchema.index({ release: 1, device: 1 }, { unique: true });
+
+// Instance methods
+launcherUpdateSchema.methods.report = function(status, progress = null, error = null) {
+  this.status = status;
+  if (progress !== null) {
+    this.progress = progress;
+  } else if (status === 'installed') {
+    this.progress = 100;
+  }
+  this.error = status === 'failed' ? (error || 'Update failed') : null;
+  this.history.push({ status, progress: this.progress, error: this.error, at: new Date() });
+};
+
+launcherUpdateSchema.methods.isFinished = function() {
+  return FINISHED_STATUSES.includes(this.status);
+};
+
+launcherUpdateSchema.methods.toApi = function() {
+  return {
+    id: this.id,
+    releaseId: this.release.toString(),
+    deviceId: this.device.toString(),
+    deviceUuid: this.deviceUuid,
+    versionCode: this.versionCode,
+    fromVersionCode: this.fromVersionCode,
+    status: this.status,
+    progress: this.progress,
+    error: this.error,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Static methods
+
+// Device count per status for each release, optionally only for updates reported since a date
+launcherUpdateSchema.statics.getStats = async function(releaseIds, { since = null } = {}) {
+  const match = { release: { $in: releaseIds } };
+  if (since) {
+    match.updatedAt = { $gte: since };
+  }
+
+  const counts = await this.aggregate([
+    { $match: match },
+    { $group: { _id: { release: '$release', status: '$status' }, count: { $sum: 1 } } }
+  ]);
+
+  const stats = new Map(releaseIds.map(id => [
+    id.toString(),
+    Object.fromEntries(UPDATE_STATUSES.map(status => [status, 0]))
+  ]));
+  for (const { _id, count } of counts) {
+    const entry = stats.get(_id.release.toString());
+    if (entry) {
+      entry[_id.status] = count;
+    }
+  }
+
+  for (const entry of stats.values()) {
+    const finished = entry.installed + entry.failed;
+    entry.failureRate = finished > 0 ? Math.round(entry.failed / finished * 10000) / 100 : 0;
+  }
+  return stats;
+};
+
+launcherUpdateSchema.statics.UPDATE_STATUSES = UPDATE_STATUSES;
+launcherUpdateSchema.statics.FINISHED_STATUSES = FINISHED_STATUSES;
+
+module.exports = mongoose.model('LauncherUpdate', launcherUpdateSchema);
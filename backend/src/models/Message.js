@@ -0,0 +1,302 @@
+const mongoose = require('mongoose');
+
+const MESSAGE_STATUSES = ['scheduled', 'sending', 'sent', 'cancelled', 'failed'];
+const DELIVERY_STATUSES = ['queued', 'delivered', 'displayed', 'dismissed', 'failed', 'expired'];
+
+// Order in which a delivery progresses; acks never move a delivery backwards
+const DELIVERY_PROGRESS = ['queued', 'delivered', 'displayed', 'dismissed'];
+
+const deliverySchema = new mongoose.Schema({
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device',
+    required: true
+  },
+  deviceUuid: {
+    type: String,
+    required: true
+  },
+  roomNumber: {
+    type: String,
+    default: null
+  },
+  commandId: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: DELIVERY_STATUSES,
+    default: 'queued'
+  },
+  queuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  displayedAt: {
+    type: Date,
+    default: null
+  },
+  dismissedAt: {
+    type: Date,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
+// MongoDB Schema (Mongoose)
+const messageSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters'],
+    default: ''
+  },
+  body: {
+    type: String,
+    required: [true, 'Message body is required'],
+    trim: true,
+    maxlength: [1000, 'Message body cannot exceed 1000 characters']
+  },
+  imageUrl: {
+    type: String,
+    default: null
+  },
+  // Optional call-to-action button shown under the message
+  cta: {
+    label: {
+      type: String,
+      trim: true,
+      maxlength: [40, 'Button label cannot exceed 40 characters'],
+      default: null
+    },
+    url: {
+      type: String,
+      trim: true,
+      default: null
+    }
+  },
+  priority: {
+    type: String,
+    enum: ['normal', 'high'],
+    default: 'normal'
+  },
+  // Milliseconds before the launcher hides the message; 0 keeps it until dismissed
+  displayDuration: {
+    type: Number,
+    min: 0,
+    max: 10 * 60 * 1000,
+    default: 15000
+  },
+  target: {
+    all: { type: Boolean, default: false },
+    deviceIds: [String],
+    roomNumbers: [String],
+    floors: [String],
+    roomTypes: [String],
+    groupIds: [String]
+  },
+  status: {
+    type: String,
+    enum: MESSAGE_STATUSES,
+    default: 'scheduled',
+    index: true
+  },
+  scheduledAt: {
+    type: Date,
+    default: Date.now
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  deliveries: [deliverySchema],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { status: 1, scheduledAt: 1 },
+    { 'deliveries.device': 1 },
+    { createdAt: -1 }
+  ]
+});
+
+// Instance methods
+messageSchema.methods.getDelivery = function(deviceId) {
+  return this.deliveries.find(delivery => delivery.device.toString() === deviceId.toString()) || null;
+};
+
+messageSchema.methods.updateDelivery = function(deviceId, status, error = null) {
+  const delivery = this.getDelivery(deviceId);
+  if (!delivery) {
+    return null;
+  }
+
+  const now = new Date();
+  if (status === 'failed') {
+    delivery.status = 'failed';
+    delivery.error = error || 'Message could not be shown';
+    return delivery;
+  }
+
+  if (DELIVERY_PROGRESS.indexOf(status) > DELIVERY_PROGRESS.indexOf(delivery.status)) {
+    delivery.status = status;
+  }
+  if (status === 'delivered' && !delivery.deliveredAt) delivery.deliveredAt = now;
+  if (status === 'displayed' && !delivery.displayedAt) delivery.displayedAt = now;
+  if (status === 'dismissed' && !delivery.dismissedAt) delivery.dismissedAt = now;
+
+  // A later ack implies the earlier steps happened
+  if (['displayed', 'dismissed'].includes(status) && !delivery.deliveredAt) {
+    delivery.deliveredAt = now;
+  }
+  if (status === 'dismissed' && !delivery.displayedAt) {
+    delivery.displayedAt = now;
+  }
+
+  return delivery;
+};
+
+messageSchema.methods.getStats = function() {
+  const stats = { total: this.deliveries.length };
+  DELIVERY_STATUSES.forEach(status => {
+    stats[status] = 0;
+  });
+  this.deliveries.forEach(delivery => {
+    stats[delivery.status] += 1;
+  });
+  return stats;
+};
+
+messageSchema.methods.toApi = function({ includeDeliveries = false } = {}) {
+  const message = {
+    id: this.id,
+    title: this.title,
+    body: this.body,
+    imageUrl: this.imageUrl,
+    cta: this.cta?.label && this.cta?.url ? { label: this.cta.label, url: this.cta.url } : null,
+    priority: this.priority,
+    displayDuration: this.displayDuration,
+    target: {
+      all: this.target.all,
+      deviceIds: this.target.deviceIds,
+      roomNumbers: this.target.roomNumbers,
+      floors: this.target.floors,
+      roomTypes: this.target.roomTypes,
+      groupIds: this.target.groupIds
+    },
+    status: this.status,
+    scheduledAt: this.scheduledAt,
+    sentAt: this.sentAt,
+    expiresAt: this.expiresAt,
+    error: this.error,
+    stats: this.getStats(),
+    createdBy: this.createdBy,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+
+  if (includeDeliveries) {
+    message.deliveries = this.deliveries.map(delivery => ({
+      deviceId: delivery.device.toString(),
+      deviceUuid: delivery.deviceUuid,
+      roomNumber: delivery.roomNumber,
+      commandId: delivery.commandId,
+      status: delivery.status,
+      queuedAt: delivery.queuedAt,
+      deliveredAt: delivery.deliveredAt,
+      displayedAt: delivery.displayedAt,
+      dismissedAt: delivery.dismissedAt,
+      error: delivery.error
+    }));
+  }
+
+  return message;
+};
+
+// Static methods
+messageSchema.statics.findDue = function(now = new Date()) {
+  return this.find({ status: 'scheduled', scheduledAt: { $lte: now } }).sort({ scheduledAt: 1 });
+};
+
+// Add a device's delivery row before its MESSAGE command is queued, so an ack can't arrive
+// ahead of it; false when the device already has one
+messageSchema.statics.addDelivery = async function(messageId, delivery) {
+  const result = await this.updateOne(
+    { _id: messageId, 'deliveries.device': { $ne: delivery.device } },
+    { $push: { deliveries: delivery } }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Outcome of queueing the command; an ack that got in first is not moved back
+messageSchema.statics.recordDispatch = async function(messageId, deviceId, { commandId = null, error = null }) {
+  if (!error) {
+    await this.updateOne(
+      { _id: messageId, 'deliveries.device': deviceId },
+      { $set: { 'deliveries.$.commandId': commandId } }
+    );
+    return;
+  }
+
+  await this.updateOne(
+    { _id: messageId, deliveries: { $elemMatch: { device: deviceId, status: 'queued' } } },
+    { $set: { 'deliveries.$.status': 'failed', 'deliveries.$.error': error } }
+  );
+};
+
+// Apply a launcher ack to one delivery row without rewriting the rest of the message;
+// retried when another ack for the same device changed the row in between
+messageSchema.statics.recordAck = async function(messageId, deviceId, status, error = null) {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const message = await this.findOne({ _id: messageId, 'deliveries.device': deviceId });
+    if (!message) {
+      return null;
+    }
+
+    const previous = message.getDelivery(deviceId).status;
+    const delivery = message.updateDelivery(deviceId, status, error);
+
+    const result = await this.updateOne(
+      { _id: messageId, deliveries: { $elemMatch: { device: deviceId, status: previous } } },
+      {
+        $set: {
+          'deliveries.$.status': delivery.status,
+          'deliveries.$.error': delivery.error,
+          'deliveries.$.deliveredAt': delivery.deliveredAt,
+          'deliveries.$.displayedAt': delivery.displayedAt,
+          'deliveries.$.dismissedAt': delivery.dismissedAt
+        }
+      }
+    );
+    if (result.matchedCount > 0) {
+      return message;
+    }
+  }
+
+  throw new Error(`Delivery for device ${deviceId} kept changing while recording an ack`);
+};
+
+messageSchema.statics.MESSAGE_STATUSES = MESSAGE_STATUSES;
+messageSchema.statics.DELIVERY_STATUSES = DELIVERY_STATUSES;
+
+module.exports = mongoose.model('Message', messageSchema);
@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+
+const RESERVATION_STATUSES = ['expected', 'in-house', 'checked-out', 'cancelled', 'no-show'];
+
+// Local cache of PMS reservations, refreshed by the PMS sync
+const reservationSchema = new mongoose.Schema({
+  pmsId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  confirmationNumber: {
+    type: String,
+    default: null
+  },
+  guestId: {
+    type: String,
+    default: null,
+    index: true
+  },
+  roomNumber: {
+    type: String,
+    default: null,
+    index: true
+  },
+  roomType: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: RESERVATION_STATUSES,
+    default: 'expected',
+    index: true
+  },
+  vendorStatus: {
+    type: String,
+    default: null
+  },
+  arrivalDate: {
+    type: Date,
+    default: null
+  },
+  departureDate: {
+    type: Date,
+    default: null
+  },
+  adults: {
+    type: Number,
+    default: null
+  },
+  children: {
+    type: Number,
+    default: null
+  },
+  totalAmount: {
+    type: Number,
+    default: null
+  },
+  currency: {
+    type: String,
+    default: null
+  },
+  specialRequests: [{
+    type: String
+  }],
+  modifiedAt: {
+    type: Date,
+    default: null
+  },
+  vendor: {
+    type: String,
+    default: null
+  },
+  syncedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { status: 1, arrivalDate: 1 },
+    { status: 1, departureDate: 1 }
+  ]
+});
+
+// Instance methods
+reservationSchema.methods.toApi = function() {
+  return {
+    id: this.pmsId,
+    confirmationNumber: this.confirmationNumber,
+    guestId: this.guestId,
+    roomNumber: this.roomNumber,
+    roomType: this.roomType,
+    status: this.status,
+    vendorStatus: this.vendorStatus,
+    arrivalDate: this.arrivalDate,
+    departureDate: this.departureDate,
+    adults: this.adults,
+    children: this.children,
+    totalAmount: this.totalAmount,
+    currency: this.currency,
+    specialRequests: this.specialRequests,
+    modifiedAt: this.modifiedAt,
+    syncedAt: this.syncedAt
+  };
+};
+
+// Static methods
+reservationSchema.statics.upsertFromPMS = async function(reservation, extra = {}) {
+  const { id, ...fields } = reservation;
+  if (!RESERVATION_STATUSES.includes(fields.status)) {
+    fields.status = 'expected';
+  }
+
+  const result = await this.updateOne(
+    { pmsId: id },
+    { $set: { ...fields, ...extra, syncedAt: new Date() } },
+    { upsert: true }
+  );
+  return result.upsertedCount > 0 ? 'created' : 'updated';
+};
+
+reservationSchema.statics.RESERVATION_STATUSES = RESERVATION_STATUSES;
+
+module.exports = mongoose.model('Reservation', reservationSchema);
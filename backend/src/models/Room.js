@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const { getFloorFromRoomNumber } = require('../utils/roomNumber');
+
+// Physical room: where its TVs are and what kind of room it is. Floors and room types
+// used as device targets come from here; rooms without a record fall back to the
+// floor derived from their number.
+const roomSchema = new mongoose.Schema({
+  number: {
+    type: String,
+    required: [true, 'Room number is required'],
+    unique: true,
+    trim: true,
+    maxlength: [10, 'Room number cannot exceed 10 characters']
+  },
+  floor: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  wing: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Wing cannot exceed 50 characters'],
+    default: null
+  },
+  roomType: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [50, 'Room type cannot exceed 50 characters'],
+    default: null
+  },
+  capacity: {
+    type: Number,
+    min: [1, 'Capacity must be at least 1'],
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { floor: 1 },
+    { roomType: 1 }
+  ]
+});
+
+// Default the floor to the one in the room number
+roomSchema.pre('validate', function(next) {
+  if (!this.floor) {
+    this.floor = getFloorFromRoomNumber(this.number);
+  }
+  next();
+});
+
+// Instance methods
+roomSchema.methods.toApi = function() {
+  return {
+    id: this.id,
+    number: this.number,
+    floor: this.floor,
+    wing: this.wing,
+    roomType: this.roomType,
+    capacity: this.capacity,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Static methods
+roomSchema.statics.findByNumber = function(number) {
+  return this.findOne({ number });
+};
+
+// Record for a room number, created with the derived floor the first time a TV is put there
+roomSchema.statics.ensure = async function(number) {
+  const existing = await this.findOne({ number });
+  if (existing) {
+    return existing;
+  }
+
+  try {
+    return await this.create({ number });
+  } catch (error) {
+    // Created in the meantime by another request
+    if (error.code === 11000) {
+      return await this.findOne({ number });
+    }
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('Room', roomSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { DEFAULT_MESSAGE_TEMPLATES, findTemplateErrors } = require('../utils/messageTemplates');
+const { DEFAULT_RESET_PACKAGES } = require('./GuestDataReset');
 
 // MongoDB Schema (Mongoose)
 const settingsSchema = new mongoose.Schema({
@@ -103,12 +105,24 @@ settingsSchema.methods.validateValue = function(value) {
       if (typeof value !== 'object' || Array.isArray(value)) {
         throw new Error('Value must be an object');
       }
+      if (this.key === 'guest_message_templates') {
+        const [problem] = findTemplateErrors(value);
+        if (problem) {
+          throw new Error(`Template ${problem.type} (${problem.locale}) must be valid: ${problem.message}`);
+        }
+      }
       break;
       
     case 'array':
       if (!Array.isArray(value)) {
         throw new Error('Value must be an array');
       }
+      if (validation.options && validation.options.length > 0) {
+        const invalid = value.filter(item => !validation.options.includes(item));
+        if (invalid.length > 0) {
+          throw new Error(`Values must be among: ${validation.options.join(', ')}`);
+        }
+      }
       break;
   }
   
@@ -191,6 +205,15 @@ settingsSchema.statics.initializeDefaultSettings = async function() {
       category: 'branding',
       description: 'Name of the IPTV panel displayed to users'
     },
+    {
+      key: 'property_timezone',
+      value: process.env.PROPERTY_TIMEZONE || 'UTC',
+      type: 'string',
+      category: 'system',
+      description: 'IANA timezone of the property (e.g. Africa/Cairo) used for schedules and local times',
+      defaultValue: 'UTC',
+      validation: { pattern: '^[A-Za-z_]+(/[A-Za-z0-9_+-]+)*$' }
+    },
     {
       key: 'log_retention_days',
       value: 30,
@@ -218,13 +241,10 @@ settingsSchema.statics.initializeDefaultSettings = async function() {
     },
     {
       key: 'guest_message_templates',
-      value: {
-        welcome: 'Welcome, {{guest_name}}! We hope you enjoy your stay in room {{room_number}}.',
-        farewell: 'Dear {{guest_name}}, we hope you had a great stay. Checkout is at {{check_out_time}}. Safe travels!'
-      },
+      value: DEFAULT_MESSAGE_TEMPLATES,
       type: 'object',
       category: 'system',
-      description: 'Template messages for guest welcome and farewell'
+      description: 'Welcome and farewell templates per locale, chosen by guest language'
     },
     {
       key: 'pms_base_url',
@@ -244,6 +264,109 @@ settingsSchema.statics.initializeDefaultSettings = async function() {
       category: 'pms',
       description: 'PMS API endpoint configurations'
     },
+    {
+      key: 'pms_auto_sync',
+      value: true,
+      type: 'boolean',
+      category: 'pms',
+      description: 'Synchronize with the PMS automatically on the polling interval'
+    },
+    {
+      key: 'pms_welcome_messages',
+      value: true,
+      type: 'boolean',
+      category: 'pms',
+      description: 'Send welcome messages when guests check in'
+    },
+    {
+      key: 'pms_farewell_messages',
+      value: true,
+      type: 'boolean',
+      category: 'pms',
+      description: 'Send farewell messages before guests check out'
+    },
+    {
+      key: 'pms_vendor',
+      value: 'opera',
+      type: 'string',
+      category: 'pms',
+      description: 'PMS driver used for guest, reservation and folio data',
+      defaultValue: 'opera',
+      validation: { options: ['opera', 'mews', 'generic'] }
+    },
+    {
+      key: 'pms_credentials',
+      value: {},
+      type: 'object',
+      category: 'pms',
+      description: 'Vendor credentials (Opera: hotelId, appKey, accessToken; Mews: clientToken, accessToken, client)',
+      isSecret: true
+    },
+    {
+      key: 'pms_field_mappings',
+      value: {},
+      type: 'object',
+      category: 'pms',
+      description: 'JSON-path field mappings for the generic REST driver (overrides the built-in defaults)'
+    },
+    {
+      key: 'pms_webhook_secret',
+      value: process.env.PMS_WEBHOOK_SECRET || '',
+      type: 'string',
+      category: 'pms',
+      description: 'Shared secret the PMS sends in the X-PMS-Webhook-Secret header of stay webhooks',
+      isSecret: true
+    },
+    {
+      key: 'guest_screen_fields',
+      value: ['name', 'salutation', 'language', 'stayDates'],
+      type: 'array',
+      category: 'pms',
+      description: 'Guest fields the TV may show: name, salutation, language, stayDates, loyaltyTier, balance',
+      defaultValue: ['name', 'salutation', 'language', 'stayDates'],
+      validation: { options: ['name', 'salutation', 'language', 'stayDates', 'loyaltyTier', 'balance'] }
+    },
+    {
+      key: 'fias_enabled',
+      value: process.env.FIAS_ENABLED === 'true',
+      type: 'boolean',
+      category: 'pms',
+      description: 'Receive real-time guest events over the FIAS socket interface'
+    },
+    {
+      key: 'fias_host',
+      value: process.env.FIAS_HOST || '',
+      type: 'string',
+      category: 'pms',
+      description: 'FIAS interface host (Opera IFC8 or compatible)'
+    },
+    {
+      key: 'fias_port',
+      value: Number(process.env.FIAS_PORT) || 5010,
+      type: 'number',
+      category: 'pms',
+      description: 'FIAS interface TCP port',
+      defaultValue: 5010,
+      validation: { min: 1, max: 65535 }
+    },
+    {
+      key: 'emergency_alert_volume',
+      value: 80,
+      type: 'number',
+      category: 'security',
+      description: 'TV volume (0-100) while an emergency alert is shown',
+      defaultValue: 80,
+      validation: { min: 0, max: 100 }
+    },
+    {
+      key: 'emergency_alert_repeat_seconds',
+      value: 60,
+      type: 'number',
+      category: 'security',
+      description: 'Seconds between repeats of an active emergency alert',
+      defaultValue: 60,
+      validation: { min: 10, max: 3600 }
+    },
     {
       key: 'welcome_message_delay_minutes',
       value: 0,
@@ -261,16 +384,86 @@ settingsSchema.statics.initializeDefaultSettings = async function() {
       description: 'Minutes before checkout to send farewell message',
       defaultValue: 15,
       validation: { min: 0, max: 1440 }
+    },
+    {
+      key: 'standard_checkout_time',
+      value: '11:00',
+      type: 'string',
+      category: 'system',
+      description: 'Checkout time (HH:mm, property time) for departures the PMS sends without a time',
+      defaultValue: '11:00',
+      validation: { pattern: '^([01]\\d|2[0-3]):[0-5]\\d$' }
+    },
+    {
+      key: 'guest_data_reset_enabled',
+      value: true,
+      type: 'boolean',
+      category: 'security',
+      description: 'Clear guest app data and restore the default TV setup when a guest checks out',
+      defaultValue: true
+    },
+    {
+      key: 'guest_data_reset_packages',
+      value: DEFAULT_RESET_PACKAGES,
+      type: 'array',
+      category: 'security',
+      description: 'Android packages whose data (logins, watch history) is cleared on checkout',
+      defaultValue: DEFAULT_RESET_PACKAGES
+    },
+    {
+      key: 'default_app_layout',
+      value: [],
+      type: 'array',
+      category: 'system',
+      description: 'App ids, in order, restored on a TV by the checkout reset; empty keeps the current layout',
+      defaultValue: []
+    },
+    {
+      key: 'default_background_bundle',
+      value: '',
+      type: 'string',
+      category: 'system',
+      description: 'Background bundle id restored on a TV by the checkout reset; empty keeps the current bundle',
+      defaultValue: ''
+    },
+    {
+      key: 'device_metrics_raw_retention_hours',
+      value: 48,
+      type: 'number',
+      category: 'system',
+      description: 'Hours to keep every device telemetry report before only hourly averages remain',
+      defaultValue: 48,
+      validation: { min: 6, max: 720 }
+    },
+    {
+      key: 'device_metrics_hourly_retention_days',
+      value: 30,
+      type: 'number',
+      category: 'system',
+      description: 'Days to keep hourly device telemetry before only daily averages remain',
+      defaultValue: 30,
+      validation: { min: 2, max: 365 }
+    },
+    {
+      key: 'device_metrics_daily_retention_days',
+      value: 365,
+      type: 'number',
+      category: 'system',
+      description: 'Days to keep daily device telemetry',
+      defaultValue: 365,
+      validation: { min: 7, max: 1825 }
     }
   ];
 
+  // Runs on every start: only keys missing from the collection are inserted, so upgraded
+  // installs get new settings and values changed by admins are left alone
+  const now = new Date();
   for (const settingData of defaultSettings) {
-    const existingSetting = await this.findOne({ key: settingData.key });
-    
-    if (!existingSetting) {
-      const setting = new this(settingData);
-      await setting.save();
-    }
+    await this.updateOne(
+      { key: settingData.key },
+      { $setOnInsert: { ...settingData, createdAt: now, updatedAt: now } },
+      { upsert: true, timestamps: false }
+    );
   }
 };
 
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const ASSIGNMENT_TYPES = ['apps', 'background_bundle'];
+
+// An app layout or background bundle assigned to floors, room types or device groups.
+// It is kept so TVs that join the target later (approved, moved or added to a group)
+// get the same configuration; the newest matching assignment of each type wins.
+const targetedAssignmentSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ASSIGNMENT_TYPES,
+    required: true
+  },
+  target: {
+    floors: [String],
+    roomTypes: [String],
+    groupIds: [String]
+  },
+  appIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'App'
+  }],
+  position: {
+    type: Number,
+    default: null
+  },
+  bundleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BackgroundBundle',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { type: 1, createdAt: -1 }
+  ]
+});
+
+// Instance methods
+targetedAssignmentSchema.methods.toApi = function() {
+  return {
+    id: this.id,
+    type: this.type,
+    target: {
+      floors: this.target.floors,
+      roomTypes: this.target.roomTypes,
+      groupIds: this.target.groupIds
+    },
+    appIds: this.appIds.map(id => id.toString()),
+    position: this.position,
+    bundleId: this.bundleId ? this.bundleId.toString() : null,
+    createdAt: this.createdAt
+  };
+};
+
+// Static methods
+targetedAssignmentSchema.statics.findNewestFirst = function(filter = {}) {
+  return this.find(filter).sort({ createdAt: -1 });
+};
+
+targetedAssignmentSchema.statics.ASSIGNMENT_TYPES = ASSIGNMENT_TYPES;
+
+module.exports = mongoose.model('TargetedAssignment', targetedAssignmentSchema);
@@ -6,6 +6,9 @@ const { authenticateToken, requireAdmin, logActivity } = require('../middleware/
 const logger = require('../utils/logger');
 const { transformDoc, transformDocs } = require('../utils/mongoTransform');
 const App = require('../models/App');
+const DeviceManager = require('../services/deviceManager');
+const DeviceAssignments = require('../services/deviceAssignments');
+const DeviceTargets = require('../services/deviceTargets');
 
 const router = express.Router();
 
@@ -199,6 +202,9 @@ router.post('/assign', [
   body('appIds').isArray().notEmpty(),
   body('deviceIds').optional().isArray(),
   body('roomNumbers').optional().isArray(),
+  body('floors').optional().isArray(),
+  body('roomTypes').optional().isArray(),
+  body('groupIds').optional().isArray(),
   body('position').optional().isInt({ min: 0 })
 ], async (req, res) => {
   try {
@@ -212,11 +218,20 @@ router.post('/assign', [
     }
 
     const { appIds, deviceIds, roomNumbers, position } = req.body;
+    const inherited = DeviceTargets.getInherited(req.body);
 
-    if (!deviceIds && !roomNumbers) {
+    if (!deviceIds && !roomNumbers && !inherited) {
       return res.status(400).json({
         success: false,
-        message: 'Either deviceIds or roomNumbers must be provided'
+        message: 'Provide deviceIds, roomNumbers, floors, roomTypes or groupIds'
+      });
+    }
+
+    const invalidId = inherited && DeviceTargets.findInvalidId(inherited);
+    if (invalidId) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid group id: ${invalidId}`
       });
     }
 
@@ -231,6 +246,7 @@ router.post('/assign', [
 
     const Device = require('../models/Device');
     const assignments = [];
+    const assignedDevices = [];
 
     if (deviceIds) {
       // Find devices and verify they exist
@@ -243,15 +259,9 @@ router.post('/assign', [
       }
 
       // Update each device's app layout
+      await DeviceAssignments.assignApps(devices, appIds, { position });
       for (const device of devices) {
-        device.configuration = device.configuration || {};
-        device.configuration.appLayout = appIds.map((appId, index) => ({
-          appId,
-          position: position !== undefined ? position + index : index,
-          isVisible: true
-        }));
-        await device.save();
-
+        assignedDevices.push(device);
         assignments.push({
           type: 'device',
           targetId: device.id,
@@ -275,15 +285,9 @@ router.post('/assign', [
       }
 
       // Update each device's app layout
+      await DeviceAssignments.assignApps(devices, appIds, { position });
       for (const device of devices) {
-        device.configuration = device.configuration || {};
-        device.configuration.appLayout = appIds.map((appId, index) => ({
-          appId,
-          position: position !== undefined ? position + index : index,
-          isVisible: true
-        }));
-        await device.save();
-
+        assignedDevices.push(device);
         assignments.push({
           type: 'room',
           targetId: device.roomNumber,
@@ -293,6 +297,28 @@ router.post('/assign', [
       }
     }
 
+    let targetedAssignment = null;
+    if (inherited) {
+      // Kept so TVs that later join these floors, room types or groups get the same apps
+      const devices = await DeviceTargets.resolve(inherited);
+      await DeviceAssignments.assignApps(devices, appIds, { position });
+      targetedAssignment = await DeviceAssignments.rememberTargeted('apps', inherited, {
+        appIds,
+        position,
+        createdBy: req.user.id
+      });
+
+      for (const device of devices) {
+        assignedDevices.push(device);
+        assignments.push({
+          type: 'target',
+          targetId: device.id,
+          appIds,
+          assignedAt: new Date().toISOString()
+        });
+      }
+    }
+
     // Emit real-time event
     if (global.io) {
       global.io.to('admin:apps').emit('app:assignments-updated', {
@@ -300,30 +326,28 @@ router.post('/assign', [
         assignedBy: req.user.name,
         timestamp: new Date().toISOString()
       });
-
-      // Notify affected devices
-      if (deviceIds) {
-        deviceIds.forEach(deviceId => {
-          global.io.emit(`device:${deviceId}`, {
-            type: 'APPS_ASSIGNED',
-            appIds,
-            timestamp: new Date().toISOString()
-          });
-        });
-      }
     }
 
+    // Notify affected devices
+    assignedDevices.forEach(device => {
+      DeviceManager.notifyDevice(device.uuid, 'APPS_ASSIGNED', { appIds });
+    });
+
     logger.info('Apps assigned successfully', {
       userId: req.user.id,
       appCount: appIds.length,
       deviceCount: deviceIds?.length || 0,
-      roomCount: roomNumbers?.length || 0
+      roomCount: roomNumbers?.length || 0,
+      target: inherited ? DeviceTargets.describe(inherited) : null
     });
 
     res.json({
       success: true,
       message: 'Apps assigned successfully',
-      data: { assignments }
+      data: {
+        assignments,
+        targetedAssignment: targetedAssignment ? targetedAssignment.toApi() : null
+      }
     });
 
   } catch (error) {
@@ -401,17 +425,13 @@ router.post('/bulk-assign', [
         assignedBy: req.user.name,
         timestamp: new Date().toISOString()
       });
-
-      // Notify affected devices
-      devices.forEach(deviceId => {
-        global.io.emit(`device:${deviceId}`, {
-          type: 'APPS_ASSIGNED',
-          appIds: apps,
-          timestamp: new Date().toISOString()
-        });
-      });
     }
 
+    // Notify affected devices
+    devices.forEach(device => {
+      DeviceManager.notifyDevice(device.uuid, 'APPS_ASSIGNED', { appIds });
+    });
+
     logger.info('Apps bulk assigned successfully', {
       userId: req.user.id,
       appCount: apps.length,
@@ -438,7 +458,11 @@ router.post('/:appId/install', [
   authenticateToken,
   requireAdmin,
   logActivity('TRIGGER_APP_INSTALL'),
-  body('deviceIds').isArray().notEmpty()
+  body('deviceIds').optional().isArray(),
+  body('roomNumbers').optional().isArray(),
+  body('floors').optional().isArray(),
+  body('roomTypes').optional().isArray(),
+  body('groupIds').optional().isArray()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -451,7 +475,23 @@ router.post('/:appId/install', [
     }
 
     const { appId } = req.params;
-    const { deviceIds } = req.body;
+    const { deviceIds, roomNumbers, floors, roomTypes, groupIds } = req.body;
+    const target = { deviceIds, roomNumbers, floors, roomTypes, groupIds };
+
+    if (DeviceTargets.isEmpty(target)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide deviceIds, roomNumbers, floors, roomTypes or groupIds'
+      });
+    }
+
+    const invalidId = DeviceTargets.findInvalidId(target);
+    if (invalidId) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid device or group id: ${invalidId}`
+      });
+    }
 
     const app = await App.findById(appId);
     if (!app) {
@@ -461,50 +501,52 @@ router.post('/:appId/install', [
       });
     }
 
-    // Verify devices exist and are approved
-    const Device = require('../models/Device');
-    const devices = await Device.find({
-      _id: { $in: deviceIds },
-      status: 'approved'
-    });
+    // Resolve the target now; listed devices must all exist and be approved
+    const devices = await DeviceTargets.resolve(target);
+    const resolvedIds = new Set(devices.map(device => device.id));
 
-    if (devices.length !== deviceIds.length) {
+    if ((deviceIds || []).some(id => !resolvedIds.has(String(id)))) {
       return res.status(400).json({
         success: false,
         message: 'Some devices were not found or are not approved'
       });
     }
 
+    if (devices.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No approved devices match the target'
+      });
+    }
+
     const installRequests = [];
 
-    // Send install command to each device
-    deviceIds.forEach(deviceId => {
-      if (global.io) {
-        global.io.emit(`device:${deviceId}`, {
-          type: 'INSTALL_APP',
-          app: {
-            id: app.id,
-            name: app.name,
-            url: app.url,
-            icon: app.icon
-          },
-          requestedBy: req.user.name,
-          timestamp: new Date().toISOString()
-        });
-      }
+    // Queue install command for each device
+    for (const device of devices) {
+      const command = await DeviceManager.queueCommand(device, 'INSTALL_APP', {
+        app: {
+          id: app.id,
+          name: app.name,
+          packageName: app.packageName,
+          url: app.url,
+          icon: app.icon
+        },
+        requestedBy: req.user.name
+      }, { requestedBy: req.user.id });
 
       installRequests.push({
-        deviceId,
+        deviceId: device.id,
         appId,
-        status: 'requested',
+        commandId: command.commandId,
+        status: command.delivered ? 'delivered' : 'queued',
         requestedAt: new Date().toISOString()
       });
-    });
+    }
 
     logger.info('App installation triggered', {
       userId: req.user.id,
       appId,
-      deviceCount: deviceIds.length
+      deviceCount: devices.length
     });
 
     res.json({
@@ -514,7 +556,7 @@ router.post('/:appId/install', [
         installRequests,
         summary: {
           appId,
-          deviceCount: deviceIds.length,
+          deviceCount: devices.length,
           requestedAt: new Date().toISOString()
         }
       }
@@ -801,15 +843,13 @@ router.post('/reorder/:deviceId', [
         updatedBy: req.user.name,
         timestamp: new Date().toISOString()
       });
-
-      // Notify the specific device
-      global.io.emit(`device:${deviceId}`, {
-        type: 'APPS_REORDERED',
-        apps: updatedAssignments,
-        timestamp: new Date().toISOString()
-      });
     }
 
+    // Notify the specific device
+    DeviceManager.notifyDevice(device.uuid, 'APPS_REORDERED', {
+      apps: updatedAssignments
+    });
+
     logger.info('Apps reordered successfully', {
       userId: req.user.id,
       deviceId,
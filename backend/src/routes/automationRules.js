@@ -0,0 +1,470 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { authenticateToken, requireAdmin, logActivity } = require('../middleware/auth');
+const logger = require('../utils/logger');
+const AutomationRule = require('../models/AutomationRule');
+const BackgroundBundle = require('../models/BackgroundBundle');
+const App = require('../models/App');
+const GuestAutomation = require('../services/guestAutomation');
+const PMSService = require('../services/pmsService');
+const { TEMPLATE_VARIABLES, validateTemplate } = require('../utils/templateEngine');
+const { parseTimeOfDay } = require('../utils/propertyTime');
+
+const router = express.Router();
+
+// Message actions may use the template variables plus the room facts rules test
+const RULE_MESSAGE_VARIABLES = Array.from(new Set([
+  ...Object.keys(TEMPLATE_VARIABLES),
+  ...AutomationRule.CONDITION_FIELDS
+]));
+
+const ruleValidators = (optional = false) => {
+  const field = (path) => (optional ? body(path).optional() : body(path));
+
+  return [
+    field('name').isString().trim().isLength({ min: 1, max: 100 }),
+    body('description').optional().isString().isLength({ max: 500 }),
+    body('isActive').optional().isBoolean(),
+    (optional ? body('trigger.event').if(body('trigger').exists()) : body('trigger.event')).isIn(AutomationRule.TRIGGER_EVENTS),
+    body('trigger.day').optional({ nullable: true }).isIn(AutomationRule.TRIGGER_DAYS),
+    body('conditions').optional().isArray({ max: 20 }),
+    body('conditions.*.field').isIn(AutomationRule.CONDITION_FIELDS),
+    body('conditions.*.operator').optional().isIn(AutomationRule.CONDITION_OPERATORS),
+    field('actions').isArray({ min: 1, max: 10 }),
+    body('actions.*.type').isIn(AutomationRule.ACTION_TYPES),
+    body('actions.*.params').optional().isObject()
+  ];
+};
+
+// Trigger, conditions and actions from the request, with the params each action type uses
+const buildRuleFields = (input) => {
+  const fields = {};
+
+  ['name', 'description', 'isActive'].forEach(key => {
+    if (input[key] !== undefined) fields[key] = input[key];
+  });
+
+  if (input.trigger) {
+    const isTime = input.trigger.event === 'time';
+    fields.trigger = {
+      event: input.trigger.event,
+      time: isTime ? input.trigger.time : null,
+      day: isTime ? (input.trigger.day || 'every') : null
+    };
+  }
+
+  if (input.conditions) {
+    fields.conditions = input.conditions.map(condition => ({
+      field: condition.field,
+      operator: condition.operator || 'equals',
+      value: condition.value ?? null
+    }));
+  }
+
+  if (input.actions) {
+    fields.actions = input.actions.map(action => {
+      const params = action.params || {};
+      switch (action.type) {
+        case 'show_message':
+          return {
+            type: action.type,
+            params: {
+              title: params.title || '',
+              body: params.body,
+              imageUrl: params.imageUrl || null,
+              priority: params.priority || 'normal',
+              displayDuration: params.displayDuration
+            }
+          };
+        case 'assign_background':
+          return { type: action.type, params: { bundleId: params.bundleId } };
+        case 'assign_apps':
+          return { type: action.type, params: { appIds: [].concat(params.appIds || []) } };
+        case 'send_command':
+          return { type: action.type, params: { command: params.command } };
+        default:
+          return { type: action.type, params: {} };
+      }
+    });
+  }
+
+  return fields;
+};
+
+// Checks that need more than the request shape; returns an error message or null
+const findRuleProblem = async ({ trigger, conditions = [], actions = [] }) => {
+  if (trigger?.event === 'time' && parseTimeOfDay(trigger.time) === null) {
+    return 'Time triggers need a time in HH:mm format';
+  }
+
+  for (const condition of conditions) {
+    if (['in', 'not_in'].includes(condition.operator) && !Array.isArray(condition.value)) {
+      return `Condition on ${condition.field} needs a list of values`;
+    }
+    if (['gte', 'lte'].includes(condition.operator) && isNaN(Number(condition.value))) {
+      return `Condition on ${condition.field} needs a numeric value`;
+    }
+  }
+
+  for (const action of actions) {
+    const { params } = action;
+
+    switch (action.type) {
+      case 'show_message': {
+        if (!params.body || params.body.length > 1000) {
+          return 'Message actions need a body of at most 1000 characters';
+        }
+        for (const [key, template] of [['title', params.title], ['body', params.body]]) {
+          const validation = validateTemplate(template || '', RULE_MESSAGE_VARIABLES);
+          if (!validation.valid) {
+            return `Message ${key} must be a valid template: ${validation.errors[0].message}`;
+          }
+        }
+        if (params.priority && !['normal', 'high'].includes(params.priority)) {
+          return 'Message priority must be normal or high';
+        }
+        break;
+      }
+      case 'assign_background':
+        if (!params.bundleId || !(await BackgroundBundle.exists({ _id: params.bundleId }).catch(() => null))) {
+          return 'Background bundle not found';
+        }
+        break;
+      case 'assign_apps': {
+        const found = params.appIds.length > 0
+          ? await App.countDocuments({ _id: { $in: params.appIds } }).catch(() => 0)
+          : 0;
+        if (found !== params.appIds.length || found === 0) {
+          return 'One or more apps not found';
+        }
+        break;
+      }
+      case 'send_command':
+        if (!AutomationRule.RULE_COMMANDS.includes(params.command)) {
+          return `Command must be one of: ${AutomationRule.RULE_COMMANDS.join(', ')}`;
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  return null;
+};
+
+// List automation rules
+router.get('/', [
+  authenticateToken,
+  requireAdmin,
+  query('event').optional().isIn(AutomationRule.TRIGGER_EVENTS),
+  query('isActive').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const filter = {};
+    if (req.query.event) filter['trigger.event'] = req.query.event;
+    if (req.query.isActive !== undefined) filter.isActive = req.query.isActive === 'true';
+
+    const rules = await AutomationRule.find(filter).sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: rules.map(rule => rule.toApi()),
+      meta: {
+        events: AutomationRule.TRIGGER_EVENTS,
+        days: AutomationRule.TRIGGER_DAYS,
+        conditionFields: AutomationRule.CONDITION_FIELDS,
+        operators: AutomationRule.CONDITION_OPERATORS,
+        actionTypes: AutomationRule.ACTION_TYPES,
+        commands: AutomationRule.RULE_COMMANDS
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error listing automation rules:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list automation rules'
+    });
+  }
+});
+
+// Dry run rules against the PMS reservations; nothing is sent to any TV
+router.post('/simulate', [
+  authenticateToken,
+  requireAdmin,
+  body('ruleId').optional().isMongoId(),
+  body('rule').optional().isObject(),
+  body('at').optional().isISO8601(),
+  body('event').optional().isIn(AutomationRule.TRIGGER_EVENTS),
+  body('roomNumber').optional().isString().trim().isLength({ min: 1, max: 20 }),
+  body('fromRoom').optional().isString().trim().isLength({ min: 1, max: 20 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let rules;
+    if (req.body.rule) {
+      // Unsaved rule from the editor
+      const fields = buildRuleFields(req.body.rule);
+      const rule = new AutomationRule(fields);
+      const problem = rule.validateSync()?.message || await findRuleProblem(fields);
+      if (problem) {
+        return res.status(400).json({
+          success: false,
+          message: problem
+        });
+      }
+      rules = [rule];
+    } else if (req.body.ruleId) {
+      const rule = await AutomationRule.findById(req.body.ruleId);
+      if (!rule) {
+        return res.status(404).json({
+          success: false,
+          message: 'Automation rule not found'
+        });
+      }
+      rules = [rule];
+    } else {
+      rules = await AutomationRule.find({ isActive: true }).sort({ createdAt: 1 });
+    }
+
+    if (!PMSService.isConnected()) {
+      return res.status(409).json({
+        success: false,
+        message: 'PMS not connected'
+      });
+    }
+
+    const at = req.body.at ? new Date(req.body.at) : new Date();
+    const results = await GuestAutomation.simulateRules(rules, {
+      at,
+      event: req.body.event || null,
+      roomNumber: req.body.roomNumber || null,
+      fromRoom: req.body.fromRoom || null
+    });
+
+    res.json({
+      success: true,
+      data: {
+        at,
+        rules: rules.length,
+        reservations: new Set(results.map(result => result.reservationId)).size,
+        wouldRun: results.filter(result => result.wouldRun).length,
+        results
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error simulating automation rules:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to simulate automation rules'
+    });
+  }
+});
+
+// Get one automation rule
+router.get('/:id', [
+  authenticateToken,
+  requireAdmin,
+  param('id').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rule = await AutomationRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Automation rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: rule.toApi()
+    });
+
+  } catch (error) {
+    logger.error('Error getting automation rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get automation rule'
+    });
+  }
+});
+
+// Create an automation rule
+router.post('/', [
+  authenticateToken,
+  requireAdmin,
+  logActivity('CREATE_AUTOMATION_RULE'),
+  ...ruleValidators()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const fields = buildRuleFields(req.body);
+    const problem = await findRuleProblem(fields);
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem
+      });
+    }
+
+    const rule = await AutomationRule.create({ ...fields, createdBy: req.user.id });
+
+    logger.info('Automation rule created', {
+      userId: req.user.id,
+      ruleId: rule.id,
+      event: rule.trigger.event
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Automation rule created successfully',
+      data: rule.toApi()
+    });
+
+  } catch (error) {
+    logger.error('Error creating automation rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create automation rule'
+    });
+  }
+});
+
+// Update an automation rule; trigger, conditions and actions are replaced as a whole
+router.put('/:id', [
+  authenticateToken,
+  requireAdmin,
+  logActivity('UPDATE_AUTOMATION_RULE'),
+  param('id').isMongoId(),
+  ...ruleValidators(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rule = await AutomationRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Automation rule not found'
+      });
+    }
+
+    const fields = buildRuleFields(req.body);
+    const problem = await findRuleProblem({
+      trigger: fields.trigger || rule.trigger,
+      conditions: fields.conditions,
+      actions: fields.actions
+    });
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem
+      });
+    }
+
+    rule.set(fields);
+    await rule.save();
+
+    res.json({
+      success: true,
+      message: 'Automation rule updated successfully',
+      data: rule.toApi()
+    });
+
+  } catch (error) {
+    logger.error('Error updating automation rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update automation rule'
+    });
+  }
+});
+
+// Delete an automation rule
+router.delete('/:id', [
+  authenticateToken,
+  requireAdmin,
+  logActivity('DELETE_AUTOMATION_RULE'),
+  param('id').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rule = await AutomationRule.findByIdAndDelete(req.params.id);
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Automation rule not found'
+      });
+    }
+
+    logger.info('Automation rule deleted', {
+      userId: req.user.id,
+      ruleId: rule.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Automation rule deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error deleting automation rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete automation rule'
+    });
+  }
+});
+
+module.exports = router;
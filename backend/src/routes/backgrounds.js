@@ -1,11 +1,14 @@
 const express = require('express');
 const multer = require('multer');
 const path = require('path');
-const { body, query, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const { authenticateToken, requireAdmin, logActivity } = require('../middleware/auth');
 const logger = require('../utils/logger');
 const Background = require('../models/Background');
 const BackgroundBundle = require('../models/BackgroundBundle');
+const BackgroundPlaylist = require('../services/backgroundPlaylist');
+const DeviceAssignments = require('../services/deviceAssignments');
+const DeviceTargets = require('../services/deviceTargets');
 
 const router = express.Router();
 
@@ -147,8 +150,9 @@ router.post('/upload', [
         originalName: file.originalname,
         type: isVideo ? 'video' : 'image',
         size: file.size,
-        url: `/uploads/backgrounds/${file.filename}`,
+        path: `/uploads/backgrounds/${file.filename}`,
         mimeType: file.mimetype,
+        duration: isVideo && req.body.duration ? Number(req.body.duration) : null,
         uploadedBy: req.user.id,
         metadata: {
           tags: req.body.tags ? req.body.tags.split(',').map(tag => tag.trim()) : [],
@@ -157,6 +161,7 @@ router.post('/upload', [
         }
       });
 
+      await background.computeChecksum();
       await background.save();
       backgrounds.push(background);
     }
@@ -231,7 +236,16 @@ router.post('/bundles', [
   logActivity('CREATE_BACKGROUND_BUNDLE'),
   body('name').isString().isLength({ min: 1, max: 100 }),
   body('description').optional().isString().isLength({ max: 500 }),
-  body('backgroundIds').isArray().notEmpty()
+  body('backgroundIds').isArray().notEmpty(),
+  body('displayDuration').optional().isInt({ min: 5, max: 3600 }),
+  body('transitionEffect').optional().isIn(['fade', 'slide', 'zoom', 'none']),
+  body('transitionDuration').optional().isFloat({ min: 0.5, max: 5 }),
+  body('shuffleEnabled').optional().isBoolean(),
+  body('schedule.enabled').optional().isBoolean(),
+  body('schedule.startTime').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/),
+  body('schedule.endTime').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/),
+  body('schedule.daysOfWeek').optional().isArray(),
+  body('schedule.daysOfWeek.*').optional().isInt({ min: 0, max: 6 })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -262,7 +276,9 @@ router.post('/bundles', [
       settings: {
         displayDuration: req.body.displayDuration || 30,
         transitionEffect: req.body.transitionEffect || 'fade',
-        shuffleEnabled: req.body.shuffleEnabled || false
+        transitionDuration: req.body.transitionDuration || 1,
+        shuffleEnabled: req.body.shuffleEnabled || false,
+        schedule: req.body.schedule || { enabled: false }
       }
     });
 
@@ -290,6 +306,53 @@ router.post('/bundles', [
   }
 });
 
+// Preview the playlist a device would show at a given time
+router.get('/preview/:deviceId', [
+  authenticateToken,
+  requireAdmin,
+  param('deviceId').isMongoId(),
+  query('at').optional().isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const Device = require('../models/Device');
+    const device = await Device.findById(req.params.deviceId);
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    const at = req.query.at ? new Date(req.query.at) : new Date();
+    const playlist = await BackgroundPlaylist.previewPlaylist(device, at);
+
+    res.json({
+      success: true,
+      data: {
+        deviceId: device.id,
+        roomNumber: device.roomNumber,
+        playlist
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error previewing background playlist:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview background playlist'
+    });
+  }
+});
+
 // Assign bundle to device/room
 router.post('/assign', [
   authenticateToken,
@@ -297,7 +360,10 @@ router.post('/assign', [
   logActivity('ASSIGN_BACKGROUND_BUNDLE'),
   body('bundleId').isString(),
   body('deviceIds').optional().isArray(),
-  body('roomNumbers').optional().isArray()
+  body('roomNumbers').optional().isArray(),
+  body('floors').optional().isArray(),
+  body('roomTypes').optional().isArray(),
+  body('groupIds').optional().isArray()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -310,11 +376,20 @@ router.post('/assign', [
     }
 
     const { bundleId, deviceIds, roomNumbers } = req.body;
+    const inherited = DeviceTargets.getInherited(req.body);
 
-    if (!deviceIds && !roomNumbers) {
+    if (!deviceIds && !roomNumbers && !inherited) {
       return res.status(400).json({
         success: false,
-        message: 'Either deviceIds or roomNumbers must be provided'
+        message: 'Provide deviceIds, roomNumbers, floors, roomTypes or groupIds'
+      });
+    }
+
+    const invalidId = inherited && DeviceTargets.findInvalidId(inherited);
+    if (invalidId) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid group id: ${invalidId}`
       });
     }
 
@@ -341,11 +416,8 @@ router.post('/assign', [
       }
 
       // Update each device's configuration
+      await DeviceAssignments.assignBackgroundBundle(devices, bundleId);
       for (const device of devices) {
-        device.configuration = device.configuration || {};
-        device.configuration.backgroundBundle = bundleId;
-        await device.save();
-
         assignments.push({
           type: 'device',
           id: device.id,
@@ -369,11 +441,8 @@ router.post('/assign', [
       }
 
       // Update each device's configuration
+      await DeviceAssignments.assignBackgroundBundle(devices, bundleId);
       for (const device of devices) {
-        device.configuration = device.configuration || {};
-        device.configuration.backgroundBundle = bundleId;
-        await device.save();
-
         assignments.push({
           type: 'room',
           id: device.roomNumber,
@@ -383,6 +452,26 @@ router.post('/assign', [
       }
     }
 
+    let targetedAssignment = null;
+    if (inherited) {
+      // Kept so TVs that later join these floors, room types or groups get the same bundle
+      const devices = await DeviceTargets.resolve(inherited);
+      await DeviceAssignments.assignBackgroundBundle(devices, bundleId);
+      targetedAssignment = await DeviceAssignments.rememberTargeted('background_bundle', inherited, {
+        bundleId,
+        createdBy: req.user.id
+      });
+
+      for (const device of devices) {
+        assignments.push({
+          type: 'target',
+          id: device.id,
+          bundleId,
+          assignedAt: new Date().toISOString()
+        });
+      }
+    }
+
     // Emit real-time event
     if (global.io) {
       global.io.to('admin:backgrounds').emit('background:bundle-assigned', {
@@ -397,13 +486,17 @@ router.post('/assign', [
       userId: req.user.id,
       bundleId,
       deviceCount: deviceIds?.length || 0,
-      roomCount: roomNumbers?.length || 0
+      roomCount: roomNumbers?.length || 0,
+      target: inherited ? DeviceTargets.describe(inherited) : null
     });
 
     res.json({
       success: true,
       message: 'Background bundle assigned successfully',
-      data: { assignments }
+      data: {
+        assignments,
+        targetedAssignment: targetedAssignment ? targetedAssignment.toApi() : null
+      }
     });
 
   } catch (error) {
@@ -0,0 +1,232 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { authenticateToken, requireAdmin, logActivity } = require('../middleware/auth');
+const logger = require('../utils/logger');
+const Device = require('../models/Device');
+const DeviceGroup = require('../models/DeviceGroup');
+const DeviceAssignments = require('../services/deviceAssignments');
+
+const router = express.Router();
+
+// Returns the ids that don't match an existing device
+const findMissingDevices = async (deviceIds) => {
+  const devices = await Device.find({ _id: { $in: deviceIds } }).select('_id');
+  const found = new Set(devices.map(device => device.id));
+  return deviceIds.filter(id => !found.has(id));
+};
+
+// New members get the apps and background assigned to the group
+const applyGroupAssignments = async (deviceIds, requestedBy) => {
+  if (deviceIds.length === 0) {
+    return;
+  }
+
+  const devices = await Device.find({ _id: { $in: deviceIds } });
+  await DeviceAssignments.refreshInherited(devices, requestedBy);
+};
+
+// List device groups
+router.get('/', [
+  authenticateToken,
+  requireAdmin
+], async (req, res) => {
+  try {
+    const groups = await DeviceGroup.find().sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: groups.map(group => group.toSummary())
+    });
+
+  } catch (error) {
+    logger.error('Error listing device groups:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list device groups'
+    });
+  }
+});
+
+// Create a device group
+router.post('/', [
+  authenticateToken,
+  requireAdmin,
+  logActivity('CREATE_DEVICE_GROUP'),
+  body('name').isString().trim().isLength({ min: 1, max: 100 }),
+  body('description').optional().isString().isLength({ max: 500 }),
+  body('deviceIds').optional().isArray(),
+  body('deviceIds.*').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, description, deviceIds = [] } = req.body;
+
+    if (await DeviceGroup.findOne({ name })) {
+      return res.status(409).json({
+        success: false,
+        message: `A group named "${name}" already exists`
+      });
+    }
+
+    const missing = await findMissingDevices(deviceIds);
+    if (missing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Devices not found: ${missing.join(', ')}`
+      });
+    }
+
+    const group = await DeviceGroup.create({
+      name,
+      description,
+      devices: Array.from(new Set(deviceIds)),
+      createdBy: req.user.id
+    });
+
+    logger.info('Device group created', {
+      userId: req.user.id,
+      groupId: group.id,
+      deviceCount: group.devices.length
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Device group created successfully',
+      data: group.toSummary()
+    });
+
+  } catch (error) {
+    logger.error('Error creating device group:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create device group'
+    });
+  }
+});
+
+// Update a device group's name, description or members
+router.put('/:id', [
+  authenticateToken,
+  requireAdmin,
+  logActivity('UPDATE_DEVICE_GROUP'),
+  param('id').isMongoId(),
+  body('name').optional().isString().trim().isLength({ min: 1, max: 100 }),
+  body('description').optional().isString().isLength({ max: 500 }),
+  body('deviceIds').optional().isArray(),
+  body('deviceIds.*').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const group = await DeviceGroup.findById(req.params.id);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device group not found'
+      });
+    }
+
+    const { name, description, deviceIds } = req.body;
+
+    if (name && name !== group.name && await DeviceGroup.findOne({ name })) {
+      return res.status(409).json({
+        success: false,
+        message: `A group named "${name}" already exists`
+      });
+    }
+
+    let addedIds = [];
+    if (deviceIds) {
+      const missing = await findMissingDevices(deviceIds);
+      if (missing.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Devices not found: ${missing.join(', ')}`
+        });
+      }
+      const current = new Set(group.devices.map(id => id.toString()));
+      addedIds = deviceIds.filter(id => !current.has(id));
+      group.devices = Array.from(new Set(deviceIds));
+    }
+
+    if (name) group.name = name;
+    if (description !== undefined) group.description = description;
+    await group.save();
+
+    await applyGroupAssignments(addedIds, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Device group updated successfully',
+      data: group.toSummary()
+    });
+
+  } catch (error) {
+    logger.error('Error updating device group:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update device group'
+    });
+  }
+});
+
+// Delete a device group (devices themselves are untouched)
+router.delete('/:id', [
+  authenticateToken,
+  requireAdmin,
+  logActivity('DELETE_DEVICE_GROUP'),
+  param('id').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const group = await DeviceGroup.findByIdAndDelete(req.params.id);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device group not found'
+      });
+    }
+
+    logger.info('Device group deleted', {
+      userId: req.user.id,
+      groupId: group.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Device group deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error deleting device group:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete device group'
+    });
+  }
+});
+
+module.exports = router;
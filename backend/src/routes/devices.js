@@ -1,12 +1,28 @@
 const express = require('express');
-const { body, query, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const Device = require('../models/Device');
+const DeviceCommand = require('../models/DeviceCommand');
+const DeviceGroup = require('../models/DeviceGroup');
+const GuestDataReset = require('../models/GuestDataReset');
+const DeviceOutage = require('../models/DeviceOutage');
+const DeviceMetric = require('../models/DeviceMetric');
+const Room = require('../models/Room');
+const DeviceManager = require('../services/deviceManager');
+const DeviceConfig = require('../services/deviceConfig');
+const GuestDataResetService = require('../services/guestDataReset');
+const DeviceAssignments = require('../services/deviceAssignments');
+const DeviceTargets = require('../services/deviceTargets');
+const DeviceReplacement = require('../services/deviceReplacement');
+const DeviceTelemetry = require('../services/deviceTelemetry');
 const { authenticateToken, requireAdmin, requireSuperAdmin, logActivity } = require('../middleware/auth');
 const logger = require('../utils/logger');
 const { transformDoc, transformDocs } = require('../utils/mongoTransform');
 
 const router = express.Router();
 
+// Commands that can be sent to many devices at once
+const BULK_COMMANDS = ['REBOOT', 'CONFIG_UPDATE'];
+
 // Get all devices with filtering and pagination
 router.get('/', [
   authenticateToken,
@@ -156,6 +172,207 @@ router.get('/online', [
   }
 });
 
+// Devices by health score, least healthy first (status=warning includes critical)
+router.get('/health', [
+  authenticateToken,
+  requireAdmin,
+  query('status').optional().isIn(['warning', 'critical']),
+  query('limit').optional().isInt({ min: 1, max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status = 'warning', limit = 100 } = req.query;
+    const statuses = status === 'critical' ? ['critical'] : ['warning', 'critical'];
+
+    const devices = await Device.find({ status: 'approved', 'health.status': { $in: statuses } })
+      .select('uuid roomNumber location connectionStatus health')
+      .sort({ 'health.score': 1 })
+      .limit(parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        devices: devices.map(device => ({
+          deviceId: device.id,
+          uuid: device.uuid,
+          roomNumber: device.roomNumber,
+          location: device.location,
+          connectionStatus: device.connectionStatus,
+          health: device.health
+        }))
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching device health:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch device health'
+    });
+  }
+});
+
+// Share of the period each room's TVs were reachable (default: the last 7 days)
+router.get('/availability', [
+  authenticateToken,
+  requireAdmin,
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('roomNumber').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const now = new Date();
+    const to = req.query.to ? new Date(Math.min(new Date(req.query.to).getTime(), now.getTime())) : now;
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 7 * 24 * 60 * 60 * 1000);
+
+    if (from >= to) {
+      return res.status(400).json({
+        success: false,
+        message: '"from" must be before "to" and in the past'
+      });
+    }
+
+    const rooms = await DeviceManager.getRoomAvailability({ from, to, roomNumber: req.query.roomNumber });
+
+    res.json({
+      success: true,
+      data: { from, to, rooms }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching device availability:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch device availability'
+    });
+  }
+});
+
+// List guest data resets; flagged=true returns the rooms whose last reset failed
+router.get('/guest-resets', [
+  authenticateToken,
+  requireAdmin,
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('flagged').optional().isBoolean(),
+  query('status').optional().isIn(GuestDataReset.RESET_STATUSES),
+  query('roomNumber').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 50, flagged, status, roomNumber } = req.query;
+
+    const filter = {};
+    if (flagged === 'true') {
+      filter.status = 'failed';
+      filter.resolvedAt = null;
+    } else if (status) {
+      filter.status = status;
+    }
+    if (roomNumber) filter.roomNumber = roomNumber;
+
+    const [resets, total] = await Promise.all([
+      GuestDataReset.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit)),
+      GuestDataReset.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        resets: resets.map(reset => reset.toApi()),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching guest data resets:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch guest data resets'
+    });
+  }
+});
+
+// Clear the flag of a failed reset once staff have reset the TV by hand
+router.post('/guest-resets/:resetId/dismiss', [
+  authenticateToken,
+  requireAdmin,
+  logActivity('DISMISS_GUEST_DATA_RESET'),
+  param('resetId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const reset = await GuestDataResetService.dismiss(req.params.resetId, req.user);
+    if (!reset) {
+      return res.status(404).json({
+        success: false,
+        message: 'Guest data reset not found'
+      });
+    }
+
+    if (reset.resolution !== 'dismissed') {
+      return res.status(409).json({
+        success: false,
+        message: 'Only failed resets that are still flagged can be dismissed'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Guest data reset dismissed',
+      data: reset.toApi()
+    });
+
+  } catch (error) {
+    logger.error('Error dismissing guest data reset:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to dismiss guest data reset'
+    });
+  }
+});
+
 // Get specific device
 router.get('/:deviceId', [
   authenticateToken,
@@ -220,7 +437,8 @@ router.post('/:deviceId/approve', [
   authenticateToken,
   requireAdmin,
   logActivity('APPROVE_DEVICE'),
-  body('roomNumber').optional().isString().trim()
+  body('roomNumber').optional().isString().trim(),
+  body('location').optional().isString().trim().isLength({ max: 50 })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -233,7 +451,7 @@ router.post('/:deviceId/approve', [
     }
 
     const { deviceId } = req.params;
-    const { roomNumber } = req.body;
+    const { roomNumber, location } = req.body;
     const dbType = process.env.DB_TYPE || 'mongodb';
 
     let device;
@@ -257,21 +475,22 @@ router.post('/:deviceId/approve', [
       });
     }
 
-    // Check if room is already occupied
+    // Rooms can have several TVs; location tells them apart
     if (roomNumber) {
-      const existingDevice = await Device.findByRoom(roomNumber);
-      if (existingDevice && existingDevice.id !== device.id && existingDevice.status === 'approved') {
-        return res.status(409).json({
-          success: false,
-          message: `Room ${roomNumber} is already occupied by another device`
-        });
-      }
-      device.assignRoom(roomNumber);
+      device.assignRoom(roomNumber, await Room.ensure(roomNumber));
+    }
+    if (location !== undefined) {
+      device.location = location || null;
     }
 
     device.approve(req.user.id);
+    // Mint the device token; the launcher collects it on its next /register call
+    device.issueCredentials('register');
     await device.save();
 
+    // Apps and background assigned to the device's floor, room type or groups
+    await DeviceAssignments.refreshInherited([device], req.user.id);
+
     // Emit real-time event
     if (global.io) {
       global.io.to('admin:devices').emit('device:approved', {
@@ -282,14 +501,13 @@ router.post('/:deviceId/approve', [
         timestamp: new Date().toISOString()
       });
 
-      // Notify device if connected
-      global.io.emit(`device:${device.uuid}`, {
-        type: 'APPROVED',
-        roomNumber: device.roomNumber,
-        timestamp: new Date().toISOString()
-      });
     }
 
+    // Notify device if connected
+    DeviceManager.notifyDevice(device.uuid, 'APPROVED', {
+      roomNumber: device.roomNumber
+    });
+
     logger.logDeviceEvent('APPROVED', device.id, {
       userId: req.user.id,
       roomNumber: device.roomNumber,
@@ -354,14 +572,13 @@ router.post('/:deviceId/reject', [
         timestamp: new Date().toISOString()
       });
 
-      // Notify device if connected
-      global.io.emit(`device:${device.uuid}`, {
-        type: 'REJECTED',
-        reason: 'Device registration rejected by administrator',
-        timestamp: new Date().toISOString()
-      });
     }
 
+    // Notify device if connected
+    DeviceManager.notifyDevice(device.uuid, 'REJECTED', {
+      reason: 'Device registration rejected by administrator'
+    });
+
     logger.logDeviceEvent('REJECTED', device.id, {
       userId: req.user.id,
       uuid: device.uuid
@@ -388,7 +605,9 @@ router.put('/:deviceId', [
   requireAdmin,
   logActivity('UPDATE_DEVICE'),
   body('roomNumber').optional().isString().trim(),
-  body('notes').optional().isString().isLength({ max: 500 })
+  body('location').optional({ nullable: true }).isString().trim().isLength({ max: 50 }),
+  body('notes').optional().isString().isLength({ max: 500 }),
+  body('launcherChannel').optional().isIn(['stable', 'beta'])
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -401,7 +620,7 @@ router.put('/:deviceId', [
     }
 
     const { deviceId } = req.params;
-    const { roomNumber, notes } = req.body;
+    const { roomNumber, location, notes, launcherChannel } = req.body;
     const dbType = process.env.DB_TYPE || 'mongodb';
 
     let device;
@@ -431,24 +650,30 @@ router.put('/:deviceId', [
       });
     }
 
-    // Check room availability if changing room
-    if (roomNumber && roomNumber !== device.roomNumber) {
-      const existingDevice = await Device.findByRoom(roomNumber);
-      if (existingDevice && existingDevice.id !== device.id && existingDevice.status === 'approved') {
-        return res.status(409).json({
-          success: false,
-          message: `Room ${roomNumber} is already occupied by another device`
-        });
-      }
-      device.assignRoom(roomNumber);
+    const roomChanged = Boolean(roomNumber) && roomNumber !== device.roomNumber;
+    if (roomChanged) {
+      device.assignRoom(roomNumber, await Room.ensure(roomNumber));
+    }
+
+    if (location !== undefined) {
+      device.location = location || null;
     }
 
     if (notes !== undefined) {
       device.notes = notes;
     }
 
+    if (launcherChannel !== undefined) {
+      device.launcherChannel = launcherChannel;
+    }
+
     await device.save();
 
+    // The new room may be on another floor or of another type
+    if (roomChanged) {
+      await DeviceAssignments.refreshInherited([device], req.user.id);
+    }
+
     // Emit real-time event
     if (global.io) {
       global.io.to('admin:devices').emit('device:updated', {
@@ -462,7 +687,7 @@ router.put('/:deviceId', [
 
     logger.logDeviceEvent('UPDATED', device.id, {
       userId: req.user.id,
-      changes: { roomNumber, notes }
+      changes: { roomNumber, location, notes, launcherChannel }
     });
 
     res.json({
@@ -511,14 +736,10 @@ router.post('/:deviceId/reboot', [
       });
     }
 
-    // Send reboot command to device via Socket.IO
-    if (global.io) {
-      global.io.emit(`device:${device.uuid}`, {
-        type: 'REBOOT',
-        requestedBy: req.user.name,
-        timestamp: new Date().toISOString()
-      });
-    }
+    // Queue reboot command; delivered immediately if the device is connected
+    const command = await DeviceManager.queueCommand(device, 'REBOOT', {
+      requestedBy: req.user.name
+    }, { requestedBy: req.user.id });
 
     // Update statistics
     const stats = device.statistics || {};
@@ -529,13 +750,16 @@ router.post('/:deviceId/reboot', [
     logger.logDeviceEvent('REBOOT_REQUESTED', device.id, {
       userId: req.user.id,
       uuid: device.uuid,
-      roomNumber: device.roomNumber
+      roomNumber: device.roomNumber,
+      commandId: command.commandId
     });
 
     res.json({
       success: true,
-      message: 'Reboot command sent to device',
-      data: { device }
+      message: command.delivered
+        ? 'Reboot command sent to device'
+        : 'Reboot command queued until the device reconnects',
+      data: { device, command }
     });
 
   } catch (error) {
@@ -578,29 +802,29 @@ router.post('/:deviceId/push-config', [
       });
     }
 
-    // Update configuration push statistics
-    device.updateConfiguration({});
-    await device.save();
+    // Snapshot the current revision so the device knows what to fetch
+    const { revision } = await DeviceConfig.resolveRevision(device);
 
-    // Send configuration update to device via Socket.IO
-    if (global.io) {
-      global.io.emit(`device:${device.uuid}`, {
-        type: 'CONFIG_UPDATE',
-        requestedBy: req.user.name,
-        timestamp: new Date().toISOString()
-      });
-    }
+    // Queue configuration update; delivered immediately if the device is connected
+    const command = await DeviceManager.queueCommand(device, 'CONFIG_UPDATE', {
+      requestedBy: req.user.name,
+      revision
+    }, { requestedBy: req.user.id });
 
     logger.logDeviceEvent('CONFIG_PUSHED', device.id, {
       userId: req.user.id,
       uuid: device.uuid,
-      roomNumber: device.roomNumber
+      roomNumber: device.roomNumber,
+      revision,
+      commandId: command.commandId
     });
 
     res.json({
       success: true,
-      message: 'Configuration pushed to device',
-      data: { device }
+      message: command.delivered
+        ? 'Configuration pushed to device'
+        : 'Configuration update queued until the device reconnects',
+      data: { device, command }
     });
 
   } catch (error) {
@@ -612,6 +836,370 @@ router.post('/:deviceId/push-config', [
   }
 });
 
+// Clear guest app data and restore the default setup on one device (also retries a failed reset)
+router.post('/:deviceId/guest-reset', [
+  authenticateToken,
+  requireAdmin,
+  logActivity('RESET_GUEST_DATA'),
+  param('deviceId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const device = await Device.findById(req.params.deviceId);
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    if (device.status !== 'approved') {
+      return res.status(400).json({
+        success: false,
+        message: 'Device must be approved to reset guest data'
+      });
+    }
+
+    const reset = await GuestDataResetService.resetDevice(device, {
+      trigger: 'manual',
+      requestedBy: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: reset.status === 'failed'
+        ? 'Guest data reset could not be queued'
+        : 'Guest data reset requested',
+      data: reset.toApi()
+    });
+
+  } catch (error) {
+    logger.error('Error resetting guest data:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset guest data'
+    });
+  }
+});
+
+// Replace a broken TV with a newly registered one, moving its configuration, room,
+// notes, groups and pending commands in one step
+router.post('/:deviceId/replace', [
+  authenticateToken,
+  requireAdmin,
+  logActivity('REPLACE_DEVICE'),
+  param('deviceId').isMongoId(),
+  body('newDeviceId').isMongoId(),
+  body('reason').optional().isString().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const [oldDevice, newDevice] = await Promise.all([
+      Device.findById(req.params.deviceId),
+      Device.findById(req.body.newDeviceId)
+    ]);
+
+    if (!oldDevice || !newDevice) {
+      return res.status(404).json({
+        success: false,
+        message: oldDevice ? 'Replacement device not found' : 'Device not found'
+      });
+    }
+
+    const problem = DeviceReplacement.getProblem(oldDevice, newDevice);
+    if (problem) {
+      return res.status(409).json({
+        success: false,
+        message: problem
+      });
+    }
+
+    const summary = await DeviceReplacement.replace(oldDevice, newDevice, {
+      user: req.user,
+      reason: req.body.reason || null
+    });
+
+    res.json({
+      success: true,
+      message: `Device replaced${summary.roomNumber ? ` in room ${summary.roomNumber}` : ''}`,
+      data: {
+        ...summary,
+        device: newDevice
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error replacing device:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to replace device'
+    });
+  }
+});
+
+// Get command delivery timeline for a device
+router.get('/:deviceId/commands', [
+  authenticateToken,
+  requireAdmin,
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('status').optional().isIn(['queued', 'delivered', 'acked', 'failed', 'expired']),
+  query('type').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { deviceId } = req.params;
+    const { page = 1, limit = 50, status, type } = req.query;
+
+    const device = await Device.findById(deviceId);
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    const timeline = await DeviceCommand.getDeviceTimeline(device._id, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      status,
+      type
+    });
+
+    res.json({
+      success: true,
+      data: {
+        commands: transformDocs(timeline.commands),
+        pagination: timeline.pagination
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching device commands:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch device commands'
+    });
+  }
+});
+
+// Telemetry time series of a device (default: the last 24 hours)
+router.get('/:deviceId/metrics', [
+  authenticateToken,
+  requireAdmin,
+  param('deviceId').isMongoId(),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('resolution').optional().isIn(DeviceMetric.RESOLUTIONS)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const device = await Device.findById(req.params.deviceId);
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 24 * 60 * 60 * 1000);
+    if (from >= to) {
+      return res.status(400).json({
+        success: false,
+        message: '"from" must be before "to"'
+      });
+    }
+
+    const series = await DeviceTelemetry.getSeries(device, { from, to, resolution: req.query.resolution });
+
+    res.json({
+      success: true,
+      data: {
+        from,
+        to,
+        ...series,
+        health: device.health
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching device metrics:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch device metrics'
+    });
+  }
+});
+
+// Offline periods of a device, newest first
+router.get('/:deviceId/outages', [
+  authenticateToken,
+  requireAdmin,
+  param('deviceId').isMongoId(),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const device = await Device.findById(req.params.deviceId);
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    const outages = await DeviceOutage.find({ device: device._id })
+      .sort({ startedAt: -1 })
+      .limit(parseInt(req.query.limit || 50));
+
+    res.json({
+      success: true,
+      data: {
+        connectionStatus: device.connectionStatus,
+        connectionChangedAt: device.connectionChangedAt,
+        outages: outages.map(outage => outage.toApi())
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching device outages:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch device outages'
+    });
+  }
+});
+
+// Rotate device credentials
+router.post('/:deviceId/credentials/rotate', [
+  authenticateToken,
+  requireAdmin,
+  logActivity('ROTATE_DEVICE_CREDENTIALS')
+], async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+
+    const device = await Device.findById(deviceId);
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    if (device.status !== 'approved') {
+      return res.status(400).json({
+        success: false,
+        message: 'Device must be approved to rotate credentials'
+      });
+    }
+
+    const rotation = await DeviceManager.rotateCredentials(device);
+
+    res.json({
+      success: true,
+      message: 'Device credentials rotated',
+      data: {
+        deviceId: device.id,
+        uuid: device.uuid,
+        ...rotation
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error rotating device credentials:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to rotate device credentials'
+    });
+  }
+});
+
+// Revoke device credentials (e.g. stolen TV)
+router.post('/:deviceId/credentials/revoke', [
+  authenticateToken,
+  requireAdmin,
+  logActivity('REVOKE_DEVICE_CREDENTIALS')
+], async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+
+    const device = await Device.findById(deviceId);
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    await DeviceManager.revokeCredentials(device, req.user.id);
+
+    if (global.io) {
+      global.io.to('admin:devices').emit('device:credentials-revoked', {
+        deviceId: device.id,
+        uuid: device.uuid,
+        roomNumber: device.roomNumber,
+        revokedBy: req.user.name,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Device credentials revoked; device requires re-approval',
+      data: { device }
+    });
+
+  } catch (error) {
+    logger.error('Error revoking device credentials:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke device credentials'
+    });
+  }
+});
+
 // Delete device (Super Admin only)
 router.delete('/:deviceId', [
   authenticateToken,
@@ -645,6 +1233,8 @@ router.delete('/:deviceId', [
     // Delete device
     if (dbType === 'mongodb') {
       await Device.findByIdAndDelete(deviceId);
+      await DeviceGroup.updateMany({ devices: device._id }, { $pull: { devices: device._id } });
+      await DeviceMetric.deleteMany({ device: device._id });
     } else {
       await device.destroy();
     }
@@ -658,14 +1248,13 @@ router.delete('/:deviceId', [
         timestamp: new Date().toISOString()
       });
 
-      // Notify device if connected
-      global.io.emit(`device:${deviceInfo.uuid}`, {
-        type: 'DELETED',
-        message: 'Device has been removed from the system',
-        timestamp: new Date().toISOString()
-      });
     }
 
+    // Notify device if connected
+    DeviceManager.notifyDevice(deviceInfo.uuid, 'DELETED', {
+      message: 'Device has been removed from the system'
+    });
+
     logger.logDeviceEvent('DELETED', deviceId, {
       userId: req.user.id,
       deviceInfo
@@ -685,6 +1274,59 @@ router.delete('/:deviceId', [
   }
 });
 
+// Re-key all approved devices (Super Admin only). Old tokens cannot be exchanged for the new
+// ones; each TV collects its token again through /register from its own MAC address.
+router.post('/bulk/rekey', [
+  authenticateToken,
+  requireSuperAdmin,
+  logActivity('REKEY_ALL_DEVICES')
+], async (req, res) => {
+  try {
+    const devices = await Device.find({ status: 'approved' });
+    const results = [];
+    const failures = [];
+
+    for (const device of devices) {
+      try {
+        const rotation = await DeviceManager.rotateCredentials(device, { reenroll: true });
+        results.push({ deviceId: device.id, uuid: device.uuid, ...rotation });
+      } catch (error) {
+        failures.push({ deviceId: device.id, error: error.message });
+      }
+    }
+
+    logger.logSystemEvent('DEVICES_REKEYED', {
+      userId: req.user.id,
+      total: devices.length,
+      successful: results.length,
+      failed: failures.length
+    });
+
+    res.json({
+      success: failures.length === 0,
+      message: failures.length === 0
+        ? 'All devices re-keyed successfully'
+        : `${results.length} devices re-keyed, ${failures.length} failed`,
+      data: {
+        rekeyed: results,
+        failed: failures,
+        summary: {
+          total: devices.length,
+          successful: results.length,
+          failed: failures.length
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error re-keying devices:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to re-key devices'
+    });
+  }
+});
+
 // Bulk approve devices
 router.post('/bulk/approve', [
   authenticateToken,
@@ -729,7 +1371,9 @@ router.post('/bulk/approve', [
         }
 
         device.approve(req.user.id);
+        device.issueCredentials('register');
         await device.save();
+        await DeviceAssignments.refreshInherited([device], req.user.id);
 
         results.push({ deviceId, uuid: device.uuid, status: 'approved' });
 
@@ -741,13 +1385,12 @@ router.post('/bulk/approve', [
             approvedBy: req.user.name,
             timestamp: new Date().toISOString()
           });
-
-          global.io.emit(`device:${device.uuid}`, {
-            type: 'APPROVED',
-            timestamp: new Date().toISOString()
-          });
         }
 
+        DeviceManager.notifyDevice(device.uuid, 'APPROVED', {
+          roomNumber: device.roomNumber
+        });
+
         logger.logDeviceEvent('BULK_APPROVED', device.id, {
           userId: req.user.id,
           uuid: device.uuid
@@ -783,4 +1426,87 @@ router.post('/bulk/approve', [
   }
 });
 
+// Send a command to every approved device in the target, resolved now
+router.post('/bulk/command', [
+  authenticateToken,
+  requireAdmin,
+  logActivity('BULK_DEVICE_COMMAND'),
+  body('command').isIn(BULK_COMMANDS),
+  body('deviceIds').optional().isArray(),
+  body('roomNumbers').optional().isArray(),
+  body('floors').optional().isArray(),
+  body('roomTypes').optional().isArray(),
+  body('groupIds').optional().isArray()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { command: type, deviceIds, roomNumbers, floors, roomTypes, groupIds } = req.body;
+    const target = { deviceIds, roomNumbers, floors, roomTypes, groupIds };
+
+    if (DeviceTargets.isEmpty(target)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide deviceIds, roomNumbers, floors, roomTypes or groupIds'
+      });
+    }
+
+    const invalidId = DeviceTargets.findInvalidId(target);
+    if (invalidId) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid device or group id: ${invalidId}`
+      });
+    }
+
+    const devices = await DeviceTargets.resolve(target);
+    const commands = [];
+
+    for (const device of devices) {
+      const payload = { requestedBy: req.user.name };
+      if (type === 'CONFIG_UPDATE') {
+        payload.revision = (await DeviceConfig.resolveRevision(device)).revision;
+      }
+
+      const command = await DeviceManager.queueCommand(device, type, payload, { requestedBy: req.user.id });
+      commands.push({
+        deviceId: device.id,
+        uuid: device.uuid,
+        roomNumber: device.roomNumber,
+        commandId: command.commandId,
+        status: command.delivered ? 'delivered' : 'queued'
+      });
+    }
+
+    logger.info('Bulk device command sent', {
+      userId: req.user.id,
+      command: type,
+      target: DeviceTargets.describe(target),
+      deviceCount: devices.length
+    });
+
+    res.json({
+      success: true,
+      message: devices.length > 0
+        ? `${type} sent to ${devices.length} device(s)`
+        : 'No approved devices match the target',
+      data: { commands }
+    });
+
+  } catch (error) {
+    logger.error('Error sending bulk device command:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send bulk device command'
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,232 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { authenticateToken, requireAdmin, requireSuperAdmin, logActivity } = require('../middleware/auth');
+const logger = require('../utils/logger');
+const EmergencyAlert = require('../models/EmergencyAlert');
+const Settings = require('../models/Settings');
+const EmergencyAlertService = require('../services/emergencyAlert');
+
+const router = express.Router();
+
+// Active alert with its per-room acknowledgments, plus the defaults for a new alert
+router.get('/status', [
+  authenticateToken,
+  requireAdmin
+], async (req, res) => {
+  try {
+    const [active, volume, repeatIntervalSeconds] = await Promise.all([
+      EmergencyAlertService.getActive(),
+      Settings.get('emergency_alert_volume', 80),
+      Settings.get('emergency_alert_repeat_seconds', 60)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        active: active ? active.toApi({ includeDeliveries: true }) : null,
+        defaults: { volume, repeatIntervalSeconds }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching emergency status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch emergency status'
+    });
+  }
+});
+
+// Alert history, newest first
+router.get('/alerts', [
+  authenticateToken,
+  requireAdmin,
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page || 1);
+    const limit = parseInt(req.query.limit || 20);
+
+    const [alerts, total] = await Promise.all([
+      EmergencyAlert.find()
+        .populate('startedBy', 'name email')
+        .populate('cancelledBy', 'name email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      EmergencyAlert.countDocuments()
+    ]);
+
+    res.json({
+      success: true,
+      data: alerts.map(alert => alert.toApi()),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error listing emergency alerts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list emergency alerts'
+    });
+  }
+});
+
+// Get an alert with its per-room acknowledgments
+router.get('/alerts/:id', [
+  authenticateToken,
+  requireAdmin,
+  param('id').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const alert = await EmergencyAlert.findById(req.params.id)
+      .populate('startedBy', 'name email')
+      .populate('cancelledBy', 'name email');
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'Emergency alert not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: alert.toApi({ includeDeliveries: true })
+    });
+
+  } catch (error) {
+    logger.error('Error fetching emergency alert:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch emergency alert'
+    });
+  }
+});
+
+// Start an emergency broadcast on every TV (Super Admin only)
+router.post('/alerts', [
+  authenticateToken,
+  requireSuperAdmin,
+  logActivity('START_EMERGENCY_ALERT'),
+  body('alertType').isIn(EmergencyAlert.ALERT_TYPES),
+  body('title').isString().trim().isLength({ min: 1, max: 100 }),
+  body('body').isString().trim().isLength({ min: 1, max: 1000 }),
+  body('volume').optional().isInt({ min: 0, max: 100 }).toInt(),
+  body('repeatIntervalSeconds').optional().isInt({ min: 10, max: 3600 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const active = await EmergencyAlertService.getActive();
+    if (active) {
+      return res.status(409).json({
+        success: false,
+        message: 'An emergency alert is already active; cancel it before starting another',
+        data: active.toApi()
+      });
+    }
+
+    const alert = await EmergencyAlertService.start(req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Emergency alert started',
+      data: alert.toApi({ includeDeliveries: true })
+    });
+
+  } catch (error) {
+    logger.error('Error starting emergency alert:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start emergency alert'
+    });
+  }
+});
+
+// Cancel the alert and send the all-clear (Super Admin only)
+router.post('/alerts/:id/cancel', [
+  authenticateToken,
+  requireSuperAdmin,
+  logActivity('CANCEL_EMERGENCY_ALERT'),
+  param('id').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const alert = await EmergencyAlert.findById(req.params.id);
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'Emergency alert not found'
+      });
+    }
+
+    if (!alert.isActive()) {
+      return res.status(409).json({
+        success: false,
+        message: 'Emergency alert is already cancelled'
+      });
+    }
+
+    const cancelled = await EmergencyAlertService.cancel(alert, req.user);
+    if (!cancelled) {
+      return res.status(409).json({
+        success: false,
+        message: 'Emergency alert is already cancelled'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Emergency alert cancelled',
+      data: cancelled.toApi({ includeDeliveries: true })
+    });
+
+  } catch (error) {
+    logger.error('Error cancelling emergency alert:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel emergency alert'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,210 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { authenticateToken, requireAdmin, logActivity } = require('../middleware/auth');
+const logger = require('../utils/logger');
+const EnrollmentToken = require('../models/EnrollmentToken');
+const DeviceGroup = require('../models/DeviceGroup');
+const Enrollment = require('../services/enrollment');
+
+const router = express.Router();
+
+// What the QR code encodes: where the launcher registers and the token it presents
+const withQrPayload = (req, token) => ({
+  ...token.toApi(),
+  qrPayload: JSON.stringify({
+    server: `${req.protocol}://${req.get('host')}/api/launcher`,
+    token: token.token
+  })
+});
+
+// List enrollment tokens (active ones unless status=all)
+router.get('/', [
+  authenticateToken,
+  requireAdmin,
+  query('status').optional().isIn(['active', 'all'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const filter = req.query.status === 'all'
+      ? {}
+      : { revokedAt: null, expiresAt: { $gt: new Date() } };
+
+    const tokens = await EnrollmentToken.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(200);
+
+    res.json({
+      success: true,
+      data: tokens
+        .filter(token => req.query.status === 'all' || !token.getUnusableReason())
+        .map(token => withQrPayload(req, token))
+    });
+
+  } catch (error) {
+    logger.error('Error listing enrollment tokens:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list enrollment tokens'
+    });
+  }
+});
+
+// Get a token with its uses
+router.get('/:id', [
+  authenticateToken,
+  requireAdmin,
+  param('id').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const token = await EnrollmentToken.findById(req.params.id);
+    if (!token) {
+      return res.status(404).json({
+        success: false,
+        message: 'Enrollment token not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: withQrPayload(req, token)
+    });
+
+  } catch (error) {
+    logger.error('Error fetching enrollment token:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch enrollment token'
+    });
+  }
+});
+
+// Create an enrollment token for a room and/or device group
+router.post('/', [
+  authenticateToken,
+  requireAdmin,
+  logActivity('CREATE_ENROLLMENT_TOKEN'),
+  body('name').optional().isString().trim().isLength({ max: 100 }),
+  body('roomNumber').optional({ nullable: true }).isString().trim().isLength({ min: 1, max: 10 }),
+  body('location').optional({ nullable: true }).isString().trim().isLength({ max: 50 }),
+  body('groupId').optional({ nullable: true }).isMongoId(),
+  body('expiresInMinutes').optional().isInt({ min: 1, max: EnrollmentToken.MAX_EXPIRY_MINUTES }).toInt(),
+  body('maxUses').optional({ nullable: true }).isInt({ min: 1, max: EnrollmentToken.MAX_USES }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, roomNumber, location, groupId, expiresInMinutes, maxUses } = req.body;
+
+    if (!roomNumber && !groupId) {
+      return res.status(400).json({
+        success: false,
+        message: 'A room number or device group is required'
+      });
+    }
+
+    if (groupId && !(await DeviceGroup.exists({ _id: groupId }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device group not found'
+      });
+    }
+
+    const token = await Enrollment.createToken({
+      name,
+      roomNumber,
+      location,
+      groupId,
+      expiresInMinutes,
+      // null creates an unlimited token that only works as a QR code
+      maxUses: maxUses === undefined ? 1 : maxUses
+    }, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Enrollment token created successfully',
+      data: withQrPayload(req, token)
+    });
+
+  } catch (error) {
+    logger.error('Error creating enrollment token:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create enrollment token'
+    });
+  }
+});
+
+// Revoke a token so no more TVs can enroll with it
+router.post('/:id/revoke', [
+  authenticateToken,
+  requireAdmin,
+  logActivity('REVOKE_ENROLLMENT_TOKEN'),
+  param('id').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const token = await EnrollmentToken.findById(req.params.id);
+    if (!token) {
+      return res.status(404).json({
+        success: false,
+        message: 'Enrollment token not found'
+      });
+    }
+
+    if (token.revokedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'Enrollment token is already revoked'
+      });
+    }
+
+    await Enrollment.revokeToken(token, req.user);
+
+    res.json({
+      success: true,
+      message: 'Enrollment token revoked successfully',
+      data: withQrPayload(req, token)
+    });
+
+  } catch (error) {
+    logger.error('Error revoking enrollment token:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke enrollment token'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,18 +1,51 @@
 const express = require('express');
-const { body, query, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const Device = require('../models/Device');
-const Settings = require('../models/Settings');
+const DeviceCommand = require('../models/DeviceCommand');
+const CheckoutRequest = require('../models/CheckoutRequest');
+const LauncherRelease = require('../models/LauncherRelease');
+const LauncherUpdate = require('../models/LauncherUpdate');
+const DeviceMetric = require('../models/DeviceMetric');
+const DeviceManager = require('../services/deviceManager');
+const DeviceConfig = require('../services/deviceConfig');
+const BackgroundPlaylist = require('../services/backgroundPlaylist');
+const ExpressCheckout = require('../services/expressCheckout');
+const MessageService = require('../services/messageService');
+const EmergencyAlert = require('../services/emergencyAlert');
+const GuestDataReset = require('../services/guestDataReset');
+const Enrollment = require('../services/enrollment');
+const DeviceTelemetry = require('../services/deviceTelemetry');
+const LauncherUpdates = require('../services/launcherUpdates');
 const { authenticateDevice } = require('../middleware/auth');
 const logger = require('../utils/logger');
+const { verifyDeviceToken, extractDeviceToken } = require('../utils/deviceCredentials');
 
 const router = express.Router();
 
+// True when the request carries the device's current, unrevoked token
+const holdsCurrentToken = (device, token) => {
+  if (!token) {
+    return false;
+  }
+
+  try {
+    const decoded = verifyDeviceToken(token);
+    return decoded.id === device.id &&
+      decoded.ver === device.credentials?.tokenVersion &&
+      !device.credentials?.revokedAt;
+  } catch (error) {
+    return false;
+  }
+};
+
 // Device registration endpoint (no auth required for first contact)
 router.post('/register', [
   body('uuid').isUUID().withMessage('Valid UUID required'),
   body('macAddress').matches(/^([0-9A-F]{2}[:-]){5}([0-9A-F]{2})$/).withMessage('Valid MAC address required'),
   body('deviceInfo').optional().isObject(),
-  body('version').optional().isString()
+  body('version').optional().isString(),
+  body('enrollmentToken').optional().isString().trim().isLength({ min: 1, max: 100 }),
+  body('registrationKey').optional().isString().isLength({ min: 32, max: 256 }).withMessage('Registration key must be 32-256 characters')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -24,17 +57,25 @@ router.post('/register', [
       });
     }
 
-    const { uuid, macAddress, deviceInfo, version } = req.body;
+    const { uuid, macAddress, deviceInfo, version, enrollmentToken, registrationKey } = req.body;
     
     // Check if device already exists
-    const existingDevice = await Device.findByUUID(uuid);
+    const existingDevice = await Device.findOne({ uuid })
+      .select('+credentials.pendingToken +credentials.registrationKeyHash');
     if (existingDevice) {
       // Update device info and heartbeat
+      const previousStatus = existingDevice.connectionStatus;
       existingDevice.updateHeartbeat();
       if (deviceInfo) {
         existingDevice.deviceInfo = { ...existingDevice.deviceInfo, ...deviceInfo };
       }
+      // Devices registered before registration keys can bind one while their token still works
+      if (registrationKey && !existingDevice.credentials?.registrationKeyHash &&
+        holdsCurrentToken(existingDevice, extractDeviceToken(req.headers))) {
+        existingDevice.setRegistrationKey(registrationKey);
+      }
       await existingDevice.save();
+      await DeviceManager.recordConnectionChange(existingDevice, previousStatus, 'heartbeat');
 
       logger.logDeviceEvent('RECONNECTION', existingDevice.id, {
         uuid,
@@ -42,6 +83,24 @@ router.post('/register', [
         status: existingDevice.status
       });
 
+      // A TV that registered before the installer entered its code can still enroll
+      let enrollment;
+      if (enrollmentToken && existingDevice.status === 'pending') {
+        enrollment = existingDevice.macAddress === macAddress.toUpperCase()
+          ? await Enrollment.enroll(existingDevice, enrollmentToken, { ipAddress: req.ip })
+          : await Enrollment.reject(existingDevice, null, 'mac_mismatch', req.ip);
+      }
+
+      // Hand over the token minted at approval or re-key time, only to the caller holding the
+      // device's registration key (UUID and MAC can be seen by anyone on the network)
+      const credentials = existingDevice.credentials || {};
+      const deviceToken = existingDevice.status === 'approved' &&
+        credentials.pendingDelivery === 'register' &&
+        existingDevice.macAddress === macAddress.toUpperCase() &&
+        existingDevice.matchesRegistrationKey(registrationKey)
+        ? credentials.pendingToken
+        : undefined;
+
       return res.json({
         success: true,
         message: 'Device reconnected',
@@ -49,7 +108,9 @@ router.post('/register', [
           deviceId: existingDevice.id,
           status: existingDevice.status,
           roomNumber: existingDevice.roomNumber,
-          requiresApproval: existingDevice.status === 'pending'
+          requiresApproval: existingDevice.status === 'pending',
+          ...(enrollment && { enrollment: { enrolled: enrollment.enrolled, reason: enrollment.reason || null } }),
+          ...(deviceToken && { deviceToken })
         }
       });
     }
@@ -64,6 +125,14 @@ router.post('/register', [
       });
     }
 
+    if (!registrationKey) {
+      return res.status(400).json({
+        success: false,
+        message: 'Registration key required',
+        code: 'REGISTRATION_KEY_REQUIRED'
+      });
+    }
+
     // Create new device
     const newDevice = new Device({
       uuid,
@@ -78,6 +147,7 @@ router.post('/register', [
       }
     });
 
+    newDevice.setRegistrationKey(registrationKey);
     newDevice.updateHeartbeat();
     await newDevice.save();
 
@@ -98,6 +168,25 @@ router.post('/register', [
       deviceInfo
     });
 
+    const enrollment = enrollmentToken
+      ? await Enrollment.enroll(newDevice, enrollmentToken, { ipAddress: req.ip })
+      : null;
+
+    if (enrollment && enrollment.enrolled) {
+      return res.status(201).json({
+        success: true,
+        message: 'Device enrolled',
+        data: {
+          deviceId: newDevice.id,
+          status: newDevice.status,
+          roomNumber: newDevice.roomNumber,
+          requiresApproval: false,
+          enrollment: { enrolled: true, reason: null },
+          deviceToken: newDevice.credentials.pendingToken
+        }
+      });
+    }
+
     res.status(201).json({
       success: true,
       message: 'Device registered successfully',
@@ -105,7 +194,8 @@ router.post('/register', [
         deviceId: newDevice.id,
         status: 'pending',
         requiresApproval: true,
-        message: 'Device registration pending admin approval'
+        message: 'Device registration pending admin approval',
+        ...(enrollment && { enrollment: { enrolled: false, reason: enrollment.reason } })
       }
     });
 
@@ -118,6 +208,73 @@ router.post('/register', [
   }
 });
 
+// Exchange the previous device token for a rotated one
+router.post('/credentials/refresh', async (req, res) => {
+  try {
+    const token = extractDeviceToken(req.headers);
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Device token required'
+      });
+    }
+
+    const decoded = verifyDeviceToken(token);
+    const device = await Device.findById(decoded.id).select('+credentials.pendingToken');
+
+    if (!device || device.uuid !== decoded.uuid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Device not registered',
+        code: 'DEVICE_NOT_REGISTERED'
+      });
+    }
+
+    const credentials = device.credentials || {};
+    // Only the token the device last used can be exchanged, however many rotations it missed.
+    // Devices that claimed their token before claimedVersion was tracked fall back to the previous version.
+    const refreshableVersion = credentials.claimedVersion ?? credentials.tokenVersion - 1;
+    const isRefreshable = decoded.ver === refreshableVersion && decoded.ver < credentials.tokenVersion;
+
+    if (credentials.revokedAt || !isRefreshable ||
+        credentials.pendingDelivery !== 'refresh' || !credentials.pendingToken) {
+      return res.status(401).json({
+        success: false,
+        message: 'No rotated credentials available for this token',
+        code: 'DEVICE_TOKEN_REVOKED'
+      });
+    }
+
+    logger.logDeviceEvent('CREDENTIALS_REFRESHED', device.id, {
+      uuid: device.uuid,
+      tokenVersion: credentials.tokenVersion
+    });
+
+    res.json({
+      success: true,
+      message: 'Device credentials refreshed',
+      data: {
+        deviceToken: credentials.pendingToken
+      }
+    });
+
+  } catch (error) {
+    if (error.name === 'TokenExpiredError' || error.name === 'JsonWebTokenError') {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid device token',
+        code: 'INVALID_DEVICE_TOKEN'
+      });
+    }
+
+    logger.error('Credential refresh error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Credential refresh failed'
+    });
+  }
+});
+
 // Device heartbeat endpoint
 router.post('/heartbeat', authenticateDevice, async (req, res) => {
   try {
@@ -125,6 +282,7 @@ router.post('/heartbeat', authenticateDevice, async (req, res) => {
     const { status, uptime } = req.body;
 
     // Update device heartbeat
+    const previousStatus = device.connectionStatus;
     device.updateHeartbeat();
 
     // Update device status if provided
@@ -140,6 +298,7 @@ router.post('/heartbeat', authenticateDevice, async (req, res) => {
     }
 
     await device.save();
+    await DeviceManager.recordConnectionChange(device, previousStatus, 'heartbeat');
 
     res.json({
       success: true,
@@ -161,8 +320,20 @@ router.post('/heartbeat', authenticateDevice, async (req, res) => {
 });
 
 // Get device configuration
-router.get('/config', authenticateDevice, async (req, res) => {
+router.get('/config', [
+  authenticateDevice,
+  query('since').optional().isInt({ min: 1 })
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const { device } = req;
 
     if (device.status !== 'approved') {
@@ -173,69 +344,56 @@ router.get('/config', authenticateDevice, async (req, res) => {
       });
     }
 
-    // Get guest information for the room
-    let guestInfo = null;
-    if (device.roomNumber) {
-      // This would typically fetch from PMS, for now return mock structure
-      guestInfo = {
-        name: null,
-        checkIn: null,
-        checkOut: null,
-        bill: {
-          total: 0,
-          currency: 'USD'
-        }
-      };
+    const current = await DeviceConfig.resolveRevision(device);
+    await LauncherUpdates.recordOffer(device, current.config.launcherUpdate);
+    const etag = DeviceConfig.getETag(device, current.revision);
+    const since = req.query.since ? parseInt(req.query.since) : null;
+
+    res.set('ETag', etag);
+    res.set('X-Config-Revision', String(current.revision));
+
+    // Nothing changed since the revision the device already holds
+    if (DeviceConfig.matchesETag(req.headers['if-none-match'], etag) || since === current.revision) {
+      return res.status(304).end();
     }
 
-    // Get panel settings
-    const [panelName, guestMessageTemplates] = await Promise.all([
-      Settings.get('panel_name', 'Hotel IPTV Panel'),
-      Settings.get('guest_message_templates', {
-        welcome: 'Welcome, {{guest_name}}! We hope you enjoy your stay in room {{room_number}}.',
-        farewell: 'Dear {{guest_name}}, we hope you had a great stay. Checkout is at {{check_out_time}}. Safe travels!'
-      })
-    ]);
+    const lastUpdated = current.updatedAt ? new Date(current.updatedAt).toISOString() : new Date().toISOString();
+    let data;
+
+    const delta = since && since < current.revision
+      ? await DeviceConfig.getDelta(device, since, current)
+      : null;
+
+    if (delta) {
+      data = {
+        revision: current.revision,
+        baseRevision: since,
+        isDelta: true,
+        changed: delta.changed,
+        removed: delta.removed,
+        lastUpdated
+      };
+    } else {
+      data = {
+        ...current.config,
+        revision: current.revision,
+        isDelta: false,
+        lastUpdated
+      };
+    }
 
-    const config = {
-      device: {
-        id: device.id,
-        uuid: device.uuid,
-        status: device.status
-      },
-      room: device.roomNumber,
-      guest: guestInfo,
-      panel: {
-        name: panelName,
-        version: '1.0.0'
-      },
-      apps: device.configuration?.appLayout || [],
-      backgroundBundle: device.configuration?.backgroundBundle || null,
-      settings: device.configuration?.settings || {
-        volume: 50,
-        brightness: 75,
-        sleepTimeout: 30,
-        autoStart: true
-      },
-      messageTemplates: guestMessageTemplates,
-      lastUpdated: new Date().toISOString()
-    };
-
-    // Update statistics
-    const stats = device.statistics || {};
-    stats.configPushCount = (stats.configPushCount || 0) + 1;
-    stats.lastConfigPush = new Date();
-    device.statistics = stats;
-    await device.save();
+    await DeviceConfig.recordDelivery(device, current.revision);
 
     logger.logDeviceEvent('CONFIG_PULLED', device.id, {
       uuid: device.uuid,
-      roomNumber: device.roomNumber
+      roomNumber: device.roomNumber,
+      revision: current.revision,
+      baseRevision: delta ? since : null
     });
 
     res.json({
       success: true,
-      data: config
+      data
     });
 
   } catch (error) {
@@ -311,7 +469,8 @@ router.post('/message-ack', [
   authenticateDevice,
   body('messageId').isString(),
   body('type').isString(),
-  body('status').isIn(['delivered', 'displayed', 'dismissed', 'error'])
+  body('status').isIn(['delivered', 'displayed', 'dismissed', 'acknowledged', 'error']),
+  body('error').optional().isString().isLength({ max: 500 })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -324,7 +483,13 @@ router.post('/message-ack', [
     }
 
     const { device } = req;
-    const { messageId, type, status } = req.body;
+    const { messageId, type, status, error } = req.body;
+
+    // Emergency alerts and front-office messages track delivery per device;
+    // welcome/farewell ids aren't stored
+    const delivery = type === 'EMERGENCY'
+      ? await EmergencyAlert.recordAck(device, messageId, status, error)
+      : await MessageService.recordAck(device, messageId, status, error);
 
     // Update message statistics
     device.incrementMessageCount();
@@ -335,7 +500,8 @@ router.post('/message-ack', [
       roomNumber: device.roomNumber,
       messageId,
       type,
-      status
+      status,
+      tracked: !!delivery
     });
 
     res.json({
@@ -365,24 +531,13 @@ router.get('/apps', authenticateDevice, async (req, res) => {
       });
     }
 
-    // For now, return device's configured apps
-    // In a full implementation, this would fetch from Apps model
-    const apps = device.configuration?.appLayout || [];
-    
-    const formattedApps = apps.map((app, index) => ({
-      id: app.appId || `app-${index}`,
-      label: app.label || `App ${index + 1}`,
-      icon: app.icon || null,
-      url: app.url || null,
-      position: app.position || index,
-      isVisible: app.isVisible !== false
-    }));
+    const apps = await DeviceConfig.resolveApps(device);
 
     res.json({
       success: true,
       data: {
-        apps: formattedApps,
-        total: formattedApps.length
+        apps,
+        total: apps.length
       }
     });
 
@@ -408,19 +563,7 @@ router.get('/background', authenticateDevice, async (req, res) => {
       });
     }
 
-    // For now, return device's configured background
-    // In a full implementation, this would fetch from BackgroundBundle model
-    const backgroundBundle = device.configuration?.backgroundBundle || null;
-    
-    const backgroundData = {
-      bundleId: backgroundBundle,
-      backgrounds: [], // Would be populated from database
-      settings: {
-        transitionType: 'fade',
-        displayDuration: 30, // seconds
-        shuffle: false
-      }
-    };
+    const backgroundData = await BackgroundPlaylist.resolvePlaylist(device);
 
     res.json({
       success: true,
@@ -436,6 +579,175 @@ router.get('/background', authenticateDevice, async (req, res) => {
   }
 });
 
+// Itemized bill of the stay in the device's room
+router.get('/folio', authenticateDevice, async (req, res) => {
+  try {
+    const { device } = req;
+
+    if (device.status !== 'approved') {
+      return res.status(403).json({
+        success: false,
+        message: 'Device not approved',
+        code: 'DEVICE_NOT_APPROVED'
+      });
+    }
+
+    const screenFields = await DeviceConfig.getGuestScreenFields();
+    if (!screenFields.has('balance')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Folio display is disabled for this property',
+        code: 'FOLIO_HIDDEN'
+      });
+    }
+
+    const stay = await ExpressCheckout.findStay(device);
+    if (!stay) {
+      return res.status(404).json({
+        success: false,
+        message: 'No guest checked in to this room',
+        code: 'NO_STAY'
+      });
+    }
+
+    const { folio, source } = await ExpressCheckout.getFolio(stay);
+    if (!folio) {
+      return res.status(404).json({
+        success: false,
+        message: 'Folio not found',
+        code: 'FOLIO_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        reservationId: stay.reservationId,
+        roomNumber: stay.roomNumber,
+        currency: folio.currency,
+        totalAmount: folio.totalAmount,
+        balance: folio.balance,
+        status: folio.status,
+        charges: (folio.charges || []).map(charge => ({
+          date: charge.date,
+          description: charge.description,
+          category: charge.category,
+          amount: charge.amount,
+          taxAmount: charge.taxAmount,
+          total: charge.total
+        })),
+        payments: (folio.payments || []).map(payment => ({
+          date: payment.date,
+          description: payment.description,
+          method: payment.method,
+          amount: payment.amount,
+          status: payment.status
+        })),
+        source,
+        retrievedAt: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Folio fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch folio'
+    });
+  }
+});
+
+// Guest-initiated express checkout
+router.post('/checkout', authenticateDevice, async (req, res) => {
+  try {
+    const { device } = req;
+
+    if (device.status !== 'approved') {
+      return res.status(403).json({
+        success: false,
+        message: 'Device not approved',
+        code: 'DEVICE_NOT_APPROVED'
+      });
+    }
+
+    const stay = await ExpressCheckout.findStay(device);
+    if (!stay) {
+      return res.status(404).json({
+        success: false,
+        message: 'No guest checked in to this room',
+        code: 'NO_STAY'
+      });
+    }
+
+    const { request, created } = await ExpressCheckout.request(device, stay);
+
+    logger.logDeviceEvent('EXPRESS_CHECKOUT_REQUESTED', device.id, {
+      uuid: device.uuid,
+      roomNumber: device.roomNumber,
+      requestId: request.id,
+      created
+    });
+
+    res.status(created ? 202 : 200).json({
+      success: true,
+      message: created ? 'Checkout request received' : 'Checkout already requested',
+      data: {
+        id: request.id,
+        status: request.status,
+        requestedAt: request.createdAt
+      }
+    });
+
+  } catch (error) {
+    logger.error('Express checkout request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to request checkout'
+    });
+  }
+});
+
+// Status of the checkout request for the current stay
+router.get('/checkout', authenticateDevice, async (req, res) => {
+  try {
+    const { device } = req;
+
+    // Once checked out there is no stay left; report the device's latest request for a few hours
+    const stay = await ExpressCheckout.findStay(device);
+    const request = stay
+      ? await CheckoutRequest.findLatestForReservation(stay.reservationId)
+      : await CheckoutRequest.findOne({
+        device: device._id,
+        updatedAt: { $gte: new Date(Date.now() - 6 * 60 * 60 * 1000) }
+      }).sort({ createdAt: -1 });
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'No checkout request for this room',
+        code: 'NO_CHECKOUT_REQUEST'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        id: request.id,
+        status: request.status,
+        requestedAt: request.createdAt,
+        completedAt: request.completedAt
+      }
+    });
+
+  } catch (error) {
+    logger.error('Express checkout status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch checkout status'
+    });
+  }
+});
+
 // App installation acknowledgment
 router.post('/app-install-ack', [
   authenticateDevice,
@@ -491,10 +803,69 @@ router.post('/app-install-ack', [
   }
 });
 
-// Device diagnostic information
+// Guest data reset result for one app (RESET_GUEST_DATA command)
+router.post('/guest-reset-ack', [
+  authenticateDevice,
+  body('resetId').isMongoId(),
+  body('packageName').isString().trim().isLength({ min: 1, max: 200 }),
+  body('status').isIn(['success', 'failed', 'not_installed']),
+  body('error').optional().isString().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { device } = req;
+    const { resetId, packageName, status, error } = req.body;
+
+    const reset = await GuestDataReset.recordAppAck(device, resetId, packageName, status, error);
+    if (!reset) {
+      return res.status(404).json({
+        success: false,
+        message: 'Guest data reset not found',
+        code: 'RESET_NOT_FOUND'
+      });
+    }
+
+    logger.logDeviceEvent('GUEST_RESET_ACK', device.id, {
+      uuid: device.uuid,
+      roomNumber: device.roomNumber,
+      resetId,
+      packageName,
+      status,
+      error
+    });
+
+    res.json({
+      success: true,
+      message: 'Guest data reset acknowledgment received',
+      data: {
+        resetId: reset.id,
+        status: reset.status
+      }
+    });
+
+  } catch (error) {
+    logger.error('Guest data reset acknowledgment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Guest data reset acknowledgment failed'
+    });
+  }
+});
+
+// Device telemetry, stored as a time series and used to score the device's health
 router.post('/diagnostics', [
   authenticateDevice,
-  body('diagnostics').isObject()
+  body('diagnostics').isObject(),
+  ...Object.entries(DeviceMetric.METRICS).map(([name, { min, max }]) =>
+    body(`diagnostics.${name}`).optional({ nullable: true }).isFloat({ min, max }))
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -509,13 +880,7 @@ router.post('/diagnostics', [
     const { device } = req;
     const { diagnostics } = req.body;
 
-    // Update device info with diagnostics
-    device.deviceInfo = {
-      ...device.deviceInfo,
-      ...diagnostics,
-      lastDiagnostic: new Date().toISOString()
-    };
-    await device.save();
+    const metric = await DeviceTelemetry.record(device, diagnostics);
 
     logger.logDeviceEvent('DIAGNOSTICS_RECEIVED', device.id, {
       uuid: device.uuid,
@@ -525,7 +890,14 @@ router.post('/diagnostics', [
 
     res.json({
       success: true,
-      message: 'Diagnostics received'
+      message: 'Diagnostics received',
+      data: {
+        recorded: !!metric,
+        health: {
+          score: device.health?.score ?? null,
+          status: device.health?.status || 'unknown'
+        }
+      }
     });
 
   } catch (error) {
@@ -538,19 +910,41 @@ router.post('/diagnostics', [
 });
 
 // Check for pending commands/messages
-router.get('/commands', authenticateDevice, async (req, res) => {
+router.get('/commands', [
+  authenticateDevice,
+  query('limit').optional().isInt({ min: 1, max: 50 })
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const { device } = req;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const pendingCommands = await DeviceCommand.getPendingForDevice(device._id, limit);
+
+    // Mark everything handed out in this poll as delivered
+    for (const command of pendingCommands) {
+      command.markDelivered('poll');
+      await command.save();
+    }
 
-    // In a full implementation, this would check for pending commands
-    // For now, return empty array
-    const commands = [];
+    const commands = pendingCommands.map(command => command.toDevicePayload());
+    const launcherUpdate = await LauncherUpdates.getOffer(device);
+    await LauncherUpdates.recordOffer(device, launcherUpdate);
 
     res.json({
       success: true,
       data: {
         commands,
-        hasCommands: commands.length > 0
+        hasCommands: commands.length > 0,
+        launcherUpdate
       }
     });
 
@@ -563,4 +957,113 @@ router.get('/commands', authenticateDevice, async (req, res) => {
   }
 });
 
+// Command execution acknowledgment
+router.post('/commands/:commandId/ack', [
+  authenticateDevice,
+  param('commandId').isMongoId().withMessage('Valid command ID required'),
+  body('status').isIn(['acked', 'failed']),
+  body('result').optional().isObject(),
+  body('error').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { device } = req;
+    const { commandId } = req.params;
+    const { status, result, error } = req.body;
+
+    const command = await DeviceManager.acknowledgeCommand(device, commandId, status, { result, error });
+    if (!command) {
+      return res.status(404).json({
+        success: false,
+        message: 'Command not found',
+        code: 'COMMAND_NOT_FOUND'
+      });
+    }
+
+    if (command.type === 'RESET_GUEST_DATA') {
+      await GuestDataReset.recordCommandAck(device, command);
+    }
+
+    res.json({
+      success: true,
+      message: 'Command acknowledgment received',
+      data: {
+        commandId: command.id,
+        status: command.status
+      }
+    });
+
+  } catch (error) {
+    logger.error('Command acknowledgment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Command acknowledgment failed'
+    });
+  }
+});
+
+// Launcher update progress and result
+router.post('/launcher-update/status', [
+  authenticateDevice,
+  body('releaseId').isMongoId().withMessage('Valid release ID required'),
+  body('status').isIn(LauncherUpdate.UPDATE_STATUSES.filter(status => status !== 'offered')),
+  body('progress').optional().isInt({ min: 0, max: 100 }).toInt(),
+  body('error').optional().isString().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { device } = req;
+    const { releaseId, status, progress, error } = req.body;
+
+    const release = await LauncherRelease.findById(releaseId);
+    if (!release) {
+      return res.status(404).json({
+        success: false,
+        message: 'Launcher release not found',
+        code: 'RELEASE_NOT_FOUND'
+      });
+    }
+
+    const update = await LauncherUpdates.reportProgress(device, release, {
+      status,
+      progress: progress ?? null,
+      error: error || null
+    });
+
+    res.json({
+      success: true,
+      message: 'Update status received',
+      data: {
+        status: update.status,
+        progress: update.progress,
+        // Stop downloading or installing a release that was paused or halted meanwhile
+        releaseStatus: release.status
+      }
+    });
+
+  } catch (error) {
+    logger.error('Launcher update status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Launcher update status failed'
+    });
+  }
+});
+
 module.exports = router;
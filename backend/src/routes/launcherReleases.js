@@ -0,0 +1,375 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const { body, param, validationResult } = require('express-validator');
+const { authenticateToken, requireAdmin, logActivity } = require('../middleware/auth');
+const logger = require('../utils/logger');
+const LauncherRelease = require('../models/LauncherRelease');
+const LauncherUpdate = require('../models/LauncherUpdate');
+const DeviceGroup = require('../models/DeviceGroup');
+
+const router = express.Router();
+
+// Ensure upload directory exists
+const uploadDir = path.join(__dirname, '../../public/uploads/launcher');
+if (!fs.existsSync(uploadDir)) {
+  fs.mkdirSync(uploadDir, { recursive: true });
+}
+
+const storage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    cb(null, uploadDir);
+  },
+  filename: function (req, file, cb) {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, 'launcher-' + uniqueSuffix + '.apk');
+  }
+});
+
+const fileFilter = (req, file, cb) => {
+  if (path.extname(file.originalname).toLowerCase() === '.apk') {
+    cb(null, true);
+  } else {
+    cb(new Error('Only .apk files are allowed'), false);
+  }
+};
+
+const upload = multer({
+  storage: storage,
+  fileFilter: fileFilter,
+  limits: {
+    fileSize: 200 * 1024 * 1024 // 200MB max APK size
+  }
+});
+
+// Multipart forms send lists as repeated fields or comma-separated text
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(item => String(item).trim()).filter(Boolean);
+};
+
+const releaseFields = [
+  body('releaseNotes').optional().isString().isLength({ max: 5000 }),
+  body('channels').optional().customSanitizer(toList)
+    .custom(channels => channels.every(channel => LauncherRelease.CHANNELS.includes(channel)))
+    .withMessage(`Channels must be ${LauncherRelease.CHANNELS.join(' or ')}`),
+  body('groupIds').optional().customSanitizer(toList)
+    .custom(groupIds => groupIds.every(id => /^[a-f0-9]{24}$/i.test(id)))
+    .withMessage('Group ids must be valid ids'),
+  body('rolloutPercentage').optional().isInt({ min: 0, max: 100 }).toInt(),
+  body('failureThreshold').optional().isInt({ min: 1, max: 100 }).toInt()
+];
+
+const removeUpload = (file) => {
+  if (file && fs.existsSync(file.path)) {
+    fs.unlinkSync(file.path);
+  }
+};
+
+// Returns the ids that don't belong to an existing group
+const findMissingGroups = async (groupIds) => {
+  if (groupIds.length === 0) return [];
+  const groups = await DeviceGroup.find({ _id: { $in: groupIds } }).select('_id');
+  const found = new Set(groups.map(group => group.id));
+  return groupIds.filter(id => !found.has(id));
+};
+
+// List launcher releases with rollout progress, newest first
+router.get('/', [
+  authenticateToken,
+  requireAdmin
+], async (req, res) => {
+  try {
+    const releases = await LauncherRelease.find().sort({ versionCode: -1 });
+    const stats = await LauncherUpdate.getStats(releases.map(release => release._id));
+
+    res.json({
+      success: true,
+      data: releases.map(release => release.toApi(stats.get(release.id)))
+    });
+
+  } catch (error) {
+    logger.error('Error listing launcher releases:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list launcher releases'
+    });
+  }
+});
+
+// Get a release with the progress of each device
+router.get('/:id', [
+  authenticateToken,
+  requireAdmin,
+  param('id').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const release = await LauncherRelease.findById(req.params.id);
+    if (!release) {
+      return res.status(404).json({
+        success: false,
+        message: 'Launcher release not found'
+      });
+    }
+
+    const [stats, updates] = await Promise.all([
+      LauncherUpdate.getStats([release._id]),
+      LauncherUpdate.find({ release: release._id }).sort({ updatedAt: -1 }).limit(500)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        ...release.toApi(stats.get(release.id)),
+        updates: updates.map(update => update.toApi())
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching launcher release:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch launcher release'
+    });
+  }
+});
+
+// Upload a launcher build
+router.post('/', [
+  authenticateToken,
+  requireAdmin,
+  logActivity('UPLOAD_LAUNCHER_RELEASE'),
+  upload.single('apk'),
+  body('versionCode').isInt({ min: 1 }).toInt(),
+  body('versionName').isString().trim().isLength({ min: 1, max: 50 }),
+  ...releaseFields
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      removeUpload(req.file);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No APK uploaded'
+      });
+    }
+
+    const { versionCode, versionName, releaseNotes = '', channels = [], groupIds = [], rolloutPercentage, failureThreshold } = req.body;
+
+    if (channels.length === 0 && groupIds.length === 0) {
+      removeUpload(req.file);
+      return res.status(400).json({
+        success: false,
+        message: 'Choose at least one channel or device group'
+      });
+    }
+
+    const missingGroups = await findMissingGroups(groupIds);
+    if (missingGroups.length > 0) {
+      removeUpload(req.file);
+      return res.status(404).json({
+        success: false,
+        message: `Device group not found: ${missingGroups.join(', ')}`
+      });
+    }
+
+    if (await LauncherRelease.exists({ versionCode })) {
+      removeUpload(req.file);
+      return res.status(409).json({
+        success: false,
+        message: `Version code ${versionCode} has already been uploaded`
+      });
+    }
+
+    const release = new LauncherRelease({
+      versionCode,
+      versionName,
+      releaseNotes,
+      filePath: `/uploads/launcher/${req.file.filename}`,
+      fileSize: req.file.size,
+      channels,
+      groups: groupIds,
+      rolloutPercentage,
+      failureThreshold,
+      createdBy: req.user.id
+    });
+    await release.computeChecksum();
+    await release.save();
+
+    logger.info('Launcher release uploaded', {
+      userId: req.user.id,
+      versionCode,
+      channels,
+      groupIds,
+      rolloutPercentage: release.rolloutPercentage
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Launcher release uploaded successfully',
+      data: release.toApi()
+    });
+
+  } catch (error) {
+    removeUpload(req.file);
+    logger.error('Launcher release upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Launcher release upload failed'
+    });
+  }
+});
+
+// Change targeting or rollout, or pause/resume (resuming a halted release restarts its failure count)
+router.put('/:id', [
+  authenticateToken,
+  requireAdmin,
+  logActivity('UPDATE_LAUNCHER_RELEASE'),
+  param('id').isMongoId(),
+  body('status').optional().isIn(['active', 'paused']),
+  ...releaseFields
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const release = await LauncherRelease.findById(req.params.id);
+    if (!release) {
+      return res.status(404).json({
+        success: false,
+        message: 'Launcher release not found'
+      });
+    }
+
+    const { status, releaseNotes, channels, groupIds, rolloutPercentage, failureThreshold } = req.body;
+
+    if (groupIds) {
+      const missingGroups = await findMissingGroups(groupIds);
+      if (missingGroups.length > 0) {
+        return res.status(404).json({
+          success: false,
+          message: `Device group not found: ${missingGroups.join(', ')}`
+        });
+      }
+      release.groups = groupIds;
+    }
+    if (channels) release.channels = channels;
+    if (releaseNotes !== undefined) release.releaseNotes = releaseNotes;
+    if (rolloutPercentage !== undefined) release.rolloutPercentage = rolloutPercentage;
+    if (failureThreshold !== undefined) release.failureThreshold = failureThreshold;
+
+    if (release.channels.length === 0 && release.groups.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Choose at least one channel or device group'
+      });
+    }
+
+    if (status === 'active') {
+      release.resume();
+    } else if (status) {
+      release.status = status;
+    }
+    await release.save();
+
+    logger.info('Launcher release updated', {
+      userId: req.user.id,
+      versionCode: release.versionCode,
+      status: release.status,
+      rolloutPercentage: release.rolloutPercentage
+    });
+
+    const stats = await LauncherUpdate.getStats([release._id]);
+
+    res.json({
+      success: true,
+      message: 'Launcher release updated successfully',
+      data: release.toApi(stats.get(release.id))
+    });
+
+  } catch (error) {
+    logger.error('Error updating launcher release:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update launcher release'
+    });
+  }
+});
+
+// Delete a release and its APK
+router.delete('/:id', [
+  authenticateToken,
+  requireAdmin,
+  logActivity('DELETE_LAUNCHER_RELEASE'),
+  param('id').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const release = await LauncherRelease.findByIdAndDelete(req.params.id);
+    if (!release) {
+      return res.status(404).json({
+        success: false,
+        message: 'Launcher release not found'
+      });
+    }
+
+    await LauncherUpdate.deleteMany({ release: release._id });
+
+    const filePath = release.getFilePath();
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+
+    logger.info('Launcher release deleted', {
+      userId: req.user.id,
+      versionCode: release.versionCode
+    });
+
+    res.json({
+      success: true,
+      message: 'Launcher release deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error deleting launcher release:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete launcher release'
+    });
+  }
+});
+
+module.exports = router;
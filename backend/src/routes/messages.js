@@ -0,0 +1,304 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const { body, param, query, validationResult } = require('express-validator');
+const { authenticateToken, requireAdmin, logActivity } = require('../middleware/auth');
+const logger = require('../utils/logger');
+const Message = require('../models/Message');
+const MessageService = require('../services/messageService');
+const DeviceTargets = require('../services/deviceTargets');
+
+const router = express.Router();
+
+// Ensure upload directory exists
+const uploadDir = path.join(__dirname, '../../public/uploads/messages');
+if (!fs.existsSync(uploadDir)) {
+  fs.mkdirSync(uploadDir, { recursive: true });
+}
+
+// Configure multer for message image uploads
+const storage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    cb(null, uploadDir);
+  },
+  filename: function (req, file, cb) {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
+  }
+});
+
+const fileFilter = (req, file, cb) => {
+  const allowedTypes = ['jpg', 'jpeg', 'png', 'gif', 'webp'];
+  const fileExtension = path.extname(file.originalname).toLowerCase().substring(1);
+
+  if (allowedTypes.includes(fileExtension)) {
+    cb(null, true);
+  } else {
+    cb(new Error(`File type .${fileExtension} is not allowed. Allowed types: ${allowedTypes.join(', ')}`), false);
+  }
+};
+
+const upload = multer({
+  storage: storage,
+  fileFilter: fileFilter,
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB max file size for message images
+  }
+});
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+// List messages, newest first
+router.get('/', [
+  authenticateToken,
+  requireAdmin,
+  query('status').optional().isIn(Message.MESSAGE_STATUSES),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page || 1);
+    const limit = parseInt(req.query.limit || 20);
+    const filter = req.query.status ? { status: req.query.status } : {};
+
+    const [messages, total] = await Promise.all([
+      Message.find(filter)
+        .populate('createdBy', 'name email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Message.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: messages.map(message => message.toApi()),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error listing messages:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list messages'
+    });
+  }
+});
+
+// Get a message with its per-device delivery records
+router.get('/:id', [
+  authenticateToken,
+  requireAdmin,
+  param('id').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const message = await Message.findById(req.params.id).populate('createdBy', 'name email');
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: message.toApi({ includeDeliveries: true })
+    });
+
+  } catch (error) {
+    logger.error('Error fetching message:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch message'
+    });
+  }
+});
+
+// Compose a message; sent right away unless scheduledAt is in the future
+router.post('/', [
+  authenticateToken,
+  requireAdmin,
+  logActivity('SEND_MESSAGE'),
+  body('title').optional().isString().isLength({ max: 100 }),
+  body('body').isString().trim().isLength({ min: 1, max: 1000 }),
+  body('imageUrl').optional({ nullable: true }).isString(),
+  body('cta').optional({ nullable: true }).isObject(),
+  body('cta.label').optional().isString().trim().isLength({ min: 1, max: 40 }),
+  body('cta.url').optional().custom(value => {
+    if (!isHttpUrl(value)) {
+      throw new Error('Call-to-action URL must be an http(s) URL');
+    }
+    return true;
+  }),
+  body('priority').optional().isIn(['normal', 'high']),
+  body('displayDuration').optional().isInt({ min: 0, max: 600000 }),
+  body('target').isObject(),
+  body('target.all').optional().isBoolean(),
+  body('target.deviceIds').optional().isArray(),
+  body('target.roomNumbers').optional().isArray(),
+  body('target.floors').optional().isArray(),
+  body('target.roomTypes').optional().isArray(),
+  body('target.groupIds').optional().isArray(),
+  body('scheduledAt').optional({ nullable: true }).isISO8601(),
+  body('ttlMinutes').optional().isInt({ min: 1, max: 7 * 24 * 60 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { target, cta } = req.body;
+
+    if (DeviceTargets.isEmpty(target)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Select at least one room, floor, room type, group or device, or target all devices'
+      });
+    }
+
+    const invalidId = DeviceTargets.findInvalidId(target);
+    if (invalidId) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid device or group id: ${invalidId}`
+      });
+    }
+
+    if (cta && !!cta.label !== !!cta.url) {
+      return res.status(400).json({
+        success: false,
+        message: 'A call-to-action needs both a label and a URL'
+      });
+    }
+
+    const message = await MessageService.create(req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: message.status === 'scheduled' ? 'Message scheduled' : 'Message sent',
+      data: message.toApi()
+    });
+
+  } catch (error) {
+    logger.error('Error creating message:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create message'
+    });
+  }
+});
+
+// Upload an image to attach to a message
+router.post('/images', [
+  authenticateToken,
+  requireAdmin,
+  logActivity('UPLOAD_MESSAGE_IMAGE'),
+  upload.single('image')
+], async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No image uploaded'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Image uploaded successfully',
+      data: { imageUrl: `/uploads/messages/${req.file.filename}` }
+    });
+
+  } catch (error) {
+    logger.error('Error uploading message image:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload image'
+    });
+  }
+});
+
+// Cancel a scheduled message
+router.post('/:id/cancel', [
+  authenticateToken,
+  requireAdmin,
+  logActivity('CANCEL_MESSAGE'),
+  param('id').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const message = await Message.findById(req.params.id);
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    const cancelled = await MessageService.cancel(message);
+    if (!cancelled) {
+      return res.status(409).json({
+        success: false,
+        message: 'Only scheduled messages can be cancelled'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Message cancelled',
+      data: cancelled.toApi()
+    });
+
+  } catch (error) {
+    logger.error('Error cancelling message:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel message'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,23 @@
+const crypto = require('crypto');
 const express = require('express');
-const { query, validationResult } = require('express-validator');
-const axios = require('axios');
+const { body, param, query, validationResult } = require('express-validator');
 const Settings = require('../models/Settings');
 const Log = require('../models/Log');
 const { authenticateToken, requireAdmin, logActivity } = require('../middleware/auth');
 const logger = require('../utils/logger');
+const PMSService = require('../services/pmsService');
+const FiasService = require('../services/fiasService');
+const GuestStayService = require('../services/guestStayService');
+const PMSSyncService = require('../services/pmsSyncService');
+const GuestStay = require('../models/GuestStay');
+const Guest = require('../models/Guest');
+const Reservation = require('../models/Reservation');
+const Folio = require('../models/Folio');
+const CheckoutRequest = require('../models/CheckoutRequest');
+const ExpressCheckout = require('../services/expressCheckout');
+const ConfigWatcher = require('../services/configWatcher');
+const { loadAdapterConfig, SUPPORTED_VENDORS } = require('../services/pms');
+const GenericRestAdapter = require('../services/pms/genericRestAdapter');
 
 const router = express.Router();
 
@@ -14,55 +27,35 @@ router.get('/status', [
   requireAdmin
 ], async (req, res) => {
   try {
-    const [pmsBaseUrl, mockPmsEnabled] = await Promise.all([
-      Settings.get('pms_base_url', ''),
-      Settings.get('USE_MOCK_PMS', process.env.USE_MOCK_PMS === 'true')
-    ]);
+    const adapterConfig = await loadAdapterConfig();
 
-    if (!pmsBaseUrl && !mockPmsEnabled) {
+    if (!adapterConfig.baseUrl) {
       return res.json({
         success: true,
         data: {
           connected: false,
           status: 'not_configured',
           message: 'PMS base URL not configured',
+          vendor: adapterConfig.vendor,
           mockMode: false
         }
       });
     }
 
-    const testUrl = mockPmsEnabled 
-      ? `http://localhost:${process.env.MOCK_PMS_PORT || 3001}/health`
-      : `${pmsBaseUrl}/health`;
+    const health = await PMSService.healthCheck();
 
-    try {
-      const response = await axios.get(testUrl, { timeout: 5000 });
-      
-      res.json({
-        success: true,
-        data: {
-          connected: true,
-          status: 'connected',
-          message: 'PMS connection successful',
-          mockMode: mockPmsEnabled,
-          version: response.data.version || 'unknown',
-          lastCheck: new Date().toISOString()
-        }
-      });
-    } catch (error) {
-      logger.error('PMS connection test failed:', error);
-      
-      res.json({
-        success: true,
-        data: {
-          connected: false,
-          status: 'connection_failed',
-          message: `Failed to connect to PMS: ${error.message}`,
-          mockMode: mockPmsEnabled,
-          lastCheck: new Date().toISOString()
-        }
-      });
-    }
+    res.json({
+      success: true,
+      data: {
+        connected: health.ok,
+        status: health.ok ? 'connected' : 'connection_failed',
+        message: health.ok ? 'PMS connection successful' : `Failed to connect to PMS: ${health.error}`,
+        vendor: health.vendor,
+        mockMode: adapterConfig.mockMode,
+        version: health.details?.version || 'unknown',
+        lastCheck: health.checkedAt
+      }
+    });
 
   } catch (error) {
     logger.error('Error checking PMS status:', error);
@@ -80,22 +73,8 @@ router.get('/guest/:roomNumber', [
 ], async (req, res) => {
   try {
     const { roomNumber } = req.params;
-    
-    const [pmsBaseUrl, endpoints, mockPmsEnabled] = await Promise.all([
-      Settings.get('pms_base_url', ''),
-      Settings.get('pms_endpoints', {
-        guests: '/guest/v0/guests',
-        reservations: '/reservation/v0/reservations',
-        folios: '/folio/v0/folios'
-      }),
-      Settings.get('USE_MOCK_PMS', process.env.USE_MOCK_PMS === 'true')
-    ]);
-
-    const baseUrl = mockPmsEnabled 
-      ? `http://localhost:${process.env.MOCK_PMS_PORT || 3001}`
-      : pmsBaseUrl;
 
-    if (!baseUrl) {
+    if (!PMSService.baseURL) {
       return res.status(400).json({
         success: false,
         message: 'PMS not configured'
@@ -103,12 +82,10 @@ router.get('/guest/:roomNumber', [
     }
 
     try {
-      // Get guest by room number
-      const guestsUrl = `${baseUrl}${endpoints.guests}?roomNumber=${roomNumber}`;
-      const guestsResponse = await axios.get(guestsUrl, { timeout: 10000 });
-      
-      const guests = guestsResponse.data.guests || [];
-      if (guests.length === 0) {
+      const adapter = await PMSService.getAdapter();
+      const stay = await adapter.getGuestByRoom(roomNumber);
+
+      if (!stay || !stay.guest) {
         return res.json({
           success: true,
           data: {
@@ -118,26 +95,12 @@ router.get('/guest/:roomNumber', [
         });
       }
 
-      const guest = guests[0];
-
-      // Get reservation information
-      let reservation = null;
-      try {
-        const reservationsUrl = `${baseUrl}${endpoints.reservations}?roomNumber=${roomNumber}&status=in-house`;
-        const reservationsResponse = await axios.get(reservationsUrl, { timeout: 10000 });
-        const reservations = reservationsResponse.data.reservations || [];
-        reservation = reservations.find(r => r.guestId === guest.id) || reservations[0];
-      } catch (error) {
-        logger.warn('Failed to fetch reservation data:', error.message);
-      }
+      const { guest, reservation } = stay;
 
       // Get billing information
       let billing = null;
       try {
-        const foliosUrl = `${baseUrl}${endpoints.folios}?roomNumber=${roomNumber}`;
-        const foliosResponse = await axios.get(foliosUrl, { timeout: 10000 });
-        const folios = foliosResponse.data.folios || [];
-        billing = folios.find(f => f.guestId === guest.id) || folios[0];
+        billing = await adapter.getFolio({ reservationId: reservation.id, roomNumber });
       } catch (error) {
         logger.warn('Failed to fetch billing data:', error.message);
       }
@@ -147,36 +110,21 @@ router.get('/guest/:roomNumber', [
       res.json({
         success: true,
         data: {
-          guest: {
-            id: guest.id,
-            name: `${guest.firstName} ${guest.lastName}`,
-            firstName: guest.firstName,
-            lastName: guest.lastName,
-            email: guest.email,
-            phone: guest.phone,
-            nationality: guest.nationality,
-            preferences: guest.preferences,
-            loyaltyProgram: guest.loyaltyProgram
-          },
-          reservation: reservation ? {
-            id: reservation.id,
-            confirmationNumber: reservation.confirmationNumber,
+          guest,
+          reservation: {
+            ...reservation,
             checkIn: reservation.arrivalDate,
-            checkOut: reservation.departureDate,
-            status: reservation.status,
-            roomType: reservation.roomType,
-            adults: reservation.adults,
-            children: reservation.children,
-            specialRequests: reservation.specialRequests
-          } : null,
+            checkOut: reservation.departureDate
+          },
           billing: billing ? {
             total: billing.totalAmount,
             balance: billing.balance,
             currency: billing.currency,
             status: billing.status,
-            lastCharge: billing.charges?.[billing.charges.length - 1]
+            lastCharge: billing.charges[billing.charges.length - 1]
           } : null,
           roomNumber,
+          vendor: adapter.vendor,
           lastSync: new Date().toISOString()
         }
       });
@@ -200,13 +148,15 @@ router.get('/guest/:roomNumber', [
   }
 });
 
-// Get all guests (with pagination)
+// Get cached guests (with pagination)
 router.get('/guests', [
   authenticateToken,
   requireAdmin,
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 100 }),
-  query('status').optional().isString()
+  query('status').optional().isIn(Reservation.RESERVATION_STATUSES),
+  query('roomNumber').optional().isString().trim(),
+  query('search').optional().isString().trim()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -218,57 +168,51 @@ router.get('/guests', [
       });
     }
 
-    const { page = 1, limit = 50, status } = req.query;
-
-    // Mock guests data for now - avoiding database/Settings dependency issues
-    const mockGuests = [
-      {
-        id: 'guest-001',
-        firstName: 'John',
-        lastName: 'Smith',
-        name: 'John Smith',
-        email: 'john.smith@email.com',
-        room_number: 'Room-101',
-        nationality: 'US',
-        loyaltyProgram: 'Gold',
-        status: 'checked_in',
-        check_in_date: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString(),
-        check_out_date: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000).toISOString(),
-        bill_total: 450.00
-      },
-      {
-        id: 'guest-002',
-        firstName: 'Sarah',
-        lastName: 'Johnson',
-        name: 'Sarah Johnson',
-        email: 'sarah.johnson@email.com',
-        room_number: 'Room-102',
-        nationality: 'UK',
-        loyaltyProgram: 'Silver',
-        status: 'checked_in',
-        check_in_date: new Date(Date.now() - 1 * 24 * 60 * 60 * 1000).toISOString(),
-        check_out_date: new Date(Date.now() + 4 * 24 * 60 * 60 * 1000).toISOString(),
-        bill_total: 580.00
-      }
-    ];
+    const { status, roomNumber, search } = req.query;
+    const page = parseInt(req.query.page || 1);
+    const limit = parseInt(req.query.limit || 50);
 
-    // Apply filters
-    let filteredGuests = mockGuests;
-    if (status) {
-      // Mock status filtering
-      filteredGuests = mockGuests.filter(guest => 
-        status === 'in-house' || status === 'checked-in'
-      );
+    const filter = {};
+    if (status) filter['currentReservation.status'] = status;
+    if (roomNumber) filter['currentReservation.roomNumber'] = roomNumber;
+    if (search) {
+      filter.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { email: { $regex: search, $options: 'i' } },
+        { pmsId: search }
+      ];
     }
 
-    // Pagination
-    const startIndex = (page - 1) * limit;
-    const paginatedGuests = filteredGuests.slice(startIndex, startIndex + parseInt(limit));
+    const [guests, total] = await Promise.all([
+      Guest.find(filter)
+        .sort({ 'currentReservation.roomNumber': 1, lastName: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Guest.countDocuments(filter)
+    ]);
 
-    logger.info(`PMS guests sync: ${paginatedGuests.length} guests fetched`);
+    // Attach the open folio balance of each guest's current reservation
+    const reservationIds = guests.map(guest => guest.currentReservation?.pmsId).filter(Boolean);
+    const folios = await Folio.find({ reservationId: { $in: reservationIds }, status: 'open' });
+    const folioByReservation = new Map(folios.map(folio => [folio.reservationId, folio]));
 
-    // Return guests array directly for frontend compatibility
-    res.json(paginatedGuests);
+    res.json({
+      success: true,
+      data: guests.map(guest => {
+        const folio = folioByReservation.get(guest.currentReservation?.pmsId);
+        return {
+          ...guest.toApi(),
+          balance: folio ? folio.balance : null,
+          currency: folio ? folio.currency : null
+        };
+      }),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
 
   } catch (error) {
     logger.error('Error fetching guests:', error);
@@ -279,14 +223,19 @@ router.get('/guests', [
   }
 });
 
-// Get reservations
+// Get cached reservations
 router.get('/reservations', [
   authenticateToken,
   requireAdmin,
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 100 }),
-  query('status').optional().isString(),
-  query('roomNumber').optional().isString()
+  query('status').optional().isIn(Reservation.RESERVATION_STATUSES),
+  query('roomNumber').optional().isString().trim(),
+  query('guestId').optional().isString().trim(),
+  query('arrivalFrom').optional().isISO8601(),
+  query('arrivalTo').optional().isISO8601(),
+  query('departureFrom').optional().isISO8601(),
+  query('departureTo').optional().isISO8601()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -298,72 +247,43 @@ router.get('/reservations', [
       });
     }
 
-    const { page = 1, limit = 50, status, roomNumber } = req.query;
+    const { status, roomNumber, guestId, arrivalFrom, arrivalTo, departureFrom, departureTo } = req.query;
+    const page = parseInt(req.query.page || 1);
+    const limit = parseInt(req.query.limit || 50);
 
-    // Mock reservations data for now - avoiding database/Settings dependency issues
-    const mockReservations = [
-      {
-        id: 'reservation-001',
-        guestId: 'guest-001',
-        confirmationNumber: 'CONF001',
-        roomNumber: 'Room-101',
-        roomType: 'Standard',
-        arrivalDate: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString(),
-        departureDate: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000).toISOString(),
-        status: 'in-house',
-        adults: 2,
-        children: 0,
-        totalAmount: 450.00,
-        currency: 'USD'
-      },
-      {
-        id: 'reservation-002',
-        guestId: 'guest-002',
-        confirmationNumber: 'CONF002',
-        roomNumber: 'Room-102',
-        roomType: 'Deluxe',
-        arrivalDate: new Date(Date.now() - 1 * 24 * 60 * 60 * 1000).toISOString(),
-        departureDate: new Date(Date.now() + 4 * 24 * 60 * 60 * 1000).toISOString(),
-        status: 'in-house',
-        adults: 1,
-        children: 1,
-        totalAmount: 580.00,
-        currency: 'USD'
-      }
-    ];
-
-    // Apply filters
-    let filteredReservations = mockReservations;
-    if (status) {
-      filteredReservations = filteredReservations.filter(reservation => reservation.status === status);
+    const filter = {};
+    if (status) filter.status = status;
+    if (roomNumber) filter.roomNumber = roomNumber;
+    if (guestId) filter.guestId = guestId;
+    if (arrivalFrom || arrivalTo) {
+      filter.arrivalDate = {};
+      if (arrivalFrom) filter.arrivalDate.$gte = new Date(arrivalFrom);
+      if (arrivalTo) filter.arrivalDate.$lte = new Date(arrivalTo);
     }
-    if (roomNumber) {
-      filteredReservations = filteredReservations.filter(reservation => reservation.roomNumber === roomNumber);
+    if (departureFrom || departureTo) {
+      filter.departureDate = {};
+      if (departureFrom) filter.departureDate.$gte = new Date(departureFrom);
+      if (departureTo) filter.departureDate.$lte = new Date(departureTo);
     }
 
-    // Pagination
-    const startIndex = (page - 1) * limit;
-    const paginatedReservations = filteredReservations.slice(startIndex, startIndex + parseInt(limit));
-
-    logger.info(`PMS reservations sync: ${paginatedReservations.length} reservations fetched`);
-
-    // Return reservations array directly for frontend compatibility
-    const reservations = paginatedReservations.map(reservation => ({
-      id: reservation.id,
-      guestId: reservation.guestId,
-      confirmationNumber: reservation.confirmationNumber,
-      roomNumber: reservation.roomNumber,
-      roomType: reservation.roomType,
-      check_in_date: reservation.arrivalDate,
-      check_out_date: reservation.departureDate,
-      status: reservation.status,
-      adults: reservation.adults,
-      children: reservation.children,
-      totalAmount: reservation.totalAmount,
-      currency: reservation.currency
-    }));
+    const [reservations, total] = await Promise.all([
+      Reservation.find(filter)
+        .sort({ arrivalDate: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Reservation.countDocuments(filter)
+    ]);
 
-    res.json(reservations);
+    res.json({
+      success: true,
+      data: reservations.map(reservation => reservation.toApi()),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
 
   } catch (error) {
     logger.error('Error fetching reservations:', error);
@@ -381,132 +301,633 @@ router.post('/test-connection', [
   logActivity('TEST_PMS_CONNECTION')
 ], async (req, res) => {
   try {
-    const [pmsBaseUrl, mockPmsEnabled] = await Promise.all([
-      Settings.get('pms_base_url', ''),
-      Settings.get('USE_MOCK_PMS', process.env.USE_MOCK_PMS === 'true')
-    ]);
+    // Pick up settings saved moments ago before testing
+    await PMSService.loadAdapter();
+    const { mockMode } = PMSService.adapterConfig;
 
-    if (!pmsBaseUrl && !mockPmsEnabled) {
+    if (!PMSService.baseURL) {
       return res.status(400).json({
         success: false,
         message: 'PMS base URL not configured and mock PMS not enabled'
       });
     }
 
-    const testUrl = mockPmsEnabled 
-      ? `http://localhost:${process.env.MOCK_PMS_PORT || 3001}/health`
-      : `${pmsBaseUrl}/health`;
-
-    const startTime = Date.now();
-
-    try {
-      const response = await axios.get(testUrl, { 
-        timeout: 10000,
-        headers: {
-          'User-Agent': 'IPTV-Hotel-Panel/1.0.0'
-        }
-      });
-      
-      const responseTime = Date.now() - startTime;
+    const health = await PMSService.healthCheck();
 
+    if (health.ok) {
       logger.info('PMS connection test successful', {
         userId: req.user.id,
-        url: testUrl,
-        responseTime,
-        mockMode: mockPmsEnabled
+        vendor: health.vendor,
+        responseTime: health.responseTime,
+        mockMode
       });
 
-      res.json({
+      return res.json({
         success: true,
         message: 'PMS connection successful',
         data: {
           connected: true,
-          responseTime,
-          mockMode: mockPmsEnabled,
+          vendor: health.vendor,
+          responseTime: health.responseTime,
+          mockMode,
           pmsInfo: {
-            service: response.data.service || 'Unknown',
-            version: response.data.version || 'Unknown',
-            timestamp: response.data.timestamp
+            service: health.details?.service || 'Unknown',
+            version: health.details?.version || 'Unknown',
+            timestamp: health.checkedAt
           },
-          testUrl: mockPmsEnabled ? testUrl : 'Hidden for security'
+          testUrl: mockMode ? PMSService.baseURL : 'Hidden for security'
         }
       });
+    }
 
-    } catch (error) {
-      const responseTime = Date.now() - startTime;
-      
-      logger.warn('PMS connection test failed', {
-        userId: req.user.id,
-        url: testUrl,
-        error: error.message,
-        responseTime,
-        mockMode: mockPmsEnabled
+    logger.warn('PMS connection test failed', {
+      userId: req.user.id,
+      vendor: health.vendor,
+      error: health.error,
+      responseTime: health.responseTime,
+      mockMode
+    });
+
+    res.status(500).json({
+      success: false,
+      message: `PMS connection failed: ${health.error}`,
+      data: {
+        connected: false,
+        vendor: health.vendor,
+        responseTime: health.responseTime,
+        mockMode,
+        error: {
+          message: health.error
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error testing PMS connection:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to test PMS connection'
+    });
+  }
+});
+
+// List supported PMS drivers
+router.get('/adapters', [
+  authenticateToken,
+  requireAdmin
+], async (req, res) => {
+  try {
+    const { vendor } = await loadAdapterConfig();
+
+    res.json({
+      success: true,
+      data: {
+        current: vendor,
+        adapters: SUPPORTED_VENDORS,
+        genericDefaults: GenericRestAdapter.DEFAULT_MAPPINGS
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error listing PMS adapters:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list PMS adapters'
+    });
+  }
+});
+
+// Get FIAS interface link status
+router.get('/fias/status', [
+  authenticateToken,
+  requireAdmin
+], async (req, res) => {
+  res.json({
+    success: true,
+    data: FiasService.getStatus()
+  });
+});
+
+// Ask the PMS to replay all in-house guests over FIAS
+router.post('/fias/resync', [
+  authenticateToken,
+  requireAdmin,
+  logActivity('TRIGGER_FIAS_RESYNC')
+], async (req, res) => {
+  if (!FiasService.isLinked()) {
+    return res.status(409).json({
+      success: false,
+      message: 'FIAS link is not established'
+    });
+  }
+
+  FiasService.requestResync();
+
+  res.json({
+    success: true,
+    message: 'FIAS database resync requested'
+  });
+});
+
+// Constant-time comparison of the webhook shared secret
+const isValidWebhookSecret = (provided, expected) => {
+  if (!provided || !expected) return false;
+  const a = Buffer.from(String(provided));
+  const b = Buffer.from(String(expected));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// Stay webhook pushed by the PMS (check-in, check-out, room move, reservation change)
+router.post('/webhook', [
+  body('event').isIn(['RESERVATION', 'CHECK_IN', 'CHECK_OUT', 'ROOM_MOVE', 'GUEST_CHANGE'])
+    .withMessage('Unsupported event type'),
+  body('reservationId').optional().isString().trim(),
+  body('roomNumber').optional().isString().trim(),
+  body('previousRoomNumber').optional().isString().trim(),
+  body('status').optional().isIn(['expected', 'in-house', 'checked-out', 'cancelled', 'no-show']),
+  body('arrivalDate').optional().isISO8601(),
+  body('departureDate').optional().isISO8601(),
+  body('guest').optional().isObject()
+], async (req, res) => {
+  try {
+    const secret = await Settings.get('pms_webhook_secret', process.env.PMS_WEBHOOK_SECRET || '');
+    if (!secret) {
+      return res.status(503).json({
+        success: false,
+        message: 'PMS webhooks are not configured'
       });
+    }
 
-      res.status(500).json({
+    if (!isValidWebhookSecret(req.get('X-PMS-Webhook-Secret'), secret)) {
+      return res.status(401).json({
         success: false,
-        message: `PMS connection failed: ${error.message}`,
-        data: {
-          connected: false,
-          responseTime,
-          mockMode: mockPmsEnabled,
-          error: {
-            code: error.code,
-            message: error.message
-          }
+        message: 'Invalid webhook secret'
+      });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.body.reservationId && !req.body.roomNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'reservationId or roomNumber is required'
+      });
+    }
+
+    const { event, ...fields } = req.body;
+    const result = await GuestStayService.applyEvent({ ...fields, type: event, source: 'webhook' });
+
+    res.json({
+      success: true,
+      message: result.stay ? 'Event applied' : 'Event ignored: unknown stay',
+      data: {
+        stay: result.stay ? result.stay.toSummary() : null,
+        transitions: result.transitions.map(({ from, to }) => ({ from, to }))
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error processing PMS webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process PMS webhook'
+    });
+  }
+});
+
+// List guest stays tracked by the stay state machine
+router.get('/stays', [
+  authenticateToken,
+  requireAdmin,
+  query('state').optional().isIn([...GuestStay.STAY_STATES, 'in-house']),
+  query('roomNumber').optional().isString().trim(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { state, roomNumber } = req.query;
+    const page = parseInt(req.query.page || 1);
+    const limit = parseInt(req.query.limit || 50);
+
+    const filter = {};
+    if (state === 'in-house') {
+      filter.state = { $in: GuestStay.IN_HOUSE_STATES };
+    } else if (state) {
+      filter.state = state;
+    }
+    if (roomNumber) filter.roomNumber = roomNumber;
+
+    const [stays, total] = await Promise.all([
+      GuestStay.find(filter)
+        .sort({ updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      GuestStay.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        stays: stays.map(stay => stay.toSummary()),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        },
+        sync: PMSSyncService.getStatus()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error listing guest stays:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list guest stays'
+    });
+  }
+});
+
+// Welcome/farewell trigger outcomes across stays, newest first ("why didn't room 402 get a welcome?")
+router.get('/message-triggers', [
+  authenticateToken,
+  requireAdmin,
+  query('roomNumber').optional().isString().trim(),
+  query('reservationId').optional().isString().trim(),
+  query('type').optional().isIn(GuestStay.TRIGGER_TYPES),
+  query('outcome').optional().isIn(GuestStay.TRIGGER_OUTCOMES),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { roomNumber, reservationId, type, outcome, from, to } = req.query;
+    const page = parseInt(req.query.page || 1);
+    const limit = parseInt(req.query.limit || 50);
+
+    const match = {};
+    if (roomNumber) match['triggers.roomNumber'] = roomNumber;
+    if (type) match['triggers.type'] = type;
+    if (outcome) match['triggers.outcome'] = outcome;
+    if (from || to) {
+      match['triggers.at'] = {};
+      if (from) match['triggers.at'].$gte = new Date(from);
+      if (to) match['triggers.at'].$lte = new Date(to);
+    }
+
+    const [result] = await GuestStay.aggregate([
+      { $match: reservationId ? { reservationId } : {} },
+      { $unwind: '$triggers' },
+      { $match: match },
+      { $sort: { 'triggers.at': -1 } },
+      {
+        $facet: {
+          triggers: [
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            {
+              $project: {
+                _id: 0,
+                reservationId: 1,
+                guestName: '$guest.name',
+                state: 1,
+                type: '$triggers.type',
+                outcome: '$triggers.outcome',
+                reason: '$triggers.reason',
+                message: '$triggers.message',
+                roomNumber: '$triggers.roomNumber',
+                locale: '$triggers.locale',
+                devices: '$triggers.devices',
+                at: '$triggers.at'
+              }
+            }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const total = result.total[0]?.count || 0;
+
+    res.json({
+      success: true,
+      data: {
+        triggers: result.triggers,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
         }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error listing message triggers:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list message triggers'
+    });
+  }
+});
+
+// Get one stay with its transition history
+router.get('/stays/:reservationId', [
+  authenticateToken,
+  requireAdmin,
+  param('reservationId').isString().trim()
+], async (req, res) => {
+  try {
+    const stay = await GuestStay.findByReservation(req.params.reservationId);
+
+    if (!stay) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stay not found'
       });
     }
 
+    res.json({
+      success: true,
+      data: {
+        ...stay.toSummary(),
+        history: stay.history,
+        triggers: stay.triggers
+      }
+    });
+
   } catch (error) {
-    logger.error('Error testing PMS connection:', error);
+    logger.error('Error fetching guest stay:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to test PMS connection'
+      message: 'Failed to fetch guest stay'
     });
   }
 });
 
-// Manual sync trigger
-router.post('/sync', [
+// Run a PMS sync now and wait for it, so stay transitions are applied before responding
+router.post('/stays/reconcile', [
   authenticateToken,
   requireAdmin,
-  logActivity('TRIGGER_PMS_SYNC')
+  logActivity('RECONCILE_GUEST_STAYS'),
+  body('full').optional().isBoolean()
 ], async (req, res) => {
   try {
-    // Create sync start log
-    const startTime = new Date();
-    const syncLog = new Log({
-      type: 'PMS_SYNC',
-      level: 'info',
-      message: 'Manual PMS sync started',
+    const result = await PMSSyncService.run({
+      full: req.body.full === true,
+      trigger: 'reconcile',
       userId: req.user.id,
-      metadata: {
-        startTime,
-        triggeredBy: req.user.name,
-        manual: true
+      triggeredBy: req.user.name
+    });
+
+    if (!result.success) {
+      return res.status(409).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Stay reconciliation completed',
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Error reconciling guest stays:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reconcile guest stays'
+    });
+  }
+});
+
+// Front-desk queue of express checkout requests from the TVs
+router.get('/checkout-requests', [
+  authenticateToken,
+  requireAdmin,
+  query('status').optional().isIn([...CheckoutRequest.CHECKOUT_STATUSES, 'open']),
+  query('roomNumber').optional().isString().trim(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status, roomNumber } = req.query;
+    const page = parseInt(req.query.page || 1);
+    const limit = parseInt(req.query.limit || 50);
+
+    const filter = {};
+    if (status === 'open') {
+      filter.status = { $in: CheckoutRequest.OPEN_STATUSES };
+    } else if (status) {
+      filter.status = status;
+    }
+    if (roomNumber) filter.roomNumber = roomNumber;
+
+    const [requests, total] = await Promise.all([
+      CheckoutRequest.find(filter)
+        .populate('handledBy', 'name email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      CheckoutRequest.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: requests.map(request => request.toApi()),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
       }
     });
-    await syncLog.save();
 
-    // Emit real-time event
-    if (global.io) {
-      global.io.to('admin:pms').emit('pms:sync-started', {
-        triggeredBy: req.user.name,
-        timestamp: startTime.toISOString()
+  } catch (error) {
+    logger.error('Error listing checkout requests:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list checkout requests'
+    });
+  }
+});
+
+// Forward a checkout request to the PMS again (e.g. after a failure)
+router.post('/checkout-requests/:id/forward', [
+  authenticateToken,
+  requireAdmin,
+  logActivity('FORWARD_CHECKOUT_REQUEST'),
+  param('id').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const request = await CheckoutRequest.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Checkout request not found'
+      });
+    }
+
+    if (!['pending', 'failed'].includes(request.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Checkout request is already ${request.status}`
+      });
+    }
+
+    await ExpressCheckout.forward(request, req.user.id);
+
+    res.json({
+      success: request.status !== 'failed',
+      message: request.status === 'failed'
+        ? `PMS rejected the checkout: ${request.error}`
+        : 'Checkout request forwarded to PMS',
+      data: request.toApi()
+    });
+
+  } catch (error) {
+    logger.error('Error forwarding checkout request:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to forward checkout request'
+    });
+  }
+});
+
+// Close a checkout request at the front desk
+router.put('/checkout-requests/:id', [
+  authenticateToken,
+  requireAdmin,
+  logActivity('RESOLVE_CHECKOUT_REQUEST'),
+  param('id').isMongoId(),
+  body('status').isIn(['completed', 'cancelled']),
+  body('notes').optional().isString().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const request = await CheckoutRequest.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Checkout request not found'
+      });
+    }
+
+    if (!request.isOpen()) {
+      return res.status(409).json({
+        success: false,
+        message: `Checkout request is already ${request.status}`
+      });
+    }
+
+    await ExpressCheckout.resolve(request, req.body, req.user.id);
+
+    res.json({
+      success: true,
+      message: `Checkout request ${request.status}`,
+      data: request.toApi()
+    });
+
+  } catch (error) {
+    logger.error('Error updating checkout request:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update checkout request'
+    });
+  }
+});
+
+// Manual sync trigger
+router.post('/sync', [
+  authenticateToken,
+  requireAdmin,
+  logActivity('TRIGGER_PMS_SYNC'),
+  body('full').optional().isBoolean()
+], async (req, res) => {
+  try {
+    if (!PMSService.isConnected()) {
+      return res.status(409).json({
+        success: false,
+        message: 'PMS not connected'
       });
     }
 
-    // Update last sync time in settings
-    await Settings.set('pms_last_sync', startTime, req.user.id);
+    if (PMSSyncService.isRunning()) {
+      return res.status(409).json({
+        success: false,
+        message: 'PMS sync already running'
+      });
+    }
+
+    const startTime = new Date();
+
+    // Runs in the background; progress is reported over pms:sync-* events
+    PMSSyncService.run({
+      full: req.body.full === true,
+      trigger: 'manual',
+      userId: req.user.id,
+      triggeredBy: req.user.name
+    });
 
     res.json({
       success: true,
       message: 'PMS synchronization started',
       data: {
         startedAt: startTime.toISOString(),
-        triggeredBy: req.user.name,
-        logId: syncLog._id
+        triggeredBy: req.user.name
       }
     });
 
@@ -532,7 +953,9 @@ router.get('/config', [
       autoSync,
       welcomeMessages,
       farewellMessages,
-      lastSync
+      lastSync,
+      vendor,
+      guestScreenFields
     ] = await Promise.all([
       Settings.get('USE_MOCK_PMS', process.env.USE_MOCK_PMS === 'true'),
       Settings.get('pms_base_url', ''),
@@ -540,7 +963,9 @@ router.get('/config', [
       Settings.get('pms_auto_sync', true),
       Settings.get('pms_welcome_messages', true),
       Settings.get('pms_farewell_messages', true),
-      Log.findOne({ type: 'PMS_SYNC', level: 'info' }).sort({ timestamp: -1 }).select('timestamp')
+      Log.findOne({ type: 'PMS_SYNC', level: 'info' }).sort({ timestamp: -1 }).select('timestamp'),
+      Settings.get('pms_vendor', 'opera'),
+      Settings.get('guest_screen_fields', ['name', 'salutation', 'language', 'stayDates'])
     ]);
 
     const config = {
@@ -549,8 +974,10 @@ router.get('/config', [
       auto_sync: autoSync,
       enable_welcome_messages: welcomeMessages,
       enable_farewell_messages: farewellMessages,
+      guest_screen_fields: guestScreenFields,
       connected: mockPmsEnabled || !!pmsBaseUrl,
       mock_mode: mockPmsEnabled,
+      vendor,
       last_sync: lastSync?.timestamp || new Date().toISOString()
     };
 
@@ -565,40 +992,151 @@ router.get('/config', [
   }
 });
 
-// Get sync history/statistics
+// Update PMS configuration
+router.put('/config', [
+  authenticateToken,
+  requireAdmin,
+  logActivity('UPDATE_PMS_CONFIG'),
+  body('vendor').optional().isIn(SUPPORTED_VENDORS),
+  body('base_url').optional().isString(),
+  body('sync_interval').optional().isInt({ min: 1, max: 1440 }),
+  body('auto_sync').optional().isBoolean(),
+  body('enable_welcome_messages').optional().isBoolean(),
+  body('enable_farewell_messages').optional().isBoolean(),
+  body('guest_screen_fields').optional().isArray()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.user.hasPermission('canConfigurePMS')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Insufficient permissions to modify PMS settings'
+      });
+    }
+
+    const fieldToSetting = {
+      vendor: 'pms_vendor',
+      base_url: 'pms_base_url',
+      sync_interval: 'pms_polling_interval',
+      auto_sync: 'pms_auto_sync',
+      enable_welcome_messages: 'pms_welcome_messages',
+      enable_farewell_messages: 'pms_farewell_messages',
+      guest_screen_fields: 'guest_screen_fields'
+    };
+
+    const updated = [];
+    for (const [field, key] of Object.entries(fieldToSetting)) {
+      if (req.body[field] === undefined) {
+        continue;
+      }
+
+      const previousValue = await Settings.get(key);
+      await Settings.set(key, req.body[field], req.user.id);
+      ConfigWatcher.notifyConfigChange(key, previousValue, req.body[field]);
+      updated.push(key);
+    }
+
+    logger.info('PMS configuration updated', {
+      userId: req.user.id,
+      settings: updated
+    });
+
+    res.json({
+      success: true,
+      message: 'PMS configuration updated successfully',
+      data: { updated }
+    });
+
+  } catch (error) {
+    logger.error('Error updating PMS config:', error);
+
+    if (error.message.includes('must be') || error.message.includes('not found')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update PMS configuration'
+    });
+  }
+});
+
+// Get PMS sync history
 router.get('/sync-history', [
   authenticateToken,
   requireAdmin,
-  query('limit').optional().isInt({ min: 1, max: 100 })
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('status').optional().isIn(['success', 'error'])
 ], async (req, res) => {
   try {
-    const { limit = 20 } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page || 1);
+    const limit = parseInt(req.query.limit || 20);
 
-    // Get sync logs from database
-    const syncLogs = await Log.find({
-      type: 'PMS_SYNC',
-      level: { $in: ['info', 'error'] }
-    })
-    .sort({ timestamp: -1 })
-    .limit(parseInt(limit));
+    // Each sync run is recorded as one PMS_SYNC log entry by PMSSyncService
+    const filter = { type: 'PMS_SYNC', 'metadata.startTime': { $exists: true } };
+    if (req.query.status) filter.success = req.query.status === 'success';
+
+    const [syncLogs, total] = await Promise.all([
+      Log.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Log.countDocuments(filter)
+    ]);
 
-    // Transform logs into sync history format
     const syncHistory = syncLogs.map(log => {
       const data = log.metadata || {};
       return {
         id: log._id,
-        startedAt: data.startTime || log.timestamp,
-        completedAt: data.endTime || log.timestamp,
-        status: log.level === 'error' ? 'error' : 'success',
-        guestsSync: data.guestsCount || 0,
-        reservationsSync: data.reservationsCount || 0,
-        foliosSync: data.foliosCount || 0,
-        errors: data.errorCount || (log.level === 'error' ? 1 : 0),
-        details: log.level === 'error' ? log.message : undefined
+        startedAt: data.startTime || log.createdAt,
+        completedAt: data.endTime || log.createdAt,
+        status: log.success === false ? 'error' : 'success',
+        trigger: data.trigger || 'manual',
+        triggeredBy: data.triggeredBy || 'System',
+        full: !!data.full,
+        guestsSynced: data.guestsCount || 0,
+        reservationsSynced: data.reservationsCount || 0,
+        foliosSynced: data.foliosCount || 0,
+        transitions: data.transitions || 0,
+        errors: data.errorCount || 0,
+        errorDetails: data.errors || [],
+        duration: log.duration,
+        message: log.message
       };
     });
 
-    res.json(syncHistory);
+    res.json({
+      success: true,
+      data: syncHistory,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      },
+      status: PMSSyncService.getStatus()
+    });
 
   } catch (error) {
     logger.error('Error fetching PMS sync history:', error);
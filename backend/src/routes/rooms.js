@@ -0,0 +1,343 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { authenticateToken, requireAdmin, logActivity } = require('../middleware/auth');
+const logger = require('../utils/logger');
+const Device = require('../models/Device');
+const Room = require('../models/Room');
+const TargetedAssignment = require('../models/TargetedAssignment');
+const DeviceAssignments = require('../services/deviceAssignments');
+
+const router = express.Router();
+
+const roomFields = [
+  body('floor').optional({ nullable: true }).isString().trim().isLength({ max: 10 }),
+  body('wing').optional({ nullable: true }).isString().trim().isLength({ max: 50 }),
+  body('roomType').optional({ nullable: true }).isString().trim().isLength({ max: 50 }),
+  body('capacity').optional({ nullable: true }).isInt({ min: 1, max: 50 })
+];
+
+// TVs in the room pick up assignments made to its (new) floor or room type
+const applyRoomAssignments = async (roomNumber, requestedBy) => {
+  const devices = await Device.find({ roomNumber, status: 'approved' });
+  return await DeviceAssignments.refreshInherited(devices, requestedBy);
+};
+
+// List rooms
+router.get('/', [
+  authenticateToken,
+  requireAdmin,
+  query('floor').optional().isString(),
+  query('wing').optional().isString(),
+  query('roomType').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { floor, wing, roomType } = req.query;
+    const filter = {};
+    if (floor) filter.floor = floor;
+    if (wing) filter.wing = wing;
+    if (roomType) filter.roomType = roomType.toLowerCase();
+
+    const rooms = await Room.find(filter).sort({ number: 1 });
+    const counts = await Device.aggregate([
+      { $match: { room: { $in: rooms.map(room => room._id) }, status: 'approved' } },
+      { $group: { _id: '$room', count: { $sum: 1 } } }
+    ]);
+    const countByRoom = new Map(counts.map(entry => [entry._id.toString(), entry.count]));
+
+    res.json({
+      success: true,
+      data: rooms.map(room => ({ ...room.toApi(), deviceCount: countByRoom.get(room.id) || 0 }))
+    });
+
+  } catch (error) {
+    logger.error('Error listing rooms:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list rooms'
+    });
+  }
+});
+
+// Assignments made to floors, room types or groups, newest first
+router.get('/assignments', [
+  authenticateToken,
+  requireAdmin
+], async (req, res) => {
+  try {
+    const assignments = await TargetedAssignment.findNewestFirst();
+
+    res.json({
+      success: true,
+      data: assignments.map(assignment => assignment.toApi())
+    });
+
+  } catch (error) {
+    logger.error('Error listing targeted assignments:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list targeted assignments'
+    });
+  }
+});
+
+// Stop new TVs from inheriting an assignment (TVs that already have it keep it)
+router.delete('/assignments/:id', [
+  authenticateToken,
+  requireAdmin,
+  logActivity('DELETE_TARGETED_ASSIGNMENT'),
+  param('id').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const assignment = await TargetedAssignment.findByIdAndDelete(req.params.id);
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Assignment deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error deleting targeted assignment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete targeted assignment'
+    });
+  }
+});
+
+// Get a room with its TVs
+router.get('/:id', [
+  authenticateToken,
+  requireAdmin,
+  param('id').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const room = await Room.findById(req.params.id);
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room not found'
+      });
+    }
+
+    const devices = await Device.find({ room: room._id, status: { $ne: 'inactive' } })
+      .select('uuid location status connectionStatus lastHeartbeat deviceInfo.model')
+      .sort({ location: 1, createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        ...room.toApi(),
+        devices: devices.map(device => ({
+          id: device.id,
+          uuid: device.uuid,
+          location: device.location,
+          status: device.status,
+          connectionStatus: device.connectionStatus,
+          lastHeartbeat: device.lastHeartbeat,
+          model: device.deviceInfo?.model || null
+        }))
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching room:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch room'
+    });
+  }
+});
+
+// Create a room
+router.post('/', [
+  authenticateToken,
+  requireAdmin,
+  logActivity('CREATE_ROOM'),
+  body('number').isString().trim().isLength({ min: 1, max: 10 }),
+  ...roomFields
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { number, floor, wing, roomType, capacity } = req.body;
+
+    if (await Room.findByNumber(number)) {
+      return res.status(409).json({
+        success: false,
+        message: `Room ${number} already exists`
+      });
+    }
+
+    const room = await Room.create({
+      number,
+      floor,
+      wing,
+      roomType,
+      capacity,
+      createdBy: req.user.id
+    });
+
+    // TVs already put in this room number now belong to it
+    await Device.updateMany({ roomNumber: room.number }, { $set: { room: room._id } });
+    await applyRoomAssignments(room.number, req.user.id);
+
+    logger.info('Room created', {
+      userId: req.user.id,
+      roomNumber: room.number
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Room created successfully',
+      data: room.toApi()
+    });
+
+  } catch (error) {
+    logger.error('Error creating room:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create room'
+    });
+  }
+});
+
+// Update a room's floor, wing, type or capacity
+router.put('/:id', [
+  authenticateToken,
+  requireAdmin,
+  logActivity('UPDATE_ROOM'),
+  param('id').isMongoId(),
+  ...roomFields
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const room = await Room.findById(req.params.id);
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room not found'
+      });
+    }
+
+    ['floor', 'wing', 'roomType', 'capacity'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        room[field] = req.body[field];
+      }
+    });
+    const targetChanged = room.isModified('floor') || room.isModified('roomType');
+    await room.save();
+
+    if (targetChanged) {
+      await applyRoomAssignments(room.number, req.user.id);
+    }
+
+    res.json({
+      success: true,
+      message: 'Room updated successfully',
+      data: room.toApi()
+    });
+
+  } catch (error) {
+    logger.error('Error updating room:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update room'
+    });
+  }
+});
+
+// Delete a room (its devices keep their room number)
+router.delete('/:id', [
+  authenticateToken,
+  requireAdmin,
+  logActivity('DELETE_ROOM'),
+  param('id').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const room = await Room.findByIdAndDelete(req.params.id);
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room not found'
+      });
+    }
+
+    await Device.updateMany({ room: room._id }, { $set: { room: null } });
+
+    logger.info('Room deleted', {
+      userId: req.user.id,
+      roomNumber: room.number
+    });
+
+    res.json({
+      success: true,
+      message: 'Room deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error deleting room:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete room'
+    });
+  }
+});
+
+module.exports = router;
@@ -7,9 +7,33 @@ const User = require('../models/User');
 const { authenticateToken, requireSuperAdmin, requireAdmin, logActivity } = require('../middleware/auth');
 const logger = require('../utils/logger');
 const { transformDoc, transformDocs } = require('../utils/mongoTransform');
+const ConfigWatcher = require('../services/configWatcher');
+const GuestAutomation = require('../services/guestAutomation');
+const { DEFAULT_LOCALE, normalizeLocale } = require('../utils/messageTemplates');
+const { TEMPLATE_VARIABLES, FILTERS: TEMPLATE_FILTERS, validateTemplate } = require('../utils/templateEngine');
 
 const router = express.Router();
 
+// Settings that require the canConfigurePMS permission
+const PMS_SETTING_KEYS = [
+  'pms_base_url',
+  'pms_endpoints',
+  'pms_vendor',
+  'pms_credentials',
+  'pms_field_mappings',
+  'pms_webhook_secret',
+  'guest_screen_fields',
+  'fias_enabled',
+  'fias_host',
+  'fias_port'
+];
+
+// Emergency broadcast settings can only be changed by super admins
+const EMERGENCY_SETTING_KEYS = [
+  'emergency_alert_volume',
+  'emergency_alert_repeat_seconds'
+];
+
 // Configure multer for logo uploads
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
@@ -117,7 +141,7 @@ router.put('/', [
     const { key, value } = req.body;
     
     // Special permission checks for certain settings
-    if (key === 'pms_base_url' || key === 'pms_endpoints') {
+    if (PMS_SETTING_KEYS.includes(key)) {
       if (!req.user.hasPermission('canConfigurePMS')) {
         return res.status(403).json({
           success: false,
@@ -135,7 +159,16 @@ router.put('/', [
       }
     }
 
+    if (EMERGENCY_SETTING_KEYS.includes(key) && req.user.role !== 'super_admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only super admins can modify emergency alert settings'
+      });
+    }
+
+    const previousValue = await Settings.get(key);
     const updatedSetting = await Settings.set(key, value, req.user.id);
+    ConfigWatcher.notifyConfigChange(key, previousValue, updatedSetting.value);
 
     // Emit setting change event for real-time updates
     if (global.io) {
@@ -247,7 +280,7 @@ router.put('/:key', [
     const { value } = req.body;
     
     // Special permission checks for certain settings
-    if (key === 'pms_base_url' || key === 'pms_endpoints') {
+    if (PMS_SETTING_KEYS.includes(key)) {
       if (!req.user.hasPermission('canConfigurePMS')) {
         return res.status(403).json({
           success: false,
@@ -265,7 +298,16 @@ router.put('/:key', [
       }
     }
 
+    if (EMERGENCY_SETTING_KEYS.includes(key) && req.user.role !== 'super_admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only super admins can modify emergency alert settings'
+      });
+    }
+
+    const previousValue = await Settings.get(key);
     const updatedSetting = await Settings.set(key, value, req.user.id);
+    ConfigWatcher.notifyConfigChange(key, previousValue, updatedSetting.value);
 
     // Emit setting change event for real-time updates
     if (global.io) {
@@ -348,7 +390,7 @@ router.put('/bulk', [
     for (const { key, value } of settings) {
       try {
         // Permission checks
-        if ((key === 'pms_base_url' || key === 'pms_endpoints') && 
+        if (PMS_SETTING_KEYS.includes(key) && 
             !req.user.hasPermission('canConfigurePMS')) {
           failures.push({
             key,
@@ -365,7 +407,17 @@ router.put('/bulk', [
           continue;
         }
 
+        if (EMERGENCY_SETTING_KEYS.includes(key) && req.user.role !== 'super_admin') {
+          failures.push({
+            key,
+            error: 'Only super admins can modify emergency alert settings'
+          });
+          continue;
+        }
+
+        const previousValue = await Settings.get(key);
         const updatedSetting = await Settings.set(key, value, req.user.id);
+        ConfigWatcher.notifyConfigChange(key, previousValue, updatedSetting.value);
         results.push({
           key,
           status: 'success',
@@ -455,9 +507,11 @@ router.post('/:key/reset', [
       });
     }
 
+    const previousValue = setting.value;
     setting.resetToDefault();
     setting.updatedBy = req.user.id;
     await setting.save();
+    ConfigWatcher.notifyConfigChange(key, previousValue, setting.value);
 
     if (global.io) {
       global.io.to('admin:settings').emit('setting:reset', {
@@ -490,6 +544,88 @@ router.post('/:key/reset', [
   }
 });
 
+// Render a guest message template with sample guest data (template editor preview)
+router.post('/message-templates/preview', [
+  authenticateToken,
+  requireAdmin,
+  body('template').isString().isLength({ max: 5000 }),
+  body('locale').optional().isString().isLength({ max: 20 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const locale = normalizeLocale(req.body.locale) || DEFAULT_LOCALE;
+
+    let preview;
+    try {
+      preview = await GuestAutomation.renderPreview(req.body.template, locale);
+    } catch (templateError) {
+      return res.status(400).json({
+        success: false,
+        message: templateError.message,
+        errors: [{ message: templateError.message, position: templateError.position ?? null }]
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        locale,
+        preview,
+        ...validateTemplate(req.body.template)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error rendering message template preview:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to render template preview'
+    });
+  }
+});
+
+// Check a guest message template for syntax errors and unknown variables before it is saved
+router.post('/message-templates/validate', [
+  authenticateToken,
+  requireAdmin,
+  body('template').isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...validateTemplate(req.body.template),
+        availableVariables: TEMPLATE_VARIABLES,
+        filters: TEMPLATE_FILTERS
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error validating message template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to validate template'
+    });
+  }
+});
+
 // Get PMS polling interval (special endpoint for config watcher)
 router.get('/pms/polling-interval', [
   authenticateToken,
@@ -0,0 +1,226 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const Settings = require('../models/Settings');
+const Background = require('../models/Background');
+const BackgroundBundle = require('../models/BackgroundBundle');
+const { toAbsoluteUrl } = require('../utils/mediaUrl');
+const {
+  DEFAULT_TIMEZONE,
+  getLocalTimeParts,
+  parseTimeOfDay,
+  getSeason,
+  getTimeOfDay
+} = require('../utils/propertyTime');
+
+const DEFAULT_PLAYLIST_SETTINGS = {
+  displayDuration: 30,
+  transitionEffect: 'fade',
+  transitionDuration: 1,
+  shuffleEnabled: false
+};
+
+class BackgroundPlaylistService {
+  async getTimeZone() {
+    return Settings.get('property_timezone', DEFAULT_TIMEZONE);
+  }
+
+  // Describe the moment the playlist is resolved for, in property local time
+  async getContext(at = new Date()) {
+    const timeZone = await this.getTimeZone();
+    const local = getLocalTimeParts(at, timeZone);
+
+    return {
+      timeZone,
+      localDate: local.date,
+      localTime: local.time,
+      dayOfWeek: local.dayOfWeek,
+      minutesOfDay: local.minutesOfDay,
+      season: getSeason(local.month),
+      timeOfDay: getTimeOfDay(local.hours)
+    };
+  }
+
+  // Schedules without times cover the whole day; an end before the start wraps past midnight
+  isScheduleActive(schedule, context) {
+    if (!schedule || !schedule.enabled) {
+      return true;
+    }
+
+    const days = schedule.daysOfWeek || [];
+    if (days.length > 0 && !days.includes(context.dayOfWeek)) {
+      return false;
+    }
+
+    const start = parseTimeOfDay(schedule.startTime);
+    const end = parseTimeOfDay(schedule.endTime);
+    if (start === null || end === null || start === end) {
+      return true;
+    }
+
+    const now = context.minutesOfDay;
+    return start < end
+      ? now >= start && now < end
+      : now >= start || now < end;
+  }
+
+  // Candidate bundles: the one set in the device configuration plus bundles listing the device
+  async getCandidateBundles(device) {
+    const configuredId = device.configuration?.backgroundBundle || null;
+
+    const bundles = await BackgroundBundle.find({
+      isActive: true,
+      $or: [
+        ...(configuredId ? [{ _id: configuredId }] : []),
+        { assignedDevices: device._id }
+      ]
+    }).sort({ updatedAt: -1 });
+
+    return { bundles, configuredId: configuredId ? configuredId.toString() : null };
+  }
+
+  // A scheduled bundle whose window is open wins over the always-on default bundle
+  selectBundle(bundles, configuredId, context) {
+    const active = bundles.filter(bundle => this.isScheduleActive(bundle.settings?.schedule, context));
+    const scheduled = active.filter(bundle => bundle.settings?.schedule?.enabled);
+    if (scheduled.length > 0) {
+      return scheduled.find(bundle => bundle.id === configuredId) || scheduled[0];
+    }
+
+    return active.find(bundle => bundle.id === configuredId) || active[0] || null;
+  }
+
+  matchesMetadata(background, context) {
+    const season = background.metadata?.season || 'all';
+    const timeOfDay = background.metadata?.timeOfDay || 'all';
+
+    return (season === 'all' || season === context.season)
+      && (timeOfDay === 'all' || timeOfDay === context.timeOfDay);
+  }
+
+  // Stable order for a device and local day, so repeated pulls don't change the config revision
+  shuffle(items, seed) {
+    const key = item => crypto.createHash('sha1').update(`${seed}:${item.id}`).digest('hex');
+    return items
+      .map(item => ({ item, key: key(item) }))
+      .sort((a, b) => a.key.localeCompare(b.key))
+      .map(({ item }) => item);
+  }
+
+  async ensureChecksum(background) {
+    if (background.checksum) {
+      return background.checksum;
+    }
+
+    try {
+      await background.computeChecksum();
+      await background.save();
+    } catch (error) {
+      logger.warn(`Unable to compute checksum for background ${background.id}: ${error.message}`);
+    }
+
+    return background.checksum;
+  }
+
+  async formatItem(background, settings) {
+    const checksum = await this.ensureChecksum(background);
+    const duration = background.type === 'video' && background.duration
+      ? background.duration
+      : settings.displayDuration;
+
+    return {
+      id: background.id,
+      name: background.name,
+      type: background.type,
+      url: toAbsoluteUrl(background.path || `/uploads/backgrounds/${background.filename}`),
+      mimeType: background.mimeType,
+      size: background.size,
+      dimensions: background.dimensions?.width
+        ? { width: background.dimensions.width, height: background.dimensions.height }
+        : null,
+      checksum: checksum ? { algorithm: 'sha256', value: checksum } : null,
+      duration
+    };
+  }
+
+  /**
+   * Resolve the background playlist a device should show at a given time.
+   * The result contains no timestamps so it can be embedded in the versioned config.
+   */
+  async resolvePlaylist(device, at = new Date(), context = null) {
+    context = context || await this.getContext(at);
+
+    const { bundles, configuredId } = await this.getCandidateBundles(device);
+    const bundle = this.selectBundle(bundles, configuredId, context);
+
+    if (!bundle) {
+      return {
+        bundleId: null,
+        bundleName: null,
+        settings: { ...DEFAULT_PLAYLIST_SETTINGS },
+        backgrounds: [],
+        totalDuration: 0
+      };
+    }
+
+    const settings = {
+      displayDuration: bundle.settings?.displayDuration || DEFAULT_PLAYLIST_SETTINGS.displayDuration,
+      transitionEffect: bundle.settings?.transitionEffect || DEFAULT_PLAYLIST_SETTINGS.transitionEffect,
+      transitionDuration: bundle.settings?.transitionDuration || DEFAULT_PLAYLIST_SETTINGS.transitionDuration,
+      shuffleEnabled: !!bundle.settings?.shuffleEnabled
+    };
+
+    // Keep the bundle order as curated by admins
+    const found = await Background.find({ _id: { $in: bundle.backgrounds }, isActive: true });
+    const byId = new Map(found.map(background => [background.id, background]));
+    const ordered = bundle.backgrounds
+      .map(id => byId.get(id.toString()))
+      .filter(Boolean);
+
+    // Fall back to the whole bundle rather than a blank screen when nothing matches the moment
+    const matching = ordered.filter(background => this.matchesMetadata(background, context));
+    let selected = matching.length > 0 ? matching : ordered;
+
+    if (settings.shuffleEnabled) {
+      selected = this.shuffle(selected, `${device.uuid}:${context.localDate}`);
+    }
+
+    const backgrounds = [];
+    for (const background of selected) {
+      backgrounds.push(await this.formatItem(background, settings));
+    }
+
+    return {
+      bundleId: bundle.id,
+      bundleName: bundle.name,
+      settings,
+      schedule: bundle.settings?.schedule?.enabled
+        ? {
+          daysOfWeek: bundle.settings.schedule.daysOfWeek || [],
+          startTime: bundle.settings.schedule.startTime || null,
+          endTime: bundle.settings.schedule.endTime || null
+        }
+        : null,
+      backgrounds,
+      totalDuration: backgrounds.reduce((sum, item) => sum + item.duration, 0)
+    };
+  }
+
+  // Admin preview: same resolution plus the local time it was evaluated at
+  async previewPlaylist(device, at = new Date()) {
+    const context = await this.getContext(at);
+    const playlist = await this.resolvePlaylist(device, at, context);
+
+    return {
+      ...playlist,
+      resolvedAt: at.toISOString(),
+      timeZone: context.timeZone,
+      localDate: context.localDate,
+      localTime: context.localTime,
+      dayOfWeek: context.dayOfWeek,
+      season: context.season,
+      timeOfDay: context.timeOfDay
+    };
+  }
+}
+
+module.exports = new BackgroundPlaylistService();
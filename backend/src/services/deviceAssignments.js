@@ -0,0 +1,116 @@
+const logger = require('../utils/logger');
+const TargetedAssignment = require('../models/TargetedAssignment');
+const DeviceTargets = require('./deviceTargets');
+const DeviceManager = require('./deviceManager');
+
+// App layout and background bundle assignment, shared by the admin routes and automation rules
+class DeviceAssignments {
+  async assignApps(devices, appIds, { position } = {}) {
+    for (const device of devices) {
+      device.configuration = device.configuration || {};
+      device.configuration.appLayout = appIds.map((appId, index) => ({
+        appId,
+        position: position !== undefined ? position + index : index,
+        isVisible: true
+      }));
+      await device.save();
+    }
+    return devices;
+  }
+
+  async assignBackgroundBundle(devices, bundleId) {
+    for (const device of devices) {
+      device.configuration = device.configuration || {};
+      device.configuration.backgroundBundle = bundleId;
+      await device.save();
+    }
+    return devices;
+  }
+
+  // Give devices the same app layout, background bundle and TV settings as the source device
+  async copyConfiguration(source, devices) {
+    const configuration = source.configuration?.toObject
+      ? source.configuration.toObject()
+      : (source.configuration || {});
+
+    for (const device of devices) {
+      device.configuration = device.configuration || {};
+      device.configuration.appLayout = (configuration.appLayout || []).map(entry => ({
+        appId: entry.appId,
+        position: entry.position,
+        isVisible: entry.isVisible !== false
+      }));
+      device.configuration.backgroundBundle = configuration.backgroundBundle || null;
+      if (configuration.settings) {
+        device.configuration.settings = { ...configuration.settings };
+      }
+      await device.save();
+    }
+    return devices;
+  }
+
+  // Keep an assignment made to floors, room types or groups; returns null for other targets
+  async rememberTargeted(type, target, { appIds = [], position = null, bundleId = null, createdBy = null } = {}) {
+    const inherited = DeviceTargets.getInherited(target);
+    if (!inherited) {
+      return null;
+    }
+
+    return await TargetedAssignment.create({
+      type,
+      target: inherited,
+      appIds: type === 'apps' ? appIds : [],
+      position: type === 'apps' && position !== undefined ? position : null,
+      bundleId: type === 'background_bundle' ? bundleId : null,
+      createdBy
+    });
+  }
+
+  // Give a device the newest app layout and bundle assigned to its floor, room type or groups
+  async applyInherited(device) {
+    const assignments = await TargetedAssignment.findNewestFirst();
+    const applied = [];
+
+    for (const type of TargetedAssignment.ASSIGNMENT_TYPES) {
+      for (const assignment of assignments.filter(entry => entry.type === type)) {
+        if (!(await DeviceTargets.includes(assignment.target, device))) {
+          continue;
+        }
+
+        if (type === 'apps') {
+          await this.assignApps([device], assignment.appIds.map(id => id.toString()), {
+            position: assignment.position !== null ? assignment.position : undefined
+          });
+        } else {
+          await this.assignBackgroundBundle([device], assignment.bundleId);
+        }
+        applied.push(assignment);
+        break;
+      }
+    }
+
+    return applied;
+  }
+
+  // Re-apply inherited assignments after devices joined a room, floor or group, and push
+  // the new configuration to the ones that changed; failures are logged, not thrown
+  async refreshInherited(devices, requestedBy = null) {
+    let updated = 0;
+
+    for (const device of devices.filter(entry => entry.status === 'approved')) {
+      try {
+        const applied = await this.applyInherited(device);
+        if (applied.length > 0) {
+          await DeviceManager.sendConfigUpdate(device.uuid, requestedBy);
+          updated++;
+        }
+      } catch (error) {
+        logger.error(`Failed to apply inherited assignments to device ${device.uuid}:`, error.message);
+      }
+    }
+
+    return updated;
+  }
+}
+
+module.exports = new DeviceAssignments();
@@ -0,0 +1,295 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const Settings = require('../models/Settings');
+const App = require('../models/App');
+const DeviceConfigRevision = require('../models/DeviceConfigRevision');
+const GuestStay = require('../models/GuestStay');
+const Guest = require('../models/Guest');
+const Folio = require('../models/Folio');
+const BackgroundPlaylist = require('./backgroundPlaylist');
+const LauncherUpdates = require('./launcherUpdates');
+const { toAbsoluteUrl } = require('../utils/mediaUrl');
+const { DEFAULT_MESSAGE_TEMPLATES, MESSAGE_TYPES, selectTemplate } = require('../utils/messageTemplates');
+
+// Guest fields shown on the TV unless the property narrows them (guest_screen_fields)
+const DEFAULT_GUEST_SCREEN_FIELDS = ['name', 'salutation', 'language', 'stayDates'];
+
+const DEFAULT_DEVICE_SETTINGS = {
+  volume: 50,
+  brightness: 75,
+  sleepTimeout: 30,
+  autoStart: true
+};
+
+class DeviceConfigService {
+  constructor() {
+    this.revisionsToKeep = 10;
+  }
+
+  // Build the launcher configuration payload (without revision metadata)
+  async buildConfig(device) {
+    // Get panel settings
+    const [panelName, messageTemplates, apps, backgroundBundle, guestInfo, launcherUpdate] = await Promise.all([
+      Settings.get('panel_name', 'Hotel IPTV Panel'),
+      this.resolveMessageTemplates(device),
+      this.resolveApps(device),
+      BackgroundPlaylist.resolvePlaylist(device),
+      this.resolveGuest(device),
+      LauncherUpdates.getOffer(device)
+    ]);
+
+    const configuration = this.getConfiguration(device);
+
+    return {
+      device: {
+        id: device.id,
+        uuid: device.uuid,
+        status: device.status
+      },
+      room: device.roomNumber || null,
+      guest: guestInfo,
+      panel: {
+        name: panelName,
+        version: '1.0.0'
+      },
+      apps,
+      backgroundBundle,
+      settings: configuration.settings || DEFAULT_DEVICE_SETTINGS,
+      messageTemplates,
+      launcherUpdate
+    };
+  }
+
+  // Welcome and farewell templates in the language of the guest in the room
+  async resolveMessageTemplates(device) {
+    const [templates, stay] = await Promise.all([
+      Settings.get('guest_message_templates', DEFAULT_MESSAGE_TEMPLATES),
+      device.roomNumber ? GuestStay.findInHouseByRoom(device.roomNumber) : null
+    ]);
+
+    const language = stay?.guest?.language || null;
+    const resolved = { locales: {} };
+
+    for (const type of MESSAGE_TYPES) {
+      const { locale, template } = selectTemplate(templates, type, language);
+      resolved[type] = template;
+      resolved.locales[type] = locale;
+    }
+
+    return resolved;
+  }
+
+  getConfiguration(device) {
+    return device.configuration?.toObject
+      ? device.configuration.toObject()
+      : (device.configuration || {});
+  }
+
+  // Guest currently in the device's room, from the stay tracker and the PMS cache,
+  // reduced to the fields the property allows on screen
+  async resolveGuest(device) {
+    if (!device.roomNumber) {
+      return null;
+    }
+
+    const stay = await GuestStay.findInHouseByRoom(device.roomNumber);
+    if (!stay) {
+      return null;
+    }
+
+    const [profile, folio, fields] = await Promise.all([
+      stay.guest?.id ? Guest.findOne({ pmsId: stay.guest.id }) : null,
+      Folio.findOne({ reservationId: stay.reservationId, status: 'open' }),
+      this.getGuestScreenFields()
+    ]);
+
+    const pick = (field, value) => (fields.has(field) && value !== undefined ? value : null);
+
+    const firstName = stay.guest?.firstName || profile?.firstName || null;
+    const lastName = stay.guest?.lastName || profile?.lastName || null;
+    const language = profile?.language || stay.guest?.language || null;
+
+    return {
+      name: pick('name', stay.guest?.name || profile?.name || [firstName, lastName].filter(Boolean).join(' ') || null),
+      firstName: pick('name', firstName),
+      lastName: pick('name', lastName),
+      salutation: pick('salutation', stay.guest?.salutation || profile?.salutation || null),
+      language: pick('language', language ? language.toLowerCase() : null),
+      checkIn: pick('stayDates', stay.arrivalDate),
+      checkOut: pick('stayDates', stay.departureDate),
+      loyaltyTier: pick('loyaltyTier', stay.guest?.loyaltyTier || profile?.loyaltyTier || null),
+      bill: fields.has('balance') && folio
+        ? { total: folio.balance, currency: folio.currency }
+        : null
+    };
+  }
+
+  async getGuestScreenFields() {
+    const allowed = await Settings.get('guest_screen_fields', DEFAULT_GUEST_SCREEN_FIELDS);
+    return new Set(Array.isArray(allowed) ? allowed : DEFAULT_GUEST_SCREEN_FIELDS);
+  }
+
+  // Join the device app layout with the App catalog, dropping hidden, inactive and deleted apps
+  async resolveApps(device) {
+    const layout = (this.getConfiguration(device).appLayout || [])
+      .filter(entry => entry.appId && entry.isVisible !== false);
+
+    if (layout.length === 0) {
+      return [];
+    }
+
+    const appIds = layout.map(entry => entry.appId._id || entry.appId);
+    const catalog = await App.find({ _id: { $in: appIds }, isActive: true });
+    const appsById = new Map(catalog.map(app => [app._id.toString(), app]));
+
+    return layout
+      .map((entry, index) => ({
+        entry,
+        app: appsById.get((entry.appId._id || entry.appId).toString()),
+        position: typeof entry.position === 'number' ? entry.position : index
+      }))
+      .filter(({ app }) => app)
+      .sort((a, b) => a.position - b.position)
+      .map(({ app }, index) => ({
+        id: app._id.toString(),
+        name: app.name,
+        label: app.name,
+        icon: toAbsoluteUrl(app.icon),
+        packageName: app.packageName || null,
+        url: app.url,
+        category: app.category,
+        version: app.version,
+        position: index,
+        isVisible: true
+      }));
+  }
+
+  hashConfig(config) {
+    return crypto.createHash('sha1').update(JSON.stringify(config)).digest('hex');
+  }
+
+  // Build the current payload and bump the device revision when its content changed
+  async resolveRevision(device) {
+    const config = await this.buildConfig(device);
+    const hash = this.hashConfig(config);
+    const state = device.configState || {};
+
+    if (state.hash === hash && state.revision > 0) {
+      return { revision: state.revision, updatedAt: state.updatedAt, config };
+    }
+
+    let revision = (state.revision || 0) + 1;
+    let updatedAt = new Date();
+
+    // A concurrent poll or admin push may claim the same revision number first
+    for (;;) {
+      try {
+        await DeviceConfigRevision.create({
+          device: device._id,
+          revision,
+          hash,
+          config
+        });
+        break;
+      } catch (error) {
+        if (error.code !== 11000) {
+          throw error;
+        }
+
+        const existing = await DeviceConfigRevision.findRevision(device._id, revision);
+        if (existing && existing.hash === hash) {
+          device.configState = { revision, hash, updatedAt: existing.createdAt };
+          device.unmarkModified('configState');
+          return { revision, updatedAt: existing.createdAt, config };
+        }
+
+        revision += 1;
+        updatedAt = new Date();
+      }
+    }
+
+    // Never move the stored state back behind a revision another request already recorded
+    await device.constructor.updateOne(
+      { _id: device._id, 'configState.revision': { $lt: revision } },
+      { $set: { configState: { revision, hash, updatedAt } } }
+    );
+    // Kept out of later document saves, which could write back an older revision
+    device.configState = { revision, hash, updatedAt };
+    device.unmarkModified('configState');
+
+    DeviceConfigRevision.pruneForDevice(device._id, this.revisionsToKeep).catch(error => {
+      logger.error(`Failed to prune config revisions for device ${device.uuid}:`, error.message);
+    });
+
+    logger.logDeviceEvent('CONFIG_REVISION_CREATED', device.id, {
+      uuid: device.uuid,
+      revision
+    });
+
+    return { revision, updatedAt, config };
+  }
+
+  getETag(device, revision) {
+    return `"${device.uuid}-r${revision}"`;
+  }
+
+  matchesETag(ifNoneMatch, etag) {
+    if (!ifNoneMatch) {
+      return false;
+    }
+
+    return ifNoneMatch
+      .split(',')
+      .map(tag => tag.trim().replace(/^W\//, ''))
+      .some(tag => tag === '*' || tag === etag);
+  }
+
+  // Top-level diff between two config payloads
+  diffConfig(base, current) {
+    const changed = {};
+    const removed = [];
+
+    for (const [key, value] of Object.entries(current)) {
+      if (JSON.stringify(base[key]) !== JSON.stringify(value)) {
+        changed[key] = value;
+      }
+    }
+
+    for (const key of Object.keys(base)) {
+      if (!(key in current)) {
+        removed.push(key);
+      }
+    }
+
+    return { changed, removed };
+  }
+
+  async getDelta(device, baseRevision, current) {
+    const base = await DeviceConfigRevision.findRevision(device._id, baseRevision);
+    if (!base) {
+      return null;
+    }
+
+    return this.diffConfig(base.config, current.config);
+  }
+
+  // Count a config push only the first time a device receives a new revision
+  async recordDelivery(device, revision) {
+    const stats = device.statistics || {};
+    if ((stats.lastDeliveredRevision || 0) >= revision) {
+      return false;
+    }
+
+    // Targeted update so the device document is never saved with a stale configState
+    const result = await device.constructor.updateOne(
+      { _id: device._id, 'statistics.lastDeliveredRevision': { $not: { $gte: revision } } },
+      {
+        $set: { 'statistics.lastDeliveredRevision': revision, 'statistics.lastConfigPush': new Date() },
+        $inc: { 'statistics.configPushCount': 1 }
+      }
+    );
+    return result.modifiedCount > 0;
+  }
+}
+
+module.exports = new DeviceConfigService();
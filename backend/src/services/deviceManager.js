@@ -1,10 +1,26 @@
 const logger = require('../utils/logger');
 const Device = require('../models/Device');
+const DeviceCommand = require('../models/DeviceCommand');
+const DeviceOutage = require('../models/DeviceOutage');
+const Settings = require('../models/Settings');
+const Log = require('../models/Log');
+
+// Emergency alerts and their all-clear stay queued for a day for devices that are offline
+const EMERGENCY_TTL_MINUTES = 24 * 60;
+const EMERGENCY_PRIORITY = 10;
+
+// A TV that missed heartbeats for this share of max_device_heartbeat_minutes is idle;
+// after the full setting it is offline
+const IDLE_FRACTION = 0.5;
 
 class DeviceManager {
   constructor() {
     this.initialized = false;
     this.connectedDevices = new Map();
+    // /devices namespaces of every Socket.IO server devices can connect to
+    this.namespaces = [];
+    this.sweepTimer = null;
+    this.sweepInterval = 60 * 1000; // 1 minute
   }
 
   async initialize() {
@@ -13,6 +29,8 @@ class DeviceManager {
       
       // Load existing devices from database
       await this.loadExistingDevices();
+
+      this.startCleanupTask();
       
       this.initialized = true;
       logger.info('Device Manager Service initialized successfully');
@@ -31,18 +49,145 @@ class DeviceManager {
     }
   }
 
+  async handleConnection(socket) {
+    try {
+      const { device } = socket;
+      socket.join(this.getDeviceRoom(device.uuid));
+
+      const previousStatus = device.connectionStatus;
+      device.updateHeartbeat();
+      await device.save();
+      await this.recordConnectionChange(device, previousStatus, 'connected');
+
+      this.connectedDevices.set(device.uuid, {
+        socket,
+        device,
+        lastSeen: new Date()
+      });
+
+      logger.logDeviceEvent('SOCKET_CONNECTED', device.id, {
+        uuid: device.uuid,
+        roomNumber: device.roomNumber,
+        socketId: socket.id
+      });
+
+      // Flush commands queued while the device was offline
+      if (device.status === 'approved') {
+        await this.deliverPendingCommands(device);
+      }
+    } catch (error) {
+      logger.error('Device connection handling failed:', error);
+    }
+  }
+
+  handleDisconnect(socket) {
+    const deviceInfo = this.connectedDevices.get(socket.deviceUuid);
+    if (deviceInfo && deviceInfo.socket.id === socket.id) {
+      this.connectedDevices.delete(socket.deviceUuid);
+    }
+
+    logger.logDeviceEvent('SOCKET_DISCONNECTED', socket.device?.id, {
+      uuid: socket.deviceUuid,
+      socketId: socket.id
+    });
+  }
+
+  getDeviceRoom(uuid) {
+    return `device:${uuid}`;
+  }
+
+  registerNamespace(namespace) {
+    if (!this.namespaces.includes(namespace)) {
+      this.namespaces.push(namespace);
+    }
+  }
+
+  // Emit an event to every socket of a single device, on whichever server it is connected to.
+  // Returns whether any socket was there to receive it.
+  emitToDevice(uuid, event, data) {
+    const room = this.getDeviceRoom(uuid);
+    let sent = false;
+
+    for (const namespace of this.namespaces) {
+      if (namespace.adapter.rooms.get(room)?.size > 0) {
+        namespace.to(room).emit(event, data);
+        sent = true;
+      }
+    }
+
+    return sent;
+  }
+
+  // Push a state notification (APPROVED, REJECTED, DELETED, ...) to a device
+  notifyDevice(uuid, type, data = {}) {
+    return this.emitToDevice(uuid, type, {
+      type,
+      ...data,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  disconnectDevice(uuid) {
+    for (const namespace of this.namespaces) {
+      namespace.in(this.getDeviceRoom(uuid)).disconnectSockets(true);
+    }
+    this.connectedDevices.delete(uuid);
+  }
+
+  // Routine rotation hands the new token to the device through its current one. Re-enrollment
+  // (used when tokens may have leaked) only releases it via /register to the caller holding the
+  // device's registration key.
+  async rotateCredentials(device, { reenroll = false } = {}) {
+    const { credentials } = device;
+    const canRefresh = device.hasCredentials() && !credentials.revokedAt && credentials.pendingDelivery !== 'register';
+    const delivery = reenroll || !canRefresh ? 'register' : 'refresh';
+    const token = device.issueCredentials(delivery);
+    await device.save();
+
+    if (delivery === 'refresh') {
+      this.notifyDevice(device.uuid, 'CREDENTIALS_ROTATED', { deviceToken: token });
+    } else if (reenroll) {
+      this.notifyDevice(device.uuid, 'CREDENTIALS_ROTATED', { reregister: true });
+      this.disconnectDevice(device.uuid);
+    }
+
+    logger.logDeviceEvent('CREDENTIALS_ROTATED', device.id, {
+      uuid: device.uuid,
+      tokenVersion: device.credentials.tokenVersion,
+      delivery
+    });
+
+    return { tokenVersion: device.credentials.tokenVersion, delivery };
+  }
+
+  async revokeCredentials(device, userId) {
+    device.revokeCredentials(userId);
+    // Revoked devices must be approved again before they can fetch configuration
+    device.status = 'pending';
+    await device.save();
+
+    this.notifyDevice(device.uuid, 'CREDENTIALS_REVOKED');
+    this.disconnectDevice(device.uuid);
+
+    logger.logDeviceEvent('CREDENTIALS_REVOKED', device.id, {
+      uuid: device.uuid,
+      userId
+    });
+  }
+
   async handleRegistration(socket, data) {
     try {
       logger.info('Device registration request received', { uuid: data.uuid });
 
       // Check if device already exists
-      let device = await Device.findOne({ uuid: data.uuid });
+      let device = await Device.findOne({ uuid: socket.deviceUuid || data.uuid });
       
       if (device) {
         // Device exists, update connection status
-        device.connectionStatus = 'online';
-        device.lastHeartbeat = new Date();
+        const previousStatus = device.connectionStatus;
+        device.updateHeartbeat();
         await device.save();
+        await this.recordConnectionChange(device, previousStatus, 'heartbeat');
 
         socket.emit('registration-response', {
           success: true,
@@ -83,7 +228,7 @@ class DeviceManager {
 
         // Notify admins of new device registration
         if (global.io) {
-          global.io.to('admin-room').emit('device:new-registration', {
+          global.io.to('admin:devices').emit('device:new-registration', {
             uuid: data.uuid,
             macAddress: data.macAddress,
             deviceInfo: data.deviceInfo
@@ -93,7 +238,7 @@ class DeviceManager {
         logger.info('New device registered', { uuid: data.uuid });
       }
 
-      this.connectedDevices.set(data.uuid, {
+      this.connectedDevices.set(device.uuid, {
         socket,
         device,
         lastSeen: new Date()
@@ -121,9 +266,10 @@ class DeviceManager {
       // Update device in database
       const device = await Device.findOne({ uuid: deviceUuid });
       if (device) {
-        device.lastHeartbeat = new Date();
-        device.connectionStatus = 'online';
+        const previousStatus = device.connectionStatus;
+        device.updateHeartbeat();
         await device.save();
+        await this.recordConnectionChange(device, previousStatus, 'heartbeat');
       }
 
       // Update in-memory tracking
@@ -149,94 +295,172 @@ class DeviceManager {
     }
   }
 
-  async sendRebootCommand(deviceUuid, requestedBy) {
+  async queueCommand(device, type, payload = {}, options = {}) {
+    const command = await DeviceCommand.enqueue(device, type, payload, options);
+
+    logger.logDeviceEvent('COMMAND_QUEUED', device.id, {
+      uuid: device.uuid,
+      roomNumber: device.roomNumber,
+      commandId: command.id,
+      commandType: type,
+      priority: command.priority
+    });
+
+    const delivered = await this.dispatchCommand(command);
+
+    return {
+      success: true,
+      queued: !delivered,
+      delivered,
+      commandId: command.id
+    };
+  }
+
+  async dispatchCommand(command) {
     try {
-      const deviceInfo = this.connectedDevices.get(deviceUuid);
-      if (deviceInfo && deviceInfo.socket) {
-        deviceInfo.socket.emit('REBOOT', {
-          requestedBy,
-          timestamp: new Date().toISOString()
-        });
-        
-        logger.info(`Reboot command sent to device ${deviceUuid} by ${requestedBy}`);
-        return { success: true };
-      } else {
-        logger.warn(`Device ${deviceUuid} not connected, cannot send reboot command`);
-        return { success: false, message: 'Device not connected' };
+      if (!this.emitToDevice(command.deviceUuid, command.type, command.toDevicePayload())) {
+        return false;
       }
+      command.markDelivered('socket');
+      await command.save();
+      return true;
     } catch (error) {
-      logger.error('Failed to send reboot command:', error);
-      return { success: false, message: error.message };
+      logger.error(`Failed to dispatch command ${command.id} to device ${command.deviceUuid}:`, error.message);
+      return false;
     }
   }
 
-  async sendConfigUpdate(deviceUuid, requestedBy) {
+  async deliverPendingCommands(device) {
     try {
-      const deviceInfo = this.connectedDevices.get(deviceUuid);
-      if (deviceInfo && deviceInfo.socket) {
-        deviceInfo.socket.emit('CONFIG_UPDATE', {
-          requestedBy,
-          timestamp: new Date().toISOString()
-        });
-        
-        logger.info(`Config update sent to device ${deviceUuid} by ${requestedBy}`);
-        return { success: true };
-      } else {
-        logger.warn(`Device ${deviceUuid} not connected, cannot send config update`);
-        return { success: false, message: 'Device not connected' };
+      const commands = await DeviceCommand.getPendingForDevice(device._id);
+      for (const command of commands) {
+        await this.dispatchCommand(command);
       }
+      return commands.length;
     } catch (error) {
-      logger.error('Failed to send config update:', error);
-      return { success: false, message: error.message };
+      logger.error(`Failed to deliver pending commands to device ${device.uuid}:`, error.message);
+      return 0;
     }
   }
 
-  async sendWelcomeMessage(deviceUuid, message) {
-    try {
-      const deviceInfo = this.connectedDevices.get(deviceUuid);
-      if (deviceInfo && deviceInfo.socket) {
-        deviceInfo.socket.emit('MESSAGE', {
-          type: 'MESSAGE',
-          subtype: 'WELCOME',
-          messageId: `welcome-${Date.now()}`,
-          content: message,
-          timestamp: new Date().toISOString(),
-          autoHide: 10000
-        });
-        
-        logger.info(`Welcome message sent to device ${deviceUuid}`);
-        return { success: true };
-      } else {
-        logger.warn(`Device ${deviceUuid} not connected, cannot send welcome message`);
-        return { success: false, message: 'Device not connected' };
-      }
-    } catch (error) {
-      logger.error('Failed to send welcome message:', error);
-      return { success: false, message: error.message };
+  async acknowledgeCommand(device, commandId, status, details = {}) {
+    const command = await DeviceCommand.findOne({ _id: commandId, device: device._id });
+    if (!command) {
+      return null;
+    }
+
+    if (status === 'acked') {
+      command.markAcked(details.result || null);
+    } else {
+      command.markFailed(details.error);
     }
+    await command.save();
+
+    logger.logDeviceEvent('COMMAND_ACK', device.id, {
+      uuid: device.uuid,
+      roomNumber: device.roomNumber,
+      commandId: command.id,
+      commandType: command.type,
+      status
+    });
+
+    if (global.io) {
+      global.io.to('admin:devices').emit('device:command-updated', {
+        deviceId: device.id,
+        uuid: device.uuid,
+        commandId: command.id,
+        type: command.type,
+        status: command.status,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    return command;
+  }
+
+  async sendRebootCommand(deviceUuid, requestedBy) {
+    return this.sendCommandByUuid(deviceUuid, 'REBOOT', { requestedBy });
+  }
+
+  async sendConfigUpdate(deviceUuid, requestedBy) {
+    return this.sendCommandByUuid(deviceUuid, 'CONFIG_UPDATE', { requestedBy });
+  }
+
+  async sendWelcomeMessage(deviceUuid, message, locale = null) {
+    return this.sendCommandByUuid(deviceUuid, 'MESSAGE', {
+      type: 'MESSAGE',
+      subtype: 'WELCOME',
+      messageId: `welcome-${Date.now()}`,
+      content: message,
+      locale,
+      autoHide: 10000
+    });
+  }
+
+  async sendFarewellMessage(deviceUuid, message, locale = null) {
+    return this.sendCommandByUuid(deviceUuid, 'MESSAGE', {
+      type: 'MESSAGE',
+      subtype: 'FAREWELL',
+      messageId: `farewell-${Date.now()}`,
+      content: message,
+      locale,
+      autoHide: 15000
+    });
+  }
+
+  // Emergency alerts ride the MESSAGE path at top priority so they jump any queued commands
+  async sendEmergencyAlert(device, alert) {
+    return this.queueCommand(device, 'MESSAGE', {
+      type: 'MESSAGE',
+      subtype: 'EMERGENCY',
+      messageId: alert.id,
+      alertType: alert.alertType,
+      title: alert.title,
+      content: alert.body,
+      fullScreen: true,
+      dismissible: false,
+      volume: alert.volume,
+      repeatInterval: alert.repeatIntervalSeconds * 1000,
+      autoHide: 0
+    }, {
+      priority: EMERGENCY_PRIORITY,
+      ttlMinutes: EMERGENCY_TTL_MINUTES,
+      requestedBy: alert.startedBy,
+      reason: `Emergency alert ${alert.id}`
+    });
+  }
+
+  async sendEmergencyClear(device, alert) {
+    return this.queueCommand(device, 'MESSAGE', {
+      type: 'MESSAGE',
+      subtype: 'EMERGENCY_CLEAR',
+      messageId: alert.id
+    }, {
+      priority: EMERGENCY_PRIORITY,
+      ttlMinutes: EMERGENCY_TTL_MINUTES,
+      requestedBy: alert.cancelledBy,
+      reason: `Emergency alert ${alert.id} cancelled`
+    });
   }
 
-  async sendFarewellMessage(deviceUuid, message) {
+  // Re-emit a command to a connected device without queueing or recording another delivery
+  repeatCommand(command) {
+    return this.emitToDevice(command.deviceUuid, command.type, command.toDevicePayload());
+  }
+
+  async sendCommandByUuid(deviceUuid, type, payload = {}, options = {}) {
     try {
-      const deviceInfo = this.connectedDevices.get(deviceUuid);
-      if (deviceInfo && deviceInfo.socket) {
-        deviceInfo.socket.emit('MESSAGE', {
-          type: 'MESSAGE',
-          subtype: 'FAREWELL',
-          messageId: `farewell-${Date.now()}`,
-          content: message,
-          timestamp: new Date().toISOString(),
-          autoHide: 15000
-        });
-        
-        logger.info(`Farewell message sent to device ${deviceUuid}`);
-        return { success: true };
-      } else {
-        logger.warn(`Device ${deviceUuid} not connected, cannot send farewell message`);
-        return { success: false, message: 'Device not connected' };
+      const device = await Device.findByUUID(deviceUuid);
+      if (!device) {
+        logger.warn(`Device ${deviceUuid} not found, cannot send ${type} command`);
+        return { success: false, message: 'Device not found' };
       }
+
+      const result = await this.queueCommand(device, type, payload, options);
+      logger.info(`${type} command ${result.delivered ? 'sent' : 'queued'} for device ${deviceUuid}`);
+      return result;
     } catch (error) {
-      logger.error('Failed to send farewell message:', error);
+      logger.error(`Failed to send ${type} command:`, error);
       return { success: false, message: error.message };
     }
   }
@@ -257,19 +481,176 @@ class DeviceManager {
     };
   }
 
-  // Cleanup disconnected devices periodically
+  // Sweep connection states and stale commands periodically
   startCleanupTask() {
-    setInterval(() => {
-      const now = new Date();
-      const timeout = 5 * 60 * 1000; // 5 minutes
-
-      for (const [uuid, deviceInfo] of this.connectedDevices.entries()) {
-        if (now - deviceInfo.lastSeen > timeout) {
-          this.connectedDevices.delete(uuid);
-          logger.info(`Cleaned up disconnected device: ${uuid}`);
+    if (this.sweepTimer) {
+      return;
+    }
+
+    this.sweepTimer = setInterval(async () => {
+      try {
+        await this.sweepConnections();
+      } catch (error) {
+        logger.error('Device connection sweep failed:', error.message);
+      }
+
+      DeviceCommand.expireStale().catch(error => {
+        logger.error('Failed to expire stale device commands:', error.message);
+      });
+    }, this.sweepInterval);
+  }
+
+  stop() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+
+  // Move TVs that stopped sending heartbeats to idle, then offline
+  async sweepConnections(now = new Date()) {
+    const minutes = await Settings.get('max_device_heartbeat_minutes', 5);
+    const offlineCutoff = new Date(now.getTime() - minutes * 60 * 1000);
+    const idleCutoff = new Date(now.getTime() - minutes * IDLE_FRACTION * 60 * 1000);
+
+    for (const [uuid, deviceInfo] of this.connectedDevices.entries()) {
+      if (deviceInfo.lastSeen < offlineCutoff) {
+        this.connectedDevices.delete(uuid);
+        logger.info(`Cleaned up disconnected device: ${uuid}`);
+      }
+    }
+
+    const devices = await Device.find({
+      connectionStatus: { $in: ['online', 'idle'] },
+      $or: [{ lastHeartbeat: { $lt: idleCutoff } }, { lastHeartbeat: null }]
+    });
+
+    const transitions = [];
+    for (const device of devices) {
+      const previousStatus = device.connectionStatus;
+      if (!device.lastHeartbeat || device.lastHeartbeat < offlineCutoff) {
+        device.setOffline();
+      } else if (previousStatus === 'online') {
+        device.setIdle();
+      } else {
+        continue;
+      }
+
+      await device.save();
+      await this.recordConnectionChange(device, previousStatus, 'heartbeat_timeout');
+      transitions.push({ uuid: device.uuid, from: previousStatus, to: device.connectionStatus });
+    }
+
+    return transitions;
+  }
+
+  // Open or close the device's outage, record the transition and tell admins.
+  // Call after saving a device whose connectionStatus may have changed.
+  async recordConnectionChange(device, previousStatus, reason) {
+    const status = device.connectionStatus;
+    if (!previousStatus || previousStatus === status) {
+      return;
+    }
+
+    const now = new Date();
+    let outage = null;
+    try {
+      if (status === 'offline') {
+        // The TV was last heard from at its final heartbeat
+        outage = await DeviceOutage.create({
+          device: device._id,
+          deviceUuid: device.uuid,
+          roomNumber: device.roomNumber || null,
+          startedAt: device.lastHeartbeat || now
+        });
+      } else if (previousStatus === 'offline') {
+        outage = await DeviceOutage.findOpen(device._id);
+        if (outage) {
+          outage.end(now);
+          await outage.save();
         }
       }
-    }, 60 * 1000); // Run every minute
+    } catch (error) {
+      logger.error(`Failed to track outage of device ${device.uuid}:`, error.message);
+    }
+
+    const details = {
+      uuid: device.uuid,
+      roomNumber: device.roomNumber,
+      from: previousStatus,
+      to: status,
+      reason,
+      lastHeartbeat: device.lastHeartbeat,
+      ...(outage && outage.endedAt && { offlineSeconds: outage.durationSeconds })
+    };
+
+    logger.logDeviceEvent('CONNECTION_STATUS_CHANGED', device.id, details);
+
+    try {
+      await Log.create({
+        type: 'DEVICE_EVENT',
+        level: status === 'offline' ? 'warn' : 'info',
+        message: `Device ${device.uuid}${device.roomNumber ? ` in room ${device.roomNumber}` : ''} went ${status}` +
+          (details.offlineSeconds !== undefined ? ` after ${Math.round(details.offlineSeconds / 60)} min offline` : ''),
+        event: 'CONNECTION_STATUS_CHANGED',
+        deviceId: device._id,
+        roomNumber: device.roomNumber || null,
+        success: status !== 'offline',
+        metadata: details
+      });
+    } catch (error) {
+      logger.error(`Failed to record connection change of device ${device.uuid}:`, error.message);
+    }
+
+    if (global.io) {
+      global.io.to('admin:devices').emit('device:connection-status', {
+        deviceId: device.id,
+        ...details,
+        timestamp: now.toISOString()
+      });
+    }
+  }
+
+  // Share of [from, to] each approved TV was reachable, grouped by room
+  async getRoomAvailability({ from, to, roomNumber = null }) {
+    const filter = { status: 'approved', roomNumber: roomNumber || { $ne: null } };
+    const devices = await Device.find(filter).select('uuid roomNumber location connectionStatus connectionChangedAt');
+    const outages = await DeviceOutage.findOverlapping(devices.map(device => device._id), from, to);
+
+    const outagesByDevice = new Map();
+    for (const outage of outages) {
+      const key = outage.device.toString();
+      outagesByDevice.set(key, [...(outagesByDevice.get(key) || []), outage]);
+    }
+
+    const windowMs = Math.max(1, to - from);
+    const rooms = new Map();
+    for (const device of devices) {
+      const deviceOutages = outagesByDevice.get(device.id) || [];
+      const offlineMs = Math.min(windowMs, deviceOutages.reduce((sum, outage) => sum + outage.getOverlapMs(from, to), 0));
+
+      const room = rooms.get(device.roomNumber) || { roomNumber: device.roomNumber, devices: [] };
+      room.devices.push({
+        deviceId: device.id,
+        uuid: device.uuid,
+        location: device.location,
+        connectionStatus: device.connectionStatus,
+        connectionChangedAt: device.connectionChangedAt,
+        outages: deviceOutages.length,
+        offlineSeconds: Math.round(offlineMs / 1000),
+        availability: Math.round((1 - offlineMs / windowMs) * 10000) / 100
+      });
+      rooms.set(device.roomNumber, room);
+    }
+
+    return Array.from(rooms.values())
+      .map(room => ({
+        ...room,
+        offlineNow: room.devices.filter(device => device.connectionStatus === 'offline').length,
+        offlineSeconds: room.devices.reduce((sum, device) => sum + device.offlineSeconds, 0),
+        availability: Math.round(room.devices.reduce((sum, device) => sum + device.availability, 0) / room.devices.length * 100) / 100
+      }))
+      .sort((a, b) => a.availability - b.availability || a.roomNumber.localeCompare(b.roomNumber));
   }
 }
 
@@ -0,0 +1,142 @@
+const logger = require('../utils/logger');
+const Device = require('../models/Device');
+const DeviceCommand = require('../models/DeviceCommand');
+const DeviceGroup = require('../models/DeviceGroup');
+const GuestDataReset = require('../models/GuestDataReset');
+const Room = require('../models/Room');
+const Log = require('../models/Log');
+const DeviceManager = require('./deviceManager');
+const DeviceAssignments = require('./deviceAssignments');
+
+// Swaps a broken TV for a newly registered one: the new device takes over the old one's
+// configuration, room, notes, group memberships and pending commands, and the old one
+// is retired (inactive, credentials revoked). Recorded as a single DEVICE_REPLACED event.
+class DeviceReplacement {
+  // Returns why the swap is not possible, or null
+  getProblem(oldDevice, newDevice) {
+    if (oldDevice.id === newDevice.id) {
+      return 'A device cannot replace itself';
+    }
+    if (oldDevice.replacement?.replacedBy) {
+      return 'Device has already been replaced';
+    }
+    if (newDevice.status === 'pending') {
+      return null;
+    }
+    if (newDevice.status !== 'approved' || newDevice.roomNumber || newDevice.replacement?.replaces) {
+      return 'The replacement must be a newly registered device (pending, or approved without a room)';
+    }
+    return null;
+  }
+
+  async replace(oldDevice, newDevice, { user, reason = null } = {}) {
+    const problem = this.getProblem(oldDevice, newDevice);
+    if (problem) {
+      const error = new Error(problem);
+      error.code = 'REPLACEMENT_NOT_ALLOWED';
+      throw error;
+    }
+
+    const now = new Date();
+    const roomNumber = oldDevice.roomNumber || null;
+
+    // Configuration, room and notes
+    await DeviceAssignments.copyConfiguration(oldDevice, [newDevice]);
+    const room = roomNumber ? await Room.ensure(roomNumber) : null;
+    newDevice.assignRoom(roomNumber, room);
+    newDevice.location = oldDevice.location || null;
+    newDevice.notes = oldDevice.notes;
+    newDevice.replacement = { replaces: oldDevice._id, replacedBy: null, replacedAt: now };
+
+    const approved = newDevice.status === 'pending';
+    if (approved) {
+      newDevice.approve(user.id);
+      // The launcher collects its token on its next /register call
+      newDevice.issueCredentials('register');
+    }
+    await newDevice.save();
+
+    // Commands the old TV never completed
+    const moved = await DeviceCommand.updateMany(
+      { device: oldDevice._id, status: { $in: ['queued', 'delivered'] }, expiresAt: { $gt: now } },
+      {
+        $set: { device: newDevice._id, deviceUuid: newDevice.uuid, status: 'queued' },
+        $push: { history: { status: 'queued', channel: 'system', details: `Moved from replaced device ${oldDevice.uuid}`, at: now } }
+      }
+    );
+    await GuestDataReset.updateMany(
+      { device: oldDevice._id, status: 'pending' },
+      { $set: { device: newDevice._id, deviceUuid: newDevice.uuid } }
+    );
+
+    // Group memberships
+    const groups = await DeviceGroup.find({ devices: oldDevice._id }).select('_id');
+    if (groups.length > 0) {
+      const groupIds = groups.map(group => group._id);
+      await DeviceGroup.updateMany({ _id: { $in: groupIds } }, { $addToSet: { devices: newDevice._id } });
+      await DeviceGroup.updateMany({ _id: { $in: groupIds } }, { $pull: { devices: oldDevice._id } });
+    }
+
+    // Retire the old TV
+    oldDevice.assignRoom(null);
+    oldDevice.status = 'inactive';
+    oldDevice.replacement = { replacedBy: newDevice._id, replaces: oldDevice.replacement?.replaces || null, replacedAt: now };
+    oldDevice.revokeCredentials(user.id);
+    await oldDevice.save();
+
+    DeviceManager.notifyDevice(oldDevice.uuid, 'DELETED', {
+      message: 'Device has been replaced'
+    });
+    DeviceManager.disconnectDevice(oldDevice.uuid);
+
+    if (approved) {
+      DeviceManager.notifyDevice(newDevice.uuid, 'APPROVED', { roomNumber });
+    }
+    await DeviceManager.deliverPendingCommands(newDevice);
+
+    const summary = {
+      oldDeviceId: oldDevice.id,
+      oldUuid: oldDevice.uuid,
+      newDeviceId: newDevice.id,
+      newUuid: newDevice.uuid,
+      roomNumber,
+      movedCommands: moved.modifiedCount || 0,
+      groups: groups.length,
+      approved
+    };
+
+    await this.record(summary, { user, reason });
+
+    if (global.io) {
+      global.io.to('admin:devices').emit('device:replaced', {
+        ...summary,
+        replacedBy: user.name,
+        timestamp: now.toISOString()
+      });
+    }
+
+    return summary;
+  }
+
+  async record(summary, { user, reason }) {
+    logger.logDeviceEvent('REPLACED', summary.oldDeviceId, { ...summary, userId: user.id });
+
+    try {
+      await Log.create({
+        type: 'SYSTEM_EVENT',
+        level: 'info',
+        message: `Device ${summary.oldUuid} replaced by ${summary.newUuid}${summary.roomNumber ? ` in room ${summary.roomNumber}` : ''}`,
+        event: 'DEVICE_REPLACED',
+        userId: user.id,
+        deviceId: summary.newDeviceId,
+        roomNumber: summary.roomNumber,
+        success: true,
+        metadata: { ...summary, reason }
+      });
+    } catch (error) {
+      logger.error(`Failed to record replacement of device ${summary.oldUuid}:`, error.message);
+    }
+  }
+}
+
+module.exports = new DeviceReplacement();
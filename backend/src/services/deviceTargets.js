@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+const Device = require('../models/Device');
+const DeviceGroup = require('../models/DeviceGroup');
+const Room = require('../models/Room');
+const { getFloorFromRoomNumber } = require('../utils/roomNumber');
+
+const TARGET_LISTS = ['deviceIds', 'roomNumbers', 'floors', 'roomTypes', 'groupIds'];
+
+// Targets that describe rooms or groups rather than fixed TVs; assignments to them
+// are kept so TVs that join later inherit the configuration
+const INHERITED_LISTS = ['floors', 'roomTypes', 'groupIds'];
+
+// Resolves message/command/assignment targets (all, devices, rooms, floors, room types,
+// groups) to approved devices when the action runs, so devices approved later are included
+class DeviceTargets {
+  normalize(target = {}) {
+    const normalized = { all: target.all === true };
+
+    TARGET_LISTS.forEach(list => {
+      const values = Array.isArray(target[list]) ? target[list] : [];
+      normalized[list] = Array.from(new Set(values
+        .map(value => String(value).trim())
+        .map(value => (list === 'roomTypes' ? value.toLowerCase() : value))
+        .filter(Boolean)));
+    });
+
+    return normalized;
+  }
+
+  // The floors, room types and groups of a target, or null when it has none
+  getInherited(target) {
+    const normalized = this.normalize(target);
+    if (INHERITED_LISTS.every(list => normalized[list].length === 0)) {
+      return null;
+    }
+
+    return INHERITED_LISTS.reduce((inherited, list) => ({ ...inherited, [list]: normalized[list] }), {});
+  }
+
+  isEmpty(target) {
+    const normalized = this.normalize(target);
+    return !normalized.all && TARGET_LISTS.every(list => normalized[list].length === 0);
+  }
+
+  // Returns the first invalid id, if any, so routes can reject bad input up front
+  findInvalidId(target) {
+    const normalized = this.normalize(target);
+    return [...normalized.deviceIds, ...normalized.groupIds]
+      .find(id => !mongoose.Types.ObjectId.isValid(id)) || null;
+  }
+
+  // Pass deviceId to only check whether that device is part of the target
+  async resolve(target, { deviceId = null } = {}) {
+    const normalized = this.normalize(target);
+    const approved = { status: 'approved' };
+    if (deviceId) {
+      approved._id = deviceId;
+    }
+
+    if (normalized.all) {
+      return await Device.find(approved);
+    }
+
+    const deviceIds = new Set(normalized.deviceIds);
+    if (normalized.groupIds.length > 0) {
+      (await DeviceGroup.getDeviceIds(normalized.groupIds)).forEach(id => deviceIds.add(id));
+    }
+
+    const roomNumbers = new Set(normalized.roomNumbers);
+    const roomClauses = [];
+    if (normalized.floors.length > 0) {
+      roomClauses.push({ floor: { $in: normalized.floors } });
+    }
+    if (normalized.roomTypes.length > 0) {
+      roomClauses.push({ roomType: { $in: normalized.roomTypes } });
+    }
+    if (roomClauses.length > 0) {
+      (await Room.find({ $or: roomClauses }).select('number')).forEach(room => roomNumbers.add(room.number));
+    }
+
+    const clauses = [];
+    if (deviceIds.size > 0) {
+      clauses.push({ _id: { $in: Array.from(deviceIds) } });
+    }
+    if (roomNumbers.size > 0) {
+      clauses.push({ roomNumber: { $in: Array.from(roomNumbers) } });
+    }
+
+    const devices = clauses.length > 0
+      ? await Device.find({ ...approved, $or: clauses })
+      : [];
+
+    // Rooms without a Room record get their floor from the room number, matched here
+    if (normalized.floors.length > 0) {
+      const floors = new Set(normalized.floors);
+      const seen = new Set(devices.map(device => device.id));
+      const known = new Set((await Room.find().select('number')).map(room => room.number));
+      const roomed = await Device.find({ ...approved, roomNumber: { $nin: [null, ''] } });
+
+      roomed
+        .filter(device => !seen.has(device.id) && !known.has(device.roomNumber))
+        .filter(device => floors.has(getFloorFromRoomNumber(device.roomNumber)))
+        .forEach(device => devices.push(device));
+    }
+
+    return devices;
+  }
+
+  async includes(target, device) {
+    return (await this.resolve(target, { deviceId: device._id })).length > 0;
+  }
+
+  describe(target) {
+    const normalized = this.normalize(target);
+    if (normalized.all) {
+      return 'All devices';
+    }
+
+    const parts = [];
+    if (normalized.roomNumbers.length > 0) parts.push(`Rooms ${normalized.roomNumbers.join(', ')}`);
+    if (normalized.floors.length > 0) parts.push(`Floors ${normalized.floors.join(', ')}`);
+    if (normalized.roomTypes.length > 0) parts.push(`Room types ${normalized.roomTypes.join(', ')}`);
+    if (normalized.groupIds.length > 0) parts.push(`${normalized.groupIds.length} group(s)`);
+    if (normalized.deviceIds.length > 0) parts.push(`${normalized.deviceIds.length} device(s)`);
+    return parts.join('; ');
+  }
+}
+
+module.exports = new DeviceTargets();
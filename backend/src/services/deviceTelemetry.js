@@ -0,0 +1,280 @@
+const logger = require('../utils/logger');
+const DeviceMetric = require('../models/DeviceMetric');
+const Settings = require('../models/Settings');
+const Log = require('../models/Log');
+
+const HOUR_MS = DeviceMetric.RESOLUTION_MS.hour;
+const DAY_MS = DeviceMetric.RESOLUTION_MS.day;
+
+// Thresholds behind the health score: [warning, critical] and the points each costs.
+// "below" thresholds are bad when the value is under them, the rest when over.
+const HEALTH_RULES = [
+  { code: 'low_storage', metric: 'freeStorageMb', below: true, warning: 1024, critical: 300, penalty: [15, 40], label: 'Free storage', unit: 'MB' },
+  { code: 'low_memory', metric: 'freeMemoryMb', below: true, warning: 300, critical: 120, penalty: [10, 20], label: 'Free memory', unit: 'MB' },
+  { code: 'weak_wifi', metric: 'wifiRssi', below: true, warning: -70, critical: -80, penalty: [10, 20], label: 'Wi-Fi signal', unit: 'dBm' },
+  { code: 'high_temperature', metric: 'cpuTemperature', warning: 75, critical: 85, penalty: [15, 30], label: 'CPU temperature', unit: '°C' },
+  { code: 'slow_heartbeat', metric: 'heartbeatLatencyMs', warning: 800, critical: 2000, penalty: [5, 15], label: 'Heartbeat latency', unit: 'ms' },
+  { code: 'app_crashes', metric: 'crashes24h', warning: 1, critical: 5, penalty: [10, 25], label: 'App crashes in 24h', unit: '' },
+  { code: 'reboot_loop', metric: 'reboots24h', warning: 3, critical: 6, penalty: [10, 25], label: 'Reboots in 24h', unit: '' }
+];
+
+// Storage that will run out within this many days at the current rate is flagged
+const STORAGE_FORECAST_DAYS = 7;
+const STORAGE_FORECAST_PENALTY = 15;
+
+// Telemetry reported by launchers: raw reports are kept for a short time, rolled up into
+// hourly and daily averages, and purged per the device_metrics_*_retention settings.
+// Every report re-scores the device's health so failing TVs can be found before guests do.
+class DeviceTelemetryService {
+  constructor() {
+    this.initialized = false;
+    this.intervalId = null;
+    this.maintenanceInterval = 15 * 60 * 1000; // 15 minutes
+  }
+
+  async initialize() {
+    try {
+      logger.info('Initializing Device Telemetry Service...');
+
+      this.intervalId = setInterval(() => {
+        this.runMaintenance().catch(error => {
+          logger.error('Device telemetry maintenance failed:', error.message);
+        });
+      }, this.maintenanceInterval);
+
+      this.initialized = true;
+      logger.info('Device Telemetry Service initialized successfully');
+    } catch (error) {
+      logger.error('Failed to initialize Device Telemetry Service:', error.message);
+      this.initialized = true; // Don't fail startup
+    }
+  }
+
+  // Store one report and re-score the device. Unknown keys are ignored.
+  async record(device, diagnostics, at = new Date()) {
+    const values = {};
+    for (const name of DeviceMetric.METRIC_NAMES) {
+      const value = diagnostics[name];
+      if (value !== undefined && value !== null && Number.isFinite(Number(value))) {
+        values[name] = Number(value);
+      }
+    }
+
+    if (Object.keys(values).length === 0) {
+      return null;
+    }
+
+    const metric = await DeviceMetric.create({
+      device: device._id,
+      deviceUuid: device.uuid,
+      resolution: 'raw',
+      at,
+      values
+    });
+
+    await this.updateHealth(device, at);
+    return metric;
+  }
+
+  async updateHealth(device, now = new Date()) {
+    const previous = device.health?.status || 'unknown';
+    const health = await this.evaluate(device, now);
+
+    device.health = health;
+    await device.save();
+
+    // A first healthy score is not worth a log entry
+    if (health.status !== previous && !(previous === 'unknown' && health.status === 'healthy')) {
+      await this.recordHealthChange(device, previous);
+    }
+
+    return health;
+  }
+
+  // Score 0-100 from the latest reading of each metric in the last 24h, crash and reboot
+  // counts, and how fast free storage has been shrinking over the last week
+  async evaluate(device, now = new Date()) {
+    const dayAgo = new Date(now.getTime() - DAY_MS);
+    const reports = await DeviceMetric.findSeries(device._id, 'raw', dayAgo, new Date(now.getTime() + 1));
+
+    if (reports.length === 0) {
+      return { score: null, status: 'unknown', issues: [], evaluatedAt: now };
+    }
+
+    const readings = { crashes24h: 0, reboots24h: 0 };
+    let lastUptime = null;
+    for (const report of reports) {
+      for (const name of DeviceMetric.METRIC_NAMES) {
+        const value = report.values?.[name];
+        if (value !== null && value !== undefined) {
+          readings[name] = value;
+        }
+      }
+      readings.crashes24h += report.values?.appCrashes || 0;
+
+      // Uptime going backwards means the TV restarted
+      const uptime = report.values?.uptimeSeconds;
+      if (uptime !== null && uptime !== undefined) {
+        if (lastUptime !== null && uptime < lastUptime) {
+          readings.reboots24h += 1;
+        }
+        lastUptime = uptime;
+      }
+    }
+
+    const issues = [];
+    let score = 100;
+    for (const rule of HEALTH_RULES) {
+      const value = readings[rule.metric];
+      if (value === undefined || value === null) {
+        continue;
+      }
+
+      const breaches = (limit) => rule.below ? value < limit : value >= limit;
+      const severity = breaches(rule.critical) ? 'critical' : breaches(rule.warning) ? 'warning' : null;
+      if (!severity) {
+        continue;
+      }
+
+      score -= rule.penalty[severity === 'critical' ? 1 : 0];
+      issues.push({
+        code: rule.code,
+        severity,
+        message: `${rule.label}: ${Math.round(value)}${rule.unit ? ` ${rule.unit}` : ''}`,
+        value
+      });
+    }
+
+    const forecast = await this.forecastStorage(device, readings.freeStorageMb, now);
+    if (forecast !== null && !issues.some(issue => issue.code === 'low_storage')) {
+      const days = Math.round(forecast);
+      score -= STORAGE_FORECAST_PENALTY;
+      issues.push({
+        code: 'storage_filling',
+        severity: 'warning',
+        message: `Storage full in ${days <= 1 ? 'about a day' : `about ${days} days`} at the current rate`,
+        value: Math.round(forecast * 10) / 10
+      });
+    }
+
+    score = Math.max(0, score);
+    const status = issues.some(issue => issue.severity === 'critical') || score < 50
+      ? 'critical'
+      : issues.length > 0 ? 'warning' : 'healthy';
+
+    return { score, status, issues, evaluatedAt: now };
+  }
+
+  // Days until free storage hits the critical threshold, if it will within the forecast window
+  async forecastStorage(device, currentFreeMb, now) {
+    if (currentFreeMb === undefined || currentFreeMb === null) {
+      return null;
+    }
+
+    const weekAgo = new Date(now.getTime() - STORAGE_FORECAST_DAYS * DAY_MS);
+    const hours = await DeviceMetric.findSeries(device._id, 'hour', weekAgo, now);
+    const first = hours.find(hour => hour.values?.freeStorageMb !== null && hour.values?.freeStorageMb !== undefined);
+    if (!first) {
+      return null;
+    }
+
+    const elapsedDays = (now - first.at) / DAY_MS;
+    const usedMb = first.values.freeStorageMb - currentFreeMb;
+    if (elapsedDays < 1 || usedMb <= 0) {
+      return null;
+    }
+
+    const criticalMb = HEALTH_RULES.find(rule => rule.code === 'low_storage').critical;
+    const daysLeft = (currentFreeMb - criticalMb) / (usedMb / elapsedDays);
+    return daysLeft < STORAGE_FORECAST_DAYS ? Math.max(0, daysLeft) : null;
+  }
+
+  async recordHealthChange(device, previous) {
+    const { health } = device;
+    const details = {
+      uuid: device.uuid,
+      roomNumber: device.roomNumber,
+      from: previous,
+      to: health.status,
+      score: health.score,
+      issues: health.issues.map(issue => issue.code)
+    };
+
+    logger.logDeviceEvent('HEALTH_CHANGED', device.id, details);
+
+    try {
+      await Log.create({
+        type: 'DEVICE_EVENT',
+        level: health.status === 'critical' ? 'error' : health.status === 'warning' ? 'warn' : 'info',
+        message: `Device ${device.uuid}${device.roomNumber ? ` in room ${device.roomNumber}` : ''} health ${health.status}` +
+          (health.issues.length > 0 ? `: ${health.issues.map(issue => issue.message).join(', ')}` : ''),
+        event: 'HEALTH_CHANGED',
+        deviceId: device._id,
+        roomNumber: device.roomNumber || null,
+        success: health.status !== 'critical',
+        metadata: details
+      });
+    } catch (error) {
+      logger.error(`Failed to record health change of device ${device.uuid}:`, error.message);
+    }
+
+    if (global.io) {
+      global.io.to('admin:devices').emit('device:health-changed', {
+        deviceId: device.id,
+        ...details,
+        health,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  // Series for a device, at the finest resolution still kept for the period
+  async getSeries(device, { from, to, resolution = null }) {
+    const rawHours = await Settings.get('device_metrics_raw_retention_hours', 48);
+    const chosen = resolution || (
+      to - from <= Math.min(rawHours * HOUR_MS, 2 * DAY_MS) ? 'raw'
+        : to - from <= 31 * DAY_MS ? 'hour'
+          : 'day'
+    );
+
+    const rows = await DeviceMetric.findSeries(device._id, chosen, from, to);
+    return { resolution: chosen, points: rows.map(row => row.toApi()) };
+  }
+
+  // Roll up recent rows and drop the ones past retention
+  async runMaintenance(now = new Date()) {
+    const hourStart = new Date(now.getTime() - (now.getTime() % HOUR_MS));
+    const dayStart = new Date(now.getTime() - (now.getTime() % DAY_MS));
+
+    // A few periods back so late reports make it into their rollup
+    const hours = await DeviceMetric.rollup('raw', 'hour', new Date(hourStart.getTime() - 3 * HOUR_MS), hourStart);
+    const days = await DeviceMetric.rollup('hour', 'day', new Date(dayStart.getTime() - 2 * DAY_MS), dayStart);
+
+    const [rawHours, hourlyDays, dailyDays] = await Promise.all([
+      Settings.get('device_metrics_raw_retention_hours', 48),
+      Settings.get('device_metrics_hourly_retention_days', 30),
+      Settings.get('device_metrics_daily_retention_days', 365)
+    ]);
+    const purged = await Promise.all([
+      DeviceMetric.deleteMany({ resolution: 'raw', at: { $lt: new Date(now.getTime() - rawHours * HOUR_MS) } }),
+      DeviceMetric.deleteMany({ resolution: 'hour', at: { $lt: new Date(now.getTime() - hourlyDays * DAY_MS) } }),
+      DeviceMetric.deleteMany({ resolution: 'day', at: { $lt: new Date(now.getTime() - dailyDays * DAY_MS) } })
+    ]);
+    const deleted = purged.reduce((sum, result) => sum + (result.deletedCount || 0), 0);
+
+    if (hours || days || deleted) {
+      logger.info(`Device telemetry maintenance: ${hours} hourly and ${days} daily rollups, ${deleted} rows purged`);
+    }
+
+    return { hours, days, deleted };
+  }
+
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+  }
+}
+
+module.exports = new DeviceTelemetryService();
@@ -0,0 +1,332 @@
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+const Device = require('../models/Device');
+const EmergencyAlert = require('../models/EmergencyAlert');
+const DeviceCommand = require('../models/DeviceCommand');
+const Log = require('../models/Log');
+const Settings = require('../models/Settings');
+const DeviceManager = require('./deviceManager');
+const DeviceTargets = require('./deviceTargets');
+
+const DEFAULT_VOLUME = 80;
+const DEFAULT_REPEAT_SECONDS = 60;
+
+// Emergency broadcast (fire, evacuation, severe weather): a full-screen, non-dismissible
+// alert on every TV, re-sent until a super admin cancels it. Every step is kept in the
+// Log collection as a SYSTEM_EVENT so the response can be audited afterwards.
+class EmergencyAlertService {
+  constructor() {
+    this.initialized = false;
+    this.repeatTimer = null;
+    // Sends, repeats and the cancel run one after the other, so a repeat that is already
+    // under way can't put the alert back up after the all-clear has gone out
+    this.queue = Promise.resolve();
+    this.repeatQueued = false;
+  }
+
+  exclusive(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async initialize() {
+    try {
+      logger.info('Initializing Emergency Alert Service...');
+
+      // An alert that was active when the server stopped keeps repeating after a restart
+      const active = await EmergencyAlert.findActive();
+      if (active) {
+        this.scheduleRepeat(active);
+        logger.warn(`Resumed active emergency alert ${active.id}`);
+      }
+
+      this.initialized = true;
+      logger.info('Emergency Alert Service initialized successfully');
+    } catch (error) {
+      logger.error('Failed to initialize Emergency Alert Service:', error.message);
+      this.initialized = true; // Don't fail startup
+    }
+  }
+
+  async getActive() {
+    return await EmergencyAlert.findActive();
+  }
+
+  async start(data, user) {
+    const alert = await EmergencyAlert.create({
+      alertType: data.alertType,
+      title: data.title,
+      body: data.body,
+      volume: data.volume ?? await Settings.get('emergency_alert_volume', DEFAULT_VOLUME),
+      repeatIntervalSeconds: data.repeatIntervalSeconds
+        ?? await Settings.get('emergency_alert_repeat_seconds', DEFAULT_REPEAT_SECONDS),
+      startedBy: user.id
+    });
+
+    await this.record('EMERGENCY_STARTED', alert, {
+      level: 'warn',
+      message: `Emergency alert started by ${user.name}: ${alert.title}`,
+      userId: user.id,
+      metadata: {
+        alertType: alert.alertType,
+        volume: alert.volume,
+        repeatIntervalSeconds: alert.repeatIntervalSeconds
+      }
+    });
+
+    await this.exclusive(() => this.deliverToNewDevices(alert));
+    this.scheduleRepeat(alert);
+
+    const current = await EmergencyAlert.findById(alert._id);
+    this.notify('emergency:started', current);
+    return current;
+  }
+
+  // Queue the alert for approved devices that don't have it yet (all devices on start,
+  // devices approved while the alert is active on later repeats)
+  async deliverToNewDevices(alert) {
+    const devices = await DeviceTargets.resolve({ all: true });
+    const newDevices = devices.filter(device => !alert.getDelivery(device._id));
+
+    let added = 0;
+    for (const device of newDevices) {
+      const delivery = {
+        device: device._id,
+        deviceUuid: device.uuid,
+        roomNumber: device.roomNumber || null,
+        queuedAt: new Date()
+      };
+
+      // The row has to exist before the TV can ack the alert
+      if (!await EmergencyAlert.addDelivery(alert._id, delivery)) {
+        continue;
+      }
+      added += 1;
+
+      try {
+        const result = await DeviceManager.sendEmergencyAlert(device, alert);
+        delivery.commandId = result.commandId;
+        if (result.delivered) {
+          delivery.status = 'delivered';
+        }
+      } catch (error) {
+        delivery.status = 'failed';
+        delivery.error = error.message;
+      }
+
+      await EmergencyAlert.recordDispatch(alert._id, device._id, {
+        commandId: delivery.commandId,
+        delivered: delivery.status === 'delivered',
+        error: delivery.error
+      });
+
+      const event = {
+        delivered: 'EMERGENCY_SENT',
+        failed: 'EMERGENCY_SEND_FAILED'
+      }[delivery.status] || 'EMERGENCY_QUEUED';
+
+      await this.record(event, alert, {
+        level: delivery.status === 'failed' ? 'error' : 'info',
+        message: delivery.status === 'failed'
+          ? `Emergency alert could not be queued for room ${delivery.roomNumber || device.uuid}`
+          : `Emergency alert ${delivery.status === 'delivered' ? 'sent to' : 'queued for offline'} room ${delivery.roomNumber || device.uuid}`,
+        deviceId: device._id,
+        roomNumber: delivery.roomNumber,
+        error: delivery.error,
+        metadata: { commandId: delivery.commandId || null }
+      });
+    }
+
+    return added;
+  }
+
+  scheduleRepeat(alert) {
+    this.stopRepeat();
+
+    this.repeatTimer = setInterval(() => {
+      // A slow repeat shouldn't pile up ticks behind it
+      if (this.repeatQueued) {
+        return;
+      }
+      this.repeatQueued = true;
+
+      this.exclusive(() => this.repeat(alert.id))
+        .catch(error => {
+          logger.error(`Failed to repeat emergency alert ${alert.id}:`, error.message);
+        })
+        .finally(() => {
+          this.repeatQueued = false;
+        });
+    }, alert.repeatIntervalSeconds * 1000);
+  }
+
+  stopRepeat() {
+    if (this.repeatTimer) {
+      clearInterval(this.repeatTimer);
+      this.repeatTimer = null;
+    }
+  }
+
+  // Show the alert again on every connected TV, so a TV that was switched off, restarted
+  // or came back online brings it back up
+  async repeat(alertId) {
+    const alert = await EmergencyAlert.findById(alertId);
+    if (!alert || !alert.isActive()) {
+      this.stopRepeat();
+      return;
+    }
+
+    const added = await this.deliverToNewDevices(alert);
+
+    const current = await EmergencyAlert.findById(alertId);
+    const commandIds = current.deliveries.map(delivery => delivery.commandId).filter(Boolean);
+    const commands = await DeviceCommand.find({ _id: { $in: commandIds } });
+    const reached = commands.filter(command => DeviceManager.repeatCommand(command)).length;
+
+    const updated = await EmergencyAlert.findByIdAndUpdate(
+      alertId,
+      { $set: { lastRepeatedAt: new Date() }, $inc: { repeatCount: 1 } },
+      { new: true }
+    );
+
+    await this.record('EMERGENCY_REPEATED', alert, {
+      message: `Emergency alert repeated on ${reached} connected device(s)`,
+      metadata: { repeatCount: updated.repeatCount, devicesReached: reached, devicesAdded: added }
+    });
+
+    this.notify('emergency:updated', updated);
+  }
+
+  // Returns null when the alert was already cancelled
+  async cancel(alert, user) {
+    this.stopRepeat();
+    return this.exclusive(() => this.clear(alert, user));
+  }
+
+  async clear(alertToCancel, user) {
+    const alert = await EmergencyAlert.findOneAndUpdate(
+      { _id: alertToCancel._id, status: 'active' },
+      { $set: { status: 'cancelled', cancelledBy: user.id, cancelledAt: new Date() } },
+      { new: true }
+    );
+    if (!alert) {
+      return null;
+    }
+
+    // Devices that never picked the alert up get nothing; the rest get the all-clear
+    const commandIds = alert.deliveries
+      .filter(delivery => delivery.status === 'queued')
+      .map(delivery => delivery.commandId)
+      .filter(Boolean);
+    const unsent = await DeviceCommand.find({ _id: { $in: commandIds }, status: 'queued' });
+    for (const command of unsent) {
+      command.markExpired();
+      await command.save();
+    }
+    const withdrawn = new Set(unsent.map(command => command.device.toString()));
+
+    const devices = await Device.find({
+      _id: { $in: alert.deliveries.map(delivery => delivery.device).filter(id => !withdrawn.has(id.toString())) }
+    });
+
+    let cleared = 0;
+    for (const device of devices) {
+      try {
+        await DeviceManager.sendEmergencyClear(device, alert);
+        cleared += 1;
+      } catch (error) {
+        logger.error(`Failed to send all-clear to device ${device.uuid}:`, error.message);
+      }
+    }
+
+    await this.record('EMERGENCY_CANCELLED', alert, {
+      level: 'warn',
+      message: `Emergency alert cancelled by ${user.name}`,
+      userId: user.id,
+      metadata: {
+        clearSent: cleared,
+        withdrawn: withdrawn.size,
+        stats: alert.getStats(),
+        durationSeconds: Math.round((alert.cancelledAt - alert.createdAt) / 1000)
+      }
+    });
+
+    this.notify('emergency:cancelled', alert);
+    return alert;
+  }
+
+  // Launcher ack for an alert; returns null when the id isn't an alert sent to this device
+  async recordAck(device, alertId, status, error = null) {
+    if (!mongoose.Types.ObjectId.isValid(alertId)) {
+      return null;
+    }
+
+    const deliveryStatus = status === 'error' ? 'failed' : status;
+    const alert = await EmergencyAlert.recordAck(alertId, device._id, deliveryStatus, error);
+    if (!alert) {
+      return null;
+    }
+    const delivery = alert.getDelivery(device._id);
+
+    await this.record(`EMERGENCY_${deliveryStatus.toUpperCase()}`, alert, {
+      level: deliveryStatus === 'failed' ? 'error' : 'info',
+      message: `Emergency alert ${deliveryStatus} in room ${device.roomNumber || device.uuid}`,
+      deviceId: device._id,
+      roomNumber: device.roomNumber,
+      error: deliveryStatus === 'failed' ? delivery.error : null
+    });
+
+    this.notify('emergency:delivery-updated', alert, {
+      deviceId: device.id,
+      roomNumber: device.roomNumber,
+      status: delivery.status
+    });
+
+    return delivery;
+  }
+
+  async record(event, alert, { level = 'info', message, userId = null, deviceId = null, roomNumber = null, error = null, metadata = {} }) {
+    logger.logSystemEvent(event, { alertId: alert.id, roomNumber, ...metadata });
+
+    try {
+      await Log.create({
+        type: 'SYSTEM_EVENT',
+        level,
+        message,
+        event,
+        userId,
+        deviceId,
+        roomNumber,
+        success: level !== 'error',
+        error,
+        metadata: { alertId: alert.id, alertType: alert.alertType, ...metadata }
+      });
+    } catch (logError) {
+      logger.error(`Failed to record ${event} for emergency alert ${alert.id}:`, logError.message);
+    }
+  }
+
+  notify(event, alert, extra = {}) {
+    if (global.io) {
+      global.io.to('admin:emergency').emit(event, {
+        ...extra,
+        alert: alert.toApi(),
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  getStatus() {
+    return {
+      initialized: this.initialized,
+      repeating: this.repeatTimer !== null
+    };
+  }
+
+  stop() {
+    this.stopRepeat();
+  }
+}
+
+module.exports = new EmergencyAlertService();
@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const EnrollmentToken = require('../models/EnrollmentToken');
+const DeviceGroup = require('../models/DeviceGroup');
+const Room = require('../models/Room');
+const Log = require('../models/Log');
+const DeviceAssignments = require('./deviceAssignments');
+
+// Wrong PINs allowed per IP address, and in total, within the lockout window
+const MAX_PIN_FAILURES_PER_IP = 5;
+const MAX_PIN_FAILURES_TOTAL = 50;
+const PIN_LOCKOUT_MINUTES = 15;
+
+// Zero-touch provisioning: launchers that register with an enrollment token (QR) or PIN
+// are approved and put in the token's room and group without an admin stepping in.
+// Every accepted and rejected attempt is written to the system logs.
+class EnrollmentService {
+  constructor() {
+    // Failed PIN attempts per IP address, and across all addresses
+    this.pinFailures = new Map();
+    this.totalPinFailures = { count: 0, since: Date.now() };
+  }
+
+  async createToken({ name = '', roomNumber = null, location = null, groupId = null, expiresInMinutes, maxUses = 1 }, user) {
+    const minutes = expiresInMinutes || EnrollmentToken.DEFAULT_EXPIRY_MINUTES;
+    const expiresAt = new Date(Date.now() + minutes * 60 * 1000);
+    // Unlimited tokens would make a guessed PIN good for any number of TVs
+    const hasPin = maxUses !== null;
+
+    const token = await EnrollmentToken.create({
+      name,
+      token: crypto.randomBytes(24).toString('hex'),
+      pin: hasPin ? await this.generatePin() : null,
+      pinExpiresAt: hasPin
+        ? new Date(Math.min(expiresAt.getTime(), Date.now() + EnrollmentToken.PIN_EXPIRY_MINUTES * 60 * 1000))
+        : null,
+      roomNumber: roomNumber || null,
+      location: location || null,
+      group: groupId || null,
+      expiresAt,
+      maxUses,
+      createdBy: user.id
+    });
+
+    await this.record('ENROLLMENT_TOKEN_CREATED', token, {
+      message: `Enrollment token created for ${this.describe(token)} by ${user.name}`,
+      userId: user.id
+    });
+
+    return token;
+  }
+
+  // Six digits, unique among tokens that are still active
+  async generatePin() {
+    for (let attempt = 0; attempt < 10; attempt++) {
+      const pin = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+      if (!(await EnrollmentToken.findByCode(pin))) {
+        return pin;
+      }
+    }
+    throw new Error('Could not generate a unique enrollment PIN');
+  }
+
+  async revokeToken(token, user) {
+    token.revokedAt = new Date();
+    token.revokedBy = user.id;
+    await token.save();
+
+    await this.record('ENROLLMENT_TOKEN_REVOKED', token, {
+      message: `Enrollment token for ${this.describe(token)} revoked by ${user.name}`,
+      userId: user.id
+    });
+
+    return token;
+  }
+
+  // Approve a pending device with the code it registered with. Returns { enrolled, reason }.
+  async enroll(device, code, { ipAddress = null } = {}) {
+    const isPin = EnrollmentToken.isPin(code);
+    if (isPin && this.isPinLocked(ipAddress)) {
+      return await this.reject(device, null, 'locked_out', ipAddress);
+    }
+
+    const token = await EnrollmentToken.findByCode(code);
+    const reason = token ? token.getUnusableReason() : 'invalid';
+
+    if (reason) {
+      if (isPin && reason === 'invalid') {
+        this.recordPinFailure(ipAddress);
+      }
+      return await this.reject(device, token, reason, ipAddress);
+    }
+
+    // Counted atomically, so a single-use token can't enroll two TVs
+    const claimed = await EnrollmentToken.claimUse(token._id, {
+      device: device._id,
+      uuid: device.uuid,
+      macAddress: device.macAddress,
+      ipAddress
+    });
+    if (!claimed) {
+      return await this.reject(device, token, 'used_up', ipAddress);
+    }
+
+    if (claimed.roomNumber) {
+      device.assignRoom(claimed.roomNumber, await Room.ensure(claimed.roomNumber));
+      device.location = claimed.location || device.location || null;
+    }
+    device.approve(claimed.createdBy);
+    device.issueCredentials('register');
+    await device.save();
+
+    if (claimed.group) {
+      await DeviceGroup.updateOne({ _id: claimed.group }, { $addToSet: { devices: device._id } });
+    }
+
+    // Apps and background assigned to the room's floor, type or the group
+    await DeviceAssignments.refreshInherited([device]);
+
+    logger.logDeviceEvent('ENROLLED', device.id, {
+      uuid: device.uuid,
+      roomNumber: device.roomNumber,
+      tokenId: claimed.id
+    });
+    await this.record('DEVICE_ENROLLED', claimed, {
+      message: `Device ${device.uuid} enrolled into ${this.describe(claimed)} (use ${claimed.useCount}${claimed.maxUses ? ` of ${claimed.maxUses}` : ''})`,
+      device,
+      metadata: { ipAddress, macAddress: device.macAddress }
+    });
+
+    if (global.io) {
+      global.io.to('admin:devices').emit('device:approved', {
+        deviceId: device.id,
+        uuid: device.uuid,
+        roomNumber: device.roomNumber,
+        approvedBy: 'Enrollment token',
+        enrollmentTokenId: claimed.id,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    return { enrolled: true, token: claimed };
+  }
+
+  // PIN entry is refused for an address after too many wrong PINs, and for everyone when
+  // wrong PINs pile up across addresses. QR tokens are too long to guess and stay usable.
+  isPinLocked(ipAddress, now = Date.now()) {
+    const windowMs = PIN_LOCKOUT_MINUTES * 60 * 1000;
+    const failures = this.pinFailures.get(ipAddress);
+
+    if (failures && now - failures.since < windowMs && failures.count >= MAX_PIN_FAILURES_PER_IP) {
+      return true;
+    }
+    return now - this.totalPinFailures.since < windowMs && this.totalPinFailures.count >= MAX_PIN_FAILURES_TOTAL;
+  }
+
+  recordPinFailure(ipAddress, now = Date.now()) {
+    const windowMs = PIN_LOCKOUT_MINUTES * 60 * 1000;
+
+    for (const [address, failures] of this.pinFailures) {
+      if (now - failures.since >= windowMs) {
+        this.pinFailures.delete(address);
+      }
+    }
+
+    const failures = this.pinFailures.get(ipAddress) || { count: 0, since: now };
+    failures.count += 1;
+    this.pinFailures.set(ipAddress, failures);
+
+    if (now - this.totalPinFailures.since >= windowMs) {
+      this.totalPinFailures = { count: 0, since: now };
+    }
+    this.totalPinFailures.count += 1;
+  }
+
+  async reject(device, token, reason, ipAddress) {
+    await this.record('ENROLLMENT_REJECTED', token, {
+      level: 'warn',
+      message: `Enrollment of device ${device.uuid} rejected: ${reason}`,
+      device,
+      error: reason,
+      metadata: { ipAddress, macAddress: device.macAddress }
+    });
+
+    return { enrolled: false, reason };
+  }
+
+  describe(token) {
+    const parts = [];
+    if (token.roomNumber) parts.push(`room ${token.roomNumber}`);
+    if (token.group) parts.push('a device group');
+    return parts.join(' and ') || 'no room';
+  }
+
+  async record(event, token, { level = 'info', message, userId = null, device = null, error = null, metadata = {} }) {
+    logger.logSystemEvent(event, { tokenId: token ? token.id : null, deviceId: device ? device.id : null });
+
+    try {
+      await Log.create({
+        type: 'SYSTEM_EVENT',
+        level,
+        message,
+        event,
+        userId,
+        deviceId: device ? device._id : null,
+        roomNumber: token ? token.roomNumber : null,
+        success: level === 'info',
+        error,
+        metadata: {
+          ...metadata,
+          tokenId: token ? token.id : null,
+          tokenName: token ? token.name : null,
+          uuid: device ? device.uuid : null
+        }
+      });
+    } catch (logError) {
+      logger.error(`Failed to record ${event}:`, logError.message);
+    }
+  }
+}
+
+module.exports = new EnrollmentService();
@@ -0,0 +1,185 @@
+const logger = require('../utils/logger');
+const CheckoutRequest = require('../models/CheckoutRequest');
+const GuestStay = require('../models/GuestStay');
+const Folio = require('../models/Folio');
+const PMSService = require('./pmsService');
+const GuestStayService = require('./guestStayService');
+
+// Guest-initiated express checkout from the TV: the request is recorded, queued for
+// the front desk and forwarded to the PMS, which settles and closes the folio
+class ExpressCheckoutService {
+  constructor() {
+    this.initialized = false;
+  }
+
+  async initialize() {
+    try {
+      logger.info('Initializing Express Checkout Service...');
+
+      // Open requests are done once the PMS reports the check-out, however it happened
+      GuestStayService.on('transition', ({ stay, to }) => {
+        if (to !== 'checked-out') {
+          return;
+        }
+        this.completeForStay(stay).catch(error => {
+          logger.error(`Failed to complete checkout request for ${stay.reservationId}:`, error.message);
+        });
+      });
+
+      this.initialized = true;
+      logger.info('Express Checkout Service initialized successfully');
+    } catch (error) {
+      logger.error('Failed to initialize Express Checkout Service:', error.message);
+      this.initialized = true; // Don't fail startup
+    }
+  }
+
+  async completeForStay(stay) {
+    const request = await CheckoutRequest.findOne({
+      reservationId: stay.reservationId,
+      status: { $in: CheckoutRequest.OPEN_STATUSES }
+    });
+    if (!request) {
+      return;
+    }
+
+    request.status = 'completed';
+    request.completedAt = new Date();
+    await request.save();
+    this.notify(request);
+  }
+
+  async findStay(device) {
+    if (!device.roomNumber) {
+      return null;
+    }
+    return await GuestStay.findInHouseByRoom(device.roomNumber);
+  }
+
+  // Current folio of a stay, live from the PMS when possible, otherwise from the sync cache
+  async getFolio(stay) {
+    if (PMSService.isConnected()) {
+      try {
+        const folio = await PMSService.getFolio({ reservationId: stay.reservationId });
+        if (folio?.id) {
+          const adapter = await PMSService.getAdapter();
+          await Folio.upsertFromPMS(folio, { vendor: adapter.vendor });
+          return { folio, source: 'pms' };
+        }
+      } catch (error) {
+        logger.warn(`Falling back to cached folio for reservation ${stay.reservationId}: ${error.message}`);
+      }
+    }
+
+    const cached = await Folio.findOne({ reservationId: stay.reservationId }).sort({ status: -1, syncedAt: -1 });
+    return cached ? { folio: cached.toApi(), source: 'cache' } : { folio: null, source: null };
+  }
+
+  // Record a checkout request for the stay in the device's room; returns { request, created }
+  async request(device, stay) {
+    const existing = await CheckoutRequest.findLatestForReservation(stay.reservationId);
+    if (existing) {
+      return { request: existing, created: false };
+    }
+
+    const { folio } = await this.getFolio(stay);
+
+    const request = await CheckoutRequest.create({
+      reservationId: stay.reservationId,
+      roomNumber: stay.roomNumber,
+      guestId: stay.guest?.id || null,
+      guestName: stay.guest?.name || null,
+      device: device._id,
+      folioId: folio?.id || null,
+      balance: folio ? folio.balance : null,
+      currency: folio?.currency || null
+    });
+
+    logger.info(`Express checkout requested for room ${request.roomNumber}`, {
+      type: 'PMS_SYNC',
+      reservationId: request.reservationId,
+      deviceId: device.id
+    });
+
+    this.notify(request);
+
+    // The TV polls for the outcome; the PMS call may take a while
+    this.forward(request).catch(error => {
+      logger.error(`Failed to forward checkout request ${request.id}:`, error.message);
+    });
+
+    return { request, created: true };
+  }
+
+  async forward(request, userId = null) {
+    request.vendor = PMSService.getStatus().vendor;
+
+    try {
+      if (!request.folioId) {
+        const stay = await GuestStay.findByReservation(request.reservationId);
+        const { folio } = stay ? await this.getFolio(stay) : { folio: null };
+        if (!folio?.id) {
+          throw new Error('No folio found for reservation');
+        }
+        request.folioId = folio.id;
+        request.balance = folio.balance;
+        request.currency = folio.currency;
+      }
+
+      const result = await PMSService.expressCheckout({
+        reservationId: request.reservationId,
+        folioId: request.folioId
+      });
+
+      if (result.folio?.id) {
+        await Folio.upsertFromPMS(result.folio, { vendor: request.vendor });
+      }
+
+      request.status = result.checkedOut ? 'completed' : 'forwarded';
+      request.forwardedAt = new Date();
+      request.completedAt = result.checkedOut ? new Date() : null;
+      request.error = null;
+    } catch (error) {
+      request.status = 'failed';
+      request.error = error.response?.data?.error || error.response?.data?.Message || error.message;
+    }
+
+    if (userId) {
+      request.handledBy = userId;
+    }
+    await request.save();
+
+    logger.info(`Checkout request for room ${request.roomNumber} ${request.status}`, {
+      type: 'PMS_SYNC',
+      reservationId: request.reservationId,
+      error: request.error
+    });
+
+    this.notify(request);
+    return request;
+  }
+
+  // Front desk closes a request by hand (completed at the desk, or cancelled)
+  async resolve(request, { status, notes }, userId) {
+    request.status = status;
+    request.handledBy = userId;
+    if (notes !== undefined) {
+      request.notes = notes;
+    }
+    if (status === 'completed') {
+      request.completedAt = new Date();
+    }
+    await request.save();
+
+    this.notify(request);
+    return request;
+  }
+
+  notify(request) {
+    if (global.io) {
+      global.io.to('admin:pms').emit('pms:checkout-request', request.toApi());
+    }
+  }
+}
+
+module.exports = new ExpressCheckoutService();
@@ -0,0 +1,388 @@
+const net = require('net');
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+const Settings = require('../models/Settings');
+const ConfigWatcher = require('./configWatcher');
+const { DEFAULT_TIMEZONE } = require('../utils/propertyTime');
+const { encodeRecord, extractRecords, formatDateTime, parseDateTime } = require('../utils/fias');
+
+// Records this interface asks the PMS to send, with the fields it wants in each
+const LINK_RECORDS = {
+  GI: ['RN', 'G#', 'GN', 'GF', 'GT', 'GL', 'GV', 'GG', 'GA', 'GD', 'GS', 'DA', 'TI'],
+  GO: ['RN', 'G#', 'GS', 'DA', 'TI'],
+  GC: ['RN', 'G#', 'RO', 'GN', 'GF', 'GT', 'GL', 'GV', 'GG', 'GA', 'GD', 'GS', 'DA', 'TI'],
+  RE: ['RN', 'RS', 'CS', 'DN', 'MW', 'DA', 'TI']
+};
+
+const SETTING_KEYS = ['fias_enabled', 'fias_host', 'fias_port'];
+
+// Oracle FIAS (Fidelio Interface Application Specification) socket client
+class FiasService extends EventEmitter {
+  constructor() {
+    super();
+    this.initialized = false;
+    this.enabled = false;
+    this.host = null;
+    this.port = null;
+    this.socket = null;
+    this.buffer = '';
+    this.linkState = 'disconnected';
+    this.linkAliveInterval = 60 * 1000;
+    this.linkAliveTimer = null;
+    this.reconnectTimer = null;
+    this.reconnectDelay = 5000;
+    this.maxReconnectDelay = 5 * 60 * 1000;
+    this.timeZone = DEFAULT_TIMEZONE;
+    this.resyncInProgress = false;
+    this.lastRecordAt = null;
+    this.stats = { received: 0, guestEvents: 0, errors: 0 };
+  }
+
+  async initialize() {
+    try {
+      logger.info('Initializing FIAS Service...');
+
+      await this.loadConfig();
+
+      SETTING_KEYS.forEach(key => {
+        ConfigWatcher.watchConfig(key, () => {
+          this.restart().catch(error => {
+            logger.error('Failed to restart FIAS link:', error.message);
+          });
+        });
+      });
+
+      if (this.enabled) {
+        this.connect();
+      } else {
+        logger.info('FIAS interface disabled, skipping connection');
+      }
+
+      this.initialized = true;
+      logger.info('FIAS Service initialized successfully');
+    } catch (error) {
+      logger.error('Failed to initialize FIAS Service:', error.message);
+      this.initialized = true; // Don't fail startup
+    }
+  }
+
+  async loadConfig() {
+    const [enabled, host, port, timeZone] = await Promise.all([
+      Settings.get('fias_enabled', process.env.FIAS_ENABLED === 'true'),
+      Settings.get('fias_host', process.env.FIAS_HOST || ''),
+      Settings.get('fias_port', Number(process.env.FIAS_PORT) || 5010),
+      Settings.get('property_timezone', DEFAULT_TIMEZONE)
+    ]);
+
+    this.enabled = (enabled === true || enabled === 'true') && !!host;
+    this.host = host;
+    this.port = Number(port);
+    this.timeZone = timeZone;
+  }
+
+  async restart() {
+    this.stop();
+    await this.loadConfig();
+    if (this.enabled) {
+      this.reconnectDelay = 5000;
+      this.connect();
+    }
+  }
+
+  connect() {
+    if (this.socket) {
+      return;
+    }
+
+    this.linkState = 'connecting';
+    logger.info(`Connecting to FIAS interface at ${this.host}:${this.port}`);
+
+    const socket = net.createConnection({ host: this.host, port: this.port });
+    socket.setEncoding('latin1');
+    socket.setKeepAlive(true);
+    this.socket = socket;
+
+    socket.on('connect', () => {
+      this.linkState = 'handshaking';
+      this.buffer = '';
+      // Announce ourselves; the PMS answers with its own LS
+      this.send('LS', formatDateTime(new Date(), this.timeZone));
+    });
+
+    socket.on('data', (chunk) => this.handleData(chunk));
+
+    socket.on('error', (error) => {
+      this.stats.errors += 1;
+      logger.warn(`FIAS socket error: ${error.message}`);
+    });
+
+    socket.on('close', () => {
+      const wasLinked = this.linkState === 'linked';
+      this.cleanupSocket();
+
+      if (wasLinked) {
+        this.emitLinkChange('down');
+      }
+
+      if (this.enabled) {
+        this.scheduleReconnect();
+      }
+    });
+  }
+
+  scheduleReconnect() {
+    if (this.reconnectTimer) {
+      return;
+    }
+
+    const delay = this.reconnectDelay;
+    this.reconnectDelay = Math.min(this.reconnectDelay * 2, this.maxReconnectDelay);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, delay);
+  }
+
+  cleanupSocket() {
+    if (this.linkAliveTimer) {
+      clearInterval(this.linkAliveTimer);
+      this.linkAliveTimer = null;
+    }
+    if (this.socket) {
+      this.socket.removeAllListeners();
+      this.socket.destroy();
+      this.socket = null;
+    }
+    this.linkState = 'disconnected';
+    this.resyncInProgress = false;
+  }
+
+  stop() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+
+    if (this.socket && this.linkState === 'linked') {
+      this.send('LE', formatDateTime(new Date(), this.timeZone));
+      this.emitLinkChange('down');
+    }
+    this.cleanupSocket();
+  }
+
+  send(recordType, fields = {}) {
+    if (!this.socket) {
+      return false;
+    }
+    this.socket.write(encodeRecord(recordType, fields), 'latin1');
+    return true;
+  }
+
+  handleData(chunk) {
+    const { records, rest } = extractRecords(this.buffer + chunk);
+    this.buffer = rest;
+
+    for (const record of records) {
+      try {
+        this.handleRecord(record);
+      } catch (error) {
+        this.stats.errors += 1;
+        logger.error(`Failed to handle FIAS record ${record.recordType}:`, error.message);
+      }
+    }
+  }
+
+  handleRecord({ recordType, fields, raw }) {
+    this.stats.received += 1;
+    this.lastRecordAt = new Date();
+
+    switch (recordType) {
+      case 'LS':
+        this.sendLinkDescription();
+        break;
+      case 'LA':
+        if (this.linkState !== 'linked') {
+          this.linkState = 'linked';
+          this.reconnectDelay = 5000;
+          this.startLinkAlive();
+          this.emitLinkChange('up');
+        }
+        break;
+      case 'LE':
+        logger.info('FIAS link ended by PMS');
+        this.socket?.end();
+        break;
+      case 'DS':
+        this.resyncInProgress = true;
+        logger.info('FIAS database resync started');
+        break;
+      case 'DE':
+        this.resyncInProgress = false;
+        logger.info('FIAS database resync finished');
+        this.emit('resync-complete');
+        break;
+      case 'GI':
+      case 'GO':
+      case 'GC':
+      case 'RE':
+        this.emitGuestEvent(this.toGuestEvent(recordType, fields, raw));
+        break;
+      default:
+        logger.debug(`Ignoring FIAS record ${recordType}`);
+    }
+  }
+
+  // Answer the PMS link start with our description and the records we want
+  sendLinkDescription() {
+    const now = formatDateTime(new Date(), this.timeZone);
+
+    this.send('LD', { ...now, 'V#': '1.0', IF: 'IPTV' });
+    for (const [recordId, fields] of Object.entries(LINK_RECORDS)) {
+      this.send('LR', { RI: recordId, FL: fields.join('') });
+    }
+    this.send('LA', now);
+  }
+
+  startLinkAlive() {
+    if (this.linkAliveTimer) {
+      clearInterval(this.linkAliveTimer);
+    }
+    this.linkAliveTimer = setInterval(() => {
+      this.send('LA', formatDateTime(new Date(), this.timeZone));
+    }, this.linkAliveInterval);
+  }
+
+  // Ask the PMS to replay every in-house guest (answered with DS, GI..., DE)
+  requestResync() {
+    if (this.linkState !== 'linked') {
+      return false;
+    }
+    return this.send('DR', formatDateTime(new Date(), this.timeZone));
+  }
+
+  toGuestEvent(recordType, fields, raw) {
+    const roomNumber = (fields.RN || '').trim() || null;
+    const base = {
+      source: 'fias',
+      recordType,
+      roomNumber,
+      reservationId: (fields['G#'] || '').trim() || null,
+      occurredAt: parseDateTime(fields.DA, fields.TI, this.timeZone) || new Date(),
+      resync: this.resyncInProgress,
+      raw
+    };
+
+    if (recordType === 'RE') {
+      return {
+        ...base,
+        type: 'ROOM_STATUS',
+        roomStatus: {
+          roomStatus: fields.RS || null,
+          cleanStatus: fields.CS || null,
+          doNotDisturb: fields.DN === 'Y',
+          messageWaiting: fields.MW === 'Y'
+        }
+      };
+    }
+
+    const guest = {
+      name: fields.GN ? [fields.GF, fields.GN].filter(Boolean).join(' ') : null,
+      firstName: fields.GF || null,
+      lastName: fields.GN || null,
+      salutation: fields.GT || null,
+      language: fields.GL ? fields.GL.toLowerCase() : null,
+      vip: fields.GV || null,
+      group: fields.GG || null
+    };
+
+    const stay = {
+      arrivalDate: parseDateTime(fields.GA, '000000', this.timeZone),
+      departureDate: parseDateTime(fields.GD, '000000', this.timeZone),
+      sharer: fields.GS === 'Y'
+    };
+
+    if (recordType === 'GI') {
+      return { ...base, type: 'CHECK_IN', guest, ...stay };
+    }
+
+    if (recordType === 'GO') {
+      return { ...base, type: 'CHECK_OUT', guest: null, sharer: stay.sharer };
+    }
+
+    // GC with an old room number is a room move; otherwise a data change
+    const previousRoomNumber = (fields.RO || '').trim() || null;
+    return {
+      ...base,
+      type: previousRoomNumber ? 'ROOM_MOVE' : 'GUEST_CHANGE',
+      previousRoomNumber,
+      guest,
+      ...stay
+    };
+  }
+
+  emitGuestEvent(event) {
+    if (event.type !== 'ROOM_STATUS') {
+      this.stats.guestEvents += 1;
+    }
+
+    logger.info(`FIAS ${event.type} for room ${event.roomNumber}`, {
+      type: 'PMS_SYNC',
+      roomNumber: event.roomNumber,
+      event: event.type,
+      reservationId: event.reservationId,
+      previousRoomNumber: event.previousRoomNumber,
+      resync: event.resync
+    });
+
+    // Internal consumers (stay tracking, automation) subscribe to this event
+    this.emit('guest-event', event);
+
+    if (global.io) {
+      const { raw, ...payload } = event;
+      global.io.to('admin:pms').emit('pms:guest-event', payload);
+    }
+  }
+
+  emitLinkChange(state) {
+    logger.logSystemEvent(state === 'up' ? 'FIAS_LINK_UP' : 'FIAS_LINK_DOWN', {
+      host: this.host,
+      port: this.port
+    });
+
+    this.emit(`link-${state}`);
+
+    if (global.io) {
+      global.io.to('admin:pms').emit('pms:fias-link', {
+        state,
+        host: this.host,
+        port: this.port,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Bring the panel up to date after every (re)connect
+    if (state === 'up') {
+      this.requestResync();
+    }
+  }
+
+  isLinked() {
+    return this.linkState === 'linked';
+  }
+
+  getStatus() {
+    return {
+      initialized: this.initialized,
+      enabled: this.enabled,
+      host: this.host,
+      port: this.port,
+      linkState: this.linkState,
+      resyncInProgress: this.resyncInProgress,
+      lastRecordAt: this.lastRecordAt,
+      stats: { ...this.stats }
+    };
+  }
+}
+
+module.exports = new FiasService();
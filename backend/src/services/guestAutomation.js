@@ -1,22 +1,71 @@
 const logger = require('../utils/logger');
-const PMSService = require('./pmsService');
 const DeviceManager = require('./deviceManager');
+const DeviceAssignments = require('./deviceAssignments');
+const GuestStayService = require('./guestStayService');
+const MessageService = require('./messageService');
+const PMSService = require('./pmsService');
 const Settings = require('../models/Settings');
+const GuestStay = require('../models/GuestStay');
+const Device = require('../models/Device');
+const Folio = require('../models/Folio');
+const Reservation = require('../models/Reservation');
+const Room = require('../models/Room');
+const AutomationRule = require('../models/AutomationRule');
+const BackgroundBundle = require('../models/BackgroundBundle');
+const App = require('../models/App');
+const Log = require('../models/Log');
+const { DEFAULT_LOCALE, DEFAULT_MESSAGE_TEMPLATES, normalizeLocale, selectTemplate } = require('../utils/messageTemplates');
+const { renderTemplate } = require('../utils/templateEngine');
+const { getFloorFromRoomNumber } = require('../utils/roomNumber');
+const { DEFAULT_TIMEZONE, getLocalTimeParts, fromLocalTime, parseTimeOfDay, applyTimeToDateOnly } = require('../utils/propertyTime');
+
+// Loyalty tiers that get the is_vip template variable
+const VIP_LOYALTY_TIERS = ['gold', 'platinum'];
+
+// Sample guests for template previews, so each locale is shown with a plausible name
+const SAMPLE_GUEST_NAMES = {
+  en: 'John Smith',
+  es: 'María García',
+  fr: 'Camille Dubois',
+  de: 'Anna Schmidt',
+  ja: 'Yuki Tanaka'
+};
+
+// Defaults for the welcome_message_delay_minutes and farewell_message_minutes_before_checkout settings
+const DEFAULT_WELCOME_DELAY_MINUTES = 0;
+const DEFAULT_FAREWELL_LEAD_MINUTES = 15;
+// Default for standard_checkout_time, applied to departures that have no time
+const DEFAULT_CHECKOUT_TIME = '11:00';
+
+// Settings that switch each message type on and off
+const ENABLED_SETTINGS = {
+  welcome: 'pms_welcome_messages',
+  farewell: 'pms_farewell_messages'
+};
+
+// A "time" rule fires within this many minutes after its local time, so a missed tick is caught up
+const RULE_TIME_WINDOW_MINUTES = 60;
 
 class GuestAutomation {
   constructor() {
     this.initialized = false;
     this.intervalId = null;
-    this.checkInterval = 5 * 60 * 1000; // 5 minutes
+    this.checkInterval = 60 * 1000; // 1 minute
   }
 
   async initialize() {
     try {
       logger.info('Initializing Guest Automation Service...');
-      
-      // Start the automation loop
+
+      // Welcome and farewell fire from stay transitions, not from polling the PMS
+      GuestStayService.on('transition', (transition) => {
+        this.handleTransition(transition).catch(error => {
+          logger.error(`Failed to handle stay transition for room ${transition.stay.roomNumber}:`, error.message);
+        });
+      });
+
       this.startAutomationLoop();
-      
+
       this.initialized = true;
       logger.info('Guest Automation Service initialized successfully');
     } catch (error) {
@@ -26,185 +75,341 @@ class GuestAutomation {
   }
 
   startAutomationLoop() {
-    // Check every 5 minutes for guest automation triggers
+    // Delayed welcomes, farewells and "time" rules are due relative to the stay and the clock, so check stored stays every minute
     this.intervalId = setInterval(async () => {
-      await this.processAutomationTriggers();
+      await this.processDueWelcomes();
+      await this.processDueFarewells();
+      await this.processScheduledRules();
     }, this.checkInterval);
 
     logger.info('Guest automation loop started');
   }
 
-  async processAutomationTriggers() {
-    try {
-      if (!PMSService.isConnected()) {
-        return; // Skip if PMS is not connected
+  async handleTransition({ stay, from, to, details }) {
+    // The launcher config carries the in-house guest; have the affected TVs refetch it
+    const rooms = [stay.roomNumber, to === 'moved' ? details?.fromRoom : null].filter(Boolean);
+    for (const roomNumber of rooms) {
+      await this.sendToRoom(roomNumber, device => DeviceManager.sendConfigUpdate(device.uuid, null));
+    }
+
+    if (to === 'checked-in') {
+      await this.scheduleWelcome(stay);
+    }
+
+    if (to === 'checked-out' && GuestStay.IN_HOUSE_STATES.includes(from)) {
+      // A welcome still waiting for its delay is no longer wanted
+      if (stay.actions?.welcomeDueAt && !stay.actions?.welcomeSentAt) {
+        await this.recordTrigger(stay, 'welcome', 'skipped', 'checked_out',
+          'Guest checked out before the welcome delay elapsed');
       }
 
-      logger.debug('Processing guest automation triggers...');
+      // Guests leaving without a farewell yet get it on check-out (not cancellations)
+      await this.sendFarewellMessage(stay);
+    }
 
-      // Get all approved devices with room assignments
-      const Device = require('../models/Device');
-      const devices = await Device.find({ 
-        status: 'approved', 
-        roomNumber: { $exists: true, $ne: null } 
-      });
+    const event = AutomationRule.TRANSITION_EVENTS[to];
+    if (event && (to !== 'checked-out' || GuestStay.IN_HOUSE_STATES.includes(from))) {
+      await this.runEventRules(event, stay, details || {});
+    }
+  }
 
-      for (const device of devices) {
-        try {
-          await this.checkGuestTriggers(device);
-        } catch (error) {
-          logger.error(`Failed to process triggers for device ${device.uuid}:`, error.message);
-        }
-      }
+  // Welcome is due welcome_message_delay_minutes after check-in; without a delay it goes out now
+  async scheduleWelcome(stay) {
+    const delayMinutes = Number(await Settings.get('welcome_message_delay_minutes', DEFAULT_WELCOME_DELAY_MINUTES)) || 0;
+    const dueAt = new Date((stay.checkedInAt || new Date()).getTime() + delayMinutes * 60 * 1000);
 
-    } catch (error) {
-      logger.error('Failed to process automation triggers:', error.message);
+    await GuestStay.updateOne({ _id: stay._id }, { $set: { 'actions.welcomeDueAt': dueAt } });
+    stay.actions.welcomeDueAt = dueAt;
+
+    if (delayMinutes === 0) {
+      await this.sendWelcomeMessage(stay);
+      return;
     }
+
+    await this.recordTrigger(stay, 'welcome', 'scheduled', 'delay',
+      `Welcome due at ${dueAt.toISOString()} (${delayMinutes} minutes after check-in)`);
   }
 
-  async checkGuestTriggers(device) {
+  async processDueWelcomes() {
     try {
-      // Get guest information for this room
-      const guestInfo = await PMSService.getGuestByRoom(device.roomNumber);
-      if (!guestInfo || !guestInfo.guest || !guestInfo.reservation) {
+      if (!(await Settings.get(ENABLED_SETTINGS.welcome, true))) {
         return;
       }
 
-      const now = new Date();
-      const checkIn = new Date(guestInfo.reservation.checkIn);
-      const checkOut = new Date(guestInfo.reservation.checkOut);
-
-      // Check for welcome message trigger (within 15 minutes of check-in)
-      const timeSinceCheckIn = now - checkIn;
-      if (timeSinceCheckIn >= 0 && timeSinceCheckIn <= 15 * 60 * 1000) {
-        await this.sendWelcomeMessage(device, guestInfo);
-      }
+      const stays = await GuestStay.findInHouse({
+        'actions.welcomeDueAt': { $lte: new Date() },
+        'actions.welcomeSentAt': null
+      });
 
-      // Check for farewell message trigger (15 minutes before check-out)
-      const timeUntilCheckOut = checkOut - now;
-      if (timeUntilCheckOut > 0 && timeUntilCheckOut <= 15 * 60 * 1000) {
-        await this.sendFarewellMessage(device, guestInfo);
+      for (const stay of stays) {
+        await this.sendWelcomeMessage(stay);
       }
-
     } catch (error) {
-      logger.error(`Failed to check guest triggers for room ${device.roomNumber}:`, error.message);
+      logger.error('Failed to process due welcome messages:', error.message);
     }
   }
 
-  async sendWelcomeMessage(device, guestInfo) {
+  async processDueFarewells() {
     try {
-      // Check if we already sent a welcome message recently
-      const lastWelcome = device.lastWelcomeMessage;
-      if (lastWelcome && (new Date() - lastWelcome) < 24 * 60 * 60 * 1000) {
-        return; // Already sent within last 24 hours
+      if (!(await Settings.get(ENABLED_SETTINGS.farewell, true))) {
+        return;
       }
 
-      // Get welcome message template
-      const welcomeTemplate = await Settings.getValue('welcome_message_template') || 
-        "Welcome, {{guest_name}}! We hope you enjoy your stay in room {{room_number}}.";
-
-      // Replace placeholders
-      const message = this.replacePlaceholders(welcomeTemplate, {
-        guest_name: guestInfo.guest.name || guestInfo.guest.firstName || 'Guest',
-        room_number: device.roomNumber,
-        check_in_time: this.formatTime(guestInfo.reservation.checkIn),
-        check_out_time: this.formatTime(guestInfo.reservation.checkOut)
+      const leadMinutes = Number(await Settings.get('farewell_message_minutes_before_checkout', DEFAULT_FAREWELL_LEAD_MINUTES));
+      const dueBefore = new Date(Date.now() + (isNaN(leadMinutes) ? DEFAULT_FAREWELL_LEAD_MINUTES : leadMinutes) * 60 * 1000);
+      const stays = await GuestStay.findInHouse({
+        departureDate: { $lte: dueBefore },
+        'actions.farewellSentAt': null
       });
 
-      // Send welcome message via DeviceManager
-      const result = await DeviceManager.sendWelcomeMessage(device.uuid, message);
-      
-      if (result.success) {
-        // Update device record
-        await device.updateOne({ lastWelcomeMessage: new Date() });
-        logger.info(`Welcome message sent to room ${device.roomNumber} for guest ${guestInfo.guest.name}`);
+      // Date-only departures are only due once their standard checkout time gets close
+      const resolveDeparture = await this.getDepartureResolver();
+      for (const stay of stays) {
+        if (resolveDeparture(stay.departureDate) <= dueBefore) {
+          await this.sendFarewellMessage(stay);
+        }
       }
-
     } catch (error) {
-      logger.error(`Failed to send welcome message to room ${device.roomNumber}:`, error.message);
+      logger.error('Failed to process due farewell messages:', error.message);
     }
   }
 
-  async sendFarewellMessage(device, guestInfo) {
+  // Keep the outcome of a welcome/farewell trigger on the stay, with the reason
+  async recordTrigger(stay, type, outcome, reason, message, extra = {}) {
+    const log = outcome === 'failed' ? logger.warn : logger.info;
+    log.call(logger, `${type} message ${outcome} for room ${stay.roomNumber || '-'} (${stay.reservationId}): ${message}`);
+
     try {
-      // Check if we already sent a farewell message recently
-      const lastFarewell = device.lastFarewellMessage;
-      if (lastFarewell && (new Date() - lastFarewell) < 6 * 60 * 60 * 1000) {
-        return; // Already sent within last 6 hours
-      }
+      await GuestStay.recordTrigger(stay._id, {
+        type,
+        outcome,
+        reason,
+        message,
+        roomNumber: stay.roomNumber || null,
+        ...extra
+      });
+    } catch (error) {
+      logger.error(`Failed to record ${type} trigger for stay ${stay.reservationId}:`, error.message);
+    }
+  }
 
-      // Get farewell message template
-      const farewellTemplate = await Settings.getValue('farewell_message_template') || 
-        "Dear {{guest_name}}, we hope you had a great stay. Checkout is at {{check_out_time}}. Safe travels!";
+  // Atomically claim a once-per-stay action so concurrent triggers cannot both send it
+  async claimAction(stay, action) {
+    const field = `actions.${action}`;
+    const result = await GuestStay.updateOne(
+      { _id: stay._id, [field]: null },
+      { $set: { [field]: new Date() } }
+    );
+    return result.modifiedCount === 1;
+  }
 
-      // Replace placeholders
-      const message = this.replacePlaceholders(farewellTemplate, {
-        guest_name: guestInfo.guest.name || guestInfo.guest.firstName || 'Guest',
-        room_number: device.roomNumber,
-        check_in_time: this.formatTime(guestInfo.reservation.checkIn),
-        check_out_time: this.formatTime(guestInfo.reservation.checkOut)
-      });
+  async releaseAction(stay, action) {
+    await GuestStay.updateOne({ _id: stay._id }, { $set: { [`actions.${action}`]: null } });
+  }
 
-      // Send farewell message via DeviceManager
-      const result = await DeviceManager.sendFarewellMessage(device.uuid, message);
-      
-      if (result.success) {
-        // Update device record
-        await device.updateOne({ lastFarewellMessage: new Date() });
-        logger.info(`Farewell message sent to room ${device.roomNumber} for guest ${guestInfo.guest.name}`);
-      }
+  // Template for the guest's language, falling back to the base language, then the default locale
+  async getTemplate(type, language = null) {
+    const templates = await Settings.get('guest_message_templates', DEFAULT_MESSAGE_TEMPLATES);
+    return selectTemplate(templates, type, language);
+  }
 
+  async getTimeZone() {
+    return Settings.get('property_timezone', DEFAULT_TIMEZONE);
+  }
+
+  // Maps a stay's departure to the time the guest actually leaves (see applyTimeToDateOnly)
+  async getDepartureResolver() {
+    const [timeZone, checkoutTime] = await Promise.all([
+      this.getTimeZone(),
+      Settings.get('standard_checkout_time', DEFAULT_CHECKOUT_TIME)
+    ]);
+    const minutes = parseTimeOfDay(checkoutTime) ?? parseTimeOfDay(DEFAULT_CHECKOUT_TIME);
+    return (date) => (date ? applyTimeToDateOnly(date, minutes, timeZone) : null);
+  }
+
+  // Render a template against a sample stay, for the settings editor. Throws on syntax errors.
+  async renderPreview(template, locale) {
+    const timeZone = await this.getTimeZone();
+    const today = getLocalTimeParts(new Date(), timeZone);
+    const arrival = fromLocalTime({ ...today, hours: 15, minutes: 0 }, timeZone);
+    const departure = new Date(fromLocalTime({ ...today, hours: 11, minutes: 0 }, timeZone).getTime() + 3 * 24 * 60 * 60 * 1000);
+
+    const language = (locale || 'en').split('-')[0];
+    const name = SAMPLE_GUEST_NAMES[language] || 'Alex Morgan';
+    const [firstName, lastName] = name.split(' ');
+
+    const variables = await this.buildVariables({
+      guest: { name, firstName, lastName, salutation: 'Mr.', language, loyaltyTier: 'gold' },
+      roomNumber: '304',
+      arrivalDate: arrival,
+      departureDate: departure
+    }, { locale, folio: { balance: 245.5, currency: 'EUR' } });
+
+    return renderTemplate(template, variables, { locale, timeZone });
+  }
+
+  // Variables available to guest message templates (see TEMPLATE_VARIABLES); pass the
+  // folio when it is already known, or null for none
+  async buildVariables(stay, { locale = 'en', folio } = {}) {
+    const [hotelName, timeZone, resolveDeparture, openFolio] = await Promise.all([
+      Settings.get('panel_name', 'Hotel IPTV Panel'),
+      this.getTimeZone(),
+      this.getDepartureResolver(),
+      folio !== undefined || !stay.reservationId
+        ? folio || null
+        : Folio.findOne({ reservationId: stay.reservationId, status: 'open' })
+    ]);
+
+    const guest = stay.guest || {};
+    const loyaltyTier = guest.loyaltyTier ? String(guest.loyaltyTier).toLowerCase() : null;
+    const formatTime = (date) => (date ? renderTemplate('{{value | time}}', { value: date }, { locale, timeZone }) : '');
+    const departure = resolveDeparture(stay.departureDate);
+    const nights = stay.arrivalDate && stay.departureDate
+      ? Math.max(Math.round((new Date(stay.departureDate) - new Date(stay.arrivalDate)) / (24 * 60 * 60 * 1000)), 0)
+      : null;
+
+    return {
+      guest_name: guest.name || [guest.firstName, guest.lastName].filter(Boolean).join(' ') || 'Guest',
+      guest_first_name: guest.firstName || null,
+      guest_last_name: guest.lastName || null,
+      guest_salutation: guest.salutation || null,
+      guest_language: guest.language || null,
+      loyalty_tier: loyaltyTier,
+      is_vip: VIP_LOYALTY_TIERS.includes(loyaltyTier),
+      room_number: stay.roomNumber,
+      check_in: stay.arrivalDate || null,
+      check_out: departure,
+      check_in_time: formatTime(stay.arrivalDate),
+      check_out_time: formatTime(departure),
+      nights,
+      balance: openFolio ? openFolio.balance : null,
+      currency: openFolio ? openFolio.currency : null,
+      hotel_name: hotelName
+    };
+  }
+
+  // Render the chosen template; one that no longer parses falls back to the shipped template
+  async renderMessage(type, { template, locale }, variables) {
+    const timeZone = await this.getTimeZone();
+
+    try {
+      return renderTemplate(template, variables, { locale, timeZone });
     } catch (error) {
-      logger.error(`Failed to send farewell message to room ${device.roomNumber}:`, error.message);
+      logger.error(`Invalid ${type} template (${locale}), using the default: ${error.message}`);
+      const fallback = selectTemplate(DEFAULT_MESSAGE_TEMPLATES, type, locale);
+      return renderTemplate(fallback.template, variables, { locale: fallback.locale, timeZone });
     }
   }
 
-  replacePlaceholders(template, variables) {
-    let message = template;
-    
-    for (const [key, value] of Object.entries(variables)) {
-      const placeholder = `{{${key}}}`;
-      message = message.replace(new RegExp(placeholder, 'g'), value || '');
+  async sendToRoom(roomNumber, send) {
+    const devices = await Device.find({ roomNumber, status: 'approved' });
+    if (devices.length === 0) {
+      logger.warn(`No approved device found for room ${roomNumber}`);
+      return { success: false, message: 'Device not found', devices: [] };
+    }
+
+    const results = [];
+    for (const device of devices) {
+      results.push({ device, result: await send(device) });
     }
-    
-    return message;
+
+    return {
+      success: results.some(({ result }) => result.success),
+      devices: results
+    };
   }
 
-  formatTime(dateString) {
+  async sendWelcomeMessage(stay) {
+    return this.sendStayMessage(stay, 'welcome');
+  }
+
+  async sendFarewellMessage(stay) {
+    return this.sendStayMessage(stay, 'farewell');
+  }
+
+  // Send the welcome or farewell of a stay at most once per reservation, recording the outcome
+  async sendStayMessage(stay, type) {
+    const action = `${type}SentAt`;
+    const label = type === 'welcome' ? 'Welcome' : 'Farewell';
+
     try {
-      const date = new Date(dateString);
-      return date.toLocaleTimeString('en-US', {
-        hour: '2-digit',
-        minute: '2-digit',
-        hour12: true
-      });
+      if (!(await Settings.get(ENABLED_SETTINGS[type], true))) {
+        if (type === 'welcome') {
+          await GuestStay.updateOne({ _id: stay._id }, { $set: { 'actions.welcomeDueAt': null } });
+        }
+        await this.recordTrigger(stay, type, 'skipped', 'disabled', `${label} messages are turned off (${ENABLED_SETTINGS[type]})`);
+        return;
+      }
+      if (!stay.roomNumber) {
+        await this.claimAction(stay, action);
+        await this.recordTrigger(stay, type, 'skipped', 'no_room', 'The reservation has no room assigned');
+        return;
+      }
+      if (!(await this.claimAction(stay, action))) {
+        const sentAt = (await GuestStay.findById(stay._id).select('actions'))?.actions?.[action];
+        await this.recordTrigger(stay, type, 'skipped', 'already_sent',
+          `${label} already sent for this reservation${sentAt ? ` at ${sentAt.toISOString()}` : ''}`);
+        return;
+      }
+
+      const selected = await this.getTemplate(type, stay.guest?.language);
+      const { locale } = selected;
+      const message = await this.renderMessage(type, selected, await this.buildVariables(stay, { locale }));
+
+      const result = await this.sendToRoom(stay.roomNumber, device => (
+        type === 'welcome'
+          ? DeviceManager.sendWelcomeMessage(device.uuid, message, locale)
+          : DeviceManager.sendFarewellMessage(device.uuid, message, locale)
+      ));
+
+      const devices = result.devices.map(({ device, result: sent }) => ({
+        uuid: device.uuid,
+        delivered: Boolean(sent.delivered),
+        error: sent.success ? undefined : sent.message
+      }));
+
+      if (result.success) {
+        const delivered = devices.filter(device => device.delivered).length;
+        await this.recordTrigger(stay, type, 'sent', delivered > 0 ? 'delivered' : 'queued',
+          delivered > 0
+            ? `${label} shown on ${delivered} of ${devices.length} TV(s)`
+            : `${label} queued for ${devices.length} offline TV(s)`,
+          { locale, devices });
+      } else if (result.devices.length === 0) {
+        // Without a device in the room there is nobody to retry for; keep the claim
+        await this.recordTrigger(stay, type, 'skipped', 'no_device', `No approved TV in room ${stay.roomNumber}`, { locale });
+      } else {
+        await this.releaseAction(stay, action);
+        await this.recordTrigger(stay, type, 'failed', 'delivery_failed', `${label} could not be sent to any TV; will retry`, { locale, devices });
+      }
+
     } catch (error) {
-      return dateString;
+      logger.error(`Failed to send ${type} message to room ${stay.roomNumber}:`, error.message);
+      await this.recordTrigger(stay, type, 'failed', 'error', error.message);
     }
   }
 
-  async triggerWelcomeMessage(roomNumber, guestName) {
+  async triggerWelcomeMessage(roomNumber, guestName, language = null) {
     try {
-      const Device = require('../models/Device');
-      const device = await Device.findOne({ roomNumber, status: 'approved' });
+      const devices = await Device.findByRoom(roomNumber, 'approved');
       
-      if (!device) {
+      if (devices.length === 0) {
         logger.warn(`No approved device found for room ${roomNumber}`);
         return { success: false, message: 'Device not found' };
       }
 
-      const welcomeTemplate = await Settings.getValue('welcome_message_template') || 
-        "Welcome, {{guest_name}}! We hope you enjoy your stay in room {{room_number}}.";
+      const selected = await this.getTemplate('welcome', language);
+      const { locale } = selected;
 
-      const message = this.replacePlaceholders(welcomeTemplate, {
-        guest_name: guestName,
-        room_number: roomNumber
-      });
+      const message = await this.renderMessage('welcome', selected, await this.buildVariables({
+        guest: { name: guestName, language },
+        roomNumber
+      }, { locale, folio: null }));
 
-      const result = await DeviceManager.sendWelcomeMessage(device.uuid, message);
+      const result = await this.sendToRoomDevices(devices, device => DeviceManager.sendWelcomeMessage(device.uuid, message, locale));
       
       if (result.success) {
-        await device.updateOne({ lastWelcomeMessage: new Date() });
+        await Device.updateMany({ _id: { $in: devices.map(device => device._id) } }, { lastWelcomeMessage: new Date() });
         logger.info(`Manual welcome message sent to room ${roomNumber} for guest ${guestName}`);
       }
 
@@ -215,28 +420,27 @@ class GuestAutomation {
     }
   }
 
-  async triggerFarewellMessage(roomNumber, guestName) {
+  async triggerFarewellMessage(roomNumber, guestName, language = null) {
     try {
-      const Device = require('../models/Device');
-      const device = await Device.findOne({ roomNumber, status: 'approved' });
+      const devices = await Device.findByRoom(roomNumber, 'approved');
       
-      if (!device) {
+      if (devices.length === 0) {
         logger.warn(`No approved device found for room ${roomNumber}`);
         return { success: false, message: 'Device not found' };
       }
 
-      const farewellTemplate = await Settings.getValue('farewell_message_template') || 
-        "Dear {{guest_name}}, we hope you had a great stay. Safe travels!";
+      const selected = await this.getTemplate('farewell', language);
+      const { locale } = selected;
 
-      const message = this.replacePlaceholders(farewellTemplate, {
-        guest_name: guestName,
-        room_number: roomNumber
-      });
+      const message = await this.renderMessage('farewell', selected, await this.buildVariables({
+        guest: { name: guestName, language },
+        roomNumber
+      }, { locale, folio: null }));
 
-      const result = await DeviceManager.sendFarewellMessage(device.uuid, message);
+      const result = await this.sendToRoomDevices(devices, device => DeviceManager.sendFarewellMessage(device.uuid, message, locale));
       
       if (result.success) {
-        await device.updateOne({ lastFarewellMessage: new Date() });
+        await Device.updateMany({ _id: { $in: devices.map(device => device._id) } }, { lastFarewellMessage: new Date() });
         logger.info(`Manual farewell message sent to room ${roomNumber} for guest ${guestName}`);
       }
 
@@ -247,6 +451,334 @@ class GuestAutomation {
     }
   }
 
+  // Send to every TV in the room; succeeds when at least one accepted it
+  async sendToRoomDevices(devices, send) {
+    const results = [];
+    for (const device of devices) {
+      results.push(await send(device));
+    }
+
+    return {
+      success: results.some(result => result.success),
+      results
+    };
+  }
+
+  // Automation rules
+
+  // Run the active rules for a stay event (check-in, check-out, room-move, stay-extended)
+  async runEventRules(event, stay, details = {}) {
+    try {
+      const rules = await AutomationRule.findActiveForEvent(event);
+      if (rules.length === 0) {
+        return;
+      }
+
+      const facts = await this.buildRuleFacts(stay);
+      for (const rule of rules) {
+        if (rule.matches(facts)) {
+          await this.executeRule(rule, stay, facts, { event, details });
+        }
+      }
+    } catch (error) {
+      logger.error(`Failed to run ${event} automation rules for room ${stay.roomNumber}:`, error.message);
+    }
+  }
+
+  // "time" rules run once per stay and local day
+  async processScheduledRules() {
+    try {
+      const rules = await AutomationRule.findActiveForEvent('time');
+      if (rules.length === 0) {
+        return;
+      }
+
+      const now = new Date();
+      const timeZone = await this.getTimeZone();
+      const stays = await GuestStay.findInHouse();
+      const factsByStay = new Map();
+
+      for (const rule of rules) {
+        for (const stay of stays) {
+          const schedule = this.getRuleSchedule(rule, stay, now, timeZone);
+          if (!schedule.due) {
+            continue;
+          }
+
+          if (!factsByStay.has(stay.id)) {
+            factsByStay.set(stay.id, await this.buildRuleFacts(stay));
+          }
+          const facts = factsByStay.get(stay.id);
+
+          if (!rule.matches(facts) || !(await GuestStay.claimRuleRun(stay._id, rule._id, schedule.key))) {
+            continue;
+          }
+
+          await this.executeRule(rule, stay, facts, { event: 'time' });
+        }
+      }
+    } catch (error) {
+      logger.error('Failed to process scheduled automation rules:', error.message);
+    }
+  }
+
+  // Whether a "time" rule is due for a stay: its day of the stay, within the window after its local time
+  getRuleSchedule(rule, stay, at, timeZone) {
+    const now = getLocalTimeParts(at, timeZone);
+    const start = parseTimeOfDay(rule.trigger.time);
+    const localDate = (date) => (date ? getLocalTimeParts(new Date(date), timeZone).date : null);
+
+    if (rule.trigger.day === 'arrival' && localDate(stay.arrivalDate) !== now.date) {
+      return { due: false, reason: 'Not the arrival day' };
+    }
+    if (rule.trigger.day === 'departure' && localDate(stay.departureDate) !== now.date) {
+      return { due: false, reason: 'Not the departure day' };
+    }
+    if (start === null || now.minutesOfDay < start || now.minutesOfDay >= start + RULE_TIME_WINDOW_MINUTES) {
+      return { due: false, reason: `Local time ${now.time} is outside the ${rule.trigger.time} window` };
+    }
+
+    return { due: true, key: `${rule.id}:${now.date}` };
+  }
+
+  // Facts rule conditions test (see AutomationRule.CONDITION_FIELDS): the template variables
+  // plus floor and room type (from the Room record, else the number and reservation);
+  // pass the room type when it is already known
+  async buildRuleFacts(stay, { roomType, folio } = {}) {
+    const [variables, reservation, room] = await Promise.all([
+      this.buildVariables(stay, { folio }),
+      roomType !== undefined || !stay.reservationId
+        ? null
+        : Reservation.findOne({ pmsId: stay.reservationId }).select('roomType'),
+      stay.roomNumber ? Room.findByNumber(stay.roomNumber) : null
+    ]);
+
+    return {
+      ...variables,
+      floor: room?.floor || getFloorFromRoomNumber(stay.roomNumber),
+      room_type: roomType !== undefined ? roomType : room?.roomType || reservation?.roomType || null
+    };
+  }
+
+  // Run every action of a matching rule, then keep its run stats and an audit log entry
+  async executeRule(rule, stay, facts, { event, details = {} } = {}) {
+    const results = [];
+    for (const action of rule.actions) {
+      try {
+        results.push(await this.runRuleAction(rule, action, stay, facts, { details }));
+      } catch (error) {
+        results.push({ type: action.type, status: 'failed', detail: error.message, devices: [] });
+      }
+    }
+
+    const failed = results.filter(result => result.status === 'failed');
+    const summary = results.map(result => `${result.type}: ${result.status}`).join(', ');
+
+    try {
+      await AutomationRule.updateOne({ _id: rule._id }, {
+        $inc: { 'stats.runCount': 1 },
+        $set: {
+          'stats.lastRunAt': new Date(),
+          'stats.lastError': failed.length > 0
+            ? failed.map(result => `${result.type}: ${result.detail}`).join('; ')
+            : null
+        }
+      });
+
+      logger.logSystemEvent('AUTOMATION_RULE_RUN', { ruleId: rule.id, roomNumber: stay.roomNumber, event });
+      await Log.create({
+        type: 'SYSTEM_EVENT',
+        level: failed.length > 0 ? 'warn' : 'info',
+        message: `Automation rule "${rule.name}" ran for room ${stay.roomNumber || '-'} (${summary})`,
+        event: 'AUTOMATION_RULE_RUN',
+        roomNumber: stay.roomNumber || null,
+        success: failed.length === 0,
+        error: failed.length > 0 ? failed.map(result => result.detail).join('; ') : null,
+        metadata: {
+          ruleId: rule.id,
+          ruleName: rule.name,
+          trigger: event,
+          reservationId: stay.reservationId,
+          results
+        }
+      });
+    } catch (error) {
+      logger.error(`Failed to record run of automation rule ${rule.id}:`, error.message);
+    }
+
+    return results;
+  }
+
+  // Run one action against the approved TVs in the stay's room; a dry run only describes it
+  async runRuleAction(rule, action, stay, facts, { details = {}, dryRun = false } = {}) {
+    const params = action.params || {};
+    const devices = stay.roomNumber ? await Device.find({ roomNumber: stay.roomNumber, status: 'approved' }) : [];
+    const result = { type: action.type, devices: devices.map(device => device.uuid) };
+    const status = dryRun ? 'planned' : 'done';
+    const reason = `Automation rule ${rule.name}`;
+
+    if (!stay.roomNumber) {
+      return { ...result, status: 'skipped', detail: 'The reservation has no room assigned' };
+    }
+    if (devices.length === 0) {
+      return { ...result, status: 'skipped', detail: `No approved TV in room ${stay.roomNumber}` };
+    }
+
+    const refreshConfig = async () => {
+      for (const device of devices) {
+        await DeviceManager.sendConfigUpdate(device.uuid, null);
+      }
+    };
+
+    switch (action.type) {
+      case 'show_message': {
+        const options = {
+          locale: normalizeLocale(facts.guest_language) || DEFAULT_LOCALE,
+          timeZone: await this.getTimeZone()
+        };
+        const title = params.title ? renderTemplate(params.title, facts, options) : '';
+        const body = renderTemplate(params.body || '', facts, options);
+
+        if (dryRun) {
+          return { ...result, status, detail: `Show "${title || body}" on ${devices.length} TV(s)`, preview: { title, body } };
+        }
+
+        const message = await MessageService.create({
+          title,
+          body,
+          imageUrl: params.imageUrl,
+          priority: params.priority,
+          displayDuration: params.displayDuration,
+          target: { roomNumbers: [stay.roomNumber] }
+        }, null);
+        return { ...result, status, detail: `Message ${message.id} sent to room ${stay.roomNumber}` };
+      }
+
+      case 'assign_background': {
+        const bundle = await BackgroundBundle.findById(params.bundleId);
+        if (!bundle) {
+          throw new Error('Background bundle not found');
+        }
+
+        if (!dryRun) {
+          await DeviceAssignments.assignBackgroundBundle(devices, bundle._id);
+          await refreshConfig();
+        }
+        return { ...result, status, detail: `Background bundle "${bundle.name}" on ${devices.length} TV(s)` };
+      }
+
+      case 'assign_apps': {
+        const appIds = [].concat(params.appIds || []);
+        const apps = await App.find({ _id: { $in: appIds } });
+        if (appIds.length === 0 || apps.length !== appIds.length) {
+          throw new Error('One or more apps not found');
+        }
+
+        if (!dryRun) {
+          await DeviceAssignments.assignApps(devices, appIds);
+          await refreshConfig();
+        }
+        return { ...result, status, detail: `${apps.length} app(s) on ${devices.length} TV(s): ${apps.map(app => app.name).join(', ')}` };
+      }
+
+      case 'send_command': {
+        if (!AutomationRule.RULE_COMMANDS.includes(params.command)) {
+          throw new Error(`Unsupported command ${params.command}`);
+        }
+
+        if (!dryRun) {
+          for (const device of devices) {
+            await DeviceManager.queueCommand(device, params.command, {}, { reason });
+          }
+        }
+        return { ...result, status, detail: `${params.command} to ${devices.length} TV(s)` };
+      }
+
+      case 'migrate_device_config': {
+        if (!details.fromRoom) {
+          return { ...result, status: 'skipped', detail: 'Only applies to room moves' };
+        }
+
+        const source = await Device.findOne({ roomNumber: details.fromRoom, status: 'approved' });
+        if (!source) {
+          return { ...result, status: 'skipped', detail: `No approved TV in previous room ${details.fromRoom}` };
+        }
+
+        if (!dryRun) {
+          await DeviceAssignments.copyConfiguration(source, devices);
+          await refreshConfig();
+        }
+        return { ...result, status, detail: `Configuration of room ${details.fromRoom} copied to ${devices.length} TV(s)` };
+      }
+
+      default:
+        throw new Error(`Unknown action ${action.type}`);
+    }
+  }
+
+  // Evaluate rules against the PMS's current reservations without changing any device or stay.
+  // Check-in rules are tried on expected arrivals and in-house guests, the others on in-house guests.
+  async simulateRules(rules, { at = new Date(), event = null, roomNumber = null, fromRoom = null } = {}) {
+    const timeZone = await this.getTimeZone();
+    const [inHouse, expected] = await Promise.all([
+      PMSService.listInHouse(),
+      PMSService.getReservations({ status: 'expected' })
+    ]);
+
+    const arrivals = await Promise.all(expected.map(async reservation => ({
+      reservation,
+      guest: reservation.guestId ? await PMSService.getGuest(reservation.guestId) : null
+    })));
+
+    const results = [];
+    for (const rule of rules) {
+      const ruleEvent = event || rule.trigger.event;
+      const candidates = (ruleEvent === 'check-in' ? [...arrivals, ...inHouse] : inHouse)
+        .filter(({ reservation }) => !roomNumber || reservation.roomNumber === roomNumber);
+
+      for (const { reservation, guest } of candidates) {
+        const stay = GuestStayService.fromReservation(reservation, guest, 'simulation');
+        const facts = await this.buildRuleFacts(stay, { roomType: reservation.roomType || null });
+        const failedConditions = rule.getFailedConditions(facts).map(condition => ({
+          field: condition.field,
+          operator: condition.operator,
+          value: condition.value,
+          actual: facts[condition.field] ?? null
+        }));
+        const schedule = ruleEvent === 'time' ? this.getRuleSchedule(rule, stay, at, timeZone) : { due: true };
+        const wouldRun = failedConditions.length === 0 && schedule.due;
+
+        const actions = [];
+        if (wouldRun) {
+          for (const action of rule.actions) {
+            try {
+              actions.push(await this.runRuleAction(rule, action, stay, facts, { details: { fromRoom }, dryRun: true }));
+            } catch (error) {
+              actions.push({ type: action.type, status: 'failed', detail: error.message, devices: [] });
+            }
+          }
+        }
+
+        results.push({
+          ruleId: rule.isNew ? null : rule.id,
+          ruleName: rule.name,
+          event: ruleEvent,
+          reservationId: reservation.id,
+          reservationStatus: reservation.status,
+          roomNumber: reservation.roomNumber || null,
+          guestName: facts.guest_name,
+          matched: failedConditions.length === 0,
+          wouldRun,
+          scheduleReason: schedule.reason || null,
+          failedConditions,
+          actions
+        });
+      }
+    }
+
+    return results;
+  }
+
   isInitialized() {
     return this.initialized;
   }
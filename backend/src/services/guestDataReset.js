@@ -0,0 +1,364 @@
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+const Device = require('../models/Device');
+const GuestStay = require('../models/GuestStay');
+const GuestDataReset = require('../models/GuestDataReset');
+const DeviceCommand = require('../models/DeviceCommand');
+const BackgroundBundle = require('../models/BackgroundBundle');
+const App = require('../models/App');
+const Log = require('../models/Log');
+const Settings = require('../models/Settings');
+const DeviceManager = require('./deviceManager');
+const DeviceAssignments = require('./deviceAssignments');
+const GuestStayService = require('./guestStayService');
+
+// Minutes the launcher has to confirm every app, from when it received the command
+const ACK_TIMEOUT_MINUTES = 30;
+
+// Guest privacy reset: on checkout every TV in the room clears the listed app data
+// (streaming logins, watch history) and goes back to the default app layout and background.
+// The launcher reports each app through POST /launcher/guest-reset-ack; rooms whose
+// reset failed stay flagged until a later reset succeeds or staff dismiss them.
+class GuestDataResetService {
+  constructor() {
+    this.initialized = false;
+    this.intervalId = null;
+    this.checkInterval = 60 * 1000; // 1 minute
+  }
+
+  async initialize() {
+    try {
+      logger.info('Initializing Guest Data Reset Service...');
+
+      GuestStayService.on('transition', ({ stay, from, to }) => {
+        // Cancellations never had a guest in the room
+        if (to !== 'checked-out' || !GuestStay.IN_HOUSE_STATES.includes(from) || !stay.roomNumber) {
+          return;
+        }
+
+        this.resetRoom(stay.roomNumber, { reservationId: stay.reservationId, trigger: 'checkout' }).catch(error => {
+          logger.error(`Failed to reset guest data in room ${stay.roomNumber}:`, error.message);
+        });
+      });
+
+      this.intervalId = setInterval(() => this.expireOverdue(), this.checkInterval);
+
+      this.initialized = true;
+      logger.info('Guest Data Reset Service initialized successfully');
+    } catch (error) {
+      logger.error('Failed to initialize Guest Data Reset Service:', error.message);
+      this.initialized = true; // Don't fail startup
+    }
+  }
+
+  async resetRoom(roomNumber, options = {}) {
+    if (options.trigger === 'checkout' && !(await Settings.get('guest_data_reset_enabled', true))) {
+      logger.info(`Guest data reset is turned off; room ${roomNumber} not reset`);
+      return [];
+    }
+
+    const devices = await Device.find({ roomNumber, status: 'approved' });
+    if (devices.length === 0) {
+      logger.warn(`No approved device found for room ${roomNumber}, guest data not reset`);
+      return [];
+    }
+
+    const resets = [];
+    for (const device of devices) {
+      resets.push(await this.resetDevice(device, options));
+    }
+    return resets;
+  }
+
+  // Restore the default setup, then queue RESET_GUEST_DATA with the packages to clear
+  async resetDevice(device, { reservationId = null, trigger = 'manual', requestedBy = null } = {}) {
+    const [packages, defaults] = await Promise.all([
+      Settings.get('guest_data_reset_packages', GuestDataReset.DEFAULT_RESET_PACKAGES),
+      this.getDefaults()
+    ]);
+    const packageNames = Array.from(new Set((packages || []).filter(Boolean)));
+
+    if (defaults.appIds.length > 0) {
+      await DeviceAssignments.assignApps([device], defaults.appIds);
+    }
+    if (defaults.bundleId) {
+      await DeviceAssignments.assignBackgroundBundle([device], defaults.bundleId);
+    }
+
+    let reset = new GuestDataReset({
+      device: device._id,
+      deviceUuid: device.uuid,
+      roomNumber: device.roomNumber || null,
+      reservationId,
+      trigger,
+      apps: packageNames.map(packageName => ({ packageName })),
+      layoutRestored: defaults.appIds.length > 0,
+      backgroundRestored: Boolean(defaults.bundleId),
+      requestedBy
+    });
+    // Stored before the command goes out so a quick ack from the TV finds it
+    await reset.save();
+
+    let queued = true;
+    try {
+      const command = await DeviceManager.queueCommand(device, 'RESET_GUEST_DATA', {
+        resetId: reset.id,
+        packages: packageNames
+      }, {
+        requestedBy,
+        reason: trigger === 'checkout' ? `Guest checkout (${reservationId || 'unknown reservation'})` : 'Manual guest data reset'
+      });
+      // Targeted update, the TV may already have reported on the reset
+      await GuestDataReset.updateOne({ _id: reset._id }, {
+        $set: {
+          commandId: command.commandId,
+          ...(command.delivered && { ackDeadline: new Date(Date.now() + ACK_TIMEOUT_MINUTES * 60 * 1000) })
+        }
+      });
+
+      // The restored layout and background reach the TV with its next config pull
+      await DeviceManager.sendConfigUpdate(device.uuid, requestedBy);
+    } catch (error) {
+      queued = false;
+      reset.commandStatus = 'failed';
+      reset.error = `Reset command could not be queued: ${error.message}`;
+      reset.refreshStatus();
+      await reset.save();
+    }
+
+    reset = await GuestDataReset.findById(reset._id);
+
+    // Results the TV reported in the meantime were already recorded by the ack handlers
+    await this.record(queued ? 'GUEST_DATA_RESET_REQUESTED' : 'GUEST_DATA_RESET_FAILED', reset, {
+      level: queued ? 'info' : 'error',
+      message: !queued
+        ? `Guest data reset could not be queued for room ${reset.roomNumber || device.uuid}`
+        : `Guest data reset ${trigger === 'checkout' ? 'after checkout' : 'requested'} for room ${reset.roomNumber || device.uuid} (${packageNames.length} app(s))`,
+      userId: requestedBy
+    });
+    this.notify(reset);
+
+    return reset;
+  }
+
+  // Default app layout and background bundle, dropping ids that no longer exist
+  async getDefaults() {
+    const [appIds, bundleId] = await Promise.all([
+      Settings.get('default_app_layout', []),
+      Settings.get('default_background_bundle', '')
+    ]);
+
+    const ids = (Array.isArray(appIds) ? appIds : []).filter(id => /^[a-f\d]{24}$/i.test(String(id)));
+    const apps = ids.length > 0 ? await App.find({ _id: { $in: ids } }).select('_id') : [];
+    const found = new Set(apps.map(app => app.id));
+
+    const bundle = bundleId && /^[a-f\d]{24}$/i.test(bundleId)
+      ? await BackgroundBundle.findById(bundleId).select('_id')
+      : null;
+
+    return {
+      appIds: ids.filter(id => found.has(String(id))),
+      bundleId: bundle ? bundle._id : null
+    };
+  }
+
+  // Per-app result reported by the launcher
+  async recordAppAck(device, resetId, packageName, status, error = null) {
+    const reset = await GuestDataReset.recordApp(resetId, device._id, packageName, status, error);
+    if (!reset) {
+      return null;
+    }
+
+    // Only the ack that moves the stored status on reports the change
+    const previous = reset.status;
+    reset.refreshStatus();
+    const result = await GuestDataReset.updateOne(
+      { _id: reset._id, status: previous },
+      { $set: { status: reset.status, error: reset.error, completedAt: reset.completedAt } }
+    );
+
+    if (reset.status !== previous && result.modifiedCount === 1) {
+      await this.onStatusChange(reset);
+    }
+    this.notify(reset);
+
+    return reset;
+  }
+
+  // Overall result from the command ack; a failed command fails the reset even without app reports
+  async recordCommandAck(device, command) {
+    // The payload carries the reset id, so an ack that beats the stored commandId still matches
+    const resetId = command.payload?.resetId;
+    const reset = await GuestDataReset.findOne({
+      device: device._id,
+      $or: [
+        { commandId: command.id },
+        ...(mongoose.Types.ObjectId.isValid(resetId) ? [{ _id: resetId }] : [])
+      ]
+    });
+    if (!reset) {
+      return null;
+    }
+
+    reset.commandStatus = command.status === 'acked' ? 'acked' : 'failed';
+    if (reset.commandStatus === 'failed') {
+      reset.error = command.error || 'The TV could not run the reset';
+    }
+
+    const changed = reset.refreshStatus();
+    await reset.save();
+
+    if (changed) {
+      await this.onStatusChange(reset);
+    }
+    this.notify(reset);
+
+    return reset;
+  }
+
+  // Apps the launcher never confirmed by the deadline count as failed, which flags the room
+  async expireOverdue(now = new Date()) {
+    try {
+      await this.startDeadlines();
+
+      const overdue = await GuestDataReset.find({ status: 'pending', ackDeadline: { $lte: now } });
+      for (const reset of overdue) {
+        await this.failUnconfirmed(reset, 'No acknowledgment from the TV');
+      }
+    } catch (error) {
+      logger.error('Failed to expire overdue guest data resets:', error.message);
+    }
+  }
+
+  // Start the ack deadline of resets whose command has reached the TV since the last pass;
+  // a command that expired undelivered fails its reset
+  async startDeadlines() {
+    const waiting = await GuestDataReset.find({ status: 'pending', ackDeadline: null, commandId: { $ne: null } });
+    if (waiting.length === 0) {
+      return;
+    }
+
+    const commands = await DeviceCommand.find({ _id: { $in: waiting.map(reset => reset.commandId) } })
+      .select('status deliveredAt');
+    const byId = new Map(commands.map(command => [command.id, command]));
+
+    for (const reset of waiting) {
+      const command = byId.get(reset.commandId);
+
+      if (!command || command.status === 'expired') {
+        await this.failUnconfirmed(reset, 'The TV did not receive the reset command before it expired');
+      } else if (command.deliveredAt) {
+        reset.ackDeadline = new Date(command.deliveredAt.getTime() + ACK_TIMEOUT_MINUTES * 60 * 1000);
+        await reset.save();
+      }
+    }
+  }
+
+  async failUnconfirmed(reset, error) {
+    reset.apps
+      .filter(app => app.status === 'pending')
+      .forEach(app => {
+        app.status = 'failed';
+        app.error = error;
+      });
+
+    if (reset.commandStatus === 'pending' && reset.apps.length === 0) {
+      reset.commandStatus = 'failed';
+      reset.error = error;
+    }
+
+    reset.refreshStatus();
+    await reset.save();
+    await this.onStatusChange(reset);
+    this.notify(reset);
+  }
+
+  async onStatusChange(reset) {
+    if (reset.status === 'completed') {
+      // A successful reset clears earlier flags for the same TV
+      await GuestDataReset.updateMany(
+        { device: reset.device, _id: { $ne: reset._id }, status: 'failed', resolvedAt: null },
+        { $set: { resolvedAt: new Date(), resolution: 'superseded' } }
+      );
+
+      await this.record('GUEST_DATA_RESET_COMPLETED', reset, {
+        message: `Guest data reset completed in room ${reset.roomNumber || reset.deviceUuid}`
+      });
+    } else if (reset.status === 'failed') {
+      await this.record('GUEST_DATA_RESET_FAILED', reset, {
+        level: 'error',
+        message: `Guest data reset failed in room ${reset.roomNumber || reset.deviceUuid}`,
+        error: reset.error
+      });
+    }
+  }
+
+  async getFlagged() {
+    return await GuestDataReset.findFlagged();
+  }
+
+  async dismiss(resetId, user) {
+    const reset = await GuestDataReset.findById(resetId);
+    if (!reset || !reset.isFlagged()) {
+      return reset;
+    }
+
+    reset.resolvedAt = new Date();
+    reset.resolvedBy = user.id;
+    reset.resolution = 'dismissed';
+    await reset.save();
+
+    await this.record('GUEST_DATA_RESET_DISMISSED', reset, {
+      message: `Failed guest data reset in room ${reset.roomNumber || reset.deviceUuid} dismissed by ${user.name}`,
+      userId: user.id
+    });
+    this.notify(reset);
+
+    return reset;
+  }
+
+  async record(event, reset, { level = 'info', message, userId = null, error = null }) {
+    logger.logSystemEvent(event, { resetId: reset.id, roomNumber: reset.roomNumber });
+
+    try {
+      await Log.create({
+        type: 'SYSTEM_EVENT',
+        level,
+        message,
+        event,
+        userId,
+        deviceId: reset.device,
+        roomNumber: reset.roomNumber,
+        success: level !== 'error',
+        error,
+        metadata: {
+          resetId: reset.id,
+          reservationId: reset.reservationId,
+          trigger: reset.trigger,
+          apps: reset.apps.map(app => ({ packageName: app.packageName, status: app.status }))
+        }
+      });
+    } catch (logError) {
+      logger.error(`Failed to record ${event} for guest data reset ${reset.id}:`, logError.message);
+    }
+  }
+
+  notify(reset) {
+    if (global.io) {
+      global.io.to('admin:devices').emit('device:guest-reset-updated', reset.toApi());
+    }
+  }
+
+  isInitialized() {
+    return this.initialized;
+  }
+
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+  }
+}
+
+module.exports = new GuestDataResetService();
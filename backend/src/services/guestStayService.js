@@ -0,0 +1,282 @@
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+const GuestStay = require('../models/GuestStay');
+const Settings = require('../models/Settings');
+const FiasService = require('./fiasService');
+const { DEFAULT_TIMEZONE, getLocalTimeParts } = require('../utils/propertyTime');
+
+const EVENT_TYPES = ['RESERVATION', 'CHECK_IN', 'CHECK_OUT', 'ROOM_MOVE', 'GUEST_CHANGE'];
+
+// Normalized reservation status -> stay state
+const STATE_BY_STATUS = {
+  'expected': 'expected',
+  'in-house': 'checked-in',
+  'checked-out': 'checked-out',
+  'cancelled': 'checked-out',
+  'no-show': 'checked-out'
+};
+
+// Tracks each reservation through expected -> checked-in (-> moved/extended) -> checked-out.
+// Fed by FIAS records, PMS webhooks and the PMS sync; emits 'transition' exactly once per change.
+class GuestStayService extends EventEmitter {
+  constructor() {
+    super();
+    this.initialized = false;
+    this.timeZone = DEFAULT_TIMEZONE;
+    // Events are applied one at a time so concurrent sources cannot race on a stay
+    this.queue = Promise.resolve();
+  }
+
+  async initialize() {
+    try {
+      logger.info('Initializing Guest Stay Service...');
+
+      FiasService.on('guest-event', (event) => {
+        if (event.type === 'ROOM_STATUS') {
+          return;
+        }
+        this.applyEvent({ ...event, adopt: event.resync }).catch(error => {
+          logger.error(`Failed to apply FIAS ${event.type} for room ${event.roomNumber}:`, error.message);
+        });
+      });
+
+      this.timeZone = await Settings.get('property_timezone', DEFAULT_TIMEZONE);
+
+      this.initialized = true;
+      logger.info('Guest Stay Service initialized successfully');
+    } catch (error) {
+      logger.error('Failed to initialize Guest Stay Service:', error.message);
+      this.initialized = true; // Don't fail startup
+    }
+  }
+
+  // Serialize work on the shared queue and keep it alive after failures
+  enqueue(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  applyEvent(event) {
+    return this.enqueue(() => this.processEvent(event));
+  }
+
+  async findStay(event) {
+    if (event.reservationId) {
+      const stay = await GuestStay.findByReservation(event.reservationId);
+      if (stay) {
+        return stay;
+      }
+    }
+
+    // FIAS check-outs and moves may arrive without a reservation number
+    if (['CHECK_OUT', 'ROOM_MOVE'].includes(event.type)) {
+      const roomNumber = event.type === 'ROOM_MOVE' ? event.previousRoomNumber : event.roomNumber;
+      if (roomNumber) {
+        return await GuestStay.findInHouseByRoom(roomNumber);
+      }
+    }
+
+    return null;
+  }
+
+  async processEvent(event) {
+    if (!EVENT_TYPES.includes(event.type)) {
+      throw new Error(`Unsupported stay event ${event.type}`);
+    }
+
+    const source = event.source || 'manual';
+    let stay = await this.findStay(event);
+    const isNew = !stay;
+
+    if (isNew) {
+      if (!event.reservationId) {
+        logger.warn(`Ignoring ${event.type} for room ${event.roomNumber}: unknown stay without reservation id`);
+        return { stay: null, transitions: [] };
+      }
+      stay = new GuestStay({ reservationId: String(event.reservationId), roomNumber: event.roomNumber || null });
+    }
+
+    const previous = {
+      roomNumber: stay.roomNumber,
+      departureDay: stay.departureDate ? this.localDay(stay.departureDate) : null
+    };
+
+    this.updateSnapshot(stay, event);
+
+    const transitions = [];
+    const apply = (to, details) => {
+      const from = stay.state;
+      if (stay.transition(to, source, details)) {
+        transitions.push({ from, to, details });
+      }
+    };
+
+    // New stays seen during a bootstrap or FIAS resync are adopted in their
+    // current state without firing transitions (they happened while we were away)
+    if (isNew && event.adopt) {
+      stay.state = this.targetState(event) || 'expected';
+      stay.lastSource = source;
+      if (stay.isInHouse()) stay.checkedInAt = stay.arrivalDate || new Date();
+      if (stay.state === 'checked-out') stay.checkedOutAt = stay.departureDate || new Date();
+      stay.history.push({ from: null, to: stay.state, source, details: { adopted: true } });
+      if (stay.isInHouse()) {
+        stay.triggers.push({
+          type: 'welcome',
+          outcome: 'skipped',
+          reason: 'adopted',
+          message: 'Guest was already in-house when the panel started tracking the stay',
+          roomNumber: stay.roomNumber
+        });
+      }
+    } else {
+      const target = this.targetState(event);
+
+      if (target === 'checked-in' && stay.state === 'expected') {
+        apply('checked-in', { roomNumber: stay.roomNumber });
+      } else if (target === 'checked-out' && stay.state !== 'checked-out') {
+        apply('checked-out', { reason: event.status || 'checked-out' });
+      }
+
+      if (stay.isInHouse() && transitions.every(t => t.to !== 'checked-in')) {
+        if (previous.roomNumber && stay.roomNumber && previous.roomNumber !== stay.roomNumber) {
+          apply('moved', { fromRoom: previous.roomNumber, toRoom: stay.roomNumber });
+          stay.previousRoomNumbers.push(previous.roomNumber);
+        }
+
+        // Compare calendar days: FIAS sends dates without a checkout time
+        const departureDay = stay.departureDate ? this.localDay(stay.departureDate) : null;
+        if (previous.departureDay && departureDay && departureDay > previous.departureDay) {
+          apply('extended', { previousDepartureDay: previous.departureDay, departureDay });
+        }
+      }
+    }
+
+    stay.lastSyncedAt = new Date();
+    await stay.save();
+
+    for (const transition of transitions) {
+      this.emitTransition(stay, transition, source);
+    }
+
+    return { stay, transitions };
+  }
+
+  targetState(event) {
+    switch (event.type) {
+      case 'CHECK_IN':
+        return 'checked-in';
+      case 'CHECK_OUT':
+        return 'checked-out';
+      case 'RESERVATION':
+        return STATE_BY_STATUS[event.status] || null;
+      default:
+        return null;
+    }
+  }
+
+  updateSnapshot(stay, event) {
+    if (event.type === 'ROOM_MOVE' || (event.roomNumber && event.type !== 'CHECK_OUT')) {
+      stay.roomNumber = event.roomNumber || stay.roomNumber;
+    }
+    if (event.confirmationNumber) {
+      stay.confirmationNumber = event.confirmationNumber;
+    }
+    // Keep a known time of day when a date-only source (FIAS) reports the same day
+    ['arrivalDate', 'departureDate'].forEach(field => {
+      if (!event[field]) return;
+      const value = new Date(event[field]);
+      if (!stay[field] || event.source !== 'fias' || this.localDay(value) !== this.localDay(stay[field])) {
+        stay[field] = value;
+      }
+    });
+
+    if (event.guest) {
+      const fields = ['id', 'name', 'firstName', 'lastName', 'salutation', 'language', 'loyaltyTier'];
+      fields.forEach(field => {
+        if (event.guest[field]) {
+          stay.guest[field] = event.guest[field];
+        }
+      });
+      if (!stay.guest.name && (stay.guest.firstName || stay.guest.lastName)) {
+        stay.guest.name = [stay.guest.firstName, stay.guest.lastName].filter(Boolean).join(' ');
+      }
+    }
+  }
+
+  localDay(date) {
+    return getLocalTimeParts(date, this.timeZone).date;
+  }
+
+  emitTransition(stay, transition, source) {
+    const { from, to, details } = transition;
+
+    logger.info(`Stay ${stay.reservationId} in room ${stay.roomNumber}: ${from} -> ${to}`, {
+      type: 'PMS_SYNC',
+      reservationId: stay.reservationId,
+      roomNumber: stay.roomNumber,
+      from,
+      to,
+      source
+    });
+
+    // Internal consumers (guest automation) subscribe to this event
+    this.emit('transition', { stay, from, to, source, details });
+
+    if (global.io) {
+      global.io.to('admin:pms').emit('pms:stay-transition', {
+        reservationId: stay.reservationId,
+        roomNumber: stay.roomNumber,
+        guestName: stay.guest?.name || null,
+        from,
+        to,
+        source,
+        details,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  // Turn a normalized PMS reservation (plus optional guest) into a stay event
+  fromReservation(reservation, guest = null, source = 'sync') {
+    return {
+      type: 'RESERVATION',
+      source,
+      reservationId: reservation.id,
+      confirmationNumber: reservation.confirmationNumber,
+      roomNumber: reservation.roomNumber,
+      status: reservation.status,
+      arrivalDate: reservation.arrivalDate,
+      departureDate: reservation.departureDate,
+      guest: guest ? { ...guest, id: guest.id || reservation.guestId } : { id: reservation.guestId }
+    };
+  }
+
+  // Diff a batch of PMS reservations against stored stays; returns the number of transitions
+  async applyReservations(reservations, guestsById = new Map(), options = {}) {
+    let transitions = 0;
+
+    for (const reservation of reservations) {
+      if (!reservation.id) continue;
+
+      const event = this.fromReservation(reservation, guestsById.get(reservation.guestId));
+      const result = await this.applyEvent({ ...event, adopt: options.adopt === true });
+      transitions += result.transitions.length;
+    }
+
+    return transitions;
+  }
+
+  async isEmpty() {
+    return (await GuestStay.estimatedDocumentCount()) === 0;
+  }
+
+  getStatus() {
+    return {
+      initialized: this.initialized,
+      timeZone: this.timeZone
+    };
+  }
+}
+
+module.exports = new GuestStayService();
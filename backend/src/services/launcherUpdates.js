@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const LauncherRelease = require('../models/LauncherRelease');
+const LauncherUpdate = require('../models/LauncherUpdate');
+const DeviceGroup = require('../models/DeviceGroup');
+const Log = require('../models/Log');
+const { toAbsoluteUrl } = require('../utils/mediaUrl');
+
+// Over-the-air launcher updates. A device is offered the newest active release for its
+// channel or groups if it falls inside the release's rollout percentage; it then reports
+// progress, and a release whose failure rate crosses its threshold is halted.
+class LauncherUpdateService {
+  // Stable 0-99 bucket per device and release, so raising the percentage only adds devices
+  getBucket(release, device) {
+    const hash = crypto.createHash('sha256').update(`${release.id}:${device.uuid}`).digest();
+    return hash.readUInt32BE(0) % 100;
+  }
+
+  isInRollout(release, device) {
+    return this.getBucket(release, device) < release.rolloutPercentage;
+  }
+
+  // The release the device should install, or null
+  async findReleaseFor(device) {
+    if (device.status !== 'approved') {
+      return null;
+    }
+
+    const currentVersion = device.deviceInfo?.launcherVersionCode || 0;
+    const channels = device.launcherChannel === 'beta' ? ['beta', 'stable'] : ['stable'];
+    const groups = await DeviceGroup.find({ devices: device._id }).select('_id');
+
+    const candidates = await LauncherRelease.findCandidates(currentVersion, channels, groups.map(group => group._id));
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    // Releases this device already failed are not offered again
+    const failed = await LauncherUpdate.find({
+      device: device._id,
+      release: { $in: candidates.map(release => release._id) },
+      status: 'failed'
+    }).select('release');
+    const failedIds = new Set(failed.map(update => update.release.toString()));
+
+    return candidates.find(release => !failedIds.has(release.id) && this.isInRollout(release, device)) || null;
+  }
+
+  // Update offer for the config and command responses (null when up to date). Read-only, so
+  // admin-side config builds don't count as offers; see recordOffer.
+  async getOffer(device) {
+    const release = await this.findReleaseFor(device);
+    if (!release) {
+      return null;
+    }
+
+    return {
+      releaseId: release.id,
+      versionCode: release.versionCode,
+      versionName: release.versionName,
+      releaseNotes: release.releaseNotes,
+      downloadUrl: toAbsoluteUrl(release.filePath),
+      fileSize: release.fileSize,
+      sha256: release.sha256
+    };
+  }
+
+  // The device was sent the offer; its first delivery starts the device's progress record
+  async recordOffer(device, offer) {
+    if (!offer) {
+      return;
+    }
+
+    await LauncherUpdate.updateOne(
+      { release: offer.releaseId, device: device._id },
+      {
+        $setOnInsert: {
+          deviceUuid: device.uuid,
+          versionCode: offer.versionCode,
+          fromVersionCode: device.deviceInfo?.launcherVersionCode || null,
+          status: 'offered',
+          history: [{ status: 'offered', progress: 0, at: new Date() }]
+        }
+      },
+      { upsert: true }
+    );
+  }
+
+  // Progress the launcher reports while downloading and installing
+  async reportProgress(device, release, { status, progress = null, error = null }) {
+    let update = await LauncherUpdate.findOne({ release: release._id, device: device._id });
+    if (!update) {
+      update = new LauncherUpdate({
+        release: release._id,
+        device: device._id,
+        deviceUuid: device.uuid,
+        versionCode: release.versionCode,
+        fromVersionCode: device.deviceInfo?.launcherVersionCode || null
+      });
+    }
+
+    update.report(status, progress, error);
+    await update.save();
+
+    if (status === 'installed') {
+      device.set('deviceInfo.launcherVersion', release.versionName);
+      device.set('deviceInfo.launcherVersionCode', release.versionCode);
+      await device.save();
+    }
+
+    logger.logDeviceEvent('LAUNCHER_UPDATE_PROGRESS', device.id, {
+      uuid: device.uuid,
+      versionCode: release.versionCode,
+      status,
+      progress: update.progress,
+      error: update.error
+    });
+
+    if (global.io) {
+      global.io.to('admin:devices').emit('launcher:update-progress', {
+        ...update.toApi(),
+        roomNumber: device.roomNumber,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (status === 'failed') {
+      await this.checkFailureRate(release);
+    }
+
+    return update;
+  }
+
+  // Halt the rollout when too many finished installs failed
+  async checkFailureRate(release) {
+    if (release.status !== 'active') {
+      return false;
+    }
+
+    // Results from before the release was last resumed were already judged
+    const stats = (await LauncherUpdate.getStats([release._id], { since: release.resumedAt })).get(release.id);
+    const finished = stats.installed + stats.failed;
+    if (finished < LauncherRelease.MIN_RESULTS_FOR_HALT || stats.failureRate < release.failureThreshold) {
+      return false;
+    }
+
+    release.halt(`${stats.failed} of ${finished} installs failed (${stats.failureRate}%, threshold ${release.failureThreshold}%)`);
+    await release.save();
+
+    logger.logSystemEvent('LAUNCHER_ROLLOUT_HALTED', { releaseId: release.id, versionCode: release.versionCode, ...stats });
+
+    try {
+      await Log.create({
+        type: 'SYSTEM_EVENT',
+        level: 'error',
+        message: `Launcher ${release.versionName} (${release.versionCode}) rollout halted: ${release.haltReason}`,
+        event: 'LAUNCHER_ROLLOUT_HALTED',
+        success: false,
+        error: release.haltReason,
+        metadata: { releaseId: release.id, versionCode: release.versionCode, stats }
+      });
+    } catch (error) {
+      logger.error(`Failed to record halt of launcher ${release.versionCode}:`, error.message);
+    }
+
+    if (global.io) {
+      global.io.to('admin:devices').emit('launcher:rollout-halted', {
+        ...release.toApi(stats),
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    return true;
+  }
+}
+
+module.exports = new LauncherUpdateService();
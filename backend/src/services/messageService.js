@@ -0,0 +1,255 @@
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+const { toAbsoluteUrl } = require('../utils/mediaUrl');
+const Message = require('../models/Message');
+const DeviceManager = require('./deviceManager');
+const DeviceTargets = require('./deviceTargets');
+
+// Delivery statuses that can still change once the message has gone out
+const PENDING_DELIVERY_STATUSES = ['queued', 'delivered'];
+
+// Front-office messages to guest TVs: sent now or at a scheduled time, delivered as a
+// MESSAGE command per device and tracked per device through launcher acks
+class MessageService {
+  constructor() {
+    this.initialized = false;
+    this.intervalId = null;
+    this.checkInterval = 30 * 1000; // 30 seconds
+  }
+
+  async initialize() {
+    try {
+      logger.info('Initializing Message Service...');
+
+      this.startSchedulerLoop();
+
+      this.initialized = true;
+      logger.info('Message Service initialized successfully');
+    } catch (error) {
+      logger.error('Failed to initialize Message Service:', error.message);
+      this.initialized = true; // Don't fail startup
+    }
+  }
+
+  startSchedulerLoop() {
+    this.intervalId = setInterval(async () => {
+      await this.processDueMessages();
+      await this.expireDeliveries();
+    }, this.checkInterval);
+
+    logger.info('Message scheduler loop started');
+  }
+
+  async processDueMessages() {
+    try {
+      const messages = await Message.findDue();
+      for (const message of messages) {
+        await this.send(message);
+      }
+    } catch (error) {
+      logger.error('Failed to process scheduled messages:', error.message);
+    }
+  }
+
+  // Deliveries never acknowledged before the message expired are closed out
+  async expireDeliveries() {
+    try {
+      const messages = await Message.find({
+        status: 'sent',
+        expiresAt: { $lte: new Date() },
+        'deliveries.status': { $in: PENDING_DELIVERY_STATUSES }
+      });
+
+      for (const message of messages) {
+        message.deliveries
+          .filter(delivery => PENDING_DELIVERY_STATUSES.includes(delivery.status))
+          .forEach(delivery => {
+            delivery.status = 'expired';
+          });
+        await message.save();
+        this.notify('message:updated', message);
+      }
+    } catch (error) {
+      logger.error('Failed to expire message deliveries:', error.message);
+    }
+  }
+
+  async create(data, userId) {
+    const scheduledAt = data.scheduledAt ? new Date(data.scheduledAt) : new Date();
+
+    const message = await Message.create({
+      title: data.title || '',
+      body: data.body,
+      imageUrl: data.imageUrl || null,
+      cta: data.cta || {},
+      priority: data.priority || 'normal',
+      displayDuration: data.displayDuration,
+      target: DeviceTargets.normalize(data.target),
+      scheduledAt,
+      expiresAt: data.expiresAt
+        ? new Date(data.expiresAt)
+        : new Date(scheduledAt.getTime() + (data.ttlMinutes || 60) * 60 * 1000),
+      createdBy: userId
+    });
+
+    logger.info(`Message ${message.id} created for ${DeviceTargets.describe(message.target)}`, {
+      userId,
+      messageId: message.id,
+      scheduledAt: message.scheduledAt
+    });
+
+    // Messages due now go out right away rather than on the next scheduler tick
+    if (message.scheduledAt <= new Date()) {
+      return await this.send(message);
+    }
+
+    this.notify('message:created', message);
+    return message;
+  }
+
+  async send(message) {
+    // Claim the message so a scheduler tick and a manual send can't both deliver it
+    const claimed = await Message.findOneAndUpdate(
+      { _id: message._id, status: 'scheduled' },
+      { $set: { status: 'sending' } }
+    );
+    if (!claimed) {
+      return message;
+    }
+    message.status = 'sending';
+
+    let update;
+    try {
+      if (message.expiresAt <= new Date()) {
+        throw new Error('Message expired before it could be sent');
+      }
+
+      const devices = await DeviceTargets.resolve(message.target);
+      const ttlMinutes = Math.max(1, Math.ceil((message.expiresAt.getTime() - Date.now()) / 60000));
+      const payload = this.buildPayload(message);
+
+      for (const device of devices) {
+        const delivery = {
+          device: device._id,
+          deviceUuid: device.uuid,
+          roomNumber: device.roomNumber || null,
+          queuedAt: new Date()
+        };
+
+        // The row has to exist before the TV can ack the message
+        if (!await Message.addDelivery(message._id, delivery)) {
+          continue;
+        }
+
+        let dispatch;
+        try {
+          const result = await DeviceManager.queueCommand(device, 'MESSAGE', payload, {
+            ttlMinutes,
+            priority: message.priority === 'high' ? 7 : undefined,
+            requestedBy: message.createdBy,
+            reason: `Message ${message.id}`
+          });
+          dispatch = { commandId: result.commandId };
+        } catch (error) {
+          dispatch = { error: error.message };
+        }
+        await Message.recordDispatch(message._id, device._id, dispatch);
+      }
+
+      update = { status: 'sent', sentAt: new Date(), error: null };
+
+      logger.info(`Message ${message.id} sent to ${devices.length} device(s)`, {
+        messageId: message.id,
+        deviceCount: devices.length
+      });
+    } catch (error) {
+      update = { status: 'failed', error: error.message };
+      logger.error(`Failed to send message ${message.id}:`, error.message);
+    }
+
+    // Deliveries were written row by row above; saving the document would overwrite acks
+    const updated = await Message.findByIdAndUpdate(message._id, { $set: update }, { new: true });
+    this.notify('message:updated', updated);
+    return updated;
+  }
+
+  buildPayload(message) {
+    return {
+      type: 'MESSAGE',
+      subtype: 'CUSTOM',
+      messageId: message.id,
+      title: message.title || null,
+      content: message.body,
+      imageUrl: toAbsoluteUrl(message.imageUrl),
+      action: message.cta?.label && message.cta?.url
+        ? { label: message.cta.label, url: message.cta.url }
+        : null,
+      priority: message.priority,
+      autoHide: message.displayDuration
+    };
+  }
+
+  // Only scheduled messages can be cancelled; returns null once sending has started
+  async cancel(message) {
+    const cancelled = await Message.findOneAndUpdate(
+      { _id: message._id, status: 'scheduled' },
+      { $set: { status: 'cancelled' } },
+      { new: true }
+    );
+    if (!cancelled) {
+      return null;
+    }
+
+    this.notify('message:updated', cancelled);
+    return cancelled;
+  }
+
+  // Launcher ack for a message; returns null when the id isn't a tracked message
+  async recordAck(device, messageId, status, error = null) {
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+      return null;
+    }
+
+    const message = await Message.recordAck(messageId, device._id, status === 'error' ? 'failed' : status, error);
+    if (!message) {
+      return null;
+    }
+    const delivery = message.getDelivery(device._id);
+
+    this.notify('message:delivery-updated', message, {
+      deviceId: device.id,
+      roomNumber: device.roomNumber,
+      status: delivery.status
+    });
+
+    return delivery;
+  }
+
+  notify(event, message, extra = {}) {
+    if (global.io) {
+      global.io.to('admin:messages').emit(event, {
+        ...extra,
+        message: message.toApi(),
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  getStatus() {
+    return {
+      initialized: this.initialized,
+      checkInterval: this.checkInterval,
+      running: this.intervalId !== null
+    };
+  }
+
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+      logger.info('Message scheduler loop stopped');
+    }
+  }
+}
+
+module.exports = new MessageService();
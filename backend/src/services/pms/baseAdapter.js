@@ -0,0 +1,216 @@
+const axios = require('axios');
+
+// Vendor reservation states mapped onto the panel's stay states
+const RESERVATION_STATUS_MAP = {
+  'expected': 'expected',
+  'confirmed': 'expected',
+  'reserved': 'expected',
+  'due-in': 'expected',
+  'dueIn': 'expected',
+  'in-house': 'in-house',
+  'inhouse': 'in-house',
+  'checked-in': 'in-house',
+  'checkedin': 'in-house',
+  'started': 'in-house',
+  'due-out': 'in-house',
+  'dueOut': 'in-house',
+  'checked-out': 'checked-out',
+  'checkedout': 'checked-out',
+  'processed': 'checked-out',
+  'departed': 'checked-out',
+  'cancelled': 'cancelled',
+  'canceled': 'cancelled',
+  'no-show': 'no-show',
+  'noshow': 'no-show'
+};
+
+class BasePMSAdapter {
+  constructor(config = {}) {
+    this.vendor = 'base';
+    this.config = config;
+    this.http = axios.create({
+      baseURL: config.baseUrl,
+      timeout: config.timeout || 10000,
+      headers: {
+        'User-Agent': 'IPTV-Hotel-Panel/1.0.0',
+        ...this.getHeaders()
+      }
+    });
+  }
+
+  // Vendor specific authentication headers
+  getHeaders() {
+    return {};
+  }
+
+  notImplemented(method) {
+    return new Error(`PMS adapter '${this.vendor}' does not implement ${method}`);
+  }
+
+  /**
+   * Current guest and in-house reservation for a room
+   * @returns {Object|null} { guest, reservation } or null when the room is vacant
+   */
+  async getGuestByRoom(roomNumber) {
+    throw this.notImplemented('getGuestByRoom');
+  }
+
+  /**
+   * Guest profile by PMS guest id
+   * @returns {Object|null} Normalized guest
+   */
+  async getGuest(guestId) {
+    throw this.notImplemented('getGuest');
+  }
+
+  /**
+   * Reservations matching { roomNumber, status, arrivalFrom, departureTo, modifiedSince }
+   * @returns {Array} Normalized reservations
+   */
+  async getReservations(filters = {}) {
+    throw this.notImplemented('getReservations');
+  }
+
+  /**
+   * Folio for { reservationId } or { roomNumber }
+   * @returns {Object|null} Normalized folio
+   */
+  async getFolio(filters = {}) {
+    throw this.notImplemented('getFolio');
+  }
+
+  /**
+   * Guest-initiated express checkout: settle and close the folio, then check the reservation out
+   * @param {Object} params { reservationId, folioId }
+   * @returns {Object} { folio, checkedOut } with the normalized closed folio
+   */
+  async expressCheckout(params = {}) {
+    throw this.notImplemented('expressCheckout');
+  }
+
+  /**
+   * Every in-house stay
+   * @returns {Array} List of { guest, reservation }
+   */
+  async listInHouse() {
+    throw this.notImplemented('listInHouse');
+  }
+
+  async healthCheck() {
+    const startTime = Date.now();
+    try {
+      const response = await this.http.get(this.config.healthPath || '/health');
+      return {
+        ok: response.status >= 200 && response.status < 300,
+        vendor: this.vendor,
+        responseTime: Date.now() - startTime,
+        details: {
+          service: response.data?.service || 'Unknown',
+          version: response.data?.version || 'Unknown'
+        }
+      };
+    } catch (error) {
+      return {
+        ok: false,
+        vendor: this.vendor,
+        responseTime: Date.now() - startTime,
+        error: error.message
+      };
+    }
+  }
+
+  normalizeStatus(status) {
+    if (!status) return null;
+    const key = String(status).trim();
+    return RESERVATION_STATUS_MAP[key]
+      || RESERVATION_STATUS_MAP[key.toLowerCase()]
+      || RESERVATION_STATUS_MAP[key.toLowerCase().replace(/[\s_]/g, '-')]
+      || key.toLowerCase();
+  }
+
+  normalizeGuest(raw) {
+    if (!raw) return null;
+
+    const firstName = raw.firstName || null;
+    const lastName = raw.lastName || null;
+
+    return {
+      id: raw.id ? String(raw.id) : null,
+      firstName,
+      lastName,
+      name: raw.name || [firstName, lastName].filter(Boolean).join(' ') || null,
+      salutation: raw.salutation || raw.title || null,
+      email: raw.email || null,
+      phone: raw.phone || null,
+      nationality: raw.nationality || null,
+      language: raw.language || null,
+      loyaltyTier: raw.loyaltyTier ? String(raw.loyaltyTier).toLowerCase() : null,
+      loyaltyPoints: raw.loyaltyPoints !== undefined && raw.loyaltyPoints !== null ? Number(raw.loyaltyPoints) : null,
+      roomNumber: raw.roomNumber ? String(raw.roomNumber) : null,
+      preferences: raw.preferences || {}
+    };
+  }
+
+  normalizeReservation(raw) {
+    if (!raw) return null;
+
+    return {
+      id: raw.id ? String(raw.id) : null,
+      confirmationNumber: raw.confirmationNumber || null,
+      guestId: raw.guestId ? String(raw.guestId) : null,
+      roomNumber: raw.roomNumber ? String(raw.roomNumber) : null,
+      roomType: raw.roomType || null,
+      status: this.normalizeStatus(raw.status),
+      vendorStatus: raw.status || null,
+      arrivalDate: raw.arrivalDate ? new Date(raw.arrivalDate).toISOString() : null,
+      departureDate: raw.departureDate ? new Date(raw.departureDate).toISOString() : null,
+      adults: raw.adults !== undefined && raw.adults !== null ? Number(raw.adults) : null,
+      children: raw.children !== undefined && raw.children !== null ? Number(raw.children) : null,
+      totalAmount: raw.totalAmount !== undefined && raw.totalAmount !== null ? Number(raw.totalAmount) : null,
+      currency: raw.currency || null,
+      specialRequests: raw.specialRequests || [],
+      modifiedAt: raw.modifiedAt ? new Date(raw.modifiedAt).toISOString() : null
+    };
+  }
+
+  normalizeFolio(raw) {
+    if (!raw) return null;
+
+    return {
+      id: raw.id ? String(raw.id) : null,
+      reservationId: raw.reservationId ? String(raw.reservationId) : null,
+      guestId: raw.guestId ? String(raw.guestId) : null,
+      roomNumber: raw.roomNumber ? String(raw.roomNumber) : null,
+      currency: raw.currency || null,
+      totalAmount: Number(raw.totalAmount || 0),
+      balance: Number(raw.balance || 0),
+      status: raw.status ? String(raw.status).toLowerCase() : 'open',
+      charges: (raw.charges || []).map(charge => ({
+        id: charge.id ? String(charge.id) : null,
+        date: charge.date || null,
+        description: charge.description || null,
+        category: charge.category || null,
+        amount: Number(charge.amount || 0),
+        taxAmount: Number(charge.taxAmount || 0),
+        total: Number(charge.total !== undefined ? charge.total : charge.amount || 0)
+      })),
+      payments: (raw.payments || []).map(payment => ({
+        id: payment.id ? String(payment.id) : null,
+        date: payment.date || null,
+        description: payment.description || null,
+        method: payment.method || null,
+        amount: Number(payment.amount || 0),
+        status: payment.status || null
+      }))
+    };
+  }
+
+  // Pick the reservation that currently occupies a room
+  pickCurrentReservation(reservations) {
+    return reservations.find(reservation => reservation.status === 'in-house') || null;
+  }
+}
+
+BasePMSAdapter.RESERVATION_STATUS_MAP = RESERVATION_STATUS_MAP;
+
+module.exports = BasePMSAdapter;
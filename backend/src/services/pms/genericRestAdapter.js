@@ -0,0 +1,238 @@
+const BasePMSAdapter = require('./baseAdapter');
+const { getPath, mapFields } = require('../../utils/jsonPath');
+
+// Defaults describe the mock PMS payloads; properties override any part via the pms_field_mappings setting
+const DEFAULT_MAPPINGS = {
+  guests: {
+    list: 'guests',
+    itemPath: '/{id}',
+    fields: {
+      id: 'id',
+      firstName: 'firstName',
+      lastName: 'lastName',
+      salutation: 'title',
+      email: 'email',
+      phone: 'phone',
+      nationality: 'nationality',
+      language: 'preferences.language',
+      loyaltyTier: 'loyaltyProgram.level',
+      loyaltyPoints: 'loyaltyProgram.points',
+      roomNumber: 'roomNumber',
+      preferences: 'preferences'
+    }
+  },
+  reservations: {
+    list: 'reservations',
+    query: {
+      roomNumber: 'roomNumber',
+      status: 'status'
+    },
+    fields: {
+      id: 'id',
+      confirmationNumber: 'confirmationNumber',
+      guestId: 'guestId',
+      roomNumber: 'roomNumber',
+      roomType: 'roomType',
+      status: 'status',
+      arrivalDate: 'arrivalDate',
+      departureDate: 'departureDate',
+      adults: 'adults',
+      children: 'children',
+      totalAmount: 'totalAmount',
+      currency: 'currency',
+      specialRequests: 'specialRequests',
+      modifiedAt: 'modified'
+    },
+    // Vendor status value -> panel status (expected, in-house, checked-out, cancelled, no-show)
+    statusMap: {}
+  },
+  folios: {
+    list: 'folios',
+    // POSTed with { reservationId } to close the folio on express checkout
+    checkoutPath: '/{id}/checkout',
+    checkoutResponse: 'folio',
+    query: {
+      reservationId: 'reservationId',
+      roomNumber: 'roomNumber'
+    },
+    fields: {
+      id: 'id',
+      reservationId: 'reservationId',
+      guestId: 'guestId',
+      roomNumber: 'roomNumber',
+      currency: 'currency',
+      totalAmount: 'totalAmount',
+      balance: 'balance',
+      status: 'status',
+      charges: 'charges',
+      payments: 'payments'
+    }
+  }
+};
+
+// Configurable REST driver: endpoints from pms_endpoints, field mapping by JSON path
+class GenericRestAdapter extends BasePMSAdapter {
+  constructor(config = {}) {
+    super(config);
+    this.vendor = 'generic';
+    this.endpoints = {
+      guests: '/guest/v0/guests',
+      reservations: '/reservation/v0/reservations',
+      folios: '/folio/v0/folios',
+      ...(config.endpoints || {})
+    };
+    this.mappings = this.mergeMappings(config.mappings || {});
+  }
+
+  mergeMappings(overrides) {
+    const merged = {};
+    for (const [resource, defaults] of Object.entries(DEFAULT_MAPPINGS)) {
+      const override = overrides[resource] || {};
+      merged[resource] = {
+        ...defaults,
+        ...override,
+        query: { ...(defaults.query || {}), ...(override.query || {}) },
+        fields: { ...defaults.fields, ...(override.fields || {}) },
+        statusMap: { ...(defaults.statusMap || {}), ...(override.statusMap || {}) }
+      };
+    }
+    return merged;
+  }
+
+  // Translate panel filter names into the vendor's query parameter names
+  buildQuery(resource, filters) {
+    const params = {};
+    const query = this.mappings[resource].query || {};
+
+    for (const [filter, value] of Object.entries(filters)) {
+      if (value !== undefined && value !== null && query[filter]) {
+        params[query[filter]] = value;
+      }
+    }
+
+    return params;
+  }
+
+  async fetchList(resource, filters = {}) {
+    const response = await this.http.get(this.endpoints[resource], {
+      params: this.buildQuery(resource, filters)
+    });
+
+    const list = getPath(response.data, this.mappings[resource].list || '$', []);
+    return Array.isArray(list) ? list : [];
+  }
+
+  mapGuest(raw) {
+    return raw ? this.normalizeGuest(mapFields(raw, this.mappings.guests.fields)) : null;
+  }
+
+  mapReservation(raw) {
+    const mapped = mapFields(raw, this.mappings.reservations.fields);
+    const statusMap = this.mappings.reservations.statusMap;
+    if (mapped.status && statusMap[mapped.status]) {
+      mapped.status = statusMap[mapped.status];
+    }
+    return this.normalizeReservation(mapped);
+  }
+
+  async getGuest(guestId) {
+    const { itemPath } = this.mappings.guests;
+
+    if (itemPath) {
+      try {
+        const path = `${this.endpoints.guests}${itemPath.replace('{id}', encodeURIComponent(guestId))}`;
+        const response = await this.http.get(path);
+        return this.mapGuest(response.data);
+      } catch (error) {
+        if (error.response?.status === 404) {
+          return null;
+        }
+        throw error;
+      }
+    }
+
+    const guests = await this.fetchList('guests');
+    return this.mapGuest(guests.find(guest => String(getPath(guest, this.mappings.guests.fields.id)) === String(guestId)));
+  }
+
+  async getReservations(filters = {}) {
+    // Only the room filter is passed to the vendor; status values differ between systems
+    const raw = await this.fetchList('reservations', { roomNumber: filters.roomNumber });
+    let reservations = raw.map(item => this.mapReservation(item));
+
+    if (filters.status) {
+      reservations = reservations.filter(reservation => reservation.status === filters.status);
+    }
+    if (filters.arrivalFrom) {
+      const from = new Date(filters.arrivalFrom);
+      reservations = reservations.filter(reservation => new Date(reservation.arrivalDate) >= from);
+    }
+    if (filters.departureTo) {
+      const to = new Date(filters.departureTo);
+      reservations = reservations.filter(reservation => new Date(reservation.departureDate) <= to);
+    }
+    if (filters.modifiedSince) {
+      const since = new Date(filters.modifiedSince);
+      reservations = reservations.filter(reservation =>
+        !reservation.modifiedAt || new Date(reservation.modifiedAt) >= since
+      );
+    }
+
+    return reservations;
+  }
+
+  async getGuestByRoom(roomNumber) {
+    const reservation = this.pickCurrentReservation(await this.getReservations({ roomNumber }));
+    if (!reservation) {
+      return null;
+    }
+
+    const guest = reservation.guestId ? await this.getGuest(reservation.guestId) : null;
+    return { guest, reservation };
+  }
+
+  async getFolio(filters = {}) {
+    const folios = await this.fetchList('folios', {
+      reservationId: filters.reservationId,
+      roomNumber: filters.roomNumber
+    });
+
+    const mapped = folios.map(raw => mapFields(raw, this.mappings.folios.fields));
+    const open = mapped.find(folio => String(folio.status).toLowerCase() === 'open');
+
+    return this.normalizeFolio(open || mapped[0] || null);
+  }
+
+  async expressCheckout({ reservationId, folioId }) {
+    const { checkoutPath, checkoutResponse } = this.mappings.folios;
+    const path = `${this.endpoints.folios}${checkoutPath.replace('{id}', encodeURIComponent(folioId))}`;
+    const response = await this.http.post(path, { reservationId });
+
+    const raw = getPath(response.data, checkoutResponse || '$', null);
+    const folio = raw ? this.normalizeFolio(mapFields(raw, this.mappings.folios.fields)) : null;
+
+    // Generic PMSs report the check-out through the stay events, not this response
+    return { folio, checkedOut: false };
+  }
+
+  async listInHouse() {
+    const [reservations, guests] = await Promise.all([
+      this.getReservations({ status: 'in-house' }),
+      this.fetchList('guests')
+    ]);
+
+    const guestsById = new Map(guests.map(raw => {
+      const guest = this.mapGuest(raw);
+      return [guest.id, guest];
+    }));
+
+    return reservations.map(reservation => ({
+      guest: guestsById.get(reservation.guestId) || null,
+      reservation
+    }));
+  }
+}
+
+GenericRestAdapter.DEFAULT_MAPPINGS = DEFAULT_MAPPINGS;
+
+module.exports = GenericRestAdapter;
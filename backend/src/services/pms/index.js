@@ -0,0 +1,65 @@
+const Settings = require('../../models/Settings');
+const OperaAdapter = require('./operaAdapter');
+const MewsAdapter = require('./mewsAdapter');
+const GenericRestAdapter = require('./genericRestAdapter');
+
+const ADAPTERS = {
+  opera: OperaAdapter,
+  mews: MewsAdapter,
+  generic: GenericRestAdapter
+};
+
+const DEFAULT_VENDOR = 'opera';
+
+const getMockBaseUrl = () =>
+  process.env.MOCK_PMS_BASE_URL || `http://localhost:${process.env.MOCK_PMS_PORT || 3001}`;
+
+/**
+ * Read the PMS adapter configuration from Settings (falling back to the environment)
+ * @returns {Object} { vendor, baseUrl, endpoints, credentials, mappings, mockMode }
+ */
+const loadAdapterConfig = async () => {
+  const [vendor, baseUrl, endpoints, credentials, mappings, mockMode] = await Promise.all([
+    Settings.get('pms_vendor', process.env.PMS_VENDOR || DEFAULT_VENDOR),
+    Settings.get('pms_base_url', ''),
+    Settings.get('pms_endpoints', {}),
+    Settings.get('pms_credentials', {}),
+    Settings.get('pms_field_mappings', {}),
+    Settings.get('USE_MOCK_PMS', process.env.USE_MOCK_PMS === 'true')
+  ]);
+
+  return {
+    vendor: ADAPTERS[vendor] ? vendor : DEFAULT_VENDOR,
+    baseUrl: mockMode ? getMockBaseUrl() : (baseUrl || process.env.PMS_BASE_URL || ''),
+    endpoints: endpoints || {},
+    credentials: credentials || {},
+    mappings: mappings || {},
+    mockMode: !!mockMode
+  };
+};
+
+/**
+ * Instantiate the driver for a vendor
+ * @param {String} vendor opera, mews or generic
+ * @param {Object} config Adapter configuration
+ * @returns {BasePMSAdapter} Adapter instance
+ */
+const createAdapter = (vendor, config = {}) => {
+  const Adapter = ADAPTERS[vendor];
+  if (!Adapter) {
+    throw new Error(`Unknown PMS vendor '${vendor}'. Supported vendors: ${Object.keys(ADAPTERS).join(', ')}`);
+  }
+
+  return new Adapter({
+    ...config,
+    healthPath: config.endpoints?.health || '/health'
+  });
+};
+
+module.exports = {
+  ADAPTERS,
+  SUPPORTED_VENDORS: Object.keys(ADAPTERS),
+  DEFAULT_VENDOR,
+  loadAdapterConfig,
+  createAdapter
+};
@@ -0,0 +1,255 @@
+const BasePMSAdapter = require('./baseAdapter');
+
+const CONNECTOR_PATH = '/api/connector/v1';
+
+const MEWS_STATE_MAP = {
+  Enquired: 'expected',
+  Requested: 'expected',
+  Optional: 'expected',
+  Confirmed: 'expected',
+  Started: 'in-house',
+  Processed: 'checked-out',
+  Canceled: 'cancelled'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Mews Connector-style driver: POST operations authenticated with tokens in the body
+class MewsAdapter extends BasePMSAdapter {
+  constructor(config = {}) {
+    super(config);
+    this.vendor = 'mews';
+    this.healthOperation = 'configuration/get';
+    this.windowDays = config.windowDays || 30;
+  }
+
+  async call(operation, body = {}) {
+    const credentials = this.config.credentials || {};
+    const response = await this.http.post(`${CONNECTOR_PATH}/${operation}`, {
+      ClientToken: credentials.clientToken,
+      AccessToken: credentials.accessToken,
+      Client: credentials.client || 'IPTV Hotel Panel 1.0.0',
+      ...body
+    });
+    return response.data || {};
+  }
+
+  normalizeStatus(state) {
+    return MEWS_STATE_MAP[state] || super.normalizeStatus(state);
+  }
+
+  mapGuest(customer, roomNumber = null) {
+    if (!customer) return null;
+
+    return this.normalizeGuest({
+      id: customer.Id,
+      firstName: customer.FirstName,
+      lastName: customer.LastName,
+      salutation: customer.Title,
+      email: customer.Email,
+      phone: customer.Phone,
+      nationality: customer.NationalityCode,
+      language: customer.LanguageCode,
+      loyaltyTier: customer.LoyaltyCode,
+      roomNumber,
+      preferences: {
+        language: customer.LanguageCode,
+        classifications: customer.Classifications || []
+      }
+    });
+  }
+
+  mapReservation(raw, resourcesById) {
+    return this.normalizeReservation({
+      id: raw.Id,
+      confirmationNumber: raw.Number,
+      guestId: raw.CustomerId,
+      roomNumber: resourcesById.get(raw.AssignedResourceId)?.Name,
+      roomType: raw.RequestedResourceCategoryId,
+      status: raw.State,
+      arrivalDate: raw.StartUtc,
+      departureDate: raw.EndUtc,
+      adults: raw.AdultCount,
+      children: raw.ChildCount,
+      modifiedAt: raw.UpdatedUtc,
+      specialRequests: raw.Notes ? [raw.Notes] : []
+    });
+  }
+
+  async fetchReservations(filters = {}) {
+    const now = Date.now();
+    const body = {
+      Extent: { Reservations: true, Customers: true, Resources: true }
+    };
+
+    if (filters.modifiedSince) {
+      body.TimeFilter = 'Updated';
+      body.StartUtc = new Date(filters.modifiedSince).toISOString();
+      body.EndUtc = new Date(now).toISOString();
+    } else {
+      body.StartUtc = new Date(filters.arrivalFrom || now - this.windowDays * DAY_MS).toISOString();
+      body.EndUtc = new Date(filters.departureTo || now + this.windowDays * DAY_MS).toISOString();
+    }
+
+    if (filters.states) {
+      body.States = filters.states;
+    }
+
+    const data = await this.call('reservations/getAll', body);
+    const resourcesById = new Map((data.Resources || []).map(resource => [resource.Id, resource]));
+    const customersById = new Map((data.Customers || []).map(customer => [customer.Id, customer]));
+
+    const reservations = (data.Reservations || []).map(raw => this.mapReservation(raw, resourcesById));
+    return { reservations, customersById };
+  }
+
+  async getGuest(guestId) {
+    const data = await this.call('customers/getAll', {
+      CustomerIds: [guestId],
+      Extent: { Customers: true }
+    });
+    return this.mapGuest((data.Customers || [])[0]);
+  }
+
+  async getReservations(filters = {}) {
+    const states = filters.status === 'in-house' ? ['Started'] : undefined;
+    let { reservations } = await this.fetchReservations({ ...filters, states });
+
+    if (filters.roomNumber) {
+      reservations = reservations.filter(reservation => reservation.roomNumber === String(filters.roomNumber));
+    }
+    if (filters.status) {
+      reservations = reservations.filter(reservation => reservation.status === filters.status);
+    }
+
+    return reservations;
+  }
+
+  async getGuestByRoom(roomNumber) {
+    const { reservations, customersById } = await this.fetchReservations({ states: ['Started'] });
+    const reservation = this.pickCurrentReservation(
+      reservations.filter(item => item.roomNumber === String(roomNumber))
+    );
+
+    if (!reservation) {
+      return null;
+    }
+
+    return {
+      guest: this.mapGuest(customersById.get(reservation.guestId), reservation.roomNumber),
+      reservation
+    };
+  }
+
+  async getFolio(filters = {}) {
+    let reservation = null;
+
+    if (filters.reservationId) {
+      const { reservations } = await this.fetchReservations();
+      reservation = reservations.find(item => item.id === String(filters.reservationId)) || null;
+    } else if (filters.roomNumber) {
+      reservation = (await this.getGuestByRoom(filters.roomNumber))?.reservation || null;
+    }
+
+    if (!reservation || !reservation.guestId) {
+      return null;
+    }
+
+    const data = await this.call('bills/getAll', {
+      CustomerIds: [reservation.guestId],
+      State: 'Open'
+    });
+
+    const bill = (data.Bills || [])[0];
+    return bill ? this.mapBill(bill, reservation) : null;
+  }
+
+  mapBill(bill, reservation) {
+    const charges = (bill.Revenue || []).map(item => ({
+      id: item.Id,
+      date: item.ConsumptionUtc,
+      description: item.Name,
+      category: item.Type || null,
+      amount: item.Amount?.NetValue ?? item.Amount?.GrossValue ?? 0,
+      taxAmount: (item.Amount?.TaxValues || []).reduce((sum, tax) => sum + Number(tax.Value || 0), 0),
+      total: item.Amount?.GrossValue ?? 0
+    }));
+
+    const payments = (bill.Payments || []).map(item => ({
+      id: item.Id,
+      date: item.ConsumptionUtc,
+      description: item.Name,
+      method: item.Type || null,
+      amount: Math.abs(item.Amount?.GrossValue ?? 0),
+      status: item.State || null
+    }));
+
+    const totalAmount = charges.reduce((sum, charge) => sum + Number(charge.total), 0);
+    const paid = payments.reduce((sum, payment) => sum + Number(payment.amount), 0);
+
+    return this.normalizeFolio({
+      id: bill.Id,
+      reservationId: reservation.id,
+      guestId: reservation.guestId,
+      roomNumber: reservation.roomNumber,
+      currency: bill.Revenue?.[0]?.Amount?.Currency || bill.Payments?.[0]?.Amount?.Currency || null,
+      totalAmount: Math.round(totalAmount * 100) / 100,
+      balance: Math.round((totalAmount - paid) * 100) / 100,
+      status: bill.State,
+      charges,
+      payments
+    });
+  }
+
+  async expressCheckout({ reservationId, folioId }) {
+    const { reservations } = await this.fetchReservations();
+    const reservation = reservations.find(item => item.id === String(reservationId)) || { id: reservationId };
+
+    await this.call('bills/close', { BillId: folioId });
+    await this.call('reservations/process', { ReservationId: reservationId });
+
+    const data = await this.call('bills/getAll', { BillIds: [folioId] });
+    const bill = (data.Bills || [])[0];
+
+    return {
+      folio: bill ? this.mapBill(bill, reservation) : null,
+      checkedOut: true
+    };
+  }
+
+  async listInHouse() {
+    const { reservations, customersById } = await this.fetchReservations({ states: ['Started'] });
+
+    return reservations
+      .filter(reservation => reservation.status === 'in-house')
+      .map(reservation => ({
+        guest: this.mapGuest(customersById.get(reservation.guestId), reservation.roomNumber),
+        reservation
+      }));
+  }
+
+  async healthCheck() {
+    const startTime = Date.now();
+    try {
+      const data = await this.call(this.healthOperation);
+      return {
+        ok: true,
+        vendor: this.vendor,
+        responseTime: Date.now() - startTime,
+        details: {
+          service: data.Enterprise?.Name || 'Mews',
+          version: data.Version || 'Unknown'
+        }
+      };
+    } catch (error) {
+      return {
+        ok: false,
+        vendor: this.vendor,
+        responseTime: Date.now() - startTime,
+        error: error.message
+      };
+    }
+  }
+}
+
+module.exports = MewsAdapter;
@@ -0,0 +1,158 @@
+const BasePMSAdapter = require('./baseAdapter');
+
+const DEFAULT_ENDPOINTS = {
+  guests: '/guest/v0/guests',
+  reservations: '/reservation/v0/reservations',
+  folios: '/folio/v0/folios'
+};
+
+// Opera (OHIP-style) REST driver: resource collections filtered by query string
+class OperaAdapter extends BasePMSAdapter {
+  constructor(config = {}) {
+    super(config);
+    this.vendor = 'opera';
+    this.endpoints = { ...DEFAULT_ENDPOINTS, ...(config.endpoints || {}) };
+    this.pageSize = config.pageSize || 100;
+  }
+
+  getHeaders() {
+    const credentials = this.config.credentials || {};
+    const headers = {};
+
+    if (credentials.hotelId) headers['x-hotelid'] = credentials.hotelId;
+    if (credentials.appKey) headers['x-app-key'] = credentials.appKey;
+    if (credentials.accessToken) headers.Authorization = `Bearer ${credentials.accessToken}`;
+
+    return headers;
+  }
+
+  // Follow offset pagination until the collection is exhausted
+  async fetchAll(path, listKey, params = {}) {
+    const items = [];
+    let offset = 0;
+
+    for (;;) {
+      const response = await this.http.get(path, {
+        params: { ...params, limit: this.pageSize, offset }
+      });
+
+      const page = response.data?.[listKey] || [];
+      items.push(...page);
+
+      const pagination = response.data?.pagination;
+      if (!pagination || page.length === 0 || offset + page.length >= pagination.total) {
+        break;
+      }
+      offset += page.length;
+    }
+
+    return items;
+  }
+
+  mapGuest(raw) {
+    if (!raw) return null;
+
+    return this.normalizeGuest({
+      ...raw,
+      language: raw.preferences?.language,
+      loyaltyTier: raw.loyaltyProgram?.level,
+      loyaltyPoints: raw.loyaltyProgram?.points
+    });
+  }
+
+  mapReservation(raw) {
+    return this.normalizeReservation({
+      ...raw,
+      modifiedAt: raw.modified
+    });
+  }
+
+  async getGuest(guestId) {
+    try {
+      const response = await this.http.get(`${this.endpoints.guests}/${encodeURIComponent(guestId)}`);
+      return this.mapGuest(response.data);
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async getGuestByRoom(roomNumber) {
+    const reservations = await this.getReservations({ roomNumber });
+    const reservation = this.pickCurrentReservation(reservations);
+
+    if (!reservation) {
+      return null;
+    }
+
+    const guest = reservation.guestId ? await this.getGuest(reservation.guestId) : null;
+    return { guest, reservation };
+  }
+
+  async getReservations(filters = {}) {
+    const params = {};
+    if (filters.roomNumber) params.roomNumber = filters.roomNumber;
+    if (filters.arrivalFrom) params.arrivalDate = new Date(filters.arrivalFrom).toISOString();
+    if (filters.departureTo) params.departureDate = new Date(filters.departureTo).toISOString();
+
+    const raw = await this.fetchAll(this.endpoints.reservations, 'reservations', params);
+    let reservations = raw.map(item => this.mapReservation(item));
+
+    // Status and modification filters are applied on normalized values
+    if (filters.status) {
+      reservations = reservations.filter(reservation => reservation.status === filters.status);
+    }
+    if (filters.modifiedSince) {
+      const since = new Date(filters.modifiedSince);
+      reservations = reservations.filter(reservation =>
+        !reservation.modifiedAt || new Date(reservation.modifiedAt) >= since
+      );
+    }
+
+    return reservations;
+  }
+
+  async getFolio(filters = {}) {
+    const params = {};
+    if (filters.reservationId) params.reservationId = filters.reservationId;
+    if (filters.roomNumber) params.roomNumber = filters.roomNumber;
+
+    const folios = await this.fetchAll(this.endpoints.folios, 'folios', params);
+    const open = folios.find(folio => String(folio.status).toLowerCase() === 'open');
+
+    return this.normalizeFolio(open || folios[0] || null);
+  }
+
+  async expressCheckout({ reservationId, folioId }) {
+    const response = await this.http.post(
+      `${this.endpoints.folios}/${encodeURIComponent(folioId)}/checkout`,
+      { reservationId }
+    );
+
+    const reservation = response.data?.reservation ? this.mapReservation(response.data.reservation) : null;
+    return {
+      folio: this.normalizeFolio(response.data?.folio),
+      checkedOut: reservation?.status === 'checked-out'
+    };
+  }
+
+  async listInHouse() {
+    const [reservations, guests] = await Promise.all([
+      this.getReservations({ status: 'in-house' }),
+      this.fetchAll(this.endpoints.guests, 'guests')
+    ]);
+
+    const guestsById = new Map(guests.map(guest => [String(guest.id), guest]));
+
+    return reservations.map(reservation => ({
+      guest: this.mapGuest(guestsById.get(reservation.guestId)),
+      reservation
+    }));
+  }
+}
+
+OperaAdapter.DEFAULT_ENDPOINTS = DEFAULT_ENDPOINTS;
+
+module.exports = OperaAdapter;
@@ -1,19 +1,44 @@
-const axios = require('axios');
 const logger = require('../utils/logger');
+const ConfigWatcher = require('./configWatcher');
+const { loadAdapterConfig, createAdapter } = require('./pms');
+
+// Settings that change which PMS driver is used or how it connects
+const ADAPTER_SETTING_KEYS = [
+  'pms_vendor',
+  'pms_base_url',
+  'pms_endpoints',
+  'pms_credentials',
+  'pms_field_mappings',
+  'USE_MOCK_PMS'
+];
 
 class PMSService {
   constructor() {
+    this.adapter = null;
+    this.adapterConfig = null;
     this.baseURL = process.env.PMS_BASE_URL;
     this.initialized = false;
     this.connected = false;
+    this.lastHealthCheck = null;
   }
 
   async initialize() {
     try {
       logger.info('Initializing PMS Service...');
-      
+
+      await this.loadAdapter();
+
+      // Rebuild the adapter whenever an admin changes the PMS settings
+      ADAPTER_SETTING_KEYS.forEach(key => {
+        ConfigWatcher.watchConfig(key, () => {
+          this.reload().catch(error => {
+            logger.error('Failed to reload PMS adapter:', error.message);
+          });
+        });
+      });
+
       if (!this.baseURL) {
-        logger.warn('PMS_BASE_URL not configured, skipping PMS initialization');
+        logger.warn('PMS base URL not configured, skipping PMS connection test');
         this.initialized = true;
         return;
       }
@@ -21,24 +46,52 @@ class PMSService {
       // Test connection
       await this.testConnection();
       this.initialized = true;
-      logger.info('PMS Service initialized successfully');
+      logger.info(`PMS Service initialized successfully (vendor: ${this.adapter.vendor})`);
     } catch (error) {
       logger.error('Failed to initialize PMS Service:', error.message);
       this.initialized = true; // Don't fail startup
     }
   }
 
+  async loadAdapter() {
+    this.adapterConfig = await loadAdapterConfig();
+    this.adapter = createAdapter(this.adapterConfig.vendor, this.adapterConfig);
+    this.baseURL = this.adapterConfig.baseUrl;
+    return this.adapter;
+  }
+
+  async reload() {
+    await this.loadAdapter();
+    logger.info(`PMS adapter reloaded (vendor: ${this.adapter.vendor})`);
+
+    if (this.baseURL) {
+      await this.testConnection();
+    } else {
+      this.connected = false;
+    }
+  }
+
+  async getAdapter() {
+    if (!this.adapter) {
+      await this.loadAdapter();
+    }
+    return this.adapter;
+  }
+
   async testConnection() {
     try {
+      const adapter = await this.getAdapter();
       if (!this.baseURL) {
-        throw new Error('PMS_BASE_URL not configured');
+        throw new Error('PMS base URL not configured');
       }
 
-      const response = await axios.get(`${this.baseURL}/health`, {
-        timeout: 5000
-      });
-      
-      this.connected = response.status === 200;
+      const result = await adapter.healthCheck();
+      this.lastHealthCheck = { ...result, checkedAt: new Date().toISOString() };
+      this.connected = result.ok;
+
+      if (!result.ok) {
+        logger.warn('PMS connection test failed:', result.error);
+      }
       return this.connected;
     } catch (error) {
       this.connected = false;
@@ -47,69 +100,100 @@ class PMSService {
     }
   }
 
+  async healthCheck() {
+    const adapter = await this.getAdapter();
+    const result = await adapter.healthCheck();
+    this.lastHealthCheck = { ...result, checkedAt: new Date().toISOString() };
+    this.connected = result.ok;
+    return this.lastHealthCheck;
+  }
+
   async getGuestByRoom(roomNumber) {
     try {
       if (!this.connected) {
         throw new Error('PMS not connected');
       }
 
-      const response = await axios.get(`${this.baseURL}/guest/v0/guests`, {
-        params: { roomNumber },
-        timeout: 10000
-      });
-
-      return response.data;
+      const adapter = await this.getAdapter();
+      return await adapter.getGuestByRoom(roomNumber);
     } catch (error) {
       logger.error(`Failed to get guest for room ${roomNumber}:`, error.message);
       throw error;
     }
   }
 
-  async getReservationByRoom(roomNumber) {
+  async getGuest(guestId) {
     try {
       if (!this.connected) {
         throw new Error('PMS not connected');
       }
 
-      const response = await axios.get(`${this.baseURL}/reservation/v0/reservations`, {
-        params: { roomNumber },
-        timeout: 10000
-      });
+      const adapter = await this.getAdapter();
+      return await adapter.getGuest(guestId);
+    } catch (error) {
+      logger.error(`Failed to get guest ${guestId}:`, error.message);
+      throw error;
+    }
+  }
 
-      return response.data;
+  async getReservations(filters = {}) {
+    try {
+      if (!this.connected) {
+        throw new Error('PMS not connected');
+      }
+
+      const adapter = await this.getAdapter();
+      return await adapter.getReservations(filters);
     } catch (error) {
-      logger.error(`Failed to get reservation for room ${roomNumber}:`, error.message);
+      logger.error('Failed to get reservations:', error.message);
       throw error;
     }
   }
 
-  async syncGuests() {
+  async getReservationByRoom(roomNumber) {
+    const reservations = await this.getReservations({ roomNumber });
+    return reservations.find(reservation => reservation.status === 'in-house') || reservations[0] || null;
+  }
+
+  async getFolio(filters = {}) {
     try {
       if (!this.connected) {
-        logger.warn('PMS not connected, skipping sync');
-        return { success: false, message: 'PMS not connected' };
+        throw new Error('PMS not connected');
       }
 
-      logger.info('Starting PMS guest sync...');
-      
-      const response = await axios.get(`${this.baseURL}/guest/v0/guests`, {
-        timeout: 30000
-      });
+      const adapter = await this.getAdapter();
+      return await adapter.getFolio(filters);
+    } catch (error) {
+      logger.error('Failed to get folio:', error.message);
+      throw error;
+    }
+  }
+
+  async expressCheckout(params) {
+    try {
+      if (!this.connected) {
+        throw new Error('PMS not connected');
+      }
+
+      const adapter = await this.getAdapter();
+      return await adapter.expressCheckout(params);
+    } catch (error) {
+      logger.error(`Failed express checkout for reservation ${params.reservationId}:`, error.message);
+      throw error;
+    }
+  }
 
-      const guests = response.data;
-      logger.info(`Synced ${guests?.length || 0} guests from PMS`);
+  async listInHouse() {
+    try {
+      if (!this.connected) {
+        throw new Error('PMS not connected');
+      }
 
-      return { 
-        success: true, 
-        guestsCount: guests?.length || 0,
-        message: 'Sync completed successfully'
-      };
+      const adapter = await this.getAdapter();
+      return await adapter.listInHouse();
     } catch (error) {
-      logger.error('PMS sync failed:', error.message);
-      return { 
-        success: false, 
-        message: error.message 
-      };
+      logger.error('Failed to list in-house guests:', error.message);
+      throw error;
     }
   }
 
@@ -121,8 +205,10 @@ class PMSService {
     return {
       initialized: this.initialized,
       connected: this.connected,
+      vendor: this.adapter?.vendor || null,
       baseURL: this.baseURL,
-      mockMode: process.env.USE_MOCK_PMS === 'true'
+      mockMode: this.adapterConfig ? this.adapterConfig.mockMode : process.env.USE_MOCK_PMS === 'true',
+      lastHealthCheck: this.lastHealthCheck
     };
   }
 }
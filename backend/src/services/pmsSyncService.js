@@ -0,0 +1,313 @@
+const logger = require('../utils/logger');
+const Settings = require('../models/Settings');
+const Log = require('../models/Log');
+const Guest = require('../models/Guest');
+const Reservation = require('../models/Reservation');
+const Folio = require('../models/Folio');
+const PMSService = require('./pmsService');
+const GuestStayService = require('./guestStayService');
+const ConfigWatcher = require('./configWatcher');
+
+// Keep at most this many error messages on a sync log entry
+const MAX_LOGGED_ERRORS = 10;
+
+// Fills the local Guest/Reservation/Folio cache from the PMS on a schedule
+// and feeds the reservations to the stay state machine
+class PMSSyncService {
+  constructor() {
+    this.initialized = false;
+    this.syncTimer = null;
+    this.intervalMinutes = 15;
+    this.autoSync = true;
+    this.running = false;
+    this.lastSyncAt = null;
+    this.lastResult = null;
+  }
+
+  async initialize() {
+    try {
+      logger.info('Initializing PMS Sync Service...');
+
+      // Resume incremental syncs from the last successful run
+      const lastLog = await Log.findOne({ type: 'PMS_SYNC', success: true, 'metadata.startTime': { $exists: true } })
+        .sort({ createdAt: -1 });
+      this.lastSyncAt = lastLog ? new Date(lastLog.metadata.startTime) : null;
+
+      ['pms_polling_interval', 'pms_auto_sync'].forEach(key => {
+        ConfigWatcher.watchConfig(key, () => {
+          this.schedule().catch(error => {
+            logger.error('Failed to reschedule PMS sync:', error.message);
+          });
+        });
+      });
+
+      await this.schedule();
+
+      // Catch up on anything that changed while the panel was down
+      if (this.autoSync) {
+        this.run({ trigger: 'startup' });
+      }
+
+      this.initialized = true;
+      logger.info('PMS Sync Service initialized successfully');
+    } catch (error) {
+      logger.error('Failed to initialize PMS Sync Service:', error.message);
+      this.initialized = true; // Don't fail startup
+    }
+  }
+
+  async schedule() {
+    const [interval, autoSync] = await Promise.all([
+      Settings.get('pms_polling_interval', 15),
+      Settings.get('pms_auto_sync', true)
+    ]);
+
+    this.intervalMinutes = Number(interval) || 15;
+    this.autoSync = autoSync !== false;
+    this.stop();
+
+    if (!this.autoSync) {
+      logger.info('PMS auto sync disabled');
+      return;
+    }
+
+    this.syncTimer = setInterval(() => {
+      this.run({ trigger: 'schedule' });
+    }, this.intervalMinutes * 60 * 1000);
+
+    logger.info(`PMS sync scheduled every ${this.intervalMinutes} minutes`);
+  }
+
+  /**
+   * Run one sync. Incremental (reservations modified since the last successful run)
+   * unless `full` is set or there is no previous run.
+   */
+  async run(options = {}) {
+    const { full = false, trigger = 'manual', userId = null, triggeredBy = null } = options;
+
+    if (this.running) {
+      return { success: false, message: 'PMS sync already running' };
+    }
+    if (!PMSService.isConnected()) {
+      return { success: false, message: 'PMS not connected' };
+    }
+
+    this.running = true;
+    const startTime = new Date();
+    const incremental = !full && !!this.lastSyncAt;
+    const errors = [];
+
+    if (global.io) {
+      global.io.to('admin:pms').emit('pms:sync-started', {
+        trigger,
+        triggeredBy: triggeredBy || 'System',
+        full: !incremental,
+        timestamp: startTime.toISOString()
+      });
+    }
+
+    try {
+      const adapter = await PMSService.getAdapter();
+      const vendor = adapter.vendor;
+
+      const [reservations, inHouse] = await Promise.all([
+        PMSService.getReservations(incremental ? { modifiedSince: this.lastSyncAt } : {}),
+        PMSService.listInHouse()
+      ]);
+
+      // In-house reservations are always refreshed so room, dates and folios stay current
+      const reservationsById = new Map(reservations.filter(r => r.id).map(r => [r.id, r]));
+      inHouse.forEach(({ reservation }) => {
+        if (reservation?.id) reservationsById.set(reservation.id, reservation);
+      });
+
+      const guestsById = new Map();
+      inHouse.forEach(({ guest }) => {
+        if (guest?.id) guestsById.set(guest.id, guest);
+      });
+
+      // Fetch profiles of arriving/departed guests that are not cached yet
+      for (const reservation of reservationsById.values()) {
+        const guestId = reservation.guestId;
+        if (!guestId || guestsById.has(guestId)) continue;
+        if (!full && await Guest.exists({ pmsId: guestId })) continue;
+
+        try {
+          const guest = await adapter.getGuest(guestId);
+          if (guest) guestsById.set(guestId, guest);
+        } catch (error) {
+          errors.push(`Guest ${guestId}: ${error.message}`);
+        }
+      }
+
+      for (const reservation of reservationsById.values()) {
+        await Reservation.upsertFromPMS(reservation, { vendor });
+      }
+
+      for (const guest of guestsById.values()) {
+        await Guest.upsertFromPMS(guest, { vendor });
+      }
+
+      // Point each touched guest at their most relevant reservation
+      const touchedGuestIds = new Set([
+        ...guestsById.keys(),
+        ...Array.from(reservationsById.values()).map(r => r.guestId).filter(Boolean)
+      ]);
+      for (const guestId of touchedGuestIds) {
+        await this.updateCurrentReservation(guestId);
+      }
+
+      let folios = 0;
+      for (const { reservation } of inHouse) {
+        if (!reservation?.id) continue;
+        try {
+          const folio = await adapter.getFolio({ reservationId: reservation.id });
+          if (folio?.id) {
+            await Folio.upsertFromPMS(folio, { vendor });
+            folios += 1;
+          }
+        } catch (error) {
+          errors.push(`Folio for ${reservation.id}: ${error.message}`);
+        }
+      }
+
+      const transitions = await GuestStayService.applyReservations(
+        Array.from(reservationsById.values()),
+        guestsById,
+        { adopt: await GuestStayService.isEmpty() }
+      );
+
+      const endTime = new Date();
+      this.lastSyncAt = startTime;
+      this.lastResult = {
+        success: true,
+        full: !incremental,
+        guestsCount: guestsById.size,
+        reservationsCount: reservationsById.size,
+        foliosCount: folios,
+        transitions,
+        errorCount: errors.length,
+        startTime,
+        endTime,
+        duration: endTime - startTime
+      };
+
+      await this.record(this.lastResult, { trigger, userId, triggeredBy, vendor, errors });
+
+      if (global.io) {
+        global.io.to('admin:pms').emit('pms:sync-completed', {
+          ...this.lastResult,
+          trigger,
+          triggeredBy: triggeredBy || 'System'
+        });
+      }
+
+      logger.info(`PMS sync completed: ${reservationsById.size} reservations, ${guestsById.size} guests, ${folios} folios`);
+      return this.lastResult;
+    } catch (error) {
+      const endTime = new Date();
+      this.lastResult = {
+        success: false,
+        message: error.message,
+        full: !incremental,
+        startTime,
+        endTime,
+        duration: endTime - startTime
+      };
+
+      await this.record(this.lastResult, { trigger, userId, triggeredBy, errors: [...errors, error.message] })
+        .catch(logError => logger.error('Failed to record PMS sync:', logError.message));
+
+      if (global.io) {
+        global.io.to('admin:pms').emit('pms:sync-failed', {
+          error: error.message,
+          trigger,
+          timestamp: endTime.toISOString()
+        });
+      }
+
+      logger.error('PMS sync failed:', error.message);
+      return this.lastResult;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async updateCurrentReservation(guestId) {
+    const reservations = await Reservation.find({ guestId }).sort({ arrivalDate: -1 });
+    const current = reservations.find(r => r.status === 'in-house') ||
+      reservations.filter(r => r.status === 'expected').pop() ||
+      reservations[0];
+
+    if (!current) return;
+
+    await Guest.updateOne({ pmsId: guestId }, {
+      $set: {
+        currentReservation: {
+          pmsId: current.pmsId,
+          status: current.status,
+          roomNumber: current.roomNumber,
+          arrivalDate: current.arrivalDate,
+          departureDate: current.departureDate
+        }
+      }
+    });
+  }
+
+  // Persist the run as a PMS_SYNC log entry (read back by /api/pms/sync-history)
+  async record(result, context) {
+    const { trigger, userId, triggeredBy, vendor, errors = [] } = context;
+
+    const message = result.success
+      ? `PMS sync completed: ${result.reservationsCount} reservations, ${result.guestsCount} guests, ${result.foliosCount} folios`
+      : `PMS sync failed: ${result.message}`;
+
+    await Log.create({
+      type: 'PMS_SYNC',
+      level: result.success ? (errors.length > 0 ? 'warn' : 'info') : 'error',
+      message,
+      userId,
+      success: result.success,
+      error: result.success ? null : result.message,
+      duration: result.duration,
+      metadata: {
+        startTime: result.startTime,
+        endTime: result.endTime,
+        trigger,
+        triggeredBy: triggeredBy || 'System',
+        vendor: vendor || null,
+        full: result.full,
+        guestsCount: result.guestsCount || 0,
+        reservationsCount: result.reservationsCount || 0,
+        foliosCount: result.foliosCount || 0,
+        transitions: result.transitions || 0,
+        errorCount: errors.length,
+        errors: errors.slice(0, MAX_LOGGED_ERRORS)
+      }
+    });
+  }
+
+  isRunning() {
+    return this.running;
+  }
+
+  getStatus() {
+    return {
+      initialized: this.initialized,
+      autoSync: this.autoSync,
+      intervalMinutes: this.intervalMinutes,
+      running: this.running,
+      lastSyncAt: this.lastSyncAt,
+      lastResult: this.lastResult
+    };
+  }
+
+  stop() {
+    if (this.syncTimer) {
+      clearInterval(this.syncTimer);
+      this.syncTimer = null;
+    }
+  }
+}
+
+module.exports = new PMSSyncService();
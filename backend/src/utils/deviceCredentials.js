@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const TOKEN_TYPE = 'device';
+
+const getSecret = () => process.env.DEVICE_JWT_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Sign a device JWT bound to the device's current credential version
+ * @param {Object} device Device document
+ * @returns {String} Signed device token
+ */
+const signDeviceToken = (device) => {
+  return jwt.sign(
+    {
+      id: device._id.toString(),
+      uuid: device.uuid,
+      ver: device.credentials.tokenVersion,
+      typ: TOKEN_TYPE
+    },
+    getSecret(),
+    { expiresIn: process.env.DEVICE_TOKEN_EXPIRES_IN || '365d' }
+  );
+};
+
+/**
+ * Verify a device JWT signature and type
+ * @param {String} token Device token
+ * @returns {Object} Decoded token payload
+ */
+const verifyDeviceToken = (token) => {
+  const decoded = jwt.verify(token, getSecret());
+
+  if (decoded.typ !== TOKEN_TYPE) {
+    const error = new Error('Not a device token');
+    error.name = 'JsonWebTokenError';
+    throw error;
+  }
+
+  return decoded;
+};
+
+/**
+ * Extract a device token from request or handshake headers
+ * @param {Object} headers Request headers
+ * @returns {String|null} Token if present
+ */
+const extractDeviceToken = (headers = {}) => {
+  if (headers['x-device-token']) {
+    return headers['x-device-token'];
+  }
+
+  const authHeader = headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.split(' ')[1];
+  }
+
+  return null;
+};
+
+/**
+ * Hash the secret a launcher generates at registration; tokens waiting on /register
+ * are only handed to a caller that presents the same secret
+ * @param {String} key Registration key sent by the device
+ * @returns {String} Hex SHA-256 digest
+ */
+const hashRegistrationKey = (key) => {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+};
+
+/**
+ * Compare a registration key against the stored digest in constant time
+ * @param {String} key Registration key sent by the device
+ * @param {String} storedHash Digest saved when the device registered
+ * @returns {Boolean} True when the key matches
+ */
+const matchesRegistrationKey = (key, storedHash) => {
+  if (!key || !storedHash) {
+    return false;
+  }
+
+  const candidate = Buffer.from(hashRegistrationKey(key), 'hex');
+  const stored = Buffer.from(storedHash, 'hex');
+  return candidate.length === stored.length && crypto.timingSafeEqual(candidate, stored);
+};
+
+module.exports = {
+  signDeviceToken,
+  verifyDeviceToken,
+  extractDeviceToken,
+  hashRegistrationKey,
+  matchesRegistrationKey
+};
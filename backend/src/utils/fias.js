@@ -0,0 +1,115 @@
+const { getLocalTimeParts, fromLocalTime } = require('./propertyTime');
+
+const STX = '\x02';
+const ETX = '\x03';
+const FIELD_SEPARATOR = '|';
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Format a date as FIAS DA (YYMMDD) and TI (HHMMSS) fields in the property timezone
+ * @param {Date} date Point in time
+ * @param {String} timeZone IANA timezone name
+ * @returns {Object} { DA, TI }
+ */
+const formatDateTime = (date = new Date(), timeZone) => {
+  const local = getLocalTimeParts(date, timeZone);
+  return {
+    DA: `${pad(local.year % 100)}${pad(local.month)}${pad(local.day)}`,
+    TI: `${pad(local.hours)}${pad(local.minutes)}${pad(date.getUTCSeconds())}`
+  };
+};
+
+/**
+ * Parse FIAS date (YYMMDD) and optional time (HHMMSS) fields given in the property timezone
+ * @param {String} da Date field
+ * @param {String} ti Time field
+ * @param {String} timeZone IANA timezone name
+ * @returns {Date|null} Parsed date, or null when the date is missing or malformed
+ */
+const parseDateTime = (da, ti = '000000', timeZone) => {
+  if (!/^\d{6}$/.test(da || '')) return null;
+
+  const time = /^\d{4,6}$/.test(ti || '') ? ti.padEnd(6, '0') : '000000';
+  const parts = {
+    year: 2000 + Number(da.slice(0, 2)),
+    month: Number(da.slice(2, 4)),
+    day: Number(da.slice(4, 6)),
+    hours: Number(time.slice(0, 2)),
+    minutes: Number(time.slice(2, 4)),
+    seconds: Number(time.slice(4, 6))
+  };
+
+  if (parts.month < 1 || parts.month > 12 || parts.day < 1 || parts.day > 31) {
+    return null;
+  }
+
+  return fromLocalTime(parts, timeZone);
+};
+
+/**
+ * Encode a record as a framed FIAS message
+ * @param {String} recordType Two letter record id (LS, LA, GI, ...)
+ * @param {Object} fields Map of two character field ids to values
+ * @returns {String} STX + record + ETX
+ */
+const encodeRecord = (recordType, fields = {}) => {
+  const body = Object.entries(fields)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([id, value]) => `${id}${String(value).replace(/[|\x02\x03]/g, ' ')}`)
+    .join(FIELD_SEPARATOR);
+
+  return `${STX}${recordType}${FIELD_SEPARATOR}${body}${body ? FIELD_SEPARATOR : ''}${ETX}`;
+};
+
+/**
+ * Decode a single FIAS record (without framing characters)
+ * @param {String} message Raw record, e.g. "GI|RN101|G#123|GNSmith|"
+ * @returns {Object} { recordType, fields, raw }
+ */
+const decodeRecord = (message) => {
+  const parts = message.split(FIELD_SEPARATOR).filter(part => part.length > 0);
+  const recordType = (parts.shift() || '').trim();
+  const fields = {};
+
+  for (const part of parts) {
+    fields[part.slice(0, 2)] = part.slice(2);
+  }
+
+  return { recordType, fields, raw: message };
+};
+
+/**
+ * Split a stream buffer into complete records
+ * @param {String} buffer Accumulated socket data
+ * @returns {Object} { records, rest } where rest is the incomplete tail
+ */
+const extractRecords = (buffer) => {
+  const records = [];
+  let rest = buffer;
+
+  for (;;) {
+    const start = rest.indexOf(STX);
+    if (start === -1) {
+      return { records, rest: '' };
+    }
+
+    const end = rest.indexOf(ETX, start + 1);
+    if (end === -1) {
+      return { records, rest: rest.slice(start) };
+    }
+
+    records.push(decodeRecord(rest.slice(start + 1, end)));
+    rest = rest.slice(end + 1);
+  }
+};
+
+module.exports = {
+  STX,
+  ETX,
+  formatDateTime,
+  parseDateTime,
+  encodeRecord,
+  decodeRecord,
+  extractRecords
+};
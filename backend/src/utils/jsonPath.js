@@ -0,0 +1,69 @@
+/**
+ * Split a JSON path such as "$.data.items[0].name" into segments
+ * @param {String} path JSON path (leading "$." optional)
+ * @returns {Array} Path segments
+ */
+const parsePath = (path) => {
+  return String(path)
+    .replace(/^\$\.?/, '')
+    .replace(/\[(\d+)\]/g, '.$1')
+    .split('.')
+    .filter(segment => segment.length > 0);
+};
+
+/**
+ * Read a value from an object using a JSON path
+ * @param {Object} source Object to read from
+ * @param {String|Array} path JSON path, or a list of paths where the first non-empty value wins
+ * @param {*} defaultValue Value returned when nothing is found
+ * @returns {*} Resolved value
+ */
+const getPath = (source, path, defaultValue = null) => {
+  if (path === undefined || path === null || path === '') {
+    return defaultValue;
+  }
+
+  if (Array.isArray(path)) {
+    for (const candidate of path) {
+      const value = getPath(source, candidate);
+      if (value !== null && value !== undefined && value !== '') {
+        return value;
+      }
+    }
+    return defaultValue;
+  }
+
+  if (path === '$') {
+    return source === undefined ? defaultValue : source;
+  }
+
+  let current = source;
+  for (const segment of parsePath(path)) {
+    if (current === null || current === undefined) {
+      return defaultValue;
+    }
+    current = current[segment];
+  }
+
+  return current === undefined ? defaultValue : current;
+};
+
+/**
+ * Build an object by resolving each mapped field against a source object
+ * @param {Object} source Raw vendor record
+ * @param {Object} fields Map of output field name to JSON path
+ * @returns {Object} Mapped record
+ */
+const mapFields = (source, fields = {}) => {
+  const result = {};
+  for (const [field, path] of Object.entries(fields)) {
+    result[field] = getPath(source, path);
+  }
+  return result;
+};
+
+module.exports = {
+  parsePath,
+  getPath,
+  mapFields
+};
@@ -0,0 +1,31 @@
+/**
+ * Get the public base URL devices use to reach the panel
+ * @returns {String} Base URL without trailing slash
+ */
+const getPanelBaseUrl = () => {
+  const baseUrl = process.env.PANEL_BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+  return baseUrl.replace(/\/+$/, '');
+};
+
+/**
+ * Turn a stored upload path (e.g. /uploads/app-icons/x.png) into an absolute URL
+ * @param {String} mediaPath Stored path or URL
+ * @param {String} baseUrl Optional base URL override
+ * @returns {String|null} Absolute URL, or null when no path is given
+ */
+const toAbsoluteUrl = (mediaPath, baseUrl = getPanelBaseUrl()) => {
+  if (!mediaPath) return null;
+
+  // Already absolute (external icon, CDN asset, ...)
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(mediaPath)) {
+    return mediaPath;
+  }
+
+  const normalizedPath = mediaPath.startsWith('/') ? mediaPath : `/${mediaPath}`;
+  return `${baseUrl}${normalizedPath}`;
+};
+
+module.exports = {
+  getPanelBaseUrl,
+  toAbsoluteUrl
+};
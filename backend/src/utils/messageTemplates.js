@@ -0,0 +1,144 @@
+const { validateTemplate } = require('./templateEngine');
+
+const MESSAGE_TYPES = ['welcome', 'farewell'];
+
+const DEFAULT_LOCALE = 'en';
+
+// Shipped templates; properties edit or extend these in the guest_message_templates setting
+const DEFAULT_MESSAGE_TEMPLATES = {
+  defaultLocale: DEFAULT_LOCALE,
+  welcome: {
+    en: 'Welcome, {{guest_name}}! We hope you enjoy your stay in room {{room_number}}.',
+    es: '¡Bienvenido/a, {{guest_name}}! Esperamos que disfrute de su estancia en la habitación {{room_number}}.',
+    fr: 'Bienvenue, {{guest_name}} ! Nous vous souhaitons un excellent séjour dans la chambre {{room_number}}.',
+    de: 'Willkommen, {{guest_name}}! Wir wünschen Ihnen einen angenehmen Aufenthalt in Zimmer {{room_number}}.',
+    ja: '{{guest_name}}様、ようこそ。{{room_number}}号室でのご滞在をお楽しみください。'
+  },
+  farewell: {
+    en: 'Dear {{guest_name}}, we hope you had a great stay. Checkout is at {{check_out_time}}. Safe travels!',
+    es: 'Estimado/a {{guest_name}}, esperamos que haya disfrutado de su estancia. La salida es a las {{check_out_time}}. ¡Buen viaje!',
+    fr: 'Cher/Chère {{guest_name}}, nous espérons que vous avez passé un agréable séjour. Le départ est à {{check_out_time}}. Bon voyage !',
+    de: 'Liebe/r {{guest_name}}, wir hoffen, Sie hatten einen schönen Aufenthalt. Check-out ist um {{check_out_time}}. Gute Reise!',
+    ja: '{{guest_name}}様、ご滞在ありがとうございました。チェックアウトは{{check_out_time}}です。お気をつけてお帰りください。'
+  }
+};
+
+/**
+ * Normalize a language/locale code from the PMS or the panel (EN, pt_BR, es-es)
+ * @param {String} code Language or locale code
+ * @returns {String|null} Lowercase code with "-" separators, or null when empty
+ */
+const normalizeLocale = (code) => {
+  if (!code || typeof code !== 'string') return null;
+
+  const normalized = code.trim().toLowerCase().replace(/_/g, '-');
+  return normalized || null;
+};
+
+/**
+ * Bring a stored guest_message_templates value into the per-locale shape. Older
+ * installs stored a single string per message type, which becomes the default locale.
+ * @param {Object} value Stored setting value
+ * @returns {Object} { defaultLocale, welcome: { [locale]: template }, farewell: { ... } }
+ */
+const normalizeTemplates = (value) => {
+  const source = value && typeof value === 'object' ? value : {};
+  const defaultLocale = normalizeLocale(source.defaultLocale) || DEFAULT_LOCALE;
+  const templates = { defaultLocale };
+
+  for (const type of MESSAGE_TYPES) {
+    const entry = source[type];
+    templates[type] = {};
+
+    if (typeof entry === 'string') {
+      templates[type][defaultLocale] = entry;
+    } else if (entry && typeof entry === 'object') {
+      for (const [locale, template] of Object.entries(entry)) {
+        const key = normalizeLocale(locale);
+        if (key && typeof template === 'string' && template.trim()) {
+          templates[type][key] = template;
+        }
+      }
+    }
+  }
+
+  return templates;
+};
+
+/**
+ * Locales to try for a guest, most specific first: pt-br -> pt -> default -> en
+ * @param {String} language Guest language from the PMS
+ * @param {String} defaultLocale Property default locale
+ * @returns {Array<String>} Unique locale codes
+ */
+const getLocaleChain = (language, defaultLocale = DEFAULT_LOCALE) => {
+  const chain = [];
+  const locale = normalizeLocale(language);
+
+  if (locale) {
+    chain.push(locale);
+    const base = locale.split('-')[0];
+    if (base !== locale) chain.push(base);
+  }
+  chain.push(normalizeLocale(defaultLocale) || DEFAULT_LOCALE, DEFAULT_LOCALE);
+
+  return [...new Set(chain)];
+};
+
+/**
+ * Pick the template of a message type for a guest language, following the fallback chain
+ * and ending with the shipped English template
+ * @param {Object} value Stored guest_message_templates setting
+ * @param {String} type Message type (welcome, farewell)
+ * @param {String} language Guest language, if known
+ * @returns {Object} { locale, template }
+ */
+const selectTemplate = (value, type, language = null) => {
+  const templates = normalizeTemplates(value);
+  const candidates = templates[type] || {};
+
+  for (const locale of getLocaleChain(language, templates.defaultLocale)) {
+    if (candidates[locale]) {
+      return { locale, template: candidates[locale] };
+    }
+  }
+
+  // Any template the property wrote beats the shipped one
+  const [locale] = Object.keys(candidates);
+  if (locale) {
+    return { locale, template: candidates[locale] };
+  }
+
+  return { locale: DEFAULT_LOCALE, template: DEFAULT_MESSAGE_TEMPLATES[type][DEFAULT_LOCALE] };
+};
+
+/**
+ * Check every template of a guest_message_templates value
+ * @param {Object} value Setting value
+ * @returns {Array<Object>} Problems found: { type, locale, message, position }
+ */
+const findTemplateErrors = (value) => {
+  const templates = normalizeTemplates(value);
+  const problems = [];
+
+  for (const type of MESSAGE_TYPES) {
+    for (const [locale, template] of Object.entries(templates[type])) {
+      validateTemplate(template).errors.forEach(error => {
+        problems.push({ type, locale, ...error });
+      });
+    }
+  }
+
+  return problems;
+};
+
+module.exports = {
+  MESSAGE_TYPES,
+  DEFAULT_LOCALE,
+  DEFAULT_MESSAGE_TEMPLATES,
+  normalizeLocale,
+  normalizeTemplates,
+  getLocaleChain,
+  selectTemplate,
+  findTemplateErrors
+};
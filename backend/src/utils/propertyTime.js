@@ -0,0 +1,146 @@
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const DEFAULT_TIMEZONE = process.env.PROPERTY_TIMEZONE || 'UTC';
+
+/**
+ * Check whether a timezone name is supported by the runtime
+ * @param {String} timeZone IANA timezone name (e.g. Africa/Cairo)
+ * @returns {Boolean} True when the timezone can be used
+ */
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Break a date into its wall-clock parts in the property timezone
+ * @param {Date} date Point in time
+ * @param {String} timeZone IANA timezone name
+ * @returns {Object} { year, month, day, dayOfWeek, hours, minutes, minutesOfDay, date, time }
+ */
+const getLocalTimeParts = (date = new Date(), timeZone = DEFAULT_TIMEZONE) => {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: isValidTimeZone(timeZone) ? timeZone : 'UTC',
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+
+  const parts = {};
+  formatter.formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  const hours = Number(parts.hour);
+  const minutes = Number(parts.minute);
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    dayOfWeek: WEEKDAYS.indexOf(parts.weekday),
+    hours,
+    minutes,
+    minutesOfDay: hours * 60 + minutes,
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`
+  };
+};
+
+/**
+ * Convert a wall-clock time in the property timezone to a Date
+ * @param {Object} parts { year, month, day, hours, minutes, seconds }
+ * @param {String} timeZone IANA timezone name
+ * @returns {Date} Matching point in time
+ */
+const fromLocalTime = ({ year, month, day, hours = 0, minutes = 0, seconds = 0 }, timeZone = DEFAULT_TIMEZONE) => {
+  const guess = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+  const local = getLocalTimeParts(new Date(guess), timeZone);
+  const localAsUtc = Date.UTC(local.year, local.month - 1, local.day, local.hours, local.minutes, seconds);
+
+  return new Date(guess - (localAsUtc - guess));
+};
+
+/**
+ * Parse an HH:mm string into minutes since midnight
+ * @param {String} value Time string
+ * @returns {Number|null} Minutes since midnight, or null when invalid
+ */
+const parseTimeOfDay = (value) => {
+  const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(value || '');
+  if (!match) return null;
+  return Number(match[1]) * 60 + Number(match[2]);
+};
+
+/**
+ * Give a date-only value a time of day. Dates at local midnight (e.g. FIAS) or UTC midnight
+ * (ISO dates without a time) are taken as that calendar day; other dates are returned as is.
+ * @param {Date} date Date from the PMS
+ * @param {Number} minutesOfDay Time to apply, in minutes since midnight
+ * @param {String} timeZone IANA timezone name
+ * @returns {Date} Date with the time applied
+ */
+const applyTimeToDateOnly = (date, minutesOfDay, timeZone = DEFAULT_TIMEZONE) => {
+  const value = new Date(date);
+  const local = getLocalTimeParts(value, timeZone);
+  const isLocalMidnight = local.minutesOfDay === 0 && value.getUTCSeconds() === 0;
+  const isUtcMidnight = value.getTime() % (24 * 60 * 60 * 1000) === 0;
+
+  if (!isLocalMidnight && !isUtcMidnight) {
+    return value;
+  }
+
+  const day = isLocalMidnight
+    ? local
+    : { year: value.getUTCFullYear(), month: value.getUTCMonth() + 1, day: value.getUTCDate() };
+  return fromLocalTime({
+    year: day.year,
+    month: day.month,
+    day: day.day,
+    hours: Math.floor(minutesOfDay / 60),
+    minutes: minutesOfDay % 60
+  }, timeZone);
+};
+
+/**
+ * Map a month (1-12) to a season (northern hemisphere)
+ * @param {Number} month Month number
+ * @returns {String} spring, summer, autumn or winter
+ */
+const getSeason = (month) => {
+  if (month >= 3 && month <= 5) return 'spring';
+  if (month >= 6 && month <= 8) return 'summer';
+  if (month >= 9 && month <= 11) return 'autumn';
+  return 'winter';
+};
+
+/**
+ * Map an hour (0-23) to a part of the day
+ * @param {Number} hours Hour of the day
+ * @returns {String} morning, afternoon, evening or night
+ */
+const getTimeOfDay = (hours) => {
+  if (hours >= 5 && hours < 12) return 'morning';
+  if (hours >= 12 && hours < 17) return 'afternoon';
+  if (hours >= 17 && hours < 21) return 'evening';
+  return 'night';
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  getLocalTimeParts,
+  fromLocalTime,
+  parseTimeOfDay,
+  applyTimeToDateOnly,
+  getSeason,
+  getTimeOfDay
+};
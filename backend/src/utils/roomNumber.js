@@ -0,0 +1,20 @@
+/**
+ * Derive the floor from a room number, using the common convention that the
+ * last two digits are the room on the floor (304 -> 3, 1205 -> 12, B-210 -> 2)
+ * @param {String} roomNumber Room number as entered on the device
+ * @returns {String|null} Floor, or null when the room number has no floor part
+ */
+const getFloorFromRoomNumber = (roomNumber) => {
+  if (!roomNumber) return null;
+
+  const digits = String(roomNumber).match(/\d+/);
+  if (!digits || digits[0].length < 3) {
+    return null;
+  }
+
+  return String(parseInt(digits[0].slice(0, -2), 10));
+};
+
+module.exports = {
+  getFloorFromRoomNumber
+};
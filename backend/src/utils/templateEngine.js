@@ -0,0 +1,596 @@
+const MAX_TEMPLATE_LENGTH = 5000;
+const MAX_NESTING = 10;
+const CACHE_SIZE = 100;
+
+// Variables guest message templates may use
+const TEMPLATE_VARIABLES = {
+  guest_name: 'Full name of the guest',
+  guest_first_name: 'First name of the guest',
+  guest_last_name: 'Last name of the guest',
+  guest_salutation: 'Salutation (Mr., Ms., Dr.)',
+  guest_language: 'Guest language code from the PMS',
+  loyalty_tier: 'Loyalty tier from the PMS (e.g. gold, platinum)',
+  is_vip: 'True when the loyalty tier is gold or platinum',
+  room_number: 'Room number',
+  check_in: 'Arrival date and time (use with the date, time or datetime filter)',
+  check_out: 'Departure date and time (use with the date, time or datetime filter)',
+  check_in_time: 'Arrival time, already formatted',
+  check_out_time: 'Departure time, already formatted',
+  nights: 'Number of nights of the stay',
+  balance: 'Open folio balance (use with the currency filter)',
+  currency: 'Folio currency code (e.g. EUR)',
+  hotel_name: 'Panel name'
+};
+
+const DATE_STYLES = ['short', 'medium', 'long', 'full'];
+
+/**
+ * Build a template error carrying the offset in the template where it was found
+ * @param {String} message Error message
+ * @param {Number} position Character offset
+ * @returns {Error} Error with a position property
+ */
+const templateError = (message, position = null) => {
+  const error = new Error(message);
+  error.position = position;
+  return error;
+};
+
+const isEmpty = (value) => value === null || value === undefined || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+const toDate = (value) => {
+  if (isEmpty(value)) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Intl rejects malformed locale tags; fall back to English rather than failing the message
+const safeLocale = (locale) => {
+  try {
+    return Intl.getCanonicalLocales(locale || 'en')[0];
+  } catch (error) {
+    return 'en';
+  }
+};
+
+const safeTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return timeZone;
+  } catch (error) {
+    return 'UTC';
+  }
+};
+
+// Formatting filters, applied as {{ value | filter:arg }}. Dates use the property timezone.
+const FILTERS = {
+  date: (value, [style = 'medium'], { locale, timeZone }) => {
+    const date = toDate(value);
+    if (!date) return '';
+    return new Intl.DateTimeFormat(locale, { dateStyle: style, timeZone }).format(date);
+  },
+  time: (value, args, { locale, timeZone }) => {
+    const date = toDate(value);
+    if (!date) return '';
+    return new Intl.DateTimeFormat(locale, { timeStyle: 'short', timeZone }).format(date);
+  },
+  datetime: (value, [style = 'medium'], { locale, timeZone }) => {
+    const date = toDate(value);
+    if (!date) return '';
+    return new Intl.DateTimeFormat(locale, { dateStyle: style, timeStyle: 'short', timeZone }).format(date);
+  },
+  currency: (value, [code], { locale, variables }) => {
+    if (isEmpty(value) || isNaN(Number(value))) return '';
+    const currency = String(code || variables.currency || 'USD').toUpperCase();
+    try {
+      return new Intl.NumberFormat(locale, { style: 'currency', currency }).format(Number(value));
+    } catch (error) {
+      return `${Number(value).toFixed(2)} ${currency}`;
+    }
+  },
+  number: (value, [digits = 0], { locale }) => {
+    if (isEmpty(value) || isNaN(Number(value))) return '';
+    const fractionDigits = Math.min(Math.max(parseInt(digits) || 0, 0), 6);
+    return new Intl.NumberFormat(locale, {
+      minimumFractionDigits: fractionDigits,
+      maximumFractionDigits: fractionDigits
+    }).format(Number(value));
+  },
+  upper: (value, args, { locale }) => String(value ?? '').toLocaleUpperCase(locale),
+  lower: (value, args, { locale }) => String(value ?? '').toLocaleLowerCase(locale),
+  capitalize: (value, args, { locale }) => {
+    const text = String(value ?? '');
+    return text.charAt(0).toLocaleUpperCase(locale) + text.slice(1);
+  },
+  default: (value, [fallback = '']) => (isEmpty(value) ? fallback : value)
+};
+
+// Arguments a filter accepts, checked when the template is parsed
+const FILTER_ARGUMENTS = {
+  date: { max: 1, options: DATE_STYLES },
+  time: { max: 0 },
+  datetime: { max: 1, options: DATE_STYLES },
+  currency: { max: 1 },
+  number: { max: 1 },
+  upper: { max: 0 },
+  lower: { max: 0 },
+  capitalize: { max: 0 },
+  default: { max: 1 }
+};
+
+const TOKEN_PATTERN = /\s*(?:(==|!=|>=|<=|>|<)|(\(|\)|\[|\]|,)|("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|(-?\d+(?:\.\d+)?)|([A-Za-z_][A-Za-z0-9_]*))/y;
+
+/**
+ * Split a condition such as `loyalty_tier in ["gold", "platinum"]` into tokens
+ * @param {String} source Expression text
+ * @param {Number} offset Position of the expression in the template, for errors
+ * @returns {Array<Object>} Tokens { type, value }
+ */
+const tokenize = (source, offset) => {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while (TOKEN_PATTERN.lastIndex < source.length) {
+    if (/^\s*$/.test(source.slice(TOKEN_PATTERN.lastIndex))) break;
+
+    const start = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(source);
+    if (!match) {
+      throw templateError(`Unexpected "${source.slice(start).trim().charAt(0)}" in condition`, offset);
+    }
+
+    const [, operator, punctuation, string, number, word] = match;
+    if (operator) tokens.push({ type: 'operator', value: operator });
+    else if (punctuation) tokens.push({ type: punctuation });
+    else if (string) tokens.push({ type: 'literal', value: string.slice(1, -1).replace(/\\(.)/g, '$1') });
+    else if (number) tokens.push({ type: 'literal', value: Number(number) });
+    else if (['and', 'or', 'not', 'in'].includes(word)) tokens.push({ type: word });
+    else if (word === 'true' || word === 'false') tokens.push({ type: 'literal', value: word === 'true' });
+    else tokens.push({ type: 'variable', name: word });
+  }
+
+  return tokens;
+};
+
+/**
+ * Parse a condition into an expression tree: or / and / not, comparisons
+ * (==, !=, <, <=, >, >=, in) and variable, string, number and list operands
+ * @param {String} source Expression text
+ * @param {Number} offset Position of the expression in the template, for errors
+ * @returns {Object} Expression node
+ */
+const parseExpression = (source, offset) => {
+  const tokens = tokenize(source, offset);
+  let index = 0;
+
+  const peek = () => tokens[index] || { type: 'end' };
+  const next = () => tokens[index++] || { type: 'end' };
+  const expect = (type) => {
+    const token = next();
+    if (token.type !== type) {
+      throw templateError(`Expected "${type}" in condition "${source.trim()}"`, offset);
+    }
+    return token;
+  };
+
+  const parseOperand = () => {
+    const token = next();
+    if (token.type === 'variable') return { type: 'variable', name: token.name };
+    if (token.type === 'literal') return { type: 'literal', value: token.value };
+    if (token.type === '(') {
+      const inner = parseOr();
+      expect(')');
+      return inner;
+    }
+    if (token.type === '[') {
+      const items = [];
+      while (peek().type !== ']') {
+        items.push(parseOperand());
+        if (peek().type !== ',') break;
+        next();
+      }
+      expect(']');
+      return { type: 'list', items };
+    }
+    throw templateError(`Incomplete condition "${source.trim()}"`, offset);
+  };
+
+  const parseComparison = () => {
+    const left = parseOperand();
+    const token = peek();
+    if (token.type === 'operator' || token.type === 'in') {
+      next();
+      return { type: 'compare', operator: token.value || 'in', left, right: parseOperand() };
+    }
+    return left;
+  };
+
+  const parseNot = () => {
+    if (peek().type === 'not') {
+      next();
+      return { type: 'not', operand: parseNot() };
+    }
+    return parseComparison();
+  };
+
+  const parseAnd = () => {
+    let node = parseNot();
+    while (peek().type === 'and') {
+      next();
+      node = { type: 'and', left: node, right: parseNot() };
+    }
+    return node;
+  };
+
+  const parseOr = () => {
+    let node = parseAnd();
+    while (peek().type === 'or') {
+      next();
+      node = { type: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  };
+
+  if (tokens.length === 0) {
+    throw templateError('Missing condition', offset);
+  }
+
+  const expression = parseOr();
+  if (index < tokens.length) {
+    throw templateError(`Unexpected "${tokens[index].value ?? tokens[index].name ?? tokens[index].type}" in condition "${source.trim()}"`, offset);
+  }
+  return expression;
+};
+
+// Split "a | b:c" on pipes that are not inside quotes
+const splitPipes = (source) => {
+  const parts = [];
+  let current = '';
+  let quote = null;
+
+  for (const char of source) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === '|') {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.map(part => part.trim());
+};
+
+const parseFilter = (source, offset) => {
+  const match = /^([A-Za-z_]+)(?::\s*(.+))?$/.exec(source);
+  if (!match) {
+    throw templateError(`Invalid filter "${source}"`, offset);
+  }
+
+  const [, name, rawArg] = match;
+  if (!FILTERS[name]) {
+    throw templateError(`Unknown filter "${name}"`, offset);
+  }
+
+  const args = [];
+  if (rawArg !== undefined) {
+    const quoted = /^("|')(.*)\1$/.exec(rawArg.trim());
+    args.push(quoted ? quoted[2] : rawArg.trim());
+  }
+
+  const rule = FILTER_ARGUMENTS[name];
+  if (args.length > rule.max) {
+    throw templateError(`Filter "${name}" takes no argument`, offset);
+  }
+  if (rule.options && args.length > 0 && !rule.options.includes(args[0])) {
+    throw templateError(`Filter "${name}" accepts ${rule.options.join(', ')}`, offset);
+  }
+
+  return { name, args };
+};
+
+/**
+ * Parse a template into a tree of text, output and if nodes. Supported tags:
+ * {{variable | filter:arg}}, {{#if condition}}, {{else if condition}}, {{else}},
+ * {{/if}} and {{! comment }}
+ * @param {String} source Template text
+ * @returns {Array<Object>} Template nodes
+ */
+const parseTemplate = (source) => {
+  if (typeof source !== 'string') {
+    throw templateError('Template must be a string');
+  }
+  if (source.length > MAX_TEMPLATE_LENGTH) {
+    throw templateError(`Template cannot exceed ${MAX_TEMPLATE_LENGTH} characters`);
+  }
+
+  const root = { children: [] };
+  const stack = [root];
+  const current = () => {
+    const block = stack[stack.length - 1];
+    return block.branches ? block.branches[block.branches.length - 1].children : block.children;
+  };
+
+  let position = 0;
+  while (position < source.length) {
+    const open = source.indexOf('{{', position);
+    if (open === -1) {
+      current().push({ type: 'text', value: source.slice(position) });
+      break;
+    }
+    if (open > position) {
+      current().push({ type: 'text', value: source.slice(position, open) });
+    }
+
+    const close = source.indexOf('}}', open + 2);
+    if (close === -1) {
+      throw templateError('Unclosed "{{"', open);
+    }
+
+    const tag = source.slice(open + 2, close).trim();
+    position = close + 2;
+
+    if (tag.startsWith('!')) {
+      continue;
+    }
+
+    if (tag.startsWith('#if ') || tag === '#if') {
+      if (stack.length > MAX_NESTING) {
+        throw templateError(`Conditions cannot be nested more than ${MAX_NESTING} levels`, open);
+      }
+      const block = {
+        type: 'if',
+        position: open,
+        branches: [{ condition: parseExpression(tag.slice(3), open), children: [] }],
+        hasElse: false
+      };
+      current().push(block);
+      stack.push(block);
+      continue;
+    }
+
+    if (tag === 'else' || tag.startsWith('else if ')) {
+      const block = stack[stack.length - 1];
+      if (block === root) {
+        throw templateError(`"{{${tag}}}" without "{{#if}}"`, open);
+      }
+      if (block.hasElse) {
+        throw templateError(`"{{${tag}}}" after "{{else}}"`, open);
+      }
+      if (tag === 'else') {
+        block.hasElse = true;
+        block.branches.push({ condition: null, children: [] });
+      } else {
+        block.branches.push({ condition: parseExpression(tag.slice(8), open), children: [] });
+      }
+      continue;
+    }
+
+    if (tag === '/if') {
+      if (stack.length === 1) {
+        throw templateError('"{{/if}}" without "{{#if}}"', open);
+      }
+      stack.pop();
+      continue;
+    }
+
+    if (tag.startsWith('#') || tag.startsWith('/')) {
+      throw templateError(`Unknown block "{{${tag}}}"`, open);
+    }
+
+    const [name, ...filters] = splitPipes(tag);
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+      throw templateError(`Invalid variable "${name}"`, open);
+    }
+    current().push({
+      type: 'output',
+      name,
+      position: open,
+      filters: filters.map(filter => parseFilter(filter, open))
+    });
+  }
+
+  if (stack.length > 1) {
+    throw templateError('Missing "{{/if}}"', stack[stack.length - 1].position);
+  }
+
+  return root.children;
+};
+
+// Variables referenced by a parsed template or expression
+const collectVariables = (nodes, names = new Set()) => {
+  for (const node of [].concat(nodes)) {
+    if (!node) continue;
+    switch (node.type) {
+      case 'output':
+      case 'variable':
+        names.add(node.name);
+        break;
+      case 'if':
+        node.branches.forEach(branch => {
+          collectVariables(branch.condition, names);
+          collectVariables(branch.children, names);
+        });
+        break;
+      case 'compare':
+      case 'and':
+      case 'or':
+        collectVariables([node.left, node.right], names);
+        break;
+      case 'not':
+        collectVariables(node.operand, names);
+        break;
+      case 'list':
+        collectVariables(node.items, names);
+        break;
+      default:
+        break;
+    }
+  }
+  return names;
+};
+
+const cache = new Map();
+
+const compile = (source) => {
+  if (cache.has(source)) {
+    return cache.get(source);
+  }
+
+  const nodes = parseTemplate(source);
+  if (cache.size >= CACHE_SIZE) {
+    cache.delete(cache.keys().next().value);
+  }
+  cache.set(source, nodes);
+  return nodes;
+};
+
+// Only the template's own variables are visible; nothing reaches prototypes or globals
+const lookup = (variables, name) => (
+  Object.prototype.hasOwnProperty.call(variables, name) ? variables[name] : null
+);
+
+const normalizeForCompare = (value) => (typeof value === 'string' ? value.trim().toLowerCase() : value);
+
+const looseEquals = (left, right) => {
+  if (isEmpty(left) || isEmpty(right)) return isEmpty(left) && isEmpty(right);
+  if (typeof left === 'number' || typeof right === 'number') return Number(left) === Number(right);
+  return normalizeForCompare(String(left)) === normalizeForCompare(String(right));
+};
+
+const evaluate = (node, variables) => {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'variable':
+      return lookup(variables, node.name);
+    case 'list':
+      return node.items.map(item => evaluate(item, variables));
+    case 'not':
+      return !isTruthy(evaluate(node.operand, variables));
+    case 'and':
+      return isTruthy(evaluate(node.left, variables)) && isTruthy(evaluate(node.right, variables));
+    case 'or':
+      return isTruthy(evaluate(node.left, variables)) || isTruthy(evaluate(node.right, variables));
+    case 'compare': {
+      const left = evaluate(node.left, variables);
+      const right = evaluate(node.right, variables);
+      switch (node.operator) {
+        case '==': return looseEquals(left, right);
+        case '!=': return !looseEquals(left, right);
+        case 'in': return [].concat(right ?? []).some(item => looseEquals(left, item));
+        default: {
+          if (isEmpty(left) || isEmpty(right)) return false;
+          const a = toComparable(left);
+          const b = toComparable(right);
+          if (node.operator === '>') return a > b;
+          if (node.operator === '>=') return a >= b;
+          if (node.operator === '<') return a < b;
+          return a <= b;
+        }
+      }
+    }
+    default:
+      return null;
+  }
+};
+
+const toComparable = (value) => {
+  if (value instanceof Date) return value.getTime();
+  return isNaN(Number(value)) ? String(value) : Number(value);
+};
+
+const isTruthy = (value) => {
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === 'string') return value.trim() !== '' && value.trim().toLowerCase() !== 'false';
+  return Boolean(value);
+};
+
+const formatValue = (value, context) => {
+  if (isEmpty(value)) return '';
+  if (value instanceof Date) return FILTERS.datetime(value, [], context);
+  return String(value);
+};
+
+const renderNodes = (nodes, context) => nodes.map(node => {
+  if (node.type === 'text') {
+    return node.value;
+  }
+
+  if (node.type === 'if') {
+    const branch = node.branches.find(candidate => (
+      candidate.condition === null || isTruthy(evaluate(candidate.condition, context.variables))
+    ));
+    return branch ? renderNodes(branch.children, context) : '';
+  }
+
+  const value = node.filters.reduce(
+    (result, filter) => FILTERS[filter.name](result, filter.args, context),
+    lookup(context.variables, node.name)
+  );
+  return formatValue(value, context);
+}).join('');
+
+/**
+ * Render a template. Only the given variables are visible to the template, and
+ * dates are formatted in the property timezone.
+ * @param {String} source Template text
+ * @param {Object} variables Template variables
+ * @param {Object} options { locale, timeZone }
+ * @returns {String} Rendered text
+ * @throws {Error} When the template has a syntax error (error.position is the offset)
+ */
+const renderTemplate = (source, variables = {}, { locale = 'en', timeZone = 'UTC' } = {}) => {
+  const context = {
+    variables: variables || {},
+    locale: safeLocale(locale),
+    timeZone: safeTimeZone(timeZone)
+  };
+
+  return renderNodes(compile(source), context)
+    .replace(/[ \t]{2,}/g, ' ')
+    .trim();
+};
+
+/**
+ * Check a template before it is saved
+ * @param {String} source Template text
+ * @param {Array<String>} knownVariables Variables the template may use
+ * @returns {Object} { valid, errors: [{ message, position }], unknownVariables, variables }
+ */
+const validateTemplate = (source, knownVariables = Object.keys(TEMPLATE_VARIABLES)) => {
+  let nodes;
+  try {
+    nodes = parseTemplate(source);
+  } catch (error) {
+    return {
+      valid: false,
+      errors: [{ message: error.message, position: error.position ?? null }],
+      unknownVariables: [],
+      variables: []
+    };
+  }
+
+  const variables = Array.from(collectVariables(nodes));
+  const unknownVariables = variables.filter(name => !knownVariables.includes(name));
+
+  return {
+    valid: unknownVariables.length === 0,
+    errors: unknownVariables.map(name => ({ message: `Unknown variable "${name}"`, position: null })),
+    unknownVariables,
+    variables
+  };
+};
+
+module.exports = {
+  TEMPLATE_VARIABLES,
+  FILTERS: Object.keys(FILTERS),
+  parseTemplate,
+  renderTemplate,
+  validateTemplate
+};
@@ -0,0 +1,82 @@
+const AutomationRule = require('../../src/models/AutomationRule');
+
+const ruleWith = (...conditions) => new AutomationRule({
+  name: 'VIP welcome',
+  trigger: { event: 'check-in' },
+  conditions,
+  actions: [{ type: 'send_command', params: { command: 'CONFIG_UPDATE' } }]
+});
+
+const facts = {
+  loyalty_tier: 'Gold',
+  is_vip: true,
+  guest_language: 'de',
+  guest_name: 'Ana Novak',
+  room_number: '304',
+  floor: '3',
+  room_type: 'suite',
+  nights: 4,
+  balance: 0
+};
+
+describe('AutomationRule conditions', () => {
+  test('a rule without conditions always applies', () => {
+    expect(ruleWith().matches(facts)).toBe(true);
+  });
+
+  test.each([
+    ['equals ignores case and surrounding spaces', { field: 'loyalty_tier', operator: 'equals', value: ' gold ' }, true],
+    ['equals compares numbers', { field: 'nights', operator: 'equals', value: '4' }, true],
+    ['equals compares booleans given as text', { field: 'is_vip', operator: 'equals', value: 'true' }, true],
+    ['not_equals', { field: 'room_type', operator: 'not_equals', value: 'suite' }, false],
+    ['in', { field: 'guest_language', operator: 'in', value: ['en', 'DE'] }, true],
+    ['not_in', { field: 'floor', operator: 'not_in', value: ['1', '2'] }, true],
+    ['gte', { field: 'nights', operator: 'gte', value: 4 }, true],
+    ['lte', { field: 'nights', operator: 'lte', value: 3 }, false],
+    ['exists', { field: 'guest_name', operator: 'exists' }, true],
+    ['not_exists', { field: 'room_number', operator: 'not_exists' }, false]
+  ])('%s', (label, condition, expected) => {
+    expect(ruleWith(condition).matches(facts)).toBe(expected);
+  });
+
+  test('exists treats false as missing', () => {
+    expect(ruleWith({ field: 'is_vip', operator: 'exists' }).matches(facts)).toBe(true);
+    expect(ruleWith({ field: 'is_vip', operator: 'exists' }).matches({ ...facts, is_vip: false })).toBe(false);
+  });
+
+  test('a missing fact never satisfies a numeric comparison', () => {
+    expect(ruleWith({ field: 'balance', operator: 'gte', value: 0 }).matches({ ...facts, balance: null })).toBe(false);
+    expect(ruleWith({ field: 'balance', operator: 'lte', value: 100 }).matches({ ...facts, balance: undefined })).toBe(false);
+  });
+
+  test('empty values only equal each other', () => {
+    expect(ruleWith({ field: 'room_type', operator: 'equals', value: null }).matches({ ...facts, room_type: '' })).toBe(true);
+    expect(ruleWith({ field: 'room_type', operator: 'equals', value: null }).matches(facts)).toBe(false);
+  });
+
+  test('reports every condition that does not hold', () => {
+    const rule = ruleWith(
+      { field: 'loyalty_tier', operator: 'in', value: ['platinum'] },
+      { field: 'nights', operator: 'gte', value: 2 },
+      { field: 'is_vip', operator: 'not_exists' }
+    );
+
+    expect(rule.getFailedConditions(facts).map(condition => condition.field)).toEqual(['loyalty_tier', 'is_vip']);
+    expect(rule.matches(facts)).toBe(false);
+  });
+});
+
+describe('AutomationRule triggers', () => {
+  test('every in-house stay transition maps to an event trigger', () => {
+    const events = Object.values(AutomationRule.TRANSITION_EVENTS);
+
+    expect(events.every(event => AutomationRule.TRIGGER_EVENTS.includes(event))).toBe(true);
+    expect(Object.keys(AutomationRule.TRANSITION_EVENTS).sort()).toEqual(['checked-in', 'checked-out', 'extended', 'moved']);
+  });
+
+  test('a rule needs at least one action', () => {
+    const rule = new AutomationRule({ name: 'Empty', trigger: { event: 'check-out' }, actions: [] });
+
+    expect(rule.validateSync().errors.actions.message).toBe('A rule needs at least one action');
+  });
+});
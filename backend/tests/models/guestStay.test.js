@@ -0,0 +1,75 @@
+const GuestStay = require('../../src/models/GuestStay');
+
+const stayIn = (state) => new GuestStay({ reservationId: `R-${state}`, state });
+
+describe('GuestStay transitions', () => {
+  const allowed = [
+    ['expected', 'checked-in'],
+    ['expected', 'checked-out'],
+    ['checked-in', 'moved'],
+    ['checked-in', 'extended'],
+    ['checked-in', 'checked-out'],
+    ['moved', 'moved'],
+    ['moved', 'extended'],
+    ['moved', 'checked-out'],
+    ['extended', 'moved'],
+    ['extended', 'extended'],
+    ['extended', 'checked-out']
+  ];
+
+  test.each(allowed)('%s -> %s is allowed', (from, to) => {
+    expect(stayIn(from).canTransition(to)).toBe(true);
+  });
+
+  test('every pair missing from the table is rejected', () => {
+    const allowedPairs = new Set(allowed.map(([from, to]) => `${from}>${to}`));
+
+    for (const from of GuestStay.STAY_STATES) {
+      for (const to of GuestStay.STAY_STATES) {
+        if (!allowedPairs.has(`${from}>${to}`)) {
+          expect(stayIn(from).canTransition(to)).toBe(false);
+        }
+      }
+    }
+  });
+
+  test('checked-out is final', () => {
+    expect(GuestStay.TRANSITIONS['checked-out']).toEqual([]);
+  });
+
+  test('only the in-house states count as in house', () => {
+    const inHouse = GuestStay.STAY_STATES.filter(state => stayIn(state).isInHouse());
+    expect(inHouse).toEqual(['checked-in', 'moved', 'extended']);
+  });
+});
+
+describe('GuestStay.transition', () => {
+  test('applies the change and records it in the history', () => {
+    const stay = stayIn('expected');
+
+    expect(stay.transition('checked-in', 'fias', { roomNumber: '101' })).toBe(true);
+
+    expect(stay.state).toBe('checked-in');
+    expect(stay.lastSource).toBe('fias');
+    expect(stay.checkedInAt).toBeInstanceOf(Date);
+    expect(stay.history).toHaveLength(1);
+    expect(stay.history[0]).toMatchObject({ from: 'expected', to: 'checked-in', source: 'fias' });
+  });
+
+  test('stamps the checkout time', () => {
+    const stay = stayIn('extended');
+
+    expect(stay.transition('checked-out', 'pms')).toBe(true);
+    expect(stay.checkedOutAt).toBeInstanceOf(Date);
+  });
+
+  test('leaves the stay untouched when the transition is not allowed', () => {
+    const stay = stayIn('checked-out');
+
+    expect(stay.transition('checked-in', 'pms')).toBe(false);
+
+    expect(stay.state).toBe('checked-out');
+    expect(stay.history).toHaveLength(0);
+    expect(stay.lastSource).not.toBe('pms');
+  });
+});
@@ -0,0 +1,197 @@
+const mongoose = require('mongoose');
+const Device = require('../../src/models/Device');
+const DeviceCommand = require('../../src/models/DeviceCommand');
+const EmergencyAlert = require('../../src/models/EmergencyAlert');
+const Log = require('../../src/models/Log');
+const DeviceManager = require('../../src/services/deviceManager');
+const DeviceTargets = require('../../src/services/deviceTargets');
+const EmergencyAlertService = require('../../src/services/emergencyAlert');
+
+const newDevice = (roomNumber) => ({
+  _id: new mongoose.Types.ObjectId(),
+  id: new mongoose.Types.ObjectId().toString(),
+  uuid: `uuid-${roomNumber}`,
+  roomNumber
+});
+
+const newAlert = (fields = {}) => new EmergencyAlert({
+  alertType: 'fire',
+  title: 'Fire alarm',
+  body: 'Leave the building by the nearest exit',
+  volume: 80,
+  repeatIntervalSeconds: 60,
+  ...fields
+});
+
+const user = { id: new mongoose.Types.ObjectId(), name: 'Night Manager' };
+
+beforeEach(() => {
+  jest.spyOn(Log, 'create').mockResolvedValue({});
+  jest.spyOn(EmergencyAlertService, 'notify').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  EmergencyAlertService.stopRepeat();
+});
+
+describe('EmergencyAlert.updateDelivery', () => {
+  const device = newDevice('101');
+
+  test('an acknowledgment implies delivery and display', () => {
+    const alert = newAlert();
+    alert.deliveries.push({ device: device._id, deviceUuid: device.uuid });
+
+    const delivery = alert.updateDelivery(device._id, 'acknowledged');
+
+    expect(delivery.status).toBe('acknowledged');
+    expect(delivery.deliveredAt).toBeInstanceOf(Date);
+    expect(delivery.displayedAt).toBeInstanceOf(Date);
+    expect(delivery.acknowledgedAt).toBeInstanceOf(Date);
+  });
+
+  test('a failed delivery that reports progress is back on track', () => {
+    const alert = newAlert();
+    alert.deliveries.push({ device: device._id, deviceUuid: device.uuid, status: 'failed', error: 'Overlay refused' });
+
+    const delivery = alert.updateDelivery(device._id, 'displayed');
+
+    expect(delivery.status).toBe('displayed');
+    expect(delivery.error).toBeNull();
+  });
+});
+
+describe('EmergencyAlertService.deliverToNewDevices', () => {
+  test('stores each delivery row before the alert is sent to the TV', async () => {
+    const alert = newAlert();
+    const devices = [newDevice('201'), newDevice('202')];
+    const calls = [];
+    jest.spyOn(DeviceTargets, 'resolve').mockResolvedValue(devices);
+    jest.spyOn(EmergencyAlert, 'addDelivery').mockImplementation(async (id, delivery) => {
+      calls.push(`row:${delivery.roomNumber}`);
+      return true;
+    });
+    jest.spyOn(DeviceManager, 'sendEmergencyAlert').mockImplementation(async (device) => {
+      calls.push(`send:${device.roomNumber}`);
+      return { commandId: `cmd-${device.roomNumber}`, delivered: true };
+    });
+    const dispatch = jest.spyOn(EmergencyAlert, 'recordDispatch').mockResolvedValue();
+
+    expect(await EmergencyAlertService.deliverToNewDevices(alert)).toBe(2);
+
+    expect(calls).toEqual(['row:201', 'send:201', 'row:202', 'send:202']);
+    expect(dispatch).toHaveBeenCalledWith(alert._id, devices[0]._id, {
+      commandId: 'cmd-201',
+      delivered: true,
+      error: undefined
+    });
+  });
+
+  test('skips a device whose row another pass already added', async () => {
+    jest.spyOn(DeviceTargets, 'resolve').mockResolvedValue([newDevice('203')]);
+    jest.spyOn(EmergencyAlert, 'addDelivery').mockResolvedValue(false);
+    const send = jest.spyOn(DeviceManager, 'sendEmergencyAlert');
+
+    expect(await EmergencyAlertService.deliverToNewDevices(newAlert())).toBe(0);
+    expect(send).not.toHaveBeenCalled();
+  });
+});
+
+describe('EmergencyAlert.recordDispatch', () => {
+  test('marks a row delivered only while it is still queued', async () => {
+    const updateOne = jest.spyOn(EmergencyAlert, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+    const deviceId = new mongoose.Types.ObjectId();
+
+    await EmergencyAlert.recordDispatch('alert-id', deviceId, { commandId: 'cmd-1', delivered: true });
+
+    expect(updateOne.mock.calls[0][1].$set).toEqual({ 'deliveries.$.commandId': 'cmd-1' });
+    expect(updateOne.mock.calls[1][0].deliveries.$elemMatch).toEqual({ device: deviceId, status: 'queued' });
+    expect(updateOne.mock.calls[1][1].$set['deliveries.$.status']).toBe('delivered');
+  });
+});
+
+describe('EmergencyAlertService.recordAck', () => {
+  test('updates the row with a positional write instead of saving the alert', async () => {
+    const device = newDevice('301');
+    const alert = newAlert();
+    alert.deliveries.push({ device: device._id, deviceUuid: device.uuid, status: 'delivered' });
+    jest.spyOn(EmergencyAlert, 'findOne').mockResolvedValue(alert);
+    const updateOne = jest.spyOn(EmergencyAlert, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+    const save = jest.spyOn(alert, 'save');
+
+    const delivery = await EmergencyAlertService.recordAck(device, alert.id, 'acknowledged');
+
+    expect(delivery.status).toBe('acknowledged');
+    expect(save).not.toHaveBeenCalled();
+    const [filter, update] = updateOne.mock.calls[0];
+    expect(filter.deliveries.$elemMatch).toEqual({ device: device._id, status: 'delivered' });
+    expect(update.$set['deliveries.$.status']).toBe('acknowledged');
+  });
+
+  test('ignores ids that are not alerts sent to the device', async () => {
+    jest.spyOn(EmergencyAlert, 'findOne').mockResolvedValue(null);
+
+    expect(await EmergencyAlertService.recordAck(newDevice('302'), 'not-an-id', 'displayed')).toBeNull();
+    expect(await EmergencyAlertService.recordAck(newDevice('302'), new mongoose.Types.ObjectId().toString(), 'displayed')).toBeNull();
+  });
+});
+
+describe('EmergencyAlertService.cancel', () => {
+  test('waits for a repeat that is under way before the all-clear goes out', async () => {
+    const device = newDevice('401');
+    const stored = newAlert();
+    stored.deliveries.push({ device: device._id, deviceUuid: device.uuid, commandId: 'cmd-1', status: 'delivered' });
+    const events = [];
+
+    jest.spyOn(EmergencyAlert, 'findById').mockImplementation(async () => EmergencyAlert.hydrate(stored.toObject()));
+    jest.spyOn(EmergencyAlert, 'findByIdAndUpdate').mockImplementation(async () => EmergencyAlert.hydrate(stored.toObject()));
+    jest.spyOn(EmergencyAlert, 'findOneAndUpdate').mockImplementation(async () => {
+      stored.status = 'cancelled';
+      events.push('cancelled');
+      return EmergencyAlert.hydrate(stored.toObject());
+    });
+    jest.spyOn(DeviceTargets, 'resolve').mockResolvedValue([device]);
+
+    let releaseRepeat;
+    jest.spyOn(DeviceCommand, 'find').mockImplementationOnce(() => new Promise(resolve => {
+      releaseRepeat = () => resolve([{ id: 'cmd-1' }]);
+    }));
+    jest.spyOn(DeviceManager, 'repeatCommand').mockImplementation(() => {
+      events.push(`repeat while ${stored.status}`);
+      return true;
+    });
+    jest.spyOn(Device, 'find').mockResolvedValue([device]);
+    jest.spyOn(DeviceManager, 'sendEmergencyClear').mockImplementation(async () => {
+      events.push('all-clear');
+    });
+
+    const repeat = EmergencyAlertService.exclusive(() => EmergencyAlertService.repeat(stored._id));
+    await new Promise(resolve => setImmediate(resolve));
+
+    const cancel = EmergencyAlertService.cancel(stored, user);
+    await new Promise(resolve => setImmediate(resolve));
+    expect(events).toEqual([]);
+
+    releaseRepeat();
+    await repeat;
+    jest.spyOn(DeviceCommand, 'find').mockResolvedValue([]);
+    const cancelled = await cancel;
+
+    expect(cancelled.status).toBe('cancelled');
+    expect(events).toEqual(['repeat while active', 'cancelled', 'all-clear']);
+  });
+
+  test('returns null when the alert was already cancelled', async () => {
+    jest.spyOn(EmergencyAlert, 'findOneAndUpdate').mockResolvedValue(null);
+
+    expect(await EmergencyAlertService.cancel(newAlert({ status: 'cancelled' }), user)).toBeNull();
+  });
+
+  test('a repeat that runs after the cancel does not re-show the alert', async () => {
+    jest.spyOn(EmergencyAlert, 'findById').mockResolvedValue(newAlert({ status: 'cancelled' }));
+    const repeatCommand = jest.spyOn(DeviceManager, 'repeatCommand');
+
+    await EmergencyAlertService.repeat(new mongoose.Types.ObjectId());
+
+    expect(repeatCommand).not.toHaveBeenCalled();
+  });
+});
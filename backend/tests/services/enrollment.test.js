@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+const EnrollmentToken = require('../../src/models/EnrollmentToken');
+const Log = require('../../src/models/Log');
+const Enrollment = require('../../src/services/enrollment');
+
+const device = {
+  _id: new mongoose.Types.ObjectId(),
+  id: 'device-1',
+  uuid: '550e8400-e29b-41d4-a716-446655440000',
+  macAddress: '00:11:22:33:44:55'
+};
+
+const user = { id: new mongoose.Types.ObjectId(), name: 'Front Office' };
+
+const guessWrongPin = (ipAddress) => Enrollment.enroll(device, '000000', { ipAddress });
+
+beforeEach(() => {
+  Enrollment.pinFailures = new Map();
+  Enrollment.totalPinFailures = { count: 0, since: Date.now() };
+  jest.spyOn(Log, 'create').mockResolvedValue({});
+  jest.spyOn(EnrollmentToken, 'findByCode').mockResolvedValue(null);
+});
+
+describe('EnrollmentToken.isPin', () => {
+  test.each([
+    ['123456', true],
+    [' 012345 ', true],
+    ['12345', false],
+    ['1234567', false],
+    ['a3f9c2e1b4d5a6f7c8e9d0b1a2c3d4e5f6a7b8c9d0e1f2a3', false],
+    [null, false]
+  ])('%j', (code, expected) => {
+    expect(EnrollmentToken.isPin(code)).toBe(expected);
+  });
+});
+
+describe('EnrollmentService PIN lockout', () => {
+  test('locks an address out after five wrong PINs without looking the PIN up', async () => {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      expect(await guessWrongPin('10.0.0.5')).toEqual({ enrolled: false, reason: 'invalid' });
+    }
+
+    EnrollmentToken.findByCode.mockClear();
+    expect(await Enrollment.enroll(device, '482913', { ipAddress: '10.0.0.5' })).toEqual({ enrolled: false, reason: 'locked_out' });
+    expect(EnrollmentToken.findByCode).not.toHaveBeenCalled();
+  });
+
+  test('other addresses can still enter a PIN', async () => {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      await guessWrongPin('10.0.0.5');
+    }
+
+    expect(Enrollment.isPinLocked('10.0.0.5')).toBe(true);
+    expect(Enrollment.isPinLocked('10.0.0.6')).toBe(false);
+  });
+
+  test('locks everyone out when wrong PINs pile up across addresses', async () => {
+    for (let attempt = 0; attempt < 50; attempt++) {
+      await guessWrongPin(`10.0.${Math.floor(attempt / 4)}.${attempt % 4}`);
+    }
+
+    expect(await guessWrongPin('192.168.1.20')).toEqual({ enrolled: false, reason: 'locked_out' });
+  });
+
+  test('the lockout ends after fifteen minutes', () => {
+    const start = Date.now();
+    for (let attempt = 0; attempt < 5; attempt++) {
+      Enrollment.recordPinFailure('10.0.0.5', start);
+    }
+
+    expect(Enrollment.isPinLocked('10.0.0.5', start + 14 * 60 * 1000)).toBe(true);
+    expect(Enrollment.isPinLocked('10.0.0.5', start + 15 * 60 * 1000)).toBe(false);
+  });
+
+  test('QR tokens are not counted or locked out', async () => {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      await guessWrongPin('10.0.0.5');
+    }
+
+    const result = await Enrollment.enroll(device, 'f'.repeat(48), { ipAddress: '10.0.0.5' });
+
+    expect(result).toEqual({ enrolled: false, reason: 'invalid' });
+    expect(EnrollmentToken.findByCode).toHaveBeenCalledWith('f'.repeat(48));
+    expect(Enrollment.pinFailures.get('10.0.0.5').count).toBe(5);
+  });
+
+  test('a known but unusable PIN is not counted as a guess', async () => {
+    const token = new EnrollmentToken({
+      name: 'Room 304',
+      token: 'a'.repeat(48),
+      pin: '482913',
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      maxUses: 1,
+      useCount: 1
+    });
+    EnrollmentToken.findByCode.mockResolvedValue(token);
+
+    expect(await Enrollment.enroll(device, '482913', { ipAddress: '10.0.0.7' })).toEqual({ enrolled: false, reason: 'used_up' });
+    expect(Enrollment.pinFailures.has('10.0.0.7')).toBe(false);
+  });
+});
+
+describe('EnrollmentService.createToken', () => {
+  beforeEach(() => {
+    jest.spyOn(EnrollmentToken, 'create').mockImplementation(async (data) => new EnrollmentToken(data));
+  });
+
+  test('gives a limited token a PIN that expires before the token', async () => {
+    const token = await Enrollment.createToken({ roomNumber: '304', expiresInMinutes: 24 * 60, maxUses: 1 }, user);
+
+    expect(EnrollmentToken.isPin(token.pin)).toBe(true);
+    expect(token.pinExpiresAt.getTime()).toBeLessThan(token.expiresAt.getTime());
+    expect(token.pinExpiresAt.getTime() - Date.now())
+      .toBeLessThanOrEqual(EnrollmentToken.PIN_EXPIRY_MINUTES * 60 * 1000);
+  });
+
+  test('never lets the PIN outlive a short token', async () => {
+    const token = await Enrollment.createToken({ roomNumber: '304', expiresInMinutes: 1, maxUses: 1 }, user);
+
+    expect(token.pinExpiresAt).toEqual(token.expiresAt);
+  });
+
+  test('makes unlimited tokens QR-only', async () => {
+    const token = await Enrollment.createToken({ roomNumber: '304', maxUses: null }, user);
+
+    expect(token.pin).toBeNull();
+    expect(token.pinExpiresAt).toBeNull();
+  });
+});
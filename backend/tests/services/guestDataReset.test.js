@@ -0,0 +1,209 @@
+const mongoose = require('mongoose');
+const DeviceCommand = require('../../src/models/DeviceCommand');
+const GuestDataReset = require('../../src/models/GuestDataReset');
+const Log = require('../../src/models/Log');
+const Settings = require('../../src/models/Settings');
+const DeviceManager = require('../../src/services/deviceManager');
+const GuestDataResetService = require('../../src/services/guestDataReset');
+
+const newDevice = (roomNumber) => ({
+  _id: new mongoose.Types.ObjectId(),
+  id: new mongoose.Types.ObjectId().toString(),
+  uuid: `uuid-${roomNumber}`,
+  roomNumber
+});
+
+const newReset = (device, fields = {}) => new GuestDataReset({
+  device: device._id,
+  deviceUuid: device.uuid,
+  roomNumber: device.roomNumber,
+  trigger: 'checkout',
+  apps: [{ packageName: 'com.netflix.ninja' }, { packageName: 'com.google.android.youtube.tv' }],
+  ...fields
+});
+
+beforeEach(() => {
+  jest.spyOn(Log, 'create').mockResolvedValue({});
+  jest.spyOn(GuestDataResetService, 'notify').mockImplementation(() => {});
+});
+
+describe('GuestDataReset.refreshStatus', () => {
+  const device = newDevice('101');
+
+  test('completes once every app is cleared or not installed', () => {
+    const reset = newReset(device);
+    reset.apps[0].status = 'success';
+    reset.apps[1].status = 'not_installed';
+
+    expect(reset.refreshStatus()).toBe(true);
+    expect(reset.status).toBe('completed');
+    expect(reset.completedAt).toBeInstanceOf(Date);
+  });
+
+  test('fails when any app failed and lists the failures', () => {
+    const reset = newReset(device);
+    reset.apps[0].status = 'success';
+    reset.apps[1].status = 'failed';
+    reset.apps[1].error = 'Permission denied';
+
+    reset.refreshStatus();
+
+    expect(reset.status).toBe('failed');
+    expect(reset.error).toBe('com.google.android.youtube.tv: Permission denied');
+  });
+
+  test('stays pending while apps are outstanding, even after the command ack', () => {
+    const reset = newReset(device, { commandStatus: 'acked' });
+    reset.apps[0].status = 'success';
+
+    expect(reset.refreshStatus()).toBe(false);
+    expect(reset.status).toBe('pending');
+  });
+
+  test('a reset without app reports completes on the command ack alone', () => {
+    const reset = newReset(device, { apps: [], commandStatus: 'acked' });
+
+    reset.refreshStatus();
+
+    expect(reset.status).toBe('completed');
+  });
+});
+
+describe('GuestDataResetService.resetDevice', () => {
+  const device = newDevice('201');
+  let stored;
+
+  beforeEach(() => {
+    stored = null;
+    jest.spyOn(Settings, 'get').mockImplementation(async (key, fallback) => fallback);
+    jest.spyOn(GuestDataResetService, 'getDefaults').mockResolvedValue({ appIds: [], bundleId: null });
+    jest.spyOn(GuestDataReset.prototype, 'save').mockImplementation(async function() {
+      stored = this;
+      return this;
+    });
+    jest.spyOn(GuestDataReset, 'findById').mockImplementation(async () => stored);
+    jest.spyOn(GuestDataReset, 'updateOne').mockImplementation(async (filter, update) => {
+      Object.assign(stored, update.$set);
+      return { matchedCount: 1, modifiedCount: 1 };
+    });
+    jest.spyOn(DeviceManager, 'sendConfigUpdate').mockResolvedValue();
+  });
+
+  test('stores the reset before the command goes out and sets the command id afterwards', async () => {
+    const calls = [];
+    GuestDataReset.prototype.save.mockImplementation(async function() {
+      calls.push('save');
+      stored = this;
+      return this;
+    });
+    jest.spyOn(DeviceManager, 'queueCommand').mockImplementation(async (target, type, payload) => {
+      calls.push(`queue:${type}`);
+      expect(payload.resetId).toBe(stored.id);
+      return { commandId: 'cmd-1', delivered: false };
+    });
+
+    const reset = await GuestDataResetService.resetDevice(device, { trigger: 'checkout', reservationId: 'R-1' });
+
+    expect(calls).toEqual(['save', 'queue:RESET_GUEST_DATA']);
+    expect(reset.commandId).toBe('cmd-1');
+    // An offline TV gets its deadline once the command reaches it
+    expect(reset.ackDeadline).toBeNull();
+  });
+
+  test('a command ack that beats the stored command id still finds the reset', async () => {
+    let found;
+    jest.spyOn(GuestDataReset, 'findOne').mockImplementation(async (query) => (
+      query.$or.some(clause => clause._id && String(clause._id) === stored.id) ? stored : null
+    ));
+    jest.spyOn(DeviceManager, 'queueCommand').mockImplementation(async (target, type, payload) => {
+      found = await GuestDataResetService.recordCommandAck(device, { id: 'cmd-2', status: 'acked', payload });
+      return { commandId: 'cmd-2', delivered: true };
+    });
+
+    const reset = await GuestDataResetService.resetDevice(device);
+
+    expect(found).not.toBeNull();
+    expect(reset.commandStatus).toBe('acked');
+    expect(reset.ackDeadline).toBeInstanceOf(Date);
+  });
+
+  test('a command that cannot be queued fails the reset', async () => {
+    jest.spyOn(DeviceManager, 'queueCommand').mockRejectedValue(new Error('Device not approved'));
+
+    const reset = await GuestDataResetService.resetDevice(device);
+
+    expect(reset.status).toBe('failed');
+    expect(reset.error).toBe('Reset command could not be queued: Device not approved');
+  });
+});
+
+describe('GuestDataResetService.recordAppAck', () => {
+  const device = newDevice('301');
+
+  test('moves the stored status on with a conditional write', async () => {
+    const reset = newReset(device);
+    reset.apps[0].status = 'success';
+    reset.apps[1].status = 'success';
+    jest.spyOn(GuestDataReset, 'recordApp').mockResolvedValue(reset);
+    const updateOne = jest.spyOn(GuestDataReset, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const onStatusChange = jest.spyOn(GuestDataResetService, 'onStatusChange').mockResolvedValue();
+
+    await GuestDataResetService.recordAppAck(device, reset.id, 'com.google.android.youtube.tv', 'success');
+
+    expect(updateOne.mock.calls[0][0]).toEqual({ _id: reset._id, status: 'pending' });
+    expect(updateOne.mock.calls[0][1].$set.status).toBe('completed');
+    expect(onStatusChange).toHaveBeenCalledTimes(1);
+  });
+
+  test('only the ack that wins the write reports the change', async () => {
+    const reset = newReset(device);
+    reset.apps.forEach(app => {
+      app.status = 'success';
+    });
+    jest.spyOn(GuestDataReset, 'recordApp').mockResolvedValue(reset);
+    jest.spyOn(GuestDataReset, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+    const onStatusChange = jest.spyOn(GuestDataResetService, 'onStatusChange').mockResolvedValue();
+
+    await GuestDataResetService.recordAppAck(device, reset.id, 'com.netflix.ninja', 'success');
+
+    expect(onStatusChange).not.toHaveBeenCalled();
+  });
+
+  test('returns null for a reset that does not belong to the device', async () => {
+    jest.spyOn(GuestDataReset, 'recordApp').mockResolvedValue(null);
+
+    expect(await GuestDataResetService.recordAppAck(device, 'unknown', 'com.netflix.ninja', 'success')).toBeNull();
+  });
+});
+
+describe('GuestDataResetService.startDeadlines', () => {
+  const device = newDevice('401');
+
+  test('starts the deadline when the command reached the TV and fails an expired one', async () => {
+    const delivered = newReset(device, { commandId: new mongoose.Types.ObjectId().toString() });
+    const expired = newReset(device, { commandId: new mongoose.Types.ObjectId().toString() });
+    const waiting = newReset(device, { commandId: new mongoose.Types.ObjectId().toString() });
+    const deliveredAt = new Date('2026-05-01T10:00:00Z');
+
+    jest.spyOn(GuestDataReset, 'find').mockResolvedValue([delivered, expired, waiting]);
+    jest.spyOn(DeviceCommand, 'find').mockReturnValue({
+      select: async () => [
+        { id: delivered.commandId, status: 'delivered', deliveredAt },
+        { id: expired.commandId, status: 'expired', deliveredAt: null },
+        { id: waiting.commandId, status: 'queued', deliveredAt: null }
+      ]
+    });
+    jest.spyOn(GuestDataReset.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+    jest.spyOn(GuestDataResetService, 'onStatusChange').mockResolvedValue();
+
+    await GuestDataResetService.startDeadlines();
+
+    expect(delivered.ackDeadline).toEqual(new Date('2026-05-01T10:30:00Z'));
+    expect(expired.status).toBe('failed');
+    expect(expired.apps.every(app => app.status === 'failed')).toBe(true);
+    expect(waiting.status).toBe('pending');
+    expect(waiting.ackDeadline).toBeNull();
+  });
+});
@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const LauncherRelease = require('../../src/models/LauncherRelease');
+const LauncherUpdate = require('../../src/models/LauncherUpdate');
+const Log = require('../../src/models/Log');
+const LauncherUpdates = require('../../src/services/launcherUpdates');
+
+const newRelease = (fields = {}) => new LauncherRelease({
+  versionCode: 150,
+  versionName: '1.5.0',
+  filePath: 'launcher/launcher-150.apk',
+  fileSize: 1024,
+  sha256: 'a'.repeat(64),
+  channels: ['stable'],
+  createdBy: new mongoose.Types.ObjectId(),
+  failureThreshold: 20,
+  ...fields
+});
+
+const devices = Array.from({ length: 1000 }, (value, index) => ({
+  uuid: `00000000-0000-4000-8000-${String(index).padStart(12, '0')}`
+}));
+
+// Aggregate output of LauncherUpdate.getStats for one release
+const resultCounts = (release, counts) => Object.entries(counts).map(([status, count]) => ({
+  _id: { release: release._id, status },
+  count
+}));
+
+describe('LauncherUpdates rollout buckets', () => {
+  const release = newRelease();
+
+  test('puts a device in the same bucket every time', () => {
+    const [device] = devices;
+
+    expect(LauncherUpdates.getBucket(release, device)).toBe(LauncherUpdates.getBucket(release, device));
+  });
+
+  test('spreads devices evenly over the 100 buckets', () => {
+    const counts = new Array(100).fill(0);
+    devices.forEach(device => {
+      const bucket = LauncherUpdates.getBucket(release, device);
+      expect(bucket).toBeGreaterThanOrEqual(0);
+      expect(bucket).toBeLessThan(100);
+      counts[bucket] += 1;
+    });
+
+    expect(Math.max(...counts)).toBeLessThan(30);
+  });
+
+  test('offers the release to roughly the rollout share', () => {
+    const inRollout = devices.filter(device => LauncherUpdates.isInRollout(newRelease({ _id: release._id, rolloutPercentage: 25 }), device));
+
+    expect(inRollout.length).toBeGreaterThan(200);
+    expect(inRollout.length).toBeLessThan(300);
+  });
+
+  test('widening the rollout keeps every device that already had it', () => {
+    const narrow = newRelease({ _id: release._id, rolloutPercentage: 10 });
+    const wide = newRelease({ _id: release._id, rolloutPercentage: 50 });
+
+    devices
+      .filter(device => LauncherUpdates.isInRollout(narrow, device))
+      .forEach(device => expect(LauncherUpdates.isInRollout(wide, device)).toBe(true));
+  });
+
+  test('covers nobody at 0% and everybody at 100%', () => {
+    expect(devices.some(device => LauncherUpdates.isInRollout(newRelease({ rolloutPercentage: 0 }), device))).toBe(false);
+    expect(devices.every(device => LauncherUpdates.isInRollout(newRelease({ rolloutPercentage: 100 }), device))).toBe(true);
+  });
+
+  test('buckets differ between releases, so the same TVs are not always first', () => {
+    const other = newRelease({ versionCode: 151 });
+    const moved = devices.filter(device => LauncherUpdates.getBucket(release, device) !== LauncherUpdates.getBucket(other, device));
+
+    expect(moved.length).toBeGreaterThan(900);
+  });
+});
+
+describe('LauncherUpdates.checkFailureRate', () => {
+  beforeEach(() => {
+    jest.spyOn(Log, 'create').mockResolvedValue({});
+  });
+
+  test('halts the release once failures cross the threshold', async () => {
+    const release = newRelease();
+    jest.spyOn(LauncherUpdate, 'aggregate').mockResolvedValue(resultCounts(release, { installed: 4, failed: 2 }));
+    const save = jest.spyOn(release, 'save').mockResolvedValue(release);
+
+    expect(await LauncherUpdates.checkFailureRate(release)).toBe(true);
+
+    expect(release.status).toBe('halted');
+    expect(release.haltReason).toBe('2 of 6 installs failed (33.33%, threshold 20%)');
+    expect(save).toHaveBeenCalled();
+  });
+
+  test('waits for enough results before judging', async () => {
+    const release = newRelease();
+    jest.spyOn(LauncherUpdate, 'aggregate').mockResolvedValue(resultCounts(release, { installed: 1, failed: 3 }));
+
+    expect(await LauncherUpdates.checkFailureRate(release)).toBe(false);
+    expect(release.status).toBe('active');
+  });
+
+  test('keeps going below the threshold', async () => {
+    const release = newRelease();
+    jest.spyOn(LauncherUpdate, 'aggregate').mockResolvedValue(resultCounts(release, { installed: 9, failed: 1, downloading: 20 }));
+
+    expect(await LauncherUpdates.checkFailureRate(release)).toBe(false);
+    expect(release.status).toBe('active');
+  });
+
+  test('only counts results reported since the release was resumed', async () => {
+    const release = newRelease();
+    release.status = 'halted';
+    release.resume();
+    const aggregate = jest.spyOn(LauncherUpdate, 'aggregate').mockResolvedValue(resultCounts(release, { failed: 1 }));
+
+    expect(release.status).toBe('active');
+    expect(await LauncherUpdates.checkFailureRate(release)).toBe(false);
+
+    const [{ $match }] = aggregate.mock.calls[0][0];
+    expect($match.updatedAt).toEqual({ $gte: release.resumedAt });
+  });
+
+  test('leaves paused and halted releases alone', async () => {
+    const aggregate = jest.spyOn(LauncherUpdate, 'aggregate');
+
+    expect(await LauncherUpdates.checkFailureRate(newRelease({ status: 'paused' }))).toBe(false);
+    expect(aggregate).not.toHaveBeenCalled();
+  });
+});
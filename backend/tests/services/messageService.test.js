@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+const Message = require('../../src/models/Message');
+const DeviceManager = require('../../src/services/deviceManager');
+const DeviceTargets = require('../../src/services/deviceTargets');
+const MessageService = require('../../src/services/messageService');
+
+const newDevice = (roomNumber) => ({
+  _id: new mongoose.Types.ObjectId(),
+  id: new mongoose.Types.ObjectId().toString(),
+  uuid: `uuid-${roomNumber}`,
+  roomNumber
+});
+
+const newMessage = () => new Message({
+  body: 'Pool closes at 8pm',
+  expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+});
+
+const withDelivery = (message, device, fields = {}) => {
+  message.deliveries.push({ device: device._id, deviceUuid: device.uuid, roomNumber: device.roomNumber, ...fields });
+  return message;
+};
+
+describe('Message.updateDelivery', () => {
+  const device = newDevice('101');
+
+  test('moves forward and fills in the earlier steps', () => {
+    const message = withDelivery(newMessage(), device);
+
+    const delivery = message.updateDelivery(device._id, 'dismissed');
+
+    expect(delivery.status).toBe('dismissed');
+    expect(delivery.deliveredAt).toBeInstanceOf(Date);
+    expect(delivery.displayedAt).toBeInstanceOf(Date);
+    expect(delivery.dismissedAt).toBeInstanceOf(Date);
+  });
+
+  test('never moves a delivery backwards', () => {
+    const message = withDelivery(newMessage(), device, { status: 'displayed' });
+
+    expect(message.updateDelivery(device._id, 'delivered').status).toBe('displayed');
+  });
+
+  test('returns null for a device the message was not sent to', () => {
+    expect(newMessage().updateDelivery(device._id, 'delivered')).toBeNull();
+  });
+});
+
+describe('Message.recordAck', () => {
+  const device = newDevice('102');
+
+  test('writes only the acked row, guarded by the status it was read with', async () => {
+    const message = withDelivery(newMessage(), device);
+    jest.spyOn(Message, 'findOne').mockResolvedValue(message);
+    const updateOne = jest.spyOn(Message, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+
+    const result = await Message.recordAck(message._id, device._id, 'displayed');
+
+    expect(result.getDelivery(device._id).status).toBe('displayed');
+    const [filter, update] = updateOne.mock.calls[0];
+    expect(filter.deliveries.$elemMatch).toEqual({ device: device._id, status: 'queued' });
+    expect(update.$set['deliveries.$.status']).toBe('displayed');
+    expect(Object.keys(update.$set).every(path => path.startsWith('deliveries.$.'))).toBe(true);
+  });
+
+  test('re-reads and retries when another ack changed the row first', async () => {
+    jest.spyOn(Message, 'findOne')
+      .mockResolvedValueOnce(withDelivery(newMessage(), device))
+      .mockResolvedValueOnce(withDelivery(newMessage(), device, { status: 'delivered' }));
+    const updateOne = jest.spyOn(Message, 'updateOne')
+      .mockResolvedValueOnce({ matchedCount: 0 })
+      .mockResolvedValueOnce({ matchedCount: 1 });
+
+    const result = await Message.recordAck(new mongoose.Types.ObjectId(), device._id, 'displayed');
+
+    expect(result.getDelivery(device._id).status).toBe('displayed');
+    expect(updateOne).toHaveBeenCalledTimes(2);
+    expect(updateOne.mock.calls[1][0].deliveries.$elemMatch.status).toBe('delivered');
+  });
+
+  test('returns null when the message has no row for the device', async () => {
+    jest.spyOn(Message, 'findOne').mockResolvedValue(null);
+
+    expect(await Message.recordAck(new mongoose.Types.ObjectId(), device._id, 'delivered')).toBeNull();
+  });
+});
+
+describe('MessageService.send', () => {
+  const devices = [newDevice('201'), newDevice('202')];
+
+  beforeEach(() => {
+    jest.spyOn(Message, 'findOneAndUpdate').mockResolvedValue({});
+    jest.spyOn(DeviceTargets, 'resolve').mockResolvedValue(devices);
+    jest.spyOn(MessageService, 'notify').mockImplementation(() => {});
+  });
+
+  test('stores each delivery row before the MESSAGE command is queued', async () => {
+    const message = newMessage();
+    const calls = [];
+    jest.spyOn(Message, 'addDelivery').mockImplementation(async (id, delivery) => {
+      calls.push(`row:${delivery.roomNumber}`);
+      return true;
+    });
+    jest.spyOn(Message, 'recordDispatch').mockResolvedValue();
+    jest.spyOn(DeviceManager, 'queueCommand').mockImplementation(async (device) => {
+      calls.push(`queue:${device.roomNumber}`);
+      return { commandId: `cmd-${device.roomNumber}`, delivered: true };
+    });
+    const finish = jest.spyOn(Message, 'findByIdAndUpdate').mockResolvedValue(message);
+
+    await MessageService.send(message);
+
+    expect(calls).toEqual(['row:201', 'queue:201', 'row:202', 'queue:202']);
+    expect(Message.recordDispatch).toHaveBeenCalledWith(message._id, devices[0]._id, { commandId: 'cmd-201' });
+    expect(finish.mock.calls[0][1].$set).toMatchObject({ status: 'sent', error: null });
+    expect(finish.mock.calls[0][1].$set).not.toHaveProperty('deliveries');
+  });
+
+  test('an ack that arrives while the command is queued is kept', async () => {
+    const message = newMessage();
+    const [device] = devices;
+    jest.spyOn(DeviceTargets, 'resolve').mockResolvedValue([device]);
+    jest.spyOn(Message, 'addDelivery').mockImplementation(async (id, delivery) => {
+      message.deliveries.push(delivery);
+      return true;
+    });
+    jest.spyOn(Message, 'findOne').mockImplementation(async () => Message.hydrate(message.toObject()));
+    const updateOne = jest.spyOn(Message, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+    jest.spyOn(Message, 'findByIdAndUpdate').mockResolvedValue(message);
+
+    let ack;
+    jest.spyOn(DeviceManager, 'queueCommand').mockImplementation(async () => {
+      ack = await MessageService.recordAck(device, message.id, 'delivered');
+      return { commandId: 'cmd-1', delivered: true };
+    });
+
+    await MessageService.send(message);
+
+    expect(ack).not.toBeNull();
+    expect(ack.status).toBe('delivered');
+    // The dispatch result only sets the command id, it doesn't touch the acked status
+    const dispatch = updateOne.mock.calls.find(([, update]) => update.$set['deliveries.$.commandId']);
+    expect(dispatch[1].$set).toEqual({ 'deliveries.$.commandId': 'cmd-1' });
+  });
+
+  test('a command that cannot be queued only fails a row that is still queued', async () => {
+    const message = newMessage();
+    jest.spyOn(DeviceTargets, 'resolve').mockResolvedValue([devices[0]]);
+    jest.spyOn(Message, 'addDelivery').mockResolvedValue(true);
+    jest.spyOn(DeviceManager, 'queueCommand').mockRejectedValue(new Error('Device not approved'));
+    const updateOne = jest.spyOn(Message, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+    jest.spyOn(Message, 'findByIdAndUpdate').mockResolvedValue(message);
+
+    await MessageService.send(message);
+
+    const [filter, update] = updateOne.mock.calls[0];
+    expect(filter.deliveries.$elemMatch.status).toBe('queued');
+    expect(update.$set).toEqual({ 'deliveries.$.status': 'failed', 'deliveries.$.error': 'Device not approved' });
+  });
+});
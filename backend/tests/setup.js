@@ -0,0 +1,19 @@
+// Tests run without MongoDB: model statics are stubbed per test, and the logger is kept
+// off disk so no log files or rotate handles outlive the run
+jest.mock('../src/utils/logger', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  http: jest.fn(),
+  debug: jest.fn(),
+  logActivity: jest.fn(),
+  logPMSSync: jest.fn(),
+  logDeviceEvent: jest.fn(),
+  logSystemEvent: jest.fn()
+}));
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
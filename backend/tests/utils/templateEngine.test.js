@@ -0,0 +1,146 @@
+const { parseTemplate, renderTemplate, validateTemplate } = require('../../src/utils/templateEngine');
+
+describe('parseTemplate', () => {
+  test('builds text, output and if nodes', () => {
+    const nodes = parseTemplate('Hi {{guest_name | upper}}{{#if is_vip}}!{{else}}.{{/if}}');
+
+    expect(nodes.map(node => node.type)).toEqual(['text', 'output', 'if']);
+    expect(nodes[1]).toMatchObject({ name: 'guest_name', filters: [{ name: 'upper', args: [] }] });
+    expect(nodes[2].branches).toHaveLength(2);
+    expect(nodes[2].branches[1].condition).toBeNull();
+  });
+
+  test('drops comments', () => {
+    expect(parseTemplate('a{{! note for staff }}b').map(node => node.value)).toEqual(['a', 'b']);
+  });
+
+  test.each([
+    ['Hello {{guest_name', 'Unclosed "{{"', 6],
+    ['{{#if is_vip}}VIP', 'Missing "{{/if}}"', 0],
+    ['x{{/if}}', '"{{/if}}" without "{{#if}}"', 1],
+    ['{{else}}', '"{{else}}" without "{{#if}}"', 0],
+    ['{{#if a}}{{else}}{{else}}{{/if}}', '"{{else}}" after "{{else}}"', 17],
+    ['{{#each rooms}}{{/each}}', 'Unknown block "{{#each rooms}}"', 0],
+    ['{{guest_name | shout}}', 'Unknown filter "shout"', 0],
+    ['{{check_in | date:tiny}}', 'Filter "date" accepts short, medium, long, full', 0],
+    ['{{guest_name | upper:x}}', 'Filter "upper" takes no argument', 0],
+    ['{{#if}}x{{/if}}', 'Missing condition', 0],
+    ['{{#if a ==}}x{{/if}}', 'Incomplete condition "a =="', 0]
+  ])('rejects %j', (source, message, position) => {
+    expect(() => parseTemplate(source)).toThrow(message);
+    try {
+      parseTemplate(source);
+    } catch (error) {
+      expect(error.position).toBe(position);
+    }
+  });
+
+  test('limits template length and nesting', () => {
+    expect(() => parseTemplate('x'.repeat(5001))).toThrow('Template cannot exceed 5000 characters');
+    expect(() => parseTemplate('{{#if a}}'.repeat(11) + '{{/if}}'.repeat(11)))
+      .toThrow('Conditions cannot be nested more than 10 levels');
+  });
+});
+
+describe('renderTemplate', () => {
+  test('substitutes variables and collapses the gaps left by empty ones', () => {
+    const text = renderTemplate('Welcome {{guest_salutation}} {{guest_last_name}}, room {{room_number}}', {
+      guest_salutation: null,
+      guest_last_name: 'Novak',
+      room_number: '304'
+    });
+
+    expect(text).toBe('Welcome Novak, room 304');
+  });
+
+  test('picks the first matching branch', () => {
+    const source = '{{#if loyalty_tier == "platinum"}}P{{else if loyalty_tier in ["gold", "silver"]}}G{{else}}-{{/if}}';
+
+    expect(renderTemplate(source, { loyalty_tier: 'Platinum' })).toBe('P');
+    expect(renderTemplate(source, { loyalty_tier: 'silver' })).toBe('G');
+    expect(renderTemplate(source, { loyalty_tier: null })).toBe('-');
+  });
+
+  test('evaluates and, or, not and numeric comparisons', () => {
+    const source = '{{#if nights >= 7 and not is_vip}}long{{else if nights > 2 or is_vip}}mid{{else}}short{{/if}}';
+
+    expect(renderTemplate(source, { nights: 7, is_vip: false })).toBe('long');
+    expect(renderTemplate(source, { nights: '3', is_vip: false })).toBe('mid');
+    expect(renderTemplate(source, { nights: 1, is_vip: true })).toBe('mid');
+    expect(renderTemplate(source, { nights: 1, is_vip: 'false' })).toBe('short');
+  });
+
+  test('formats dates in the property timezone and locale', () => {
+    const checkOut = new Date('2026-03-14T10:30:00Z');
+
+    expect(renderTemplate('{{check_out | time}}', { check_out: checkOut }, { locale: 'en-US', timeZone: 'America/New_York' }))
+      .toBe('6:30 AM');
+    expect(renderTemplate('{{check_out | date:long}}', { check_out: checkOut }, { locale: 'de-DE', timeZone: 'Europe/Berlin' }))
+      .toBe('14. März 2026');
+  });
+
+  test('formats amounts with the folio currency unless the filter names one', () => {
+    expect(renderTemplate('{{balance | currency}}', { balance: 12.5, currency: 'EUR' }, { locale: 'en-US' })).toBe('€12.50');
+    expect(renderTemplate('{{balance | currency:usd}}', { balance: 12.5, currency: 'EUR' }, { locale: 'en-US' })).toBe('$12.50');
+    expect(renderTemplate('{{balance | number:1}}', { balance: 1234.56 }, { locale: 'en-US' })).toBe('1,234.6');
+  });
+
+  test('chains filters and falls back on defaults', () => {
+    expect(renderTemplate('{{guest_first_name | default:"guest" | capitalize}}', { guest_first_name: '' })).toBe('Guest');
+  });
+
+  test('survives bad locale and timezone settings', () => {
+    const text = renderTemplate('{{check_in | date:short}}', { check_in: '2026-01-02T12:00:00Z' }, {
+      locale: 'not a locale!',
+      timeZone: 'Mars/Olympus'
+    });
+
+    expect(text).toBe('1/2/26');
+  });
+
+  test('only sees the variables it was given', () => {
+    const variables = { guest_name: 'Ana' };
+
+    expect(renderTemplate('[{{constructor}}][{{toString}}][{{__proto__}}][{{hasOwnProperty}}]', variables)).toBe('[][][][]');
+    expect(renderTemplate('{{#if constructor}}leak{{else}}ok{{/if}}', variables)).toBe('ok');
+    expect(renderTemplate('{{#if __proto__ == "x"}}leak{{else}}ok{{/if}}', variables)).toBe('ok');
+    expect(renderTemplate('{{process}}{{globalThis}}', variables)).toBe('');
+  });
+
+  test('throws on a template with a syntax error', () => {
+    expect(() => renderTemplate('{{#if is_vip}}', {})).toThrow('Missing "{{/if}}"');
+  });
+});
+
+describe('validateTemplate', () => {
+  test('lists the variables a valid template uses', () => {
+    const result = validateTemplate('{{#if is_vip}}{{guest_name}}{{/if}} {{check_out | date}}');
+
+    expect(result).toEqual({
+      valid: true,
+      errors: [],
+      unknownVariables: [],
+      variables: ['is_vip', 'guest_name', 'check_out']
+    });
+  });
+
+  test('reports variables the template may not use', () => {
+    const result = validateTemplate('{{#if wifi_password}}{{guest_name}}{{/if}}');
+
+    expect(result.valid).toBe(false);
+    expect(result.unknownVariables).toEqual(['wifi_password']);
+    expect(result.errors).toEqual([{ message: 'Unknown variable "wifi_password"', position: null }]);
+  });
+
+  test('returns syntax errors with their position instead of throwing', () => {
+    const result = validateTemplate('Hi {{guest_name | bogus}}');
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([{ message: 'Unknown filter "bogus"', position: 3 }]);
+  });
+
+  test('accepts a custom list of known variables', () => {
+    expect(validateTemplate('{{room_number}}', ['room_number']).valid).toBe(true);
+    expect(validateTemplate('{{guest_name}}', ['room_number']).valid).toBe(false);
+  });
+});
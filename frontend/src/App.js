@@ -15,6 +15,10 @@ import BackgroundsPage from './pages/BackgroundsPage';
 import SettingsPage from './pages/SettingsPage';
 import LogsPage from './pages/LogsPage';
 import PMSPage from './pages/PMSPage';
+import MessagesPage from './pages/MessagesPage';
+import EmergencyPage from './pages/EmergencyPage';
+import AutomationPage from './pages/AutomationPage';
+import LauncherUpdatesPage from './pages/LauncherUpdatesPage';
 
 // Create MUI theme
 const theme = createTheme({
@@ -149,6 +153,26 @@ const AppRoutes = () => {
               <BackgroundsPage />
             </ProtectedRoute>
           } />
+          <Route path="/messages" element={
+            <ProtectedRoute>
+              <MessagesPage />
+            </ProtectedRoute>
+          } />
+          <Route path="/emergency" element={
+            <ProtectedRoute>
+              <EmergencyPage />
+            </ProtectedRoute>
+          } />
+          <Route path="/automation" element={
+            <ProtectedRoute>
+              <AutomationPage />
+            </ProtectedRoute>
+          } />
+          <Route path="/launcher-updates" element={
+            <ProtectedRoute>
+              <LauncherUpdatesPage />
+            </ProtectedRoute>
+          } />
           <Route path="/pms" element={
             <ProtectedRoute>
               <PMSPage />
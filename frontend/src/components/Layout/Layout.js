@@ -33,6 +33,10 @@ import {
   Brightness4 as DarkModeIcon,
   Brightness7 as LightModeIcon,
   Notifications as NotificationsIcon,
+  Message as MessagesIcon,
+  Warning as EmergencyIcon,
+  AutoMode as AutomationIcon,
+  SystemUpdate as LauncherUpdatesIcon,
 } from '@mui/icons-material';
 
 import { useAuth } from '../../contexts/AuthContext';
@@ -55,6 +59,10 @@ const Layout = ({ children }) => {
     { text: 'Devices', icon: <DevicesIcon />, path: '/devices' },
     { text: 'Apps', icon: <AppsIcon />, path: '/apps' },
     { text: 'Backgrounds', icon: <BackgroundIcon />, path: '/backgrounds' },
+    { text: 'Messages', icon: <MessagesIcon />, path: '/messages' },
+    { text: 'Emergency', icon: <EmergencyIcon />, path: '/emergency' },
+    { text: 'Automation', icon: <AutomationIcon />, path: '/automation' },
+    { text: 'Launcher Updates', icon: <LauncherUpdatesIcon />, path: '/launcher-updates' },
     { text: 'PMS Integration', icon: <PMSIcon />, path: '/pms' },
     { text: 'Logs', icon: <LogsIcon />, path: '/logs' },
     { text: 'Settings', icon: <SettingsIcon />, path: '/settings' },
@@ -0,0 +1,785 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Card,
+  CardContent,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  MenuItem,
+  Chip,
+  Alert,
+  CircularProgress,
+  Grid,
+  IconButton,
+  Snackbar,
+  Switch,
+  FormControlLabel,
+  Tooltip,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon,
+  PlayArrow as SimulateIcon,
+  Refresh as RefreshIcon,
+  RemoveCircleOutline as RemoveIcon,
+} from '@mui/icons-material';
+import axios from 'axios';
+
+const EVENT_LABELS = {
+  'check-in': 'Check-in',
+  'check-out': 'Check-out',
+  'room-move': 'Room move',
+  'stay-extended': 'Stay extended',
+  time: 'Time of day',
+};
+
+const DAY_LABELS = {
+  arrival: 'on the arrival day',
+  departure: 'on the departure day',
+  every: 'every day of the stay',
+};
+
+const FIELD_LABELS = {
+  loyalty_tier: 'Loyalty tier',
+  is_vip: 'VIP guest',
+  guest_language: 'Guest language',
+  guest_name: 'Guest name',
+  room_number: 'Room number',
+  floor: 'Floor',
+  room_type: 'Room type',
+  nights: 'Nights',
+  balance: 'Folio balance',
+};
+
+const OPERATOR_LABELS = {
+  equals: 'is',
+  not_equals: 'is not',
+  in: 'is one of',
+  not_in: 'is none of',
+  gte: 'is at least',
+  lte: 'is at most',
+  exists: 'is set',
+  not_exists: 'is not set',
+};
+
+const ACTION_LABELS = {
+  show_message: 'Show message',
+  assign_background: 'Assign background bundle',
+  assign_apps: 'Assign apps',
+  send_command: 'Send command',
+  migrate_device_config: 'Copy TV setup from previous room',
+};
+
+const ACTION_STATUS_COLORS = {
+  done: 'success',
+  planned: 'info',
+  skipped: 'default',
+  failed: 'error',
+};
+
+const LIST_OPERATORS = ['in', 'not_in'];
+const VALUELESS_OPERATORS = ['exists', 'not_exists'];
+
+const EMPTY_RULE = {
+  name: '',
+  description: '',
+  isActive: true,
+  trigger: { event: 'check-in', time: '08:00', day: 'every' },
+  conditions: [],
+  actions: [{ type: 'show_message', params: { title: '', body: '' } }],
+};
+
+const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+const describeTrigger = (trigger) => (
+  trigger.event === 'time'
+    ? `At ${trigger.time} ${DAY_LABELS[trigger.day] || DAY_LABELS.every}`
+    : EVENT_LABELS[trigger.event]
+);
+
+const describeCondition = (condition) => {
+  const value = Array.isArray(condition.value) ? condition.value.join(', ') : condition.value;
+  return `${FIELD_LABELS[condition.field]} ${OPERATOR_LABELS[condition.operator]}${VALUELESS_OPERATORS.includes(condition.operator) ? '' : ` ${value}`}`;
+};
+
+// Editor rows keep list values as comma-separated text; turn them back into API values
+const toApiRule = (rule) => ({
+  ...rule,
+  conditions: rule.conditions.map(condition => {
+    if (VALUELESS_OPERATORS.includes(condition.operator)) {
+      return { ...condition, value: null };
+    }
+    if (LIST_OPERATORS.includes(condition.operator)) {
+      const list = Array.isArray(condition.value) ? condition.value : String(condition.value || '').split(',');
+      return { ...condition, value: list.map(item => String(item).trim()).filter(Boolean) };
+    }
+    if (condition.field === 'is_vip') {
+      return { ...condition, value: condition.value === true || condition.value === 'true' };
+    }
+    return condition;
+  }),
+});
+
+const AutomationPage = () => {
+  const [rules, setRules] = useState([]);
+  const [apps, setApps] = useState([]);
+  const [bundles, setBundles] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null);
+  const [simulation, setSimulation] = useState(null);
+  const [snackbar, setSnackbar] = useState({ open: false, message: '' });
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  const fetchData = async () => {
+    try {
+      const [rulesRes, appsRes, bundlesRes] = await Promise.all([
+        axios.get('/api/automation-rules', { headers: authHeaders() }),
+        axios.get('/api/apps', { headers: authHeaders() }),
+        axios.get('/api/backgrounds/bundles', { headers: authHeaders() })
+      ]);
+
+      setRules(rulesRes.data.data || []);
+      setApps(appsRes.data || []);
+      setBundles(bundlesRes.data.data?.bundles || []);
+    } catch (err) {
+      console.error('Error fetching automation rules:', err);
+      showSnackbar('Failed to load automation rules');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const showSnackbar = (message) => {
+    setSnackbar({ open: true, message });
+  };
+
+  const handleSave = async (rule) => {
+    try {
+      const payload = toApiRule(rule);
+      const response = rule.id
+        ? await axios.put(`/api/automation-rules/${rule.id}`, payload, { headers: authHeaders() })
+        : await axios.post('/api/automation-rules', payload, { headers: authHeaders() });
+      showSnackbar(response.data.message);
+      setEditing(null);
+      fetchData();
+    } catch (err) {
+      showSnackbar(err.response?.data?.message || 'Failed to save automation rule');
+    }
+  };
+
+  const handleToggle = async (rule) => {
+    try {
+      await axios.put(`/api/automation-rules/${rule.id}`, { isActive: !rule.isActive }, { headers: authHeaders() });
+      fetchData();
+    } catch (err) {
+      showSnackbar(err.response?.data?.message || 'Failed to update automation rule');
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    if (!window.confirm(`Delete the rule "${rule.name}"?`)) return;
+
+    try {
+      const response = await axios.delete(`/api/automation-rules/${rule.id}`, { headers: authHeaders() });
+      showSnackbar(response.data.message);
+      fetchData();
+    } catch (err) {
+      showSnackbar(err.response?.data?.message || 'Failed to delete automation rule');
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" alignItems="center" minHeight="400px">
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      {/* Header */}
+      <Box display="flex" justifyContent="space-between" alignItems="center" mb={3}>
+        <Typography variant="h4" component="h1">
+          Automation Rules
+        </Typography>
+        <Box display="flex" gap={1}>
+          <Button variant="outlined" startIcon={<RefreshIcon />} onClick={fetchData}>
+            Refresh
+          </Button>
+          <Button variant="outlined" startIcon={<SimulateIcon />} onClick={() => setSimulation({})}>
+            Simulate All
+          </Button>
+          <Button variant="contained" startIcon={<AddIcon />} onClick={() => setEditing(EMPTY_RULE)}>
+            New Rule
+          </Button>
+        </Box>
+      </Box>
+
+      <Card>
+        <CardContent>
+          {rules.length === 0 ? (
+            <Alert severity="info">
+              No automation rules yet. Rules run when a guest checks in, checks out, changes room, extends
+              the stay, or at a local time during the stay.
+            </Alert>
+          ) : (
+            <TableContainer>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Active</TableCell>
+                    <TableCell>Rule</TableCell>
+                    <TableCell>Trigger</TableCell>
+                    <TableCell>Conditions</TableCell>
+                    <TableCell>Actions</TableCell>
+                    <TableCell>Runs</TableCell>
+                    <TableCell align="right">Manage</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {rules.map(rule => (
+                    <TableRow key={rule.id}>
+                      <TableCell>
+                        <Switch checked={rule.isActive} onChange={() => handleToggle(rule)} size="small" />
+                      </TableCell>
+                      <TableCell>
+                        <Typography variant="body2" fontWeight="bold">{rule.name}</Typography>
+                        {rule.description && (
+                          <Typography variant="caption" color="text.secondary">{rule.description}</Typography>
+                        )}
+                      </TableCell>
+                      <TableCell>{describeTrigger(rule.trigger)}</TableCell>
+                      <TableCell>
+                        {rule.conditions.length === 0
+                          ? <Typography variant="caption" color="text.secondary">Every stay</Typography>
+                          : rule.conditions.map((condition, index) => (
+                            <Chip key={index} size="small" label={describeCondition(condition)} sx={{ mr: 0.5, mb: 0.5 }} />
+                          ))}
+                      </TableCell>
+                      <TableCell>
+                        {rule.actions.map((action, index) => (
+                          <Chip key={index} size="small" variant="outlined" label={ACTION_LABELS[action.type]} sx={{ mr: 0.5, mb: 0.5 }} />
+                        ))}
+                      </TableCell>
+                      <TableCell>
+                        <Typography variant="body2">{rule.stats?.runCount || 0}</Typography>
+                        {rule.stats?.lastRunAt && (
+                          <Typography variant="caption" color="text.secondary">
+                            Last {new Date(rule.stats.lastRunAt).toLocaleString()}
+                          </Typography>
+                        )}
+                        {rule.stats?.lastError && (
+                          <Tooltip title={rule.stats.lastError}>
+                            <Chip size="small" color="error" label="Last run failed" />
+                          </Tooltip>
+                        )}
+                      </TableCell>
+                      <TableCell align="right">
+                        <Tooltip title="Dry run">
+                          <IconButton size="small" onClick={() => setSimulation({ ruleId: rule.id, name: rule.name })}>
+                            <SimulateIcon />
+                          </IconButton>
+                        </Tooltip>
+                        <Tooltip title="Edit">
+                          <IconButton size="small" onClick={() => setEditing(rule)}>
+                            <EditIcon />
+                          </IconButton>
+                        </Tooltip>
+                        <Tooltip title="Delete">
+                          <IconButton size="small" color="error" onClick={() => handleDelete(rule)}>
+                            <DeleteIcon />
+                          </IconButton>
+                        </Tooltip>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+        </CardContent>
+      </Card>
+
+      {editing && (
+        <RuleEditorDialog
+          initialRule={editing}
+          apps={apps}
+          bundles={bundles}
+          onClose={() => setEditing(null)}
+          onSave={handleSave}
+          onSimulate={(rule) => setSimulation({ rule: toApiRule(rule), name: rule.name || 'Unsaved rule' })}
+        />
+      )}
+
+      {simulation && (
+        <SimulationDialog
+          request={simulation}
+          onClose={() => setSimulation(null)}
+        />
+      )}
+
+      {/* Snackbar */}
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={() => setSnackbar({ ...snackbar, open: false })}
+        message={snackbar.message}
+      />
+    </Box>
+  );
+};
+
+const RuleEditorDialog = ({ initialRule, apps, bundles, onClose, onSave, onSimulate }) => {
+  const [rule, setRule] = useState(() => ({
+    ...EMPTY_RULE,
+    ...initialRule,
+    trigger: { ...EMPTY_RULE.trigger, ...initialRule.trigger },
+    conditions: initialRule.conditions.map(condition => ({
+      ...condition,
+      value: Array.isArray(condition.value) ? condition.value.join(', ') : condition.value ?? '',
+    })),
+  }));
+
+  const setTrigger = (changes) => setRule(prev => ({ ...prev, trigger: { ...prev.trigger, ...changes } }));
+
+  const updateCondition = (index, changes) => setRule(prev => ({
+    ...prev,
+    conditions: prev.conditions.map((condition, i) => (i === index ? { ...condition, ...changes } : condition)),
+  }));
+
+  const updateAction = (index, changes) => setRule(prev => ({
+    ...prev,
+    actions: prev.actions.map((action, i) => (i === index ? { ...action, ...changes } : action)),
+  }));
+
+  const updateParams = (index, changes) => setRule(prev => ({
+    ...prev,
+    actions: prev.actions.map((action, i) => (i === index ? { ...action, params: { ...action.params, ...changes } } : action)),
+  }));
+
+  const removeRow = (key, index) => setRule(prev => ({ ...prev, [key]: prev[key].filter((_, i) => i !== index) }));
+
+  return (
+    <Dialog open onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>{initialRule.id ? 'Edit Rule' : 'New Rule'}</DialogTitle>
+      <DialogContent>
+        <Grid container spacing={2} sx={{ mt: 0 }}>
+          <Grid item xs={12} md={8}>
+            <TextField
+              fullWidth
+              label="Name"
+              value={rule.name}
+              onChange={(e) => setRule({ ...rule, name: e.target.value })}
+            />
+          </Grid>
+          <Grid item xs={12} md={4}>
+            <FormControlLabel
+              control={<Switch checked={rule.isActive} onChange={(e) => setRule({ ...rule, isActive: e.target.checked })} />}
+              label="Active"
+            />
+          </Grid>
+          <Grid item xs={12}>
+            <TextField
+              fullWidth
+              label="Description"
+              value={rule.description}
+              onChange={(e) => setRule({ ...rule, description: e.target.value })}
+            />
+          </Grid>
+
+          {/* Trigger */}
+          <Grid item xs={12}>
+            <Typography variant="subtitle2">When</Typography>
+          </Grid>
+          <Grid item xs={12} md={4}>
+            <TextField
+              select
+              fullWidth
+              label="Trigger"
+              value={rule.trigger.event}
+              onChange={(e) => setTrigger({ event: e.target.value })}
+            >
+              {Object.entries(EVENT_LABELS).map(([value, label]) => (
+                <MenuItem key={value} value={value}>{label}</MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+          {rule.trigger.event === 'time' && (
+            <>
+              <Grid item xs={6} md={4}>
+                <TextField
+                  fullWidth
+                  type="time"
+                  label="Local time"
+                  value={rule.trigger.time || ''}
+                  onChange={(e) => setTrigger({ time: e.target.value })}
+                  InputLabelProps={{ shrink: true }}
+                />
+              </Grid>
+              <Grid item xs={6} md={4}>
+                <TextField
+                  select
+                  fullWidth
+                  label="Day"
+                  value={rule.trigger.day || 'every'}
+                  onChange={(e) => setTrigger({ day: e.target.value })}
+                >
+                  {Object.entries(DAY_LABELS).map(([value, label]) => (
+                    <MenuItem key={value} value={value}>{label}</MenuItem>
+                  ))}
+                </TextField>
+              </Grid>
+            </>
+          )}
+
+          {/* Conditions */}
+          <Grid item xs={12} display="flex" justifyContent="space-between" alignItems="center">
+            <Typography variant="subtitle2">If all of these match</Typography>
+            <Button
+              size="small"
+              startIcon={<AddIcon />}
+              onClick={() => setRule(prev => ({ ...prev, conditions: [...prev.conditions, { field: 'loyalty_tier', operator: 'equals', value: '' }] }))}
+            >
+              Add condition
+            </Button>
+          </Grid>
+          {rule.conditions.map((condition, index) => (
+            <React.Fragment key={index}>
+              <Grid item xs={4}>
+                <TextField
+                  select
+                  fullWidth
+                  size="small"
+                  label="Field"
+                  value={condition.field}
+                  onChange={(e) => updateCondition(index, { field: e.target.value })}
+                >
+                  {Object.entries(FIELD_LABELS).map(([value, label]) => (
+                    <MenuItem key={value} value={value}>{label}</MenuItem>
+                  ))}
+                </TextField>
+              </Grid>
+              <Grid item xs={3}>
+                <TextField
+                  select
+                  fullWidth
+                  size="small"
+                  label="Operator"
+                  value={condition.operator}
+                  onChange={(e) => updateCondition(index, { operator: e.target.value })}
+                >
+                  {Object.entries(OPERATOR_LABELS).map(([value, label]) => (
+                    <MenuItem key={value} value={value}>{label}</MenuItem>
+                  ))}
+                </TextField>
+              </Grid>
+              <Grid item xs={4}>
+                {!VALUELESS_OPERATORS.includes(condition.operator) && (
+                  <TextField
+                    fullWidth
+                    size="small"
+                    label="Value"
+                    value={condition.value}
+                    onChange={(e) => updateCondition(index, { value: e.target.value })}
+                    helperText={LIST_OPERATORS.includes(condition.operator) ? 'Comma-separated' : ''}
+                  />
+                )}
+              </Grid>
+              <Grid item xs={1}>
+                <IconButton onClick={() => removeRow('conditions', index)}>
+                  <RemoveIcon />
+                </IconButton>
+              </Grid>
+            </React.Fragment>
+          ))}
+
+          {/* Actions */}
+          <Grid item xs={12} display="flex" justifyContent="space-between" alignItems="center">
+            <Typography variant="subtitle2">Then, on the TVs in the guest's room</Typography>
+            <Button
+              size="small"
+              startIcon={<AddIcon />}
+              onClick={() => setRule(prev => ({ ...prev, actions: [...prev.actions, { type: 'send_command', params: { command: 'CONFIG_UPDATE' } }] }))}
+            >
+              Add action
+            </Button>
+          </Grid>
+          {rule.actions.map((action, index) => (
+            <React.Fragment key={index}>
+              <Grid item xs={4}>
+                <TextField
+                  select
+                  fullWidth
+                  size="small"
+                  label="Action"
+                  value={action.type}
+                  onChange={(e) => updateAction(index, { type: e.target.value, params: {} })}
+                >
+                  {Object.entries(ACTION_LABELS).map(([value, label]) => (
+                    <MenuItem key={value} value={value}>{label}</MenuItem>
+                  ))}
+                </TextField>
+              </Grid>
+              <Grid item xs={7}>
+                <ActionParams
+                  action={action}
+                  apps={apps}
+                  bundles={bundles}
+                  onChange={(changes) => updateParams(index, changes)}
+                />
+              </Grid>
+              <Grid item xs={1}>
+                <IconButton onClick={() => removeRow('actions', index)} disabled={rule.actions.length === 1}>
+                  <RemoveIcon />
+                </IconButton>
+              </Grid>
+            </React.Fragment>
+          ))}
+        </Grid>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button startIcon={<SimulateIcon />} onClick={() => onSimulate(rule)}>
+          Dry Run
+        </Button>
+        <Button variant="contained" onClick={() => onSave(rule)} disabled={!rule.name.trim()}>
+          Save
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+const ActionParams = ({ action, apps, bundles, onChange }) => {
+  const params = action.params || {};
+
+  switch (action.type) {
+    case 'show_message':
+      return (
+        <Box display="flex" flexDirection="column" gap={1}>
+          <TextField
+            size="small"
+            label="Title"
+            value={params.title || ''}
+            onChange={(e) => onChange({ title: e.target.value })}
+          />
+          <TextField
+            size="small"
+            label="Body"
+            multiline
+            minRows={2}
+            value={params.body || ''}
+            onChange={(e) => onChange({ body: e.target.value })}
+            helperText="Same template syntax as guest messages, plus {{floor}} and {{room_type}}"
+          />
+        </Box>
+      );
+    case 'assign_background':
+      return (
+        <TextField
+          select
+          fullWidth
+          size="small"
+          label="Background bundle"
+          value={params.bundleId || ''}
+          onChange={(e) => onChange({ bundleId: e.target.value })}
+        >
+          {bundles.map(bundle => (
+            <MenuItem key={bundle.id} value={bundle.id}>{bundle.name}</MenuItem>
+          ))}
+        </TextField>
+      );
+    case 'assign_apps':
+      return (
+        <TextField
+          select
+          fullWidth
+          size="small"
+          label="Apps"
+          value={params.appIds || []}
+          onChange={(e) => onChange({ appIds: e.target.value })}
+          SelectProps={{ multiple: true }}
+        >
+          {apps.map(app => (
+            <MenuItem key={app.id} value={app.id}>{app.name}</MenuItem>
+          ))}
+        </TextField>
+      );
+    case 'send_command':
+      return (
+        <TextField
+          select
+          fullWidth
+          size="small"
+          label="Command"
+          value={params.command || 'CONFIG_UPDATE'}
+          onChange={(e) => onChange({ command: e.target.value })}
+        >
+          <MenuItem value="CONFIG_UPDATE">Refresh configuration</MenuItem>
+          <MenuItem value="REBOOT">Reboot</MenuItem>
+        </TextField>
+      );
+    case 'migrate_device_config':
+      return (
+        <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+          Copies the app layout, background bundle and TV settings from the guest's previous room. Room moves only.
+        </Typography>
+      );
+    default:
+      return null;
+  }
+};
+
+// Dry run against the PMS reservations; nothing is sent to any TV
+const SimulationDialog = ({ request, onClose }) => {
+  const [options, setOptions] = useState({ at: '', roomNumber: '', fromRoom: '' });
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [running, setRunning] = useState(false);
+
+  useEffect(() => {
+    runSimulation();
+  }, []);
+
+  const runSimulation = async () => {
+    try {
+      setRunning(true);
+      setError(null);
+      const response = await axios.post('/api/automation-rules/simulate', {
+        ruleId: request.ruleId,
+        rule: request.rule,
+        at: options.at ? new Date(options.at).toISOString() : undefined,
+        roomNumber: options.roomNumber || undefined,
+        fromRoom: options.fromRoom || undefined,
+      }, { headers: authHeaders() });
+      setResult(response.data.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to run the simulation');
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  return (
+    <Dialog open onClose={onClose} maxWidth="lg" fullWidth>
+      <DialogTitle>Dry Run{request.name ? `: ${request.name}` : ': all active rules'}</DialogTitle>
+      <DialogContent>
+        <Box display="flex" gap={2} alignItems="center" sx={{ mt: 1, mb: 2 }}>
+          <TextField
+            size="small"
+            type="datetime-local"
+            label="Simulated time"
+            value={options.at}
+            onChange={(e) => setOptions({ ...options, at: e.target.value })}
+            InputLabelProps={{ shrink: true }}
+            helperText="For time rules; defaults to now"
+          />
+          <TextField
+            size="small"
+            label="Room"
+            value={options.roomNumber}
+            onChange={(e) => setOptions({ ...options, roomNumber: e.target.value })}
+          />
+          <TextField
+            size="small"
+            label="Moved from room"
+            value={options.fromRoom}
+            onChange={(e) => setOptions({ ...options, fromRoom: e.target.value })}
+            helperText="For room-move rules"
+          />
+          <Button variant="outlined" onClick={runSimulation} disabled={running}>
+            {running ? <CircularProgress size={20} /> : 'Run'}
+          </Button>
+        </Box>
+
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        {result && (
+          <>
+            <Alert severity="info" sx={{ mb: 2 }}>
+              {result.wouldRun} run(s) across {result.reservations} reservation(s) from the PMS. Nothing was sent to any TV.
+            </Alert>
+            <TableContainer>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Rule</TableCell>
+                    <TableCell>Reservation</TableCell>
+                    <TableCell>Room</TableCell>
+                    <TableCell>Guest</TableCell>
+                    <TableCell>Result</TableCell>
+                    <TableCell>Actions</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {result.results.map((row, index) => (
+                    <TableRow key={index}>
+                      <TableCell>{row.ruleName}</TableCell>
+                      <TableCell>
+                        {row.reservationId}
+                        <Typography variant="caption" display="block" color="text.secondary">{row.reservationStatus}</Typography>
+                      </TableCell>
+                      <TableCell>{row.roomNumber || '-'}</TableCell>
+                      <TableCell>{row.guestName}</TableCell>
+                      <TableCell>
+                        {row.wouldRun ? (
+                          <Chip size="small" color="success" label="Would run" />
+                        ) : (
+                          <>
+                            <Chip size="small" label={row.matched ? 'Not due' : 'No match'} />
+                            {row.scheduleReason && (
+                              <Typography variant="caption" display="block" color="text.secondary">{row.scheduleReason}</Typography>
+                            )}
+                            {row.failedConditions.map((condition, i) => (
+                              <Typography key={i} variant="caption" display="block" color="text.secondary">
+                                {describeCondition(condition)} (actual: {String(condition.actual ?? 'none')})
+                              </Typography>
+                            ))}
+                          </>
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        {row.actions.map((action, i) => (
+                          <Box key={i} mb={0.5}>
+                            <Chip size="small" color={ACTION_STATUS_COLORS[action.status]} label={ACTION_LABELS[action.type]} sx={{ mr: 1 }} />
+                            <Typography variant="caption">{action.detail}</Typography>
+                            {action.preview && (
+                              <Typography variant="caption" display="block" color="text.secondary" sx={{ whiteSpace: 'pre-wrap' }}>
+                                {action.preview.title ? `${action.preview.title}: ` : ''}{action.preview.body}
+                              </Typography>
+                            )}
+                          </Box>
+                        ))}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default AutomationPage;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import {
   Box,
   Grid,
@@ -14,6 +14,7 @@ import {
   ListItemText,
   ListItemIcon,
   IconButton,
+  Tooltip as MuiTooltip,
 } from '@mui/material';
 import {
   Devices as DevicesIcon,
@@ -25,6 +26,9 @@ import {
   Warning as WarningIcon,
   Refresh as RefreshIcon,
   TrendingUp as TrendingUpIcon,
+  PrivacyTip as PrivacyIcon,
+  Replay as ReplayIcon,
+  Close as CloseIcon,
 } from '@mui/icons-material';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, PieChart, Pie, Cell } from 'recharts';
 import axios from 'axios';
@@ -73,7 +77,13 @@ const Dashboard = () => {
   const [recentActivity, setRecentActivity] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const { connected } = useSocket();
+  const [flaggedResets, setFlaggedResets] = useState([]);
+  const [resetError, setResetError] = useState(null);
+  const { socket, connected } = useSocket();
+
+  const authHeaders = () => ({
+    headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
+  });
 
   // Mock activity data
   const mockActivityData = [
@@ -100,9 +110,54 @@ const Dashboard = () => {
     { name: 'Pending', value: 3, color: '#ff9800' },
   ];
 
+  // Rooms whose guest privacy reset failed after checkout
+  const fetchFlaggedResets = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/devices/guest-resets', {
+        params: { flagged: true, limit: 100 },
+        ...authHeaders()
+      });
+      setFlaggedResets(response.data.data.resets);
+      setResetError(null);
+    } catch (err) {
+      console.error('Error fetching flagged guest data resets:', err);
+      setResetError('Failed to load privacy reset status');
+    }
+  }, []);
+
   useEffect(() => {
     fetchDashboardData();
-  }, []);
+    fetchFlaggedResets();
+  }, [fetchFlaggedResets]);
+
+  useEffect(() => {
+    if (socket) {
+      socket.emit('admin:join-room', 'devices');
+      socket.on('device:guest-reset-updated', fetchFlaggedResets);
+
+      return () => {
+        socket.off('device:guest-reset-updated', fetchFlaggedResets);
+      };
+    }
+  }, [socket, fetchFlaggedResets]);
+
+  const handleRetryReset = async (reset) => {
+    try {
+      await axios.post(`/api/devices/${reset.deviceId}/guest-reset`, {}, authHeaders());
+      fetchFlaggedResets();
+    } catch (err) {
+      setResetError(err.response?.data?.message || `Failed to retry reset in room ${reset.roomNumber}`);
+    }
+  };
+
+  const handleDismissReset = async (reset) => {
+    try {
+      await axios.post(`/api/devices/guest-resets/${reset.id}/dismiss`, {}, authHeaders());
+      fetchFlaggedResets();
+    } catch (err) {
+      setResetError(err.response?.data?.message || `Failed to dismiss reset in room ${reset.roomNumber}`);
+    }
+  };
 
   const fetchDashboardData = async () => {
     try {
@@ -166,7 +221,7 @@ const Dashboard = () => {
             color={connected ? 'success' : 'error'}
             variant="outlined"
           />
-          <IconButton onClick={fetchDashboardData}>
+          <IconButton onClick={() => { fetchDashboardData(); fetchFlaggedResets(); }}>
             <RefreshIcon />
           </IconButton>
         </Box>
@@ -214,6 +269,64 @@ const Dashboard = () => {
           />
         </Grid>
 
+        {/* Guest Privacy Reset */}
+        <Grid item xs={12}>
+          <Card>
+            <CardContent>
+              <Box display="flex" alignItems="center" gap={1} mb={1}>
+                <PrivacyIcon color={flaggedResets.length > 0 ? 'error' : 'success'} />
+                <Typography variant="h6">
+                  Guest Privacy Reset
+                </Typography>
+                {flaggedResets.length > 0 && (
+                  <Chip size="small" color="error" label={`${flaggedResets.length} room(s) flagged`} />
+                )}
+              </Box>
+              {resetError && (
+                <Alert severity="error" sx={{ mb: 1 }} onClose={() => setResetError(null)}>
+                  {resetError}
+                </Alert>
+              )}
+              {flaggedResets.length === 0 ? (
+                <Typography variant="body2" color="textSecondary">
+                  All checkout resets completed. Streaming app data was cleared in every room.
+                </Typography>
+              ) : (
+                <List dense>
+                  {flaggedResets.map((reset, index) => (
+                    <ListItem
+                      key={reset.id}
+                      divider={index < flaggedResets.length - 1}
+                      secondaryAction={
+                        <Box>
+                          <MuiTooltip title="Retry reset">
+                            <IconButton onClick={() => handleRetryReset(reset)}>
+                              <ReplayIcon />
+                            </IconButton>
+                          </MuiTooltip>
+                          <MuiTooltip title="Dismiss (reset by hand)">
+                            <IconButton onClick={() => handleDismissReset(reset)}>
+                              <CloseIcon />
+                            </IconButton>
+                          </MuiTooltip>
+                        </Box>
+                      }
+                    >
+                      <ListItemIcon>
+                        <ErrorIcon color="error" />
+                      </ListItemIcon>
+                      <ListItemText
+                        primary={`Room ${reset.roomNumber || reset.deviceUuid}`}
+                        secondary={`${reset.error || 'Reset failed'} • ${new Date(reset.requestedAt).toLocaleString()}`}
+                      />
+                    </ListItem>
+                  ))}
+                </List>
+              )}
+            </CardContent>
+          </Card>
+        </Grid>
+
         {/* Device Activity Chart */}
         <Grid item xs={12} md={8}>
           <Card>
@@ -41,8 +41,11 @@ import {
   FilterList as FilterIcon,
   CheckCircle,
   Cancel,
+  SwapHoriz as ReplaceIcon,
+  QrCode2 as EnrollIcon,
 } from '@mui/icons-material';
 import { DataGrid } from '@mui/x-data-grid';
+import { QRCodeSVG } from 'qrcode.react';
 import axios from 'axios';
 import { useSocket } from '../contexts/SocketContext';
 import { useAuth } from '../contexts/AuthContext';
@@ -58,6 +61,8 @@ const DevicesPage = () => {
   const [editDialog, setEditDialog] = useState({ open: false, device: null });
   const [configDialog, setConfigDialog] = useState({ open: false, device: null });
   const [bulkActionDialog, setBulkActionDialog] = useState({ open: false, action: null });
+  const [replaceDialog, setReplaceDialog] = useState({ open: false, device: null });
+  const [enrollDialogOpen, setEnrollDialogOpen] = useState(false);
   const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
 
   const { socket, connected } = useSocket();
@@ -85,12 +90,16 @@ const DevicesPage = () => {
       socket.on('device:status-changed', handleStatusChanged);
       socket.on('device:heartbeat', handleHeartbeat);
       socket.on('device:config-updated', handleConfigUpdated);
+      socket.on('device:connection-status', handleConnectionStatus);
+      socket.on('device:health-changed', handleHealthChanged);
 
       return () => {
         socket.off('device:new-registration');
         socket.off('device:status-changed');
         socket.off('device:heartbeat');
         socket.off('device:config-updated');
+        socket.off('device:connection-status');
+        socket.off('device:health-changed');
       };
     }
   }, [socket]);
@@ -133,6 +142,22 @@ const DevicesPage = () => {
     ));
   };
 
+  const handleConnectionStatus = (data) => {
+    setDevices(prev => prev.map(device =>
+      device.id === data.deviceId
+        ? { ...device, connection_status: data.to }
+        : device
+    ));
+  };
+
+  const handleHealthChanged = (data) => {
+    setDevices(prev => prev.map(device =>
+      device.id === data.deviceId
+        ? { ...device, health: data.health }
+        : device
+    ));
+  };
+
   const handleConfigUpdated = (data) => {
     setDevices(prev => prev.map(device => 
       device.id === data.deviceId 
@@ -290,6 +315,28 @@ const DevicesPage = () => {
         />
       ),
     },
+    {
+      field: 'health',
+      headerName: 'Health',
+      width: 100,
+      valueGetter: (params) => params.row.health?.score ?? null,
+      renderCell: (params) => {
+        const health = params.row.health;
+        if (!health || health.score === null || health.score === undefined) {
+          return <Typography variant="caption" color="text.secondary">No data</Typography>;
+        }
+        const colors = { healthy: 'success', warning: 'warning', critical: 'error' };
+        return (
+          <Tooltip title={health.issues?.map(issue => issue.message).join(', ') || 'No issues'}>
+            <Chip
+              label={health.score}
+              color={colors[health.status] || 'default'}
+              size="small"
+            />
+          </Tooltip>
+        );
+      },
+    },
     {
       field: 'last_seen',
       headerName: 'Last Seen',
@@ -364,6 +411,14 @@ const DevicesPage = () => {
                   <RebootIcon />
                 </IconButton>
               </Tooltip>
+              <Tooltip title="Replace Device">
+                <IconButton
+                  size="small"
+                  onClick={() => setReplaceDialog({ open: true, device: params.row })}
+                >
+                  <ReplaceIcon />
+                </IconButton>
+              </Tooltip>
             </>
           )}
           <Tooltip title="Edit Device">
@@ -412,6 +467,13 @@ const DevicesPage = () => {
             color={connected ? 'success' : 'error'}
             variant="outlined"
           />
+          <Button
+            variant="outlined"
+            startIcon={<EnrollIcon />}
+            onClick={() => setEnrollDialogOpen(true)}
+          >
+            Enroll TVs
+          </Button>
           <Button
             variant="outlined"
             startIcon={<RefreshIcon />}
@@ -549,6 +611,23 @@ const DevicesPage = () => {
         onSnackbar={showSnackbar}
       />
 
+      {/* Device Replace Dialog */}
+      <DeviceReplaceDialog
+        open={replaceDialog.open}
+        device={replaceDialog.device}
+        candidates={devices.filter(device => device.status === 'pending')}
+        onClose={() => setReplaceDialog({ open: false, device: null })}
+        onReplace={fetchDevices}
+        onSnackbar={showSnackbar}
+      />
+
+      {/* Enrollment Dialog */}
+      <EnrollmentDialog
+        open={enrollDialogOpen}
+        onClose={() => setEnrollDialogOpen(false)}
+        onSnackbar={showSnackbar}
+      />
+
       {/* Snackbar for notifications */}
       <Snackbar
         open={snackbar.open}
@@ -563,6 +642,7 @@ const DevicesPage = () => {
 // Device Approval Dialog Component
 const DeviceApprovalDialog = ({ open, device, onClose, onApprove, onSnackbar }) => {
   const [roomNumber, setRoomNumber] = useState('');
+  const [location, setLocation] = useState('');
   const [submitting, setSubmitting] = useState(false);
 
   const handleApprove = async () => {
@@ -574,7 +654,8 @@ const DeviceApprovalDialog = ({ open, device, onClose, onApprove, onSnackbar })
     try {
       setSubmitting(true);
       await axios.post(`/api/devices/${device.id}/approve`, {
-        roomNumber: roomNumber.trim()
+        roomNumber: roomNumber.trim(),
+        location: location.trim()
       }, {
         headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
       });
@@ -583,6 +664,7 @@ const DeviceApprovalDialog = ({ open, device, onClose, onApprove, onSnackbar })
       onSnackbar(`Device approved and assigned to room ${roomNumber}`, 'success');
       onClose();
       setRoomNumber('');
+      setLocation('');
     } catch (err) {
       onSnackbar('Failed to approve device', 'error');
     } finally {
@@ -620,6 +702,17 @@ const DeviceApprovalDialog = ({ open, device, onClose, onApprove, onSnackbar })
               onChange={(e) => setRoomNumber(e.target.value)}
               sx={{ mt: 2 }}
             />
+            <TextField
+              margin="dense"
+              label="Location in Room (optional)"
+              placeholder="Bedroom, Living room"
+              type="text"
+              fullWidth
+              variant="outlined"
+              value={location}
+              onChange={(e) => setLocation(e.target.value)}
+              helperText="Tells TVs apart in rooms with more than one"
+            />
           </Box>
         )}
       </DialogContent>
@@ -641,7 +734,9 @@ const DeviceApprovalDialog = ({ open, device, onClose, onApprove, onSnackbar })
 const DeviceEditDialog = ({ open, device, onClose, onSave, onSnackbar }) => {
   const [formData, setFormData] = useState({
     roomNumber: '',
+    location: '',
     status: '',
+    launcherChannel: 'stable',
     notes: ''
   });
   const [submitting, setSubmitting] = useState(false);
@@ -650,7 +745,9 @@ const DeviceEditDialog = ({ open, device, onClose, onSave, onSnackbar }) => {
     if (device) {
       setFormData({
         roomNumber: device.roomNumber || '',
+        location: device.location || '',
         status: device.status || '',
+        launcherChannel: device.launcherChannel || 'stable',
         notes: device.notes || ''
       });
     }
@@ -686,6 +783,15 @@ const DeviceEditDialog = ({ open, device, onClose, onSave, onSnackbar }) => {
           value={formData.roomNumber}
           onChange={(e) => setFormData({ ...formData, roomNumber: e.target.value })}
         />
+        <TextField
+          margin="dense"
+          label="Location in Room"
+          type="text"
+          fullWidth
+          variant="outlined"
+          value={formData.location}
+          onChange={(e) => setFormData({ ...formData, location: e.target.value })}
+        />
         <FormControl fullWidth margin="dense">
           <InputLabel>Status</InputLabel>
           <Select
@@ -701,6 +807,17 @@ const DeviceEditDialog = ({ open, device, onClose, onSave, onSnackbar }) => {
             <MenuItem value="maintenance">Maintenance</MenuItem>
           </Select>
         </FormControl>
+        <FormControl fullWidth margin="dense">
+          <InputLabel>Launcher Update Channel</InputLabel>
+          <Select
+            value={formData.launcherChannel}
+            label="Launcher Update Channel"
+            onChange={(e) => setFormData({ ...formData, launcherChannel: e.target.value })}
+          >
+            <MenuItem value="stable">Stable</MenuItem>
+            <MenuItem value="beta">Beta</MenuItem>
+          </Select>
+        </FormControl>
         <TextField
           margin="dense"
           label="Notes"
@@ -726,4 +843,338 @@ const DeviceEditDialog = ({ open, device, onClose, onSave, onSnackbar }) => {
   );
 };
 
+// Device Replace Dialog Component: swap a broken TV for a newly registered one
+const DeviceReplaceDialog = ({ open, device, candidates, onClose, onReplace, onSnackbar }) => {
+  const [newDeviceId, setNewDeviceId] = useState('');
+  const [reason, setReason] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      setNewDeviceId('');
+      setReason('');
+    }
+  }, [open]);
+
+  const handleReplace = async () => {
+    try {
+      setSubmitting(true);
+      const response = await axios.post(`/api/devices/${device.id}/replace`, {
+        newDeviceId,
+        reason: reason.trim() || undefined
+      }, {
+        headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
+      });
+
+      onReplace();
+      onSnackbar(response.data.message, 'success');
+      onClose();
+    } catch (err) {
+      onSnackbar(err.response?.data?.message || 'Failed to replace device', 'error');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Replace Device</DialogTitle>
+      <DialogContent>
+        {device && (
+          <Box mt={1}>
+            <Typography variant="body2" gutterBottom>
+              The new TV takes over the app layout, background, settings, room, notes, groups and
+              pending commands of <strong>{device.uuid}</strong>
+              {(device.room_number || device.roomNumber) && ` in room ${device.room_number || device.roomNumber}`}.
+              The old device is deactivated.
+            </Typography>
+
+            {candidates.length === 0 ? (
+              <Alert severity="info" sx={{ mt: 2 }}>
+                Register the new TV first; it will appear here while pending approval.
+              </Alert>
+            ) : (
+              <TextField
+                select
+                margin="dense"
+                label="New Device"
+                fullWidth
+                value={newDeviceId}
+                onChange={(e) => setNewDeviceId(e.target.value)}
+                sx={{ mt: 2 }}
+              >
+                {candidates.map(candidate => (
+                  <MenuItem key={candidate.id} value={candidate.id}>
+                    {candidate.uuid} ({candidate.mac_address || candidate.macAddress})
+                  </MenuItem>
+                ))}
+              </TextField>
+            )}
+            <TextField
+              margin="dense"
+              label="Reason"
+              fullWidth
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              placeholder="Screen broken"
+            />
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          onClick={handleReplace}
+          variant="contained"
+          disabled={submitting || !newDeviceId}
+        >
+          {submitting ? 'Replacing...' : 'Replace Device'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+const EXPIRY_OPTIONS = [
+  { value: 60, label: '1 hour' },
+  { value: 8 * 60, label: '8 hours' },
+  { value: 24 * 60, label: '1 day' },
+  { value: 7 * 24 * 60, label: '7 days' }
+];
+
+const emptyEnrollmentForm = {
+  name: '',
+  roomNumber: '',
+  location: '',
+  groupId: '',
+  expiresInMinutes: 60,
+  maxUses: '1'
+};
+
+// Enrollment Dialog Component: QR codes and PINs that approve a TV straight into a room or group
+const EnrollmentDialog = ({ open, onClose, onSnackbar }) => {
+  const [tokens, setTokens] = useState([]);
+  const [groups, setGroups] = useState([]);
+  const [form, setForm] = useState(emptyEnrollmentForm);
+  const [selectedToken, setSelectedToken] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+  const fetchTokens = async () => {
+    try {
+      const [tokensResponse, groupsResponse] = await Promise.all([
+        axios.get('/api/enrollment-tokens', { headers: authHeaders() }),
+        axios.get('/api/device-groups', { headers: authHeaders() })
+      ]);
+      setTokens(tokensResponse.data.data);
+      setGroups(groupsResponse.data.data);
+    } catch (err) {
+      onSnackbar(err.response?.data?.message || 'Failed to load enrollment tokens', 'error');
+    }
+  };
+
+  useEffect(() => {
+    if (open) {
+      setForm(emptyEnrollmentForm);
+      setSelectedToken(null);
+      fetchTokens();
+    }
+  }, [open]);
+
+  const handleCreate = async () => {
+    try {
+      setSubmitting(true);
+      const response = await axios.post('/api/enrollment-tokens', {
+        name: form.name.trim(),
+        roomNumber: form.roomNumber.trim() || null,
+        location: form.location.trim() || null,
+        groupId: form.groupId || null,
+        expiresInMinutes: form.expiresInMinutes,
+        maxUses: form.maxUses === '' ? null : Number(form.maxUses)
+      }, { headers: authHeaders() });
+
+      setSelectedToken(response.data.data);
+      setForm(emptyEnrollmentForm);
+      fetchTokens();
+    } catch (err) {
+      onSnackbar(err.response?.data?.message || 'Failed to create enrollment token', 'error');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleRevoke = async (token) => {
+    try {
+      const response = await axios.post(`/api/enrollment-tokens/${token.id}/revoke`, {}, {
+        headers: authHeaders()
+      });
+      if (selectedToken?.id === token.id) {
+        setSelectedToken(null);
+      }
+      onSnackbar(response.data.message, 'success');
+      fetchTokens();
+    } catch (err) {
+      onSnackbar(err.response?.data?.message || 'Failed to revoke enrollment token', 'error');
+    }
+  };
+
+  const describeToken = (token) => {
+    const group = groups.find(g => g.id === token.groupId);
+    return [
+      token.roomNumber && `Room ${token.roomNumber}${token.location ? ` (${token.location})` : ''}`,
+      group && `Group ${group.name}`
+    ].filter(Boolean).join(' · ');
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Enroll TVs</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" gutterBottom>
+          A launcher that scans the QR code or is given the PIN at first start is approved straight
+          into the room and group below.
+        </Typography>
+
+        <Grid container spacing={2} sx={{ mt: 1 }}>
+          <Grid item xs={12} md={6}>
+            <TextField
+              margin="dense"
+              label="Name"
+              fullWidth
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              placeholder="3rd floor install"
+            />
+            <TextField
+              margin="dense"
+              label="Room Number"
+              fullWidth
+              value={form.roomNumber}
+              onChange={(e) => setForm({ ...form, roomNumber: e.target.value })}
+            />
+            <TextField
+              margin="dense"
+              label="Location"
+              fullWidth
+              value={form.location}
+              onChange={(e) => setForm({ ...form, location: e.target.value })}
+              placeholder="Bedroom"
+            />
+            <TextField
+              select
+              margin="dense"
+              label="Device Group"
+              fullWidth
+              value={form.groupId}
+              onChange={(e) => setForm({ ...form, groupId: e.target.value })}
+            >
+              <MenuItem value="">None</MenuItem>
+              {groups.map(group => (
+                <MenuItem key={group.id} value={group.id}>{group.name}</MenuItem>
+              ))}
+            </TextField>
+            <Box display="flex" gap={2}>
+              <TextField
+                select
+                margin="dense"
+                label="Expires After"
+                fullWidth
+                value={form.expiresInMinutes}
+                onChange={(e) => setForm({ ...form, expiresInMinutes: e.target.value })}
+              >
+                {EXPIRY_OPTIONS.map(option => (
+                  <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                ))}
+              </TextField>
+              <TextField
+                margin="dense"
+                label="Max TVs"
+                type="number"
+                fullWidth
+                value={form.maxUses}
+                onChange={(e) => setForm({ ...form, maxUses: e.target.value })}
+                helperText="Leave empty for no limit (QR code only, no PIN)"
+                inputProps={{ min: 1, max: 500 }}
+              />
+            </Box>
+            <Button
+              variant="contained"
+              sx={{ mt: 1 }}
+              onClick={handleCreate}
+              disabled={submitting || (!form.roomNumber.trim() && !form.groupId)}
+            >
+              {submitting ? 'Creating...' : 'Create Code'}
+            </Button>
+          </Grid>
+
+          <Grid item xs={12} md={6}>
+            {selectedToken ? (
+              <Paper variant="outlined" sx={{ p: 2, textAlign: 'center' }}>
+                <QRCodeSVG value={selectedToken.qrPayload} size={200} />
+                {selectedToken.pin && (
+                  <Typography variant="h4" sx={{ mt: 2, letterSpacing: 4 }}>
+                    {selectedToken.pin}
+                  </Typography>
+                )}
+                <Typography variant="body2" color="text.secondary">
+                  {describeToken(selectedToken)}
+                </Typography>
+                <Typography variant="caption" color="text.secondary">
+                  Expires {new Date(selectedToken.expiresAt).toLocaleString()}
+                  {selectedToken.pinExpiresAt && ` (PIN ${new Date(selectedToken.pinExpiresAt).toLocaleTimeString()})`}
+                </Typography>
+              </Paper>
+            ) : (
+              <Alert severity="info">
+                Create a code or pick one below to show its QR code and PIN.
+              </Alert>
+            )}
+          </Grid>
+        </Grid>
+
+        <Typography variant="subtitle1" sx={{ mt: 3, mb: 1 }}>
+          Active Codes
+        </Typography>
+        {tokens.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">
+            No active enrollment codes
+          </Typography>
+        ) : (
+          tokens.map(token => (
+            <Box
+              key={token.id}
+              display="flex"
+              alignItems="center"
+              justifyContent="space-between"
+              sx={{ py: 1, borderBottom: 1, borderColor: 'divider' }}
+            >
+              <Box>
+                <Typography variant="body2">
+                  {token.name || describeToken(token)}{token.pin ? ` · PIN ${token.pin}` : ' · QR only'}
+                </Typography>
+                <Typography variant="caption" color="text.secondary">
+                  {describeToken(token)} · {token.useCount}{token.maxUses ? ` of ${token.maxUses}` : ''} used ·
+                  expires {new Date(token.expiresAt).toLocaleString()}
+                </Typography>
+              </Box>
+              <Box>
+                <Button size="small" onClick={() => setSelectedToken(token)}>
+                  Show
+                </Button>
+                <Button size="small" color="error" onClick={() => handleRevoke(token)}>
+                  Revoke
+                </Button>
+              </Box>
+            </Box>
+          ))
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
 export default DevicesPage;
@@ -0,0 +1,433 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Card,
+  CardContent,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  TextField,
+  MenuItem,
+  Chip,
+  Alert,
+  AlertTitle,
+  CircularProgress,
+  Grid,
+  Paper,
+  Slider,
+  Snackbar,
+  Tooltip,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+} from '@mui/material';
+import {
+  Warning as WarningIcon,
+  Campaign as BroadcastIcon,
+  Stop as StopIcon,
+  Refresh as RefreshIcon,
+} from '@mui/icons-material';
+import axios from 'axios';
+import { useSocket } from '../contexts/SocketContext';
+import { useAuth } from '../contexts/AuthContext';
+
+// Pre-filled text per alert type; staff can edit before sending
+const ALERT_PRESETS = {
+  fire: {
+    label: 'Fire',
+    title: 'Fire Alarm',
+    body: 'A fire alarm has been activated. Leave your room now using the nearest stairs. Do not use the elevators.',
+  },
+  evacuation: {
+    label: 'Evacuation',
+    title: 'Evacuation',
+    body: 'Please evacuate the building immediately and proceed to the assembly point. Follow the instructions of hotel staff.',
+  },
+  severe_weather: {
+    label: 'Severe Weather',
+    title: 'Severe Weather Warning',
+    body: 'A severe weather warning is in effect. Stay indoors, keep away from windows and follow instructions from hotel staff.',
+  },
+  other: {
+    label: 'Other',
+    title: 'Emergency',
+    body: '',
+  },
+};
+
+const DELIVERY_STATUS_COLORS = {
+  queued: 'default',
+  delivered: 'info',
+  displayed: 'warning',
+  acknowledged: 'success',
+  failed: 'error',
+};
+
+const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+const EmergencyPage = () => {
+  const [active, setActive] = useState(null);
+  const [defaults, setDefaults] = useState({ volume: 80, repeatIntervalSeconds: 60 });
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [confirm, setConfirm] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
+
+  const { socket } = useSocket();
+  const { user } = useAuth();
+  const isSuperAdmin = user?.role === 'super_admin';
+
+  useEffect(() => {
+    fetchData();
+
+    if (socket) {
+      socket.emit('admin:join-room', 'emergency');
+      socket.on('emergency:started', fetchData);
+      socket.on('emergency:updated', handleAlertUpdate);
+      socket.on('emergency:delivery-updated', handleAlertUpdate);
+      socket.on('emergency:cancelled', fetchData);
+
+      return () => {
+        socket.off('emergency:started');
+        socket.off('emergency:updated');
+        socket.off('emergency:delivery-updated');
+        socket.off('emergency:cancelled');
+      };
+    }
+  }, [socket]);
+
+  const fetchData = async () => {
+    try {
+      const [statusRes, historyRes] = await Promise.all([
+        axios.get('/api/emergency/status', { headers: authHeaders() }),
+        axios.get('/api/emergency/alerts', { headers: authHeaders() })
+      ]);
+
+      setActive(statusRes.data.data.active);
+      setDefaults(statusRes.data.data.defaults);
+      setHistory(historyRes.data.data || []);
+    } catch (err) {
+      console.error('Error fetching emergency status:', err);
+      showSnackbar('Failed to load emergency status', 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Socket events carry the alert without deliveries; refetch to update the room grid
+  const handleAlertUpdate = () => {
+    axios.get('/api/emergency/status', { headers: authHeaders() })
+      .then(response => setActive(response.data.data.active))
+      .catch(err => console.error('Error refreshing emergency status:', err));
+  };
+
+  const showSnackbar = (message, severity = 'success') => {
+    setSnackbar({ open: true, message, severity });
+  };
+
+  const handleStart = async () => {
+    try {
+      setBusy(true);
+      const response = await axios.post('/api/emergency/alerts', confirm, { headers: authHeaders() });
+      setActive(response.data.data);
+      showSnackbar(response.data.message, 'warning');
+      fetchData();
+    } catch (err) {
+      showSnackbar(err.response?.data?.message || 'Failed to start emergency alert', 'error');
+    } finally {
+      setBusy(false);
+      setConfirm(null);
+    }
+  };
+
+  const handleCancel = async () => {
+    if (!window.confirm('Cancel the emergency alert and send the all-clear to every TV?')) return;
+
+    try {
+      setBusy(true);
+      const response = await axios.post(`/api/emergency/alerts/${active.id}/cancel`, {}, { headers: authHeaders() });
+      showSnackbar(response.data.message);
+      fetchData();
+    } catch (err) {
+      showSnackbar(err.response?.data?.message || 'Failed to cancel emergency alert', 'error');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" alignItems="center" minHeight="400px">
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      {/* Header */}
+      <Box display="flex" justifyContent="space-between" alignItems="center" mb={3}>
+        <Typography variant="h4" component="h1">
+          Emergency Broadcast
+        </Typography>
+        <Button
+          variant="outlined"
+          startIcon={<RefreshIcon />}
+          onClick={fetchData}
+        >
+          Refresh
+        </Button>
+      </Box>
+
+      {active ? (
+        <ActiveAlert
+          alert={active}
+          canCancel={isSuperAdmin}
+          busy={busy}
+          onCancel={handleCancel}
+        />
+      ) : isSuperAdmin ? (
+        <StartAlertForm
+          defaults={defaults}
+          onSubmit={setConfirm}
+        />
+      ) : (
+        <Alert severity="info" sx={{ mb: 3 }}>
+          No emergency alert is active. Only super admins can start an emergency broadcast.
+        </Alert>
+      )}
+
+      <AlertHistory alerts={history} />
+
+      {/* Confirmation */}
+      <Dialog open={!!confirm} onClose={() => setConfirm(null)}>
+        <DialogTitle>Start emergency broadcast?</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            Every TV will show "{confirm?.title}" full screen at volume {confirm?.volume}, and it cannot be
+            dismissed until you cancel the alert.
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setConfirm(null)}>Back</Button>
+          <Button color="error" variant="contained" onClick={handleStart} disabled={busy}>
+            Broadcast Now
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Snackbar */}
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={() => setSnackbar({ ...snackbar, open: false })}
+        message={snackbar.message}
+      />
+    </Box>
+  );
+};
+
+const StartAlertForm = ({ defaults, onSubmit }) => {
+  const [form, setForm] = useState({
+    alertType: 'fire',
+    title: ALERT_PRESETS.fire.title,
+    body: ALERT_PRESETS.fire.body,
+    volume: defaults.volume,
+    repeatIntervalSeconds: defaults.repeatIntervalSeconds,
+  });
+
+  const handleTypeChange = (alertType) => {
+    setForm({ ...form, alertType, title: ALERT_PRESETS[alertType].title, body: ALERT_PRESETS[alertType].body });
+  };
+
+  return (
+    <Card sx={{ mb: 3, borderLeft: 4, borderColor: 'error.main' }}>
+      <CardContent>
+        <Typography variant="h6" gutterBottom>
+          New Emergency Alert
+        </Typography>
+        <Grid container spacing={2}>
+          <Grid item xs={12} sm={4}>
+            <TextField
+              select
+              fullWidth
+              label="Alert Type"
+              value={form.alertType}
+              onChange={(e) => handleTypeChange(e.target.value)}
+            >
+              {Object.entries(ALERT_PRESETS).map(([value, preset]) => (
+                <MenuItem key={value} value={value}>{preset.label}</MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+          <Grid item xs={12} sm={8}>
+            <TextField
+              fullWidth
+              label="Title"
+              value={form.title}
+              onChange={(e) => setForm({ ...form, title: e.target.value })}
+              inputProps={{ maxLength: 100 }}
+            />
+          </Grid>
+          <Grid item xs={12}>
+            <TextField
+              fullWidth
+              multiline
+              minRows={3}
+              label="Alert Text"
+              value={form.body}
+              onChange={(e) => setForm({ ...form, body: e.target.value })}
+              inputProps={{ maxLength: 1000 }}
+            />
+          </Grid>
+          <Grid item xs={12} sm={6}>
+            <Typography gutterBottom>Volume: {form.volume}</Typography>
+            <Slider
+              value={form.volume}
+              min={0}
+              max={100}
+              onChange={(e, value) => setForm({ ...form, volume: value })}
+            />
+          </Grid>
+          <Grid item xs={12} sm={6}>
+            <TextField
+              fullWidth
+              type="number"
+              label="Repeat Every (seconds)"
+              value={form.repeatIntervalSeconds}
+              onChange={(e) => setForm({ ...form, repeatIntervalSeconds: Number(e.target.value) })}
+              inputProps={{ min: 10, max: 3600 }}
+            />
+          </Grid>
+        </Grid>
+        <Box display="flex" justifyContent="flex-end" mt={2}>
+          <Button
+            color="error"
+            variant="contained"
+            startIcon={<BroadcastIcon />}
+            disabled={!form.title.trim() || !form.body.trim()}
+            onClick={() => onSubmit(form)}
+          >
+            Broadcast to All TVs
+          </Button>
+        </Box>
+      </CardContent>
+    </Card>
+  );
+};
+
+// Active alert with the per-room acknowledgment dashboard
+const ActiveAlert = ({ alert, canCancel, busy, onCancel }) => (
+  <Box mb={3}>
+    <Alert
+      severity="error"
+      icon={<WarningIcon />}
+      sx={{ mb: 2 }}
+      action={canCancel && (
+        <Button color="inherit" startIcon={<StopIcon />} onClick={onCancel} disabled={busy}>
+          Cancel Alert
+        </Button>
+      )}
+    >
+      <AlertTitle>{alert.title} (active since {new Date(alert.startedAt).toLocaleTimeString()})</AlertTitle>
+      {alert.body}
+    </Alert>
+
+    <Grid container spacing={2} sx={{ mb: 2 }}>
+      {['total', 'queued', 'delivered', 'displayed', 'acknowledged', 'failed'].map(key => (
+        <Grid item xs={6} sm={4} md={2} key={key}>
+          <Paper sx={{ p: 2 }}>
+            <Typography variant="h5">{alert.stats[key]}</Typography>
+            <Typography variant="body2" color="text.secondary" sx={{ textTransform: 'capitalize' }}>
+              {key === 'total' ? 'TVs' : key}
+            </Typography>
+          </Paper>
+        </Grid>
+      ))}
+    </Grid>
+
+    <Card>
+      <CardContent>
+        <Typography variant="h6" gutterBottom>
+          Rooms
+        </Typography>
+        <Box display="flex" flexWrap="wrap" gap={1}>
+          {(alert.deliveries || []).map(delivery => (
+            <Tooltip
+              key={delivery.deviceId}
+              title={delivery.error || (delivery.acknowledgedAt
+                ? `Acknowledged ${new Date(delivery.acknowledgedAt).toLocaleTimeString()}`
+                : delivery.status)}
+            >
+              <Chip
+                label={delivery.roomNumber || delivery.deviceUuid.slice(0, 8)}
+                color={DELIVERY_STATUS_COLORS[delivery.status] || 'default'}
+                variant={delivery.status === 'queued' ? 'outlined' : 'filled'}
+              />
+            </Tooltip>
+          ))}
+        </Box>
+        <Typography variant="caption" color="text.secondary" display="block" mt={2}>
+          Repeated {alert.repeatCount} time(s){alert.lastRepeatedAt ? `, last at ${new Date(alert.lastRepeatedAt).toLocaleTimeString()}` : ''}.
+          Offline TVs show the alert as soon as they reconnect.
+        </Typography>
+      </CardContent>
+    </Card>
+  </Box>
+);
+
+const AlertHistory = ({ alerts }) => (
+  <Card>
+    <CardContent>
+      <Typography variant="h6" gutterBottom>
+        History
+      </Typography>
+      {alerts.length === 0 ? (
+        <Typography color="text.secondary">No emergency alerts have been sent.</Typography>
+      ) : (
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Started</TableCell>
+                <TableCell>Type</TableCell>
+                <TableCell>Title</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell>Acknowledged</TableCell>
+                <TableCell>Cancelled</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {alerts.map(alert => (
+                <TableRow key={alert.id}>
+                  <TableCell>{new Date(alert.startedAt).toLocaleString()}</TableCell>
+                  <TableCell>{ALERT_PRESETS[alert.alertType]?.label || alert.alertType}</TableCell>
+                  <TableCell>{alert.title}</TableCell>
+                  <TableCell>
+                    <Chip
+                      label={alert.status}
+                      size="small"
+                      color={alert.status === 'active' ? 'error' : 'default'}
+                    />
+                  </TableCell>
+                  <TableCell>{alert.stats.acknowledged}/{alert.stats.total}</TableCell>
+                  <TableCell>{alert.cancelledAt ? new Date(alert.cancelledAt).toLocaleString() : '-'}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+    </CardContent>
+  </Card>
+);
+
+export default EmergencyPage;
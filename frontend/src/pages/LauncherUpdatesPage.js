@@ -0,0 +1,570 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Card,
+  CardContent,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  MenuItem,
+  Chip,
+  Alert,
+  CircularProgress,
+  Grid,
+  IconButton,
+  LinearProgress,
+  Slider,
+  Snackbar,
+  Tooltip,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Refresh as RefreshIcon,
+  Pause as PauseIcon,
+  PlayArrow as ResumeIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon,
+  Upload as UploadIcon,
+} from '@mui/icons-material';
+import axios from 'axios';
+import { useSocket } from '../contexts/SocketContext';
+
+const CHANNELS = ['stable', 'beta'];
+
+const RELEASE_STATUS_COLORS = {
+  active: 'success',
+  paused: 'default',
+  halted: 'error',
+};
+
+const UPDATE_STATUS_COLORS = {
+  offered: 'default',
+  downloading: 'info',
+  installing: 'warning',
+  installed: 'success',
+  failed: 'error',
+};
+
+const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+const formatSize = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+
+const LauncherUpdatesPage = () => {
+  const [releases, setReleases] = useState([]);
+  const [groups, setGroups] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [uploadOpen, setUploadOpen] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
+
+  const { socket } = useSocket();
+
+  useEffect(() => {
+    fetchData();
+
+    if (socket) {
+      socket.emit('admin:join-room', 'devices');
+      socket.on('launcher:update-progress', handleUpdateProgress);
+      socket.on('launcher:rollout-halted', handleRolloutHalted);
+
+      return () => {
+        socket.off('launcher:update-progress');
+        socket.off('launcher:rollout-halted');
+      };
+    }
+  }, [socket]);
+
+  const fetchData = async () => {
+    try {
+      const [releasesRes, groupsRes] = await Promise.all([
+        axios.get('/api/launcher-releases', { headers: authHeaders() }),
+        axios.get('/api/device-groups', { headers: authHeaders() })
+      ]);
+
+      setReleases(releasesRes.data.data || []);
+      setGroups(groupsRes.data.data || []);
+    } catch (err) {
+      console.error('Error fetching launcher releases:', err);
+      showSnackbar('Failed to load launcher releases', 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Progress events carry a single device's update; refetch for the counts
+  const handleUpdateProgress = (update) => {
+    fetchData();
+    setSelected(current => current && current.id === update.releaseId
+      ? {
+        ...current,
+        updates: [update, ...(current.updates || []).filter(item => item.id !== update.id)]
+      }
+      : current);
+  };
+
+  const handleRolloutHalted = (release) => {
+    showSnackbar(`Launcher ${release.versionName} rollout halted: ${release.haltReason}`, 'error');
+    fetchData();
+  };
+
+  const showSnackbar = (message, severity = 'success') => {
+    setSnackbar({ open: true, message, severity });
+  };
+
+  const handleViewRelease = async (release) => {
+    try {
+      const response = await axios.get(`/api/launcher-releases/${release.id}`, { headers: authHeaders() });
+      setSelected(response.data.data);
+    } catch (err) {
+      showSnackbar(err.response?.data?.message || 'Failed to load release', 'error');
+    }
+  };
+
+  const handleSetStatus = async (release, status) => {
+    try {
+      const response = await axios.put(`/api/launcher-releases/${release.id}`, { status }, { headers: authHeaders() });
+      showSnackbar(response.data.message);
+      fetchData();
+    } catch (err) {
+      showSnackbar(err.response?.data?.message || 'Failed to update release', 'error');
+    }
+  };
+
+  const handleDelete = async (release) => {
+    if (!window.confirm(`Delete launcher ${release.versionName} (${release.versionCode})? Devices that have not installed it will no longer be offered it.`)) return;
+
+    try {
+      const response = await axios.delete(`/api/launcher-releases/${release.id}`, { headers: authHeaders() });
+      showSnackbar(response.data.message);
+      fetchData();
+    } catch (err) {
+      showSnackbar(err.response?.data?.message || 'Failed to delete release', 'error');
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" alignItems="center" minHeight="400px">
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  const groupName = (id) => groups.find(group => group.id === id)?.name || id;
+
+  return (
+    <Box>
+      {/* Header */}
+      <Box display="flex" justifyContent="space-between" alignItems="center" mb={3}>
+        <Typography variant="h4" component="h1">
+          Launcher Updates
+        </Typography>
+        <Box display="flex" gap={1}>
+          <Button
+            variant="outlined"
+            startIcon={<RefreshIcon />}
+            onClick={fetchData}
+          >
+            Refresh
+          </Button>
+          <Button
+            variant="contained"
+            startIcon={<AddIcon />}
+            onClick={() => setUploadOpen(true)}
+          >
+            Upload Release
+          </Button>
+        </Box>
+      </Box>
+
+      {releases.filter(release => release.status === 'halted').map(release => (
+        <Alert key={release.id} severity="error" sx={{ mb: 2 }}>
+          Launcher {release.versionName} ({release.versionCode}) was halted
+          {release.haltedAt ? ` at ${new Date(release.haltedAt).toLocaleString()}` : ''}: {release.haltReason}
+        </Alert>
+      ))}
+
+      <Card>
+        <CardContent>
+          {releases.length === 0 ? (
+            <Typography color="text.secondary">
+              No launcher releases have been uploaded.
+            </Typography>
+          ) : (
+            <TableContainer>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Version</TableCell>
+                    <TableCell>Targets</TableCell>
+                    <TableCell>Rollout</TableCell>
+                    <TableCell>Status</TableCell>
+                    <TableCell>Installed</TableCell>
+                    <TableCell>In Progress</TableCell>
+                    <TableCell>Failed</TableCell>
+                    <TableCell>Uploaded</TableCell>
+                    <TableCell align="right">Actions</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {releases.map(release => (
+                    <TableRow key={release.id} hover onClick={() => handleViewRelease(release)} sx={{ cursor: 'pointer' }}>
+                      <TableCell>
+                        <Typography variant="body2" fontWeight="medium">{release.versionName}</Typography>
+                        <Typography variant="caption" color="text.secondary">
+                          {release.versionCode} · {formatSize(release.fileSize)}
+                        </Typography>
+                      </TableCell>
+                      <TableCell>
+                        <Box display="flex" flexWrap="wrap" gap={0.5}>
+                          {release.channels.map(channel => (
+                            <Chip key={channel} label={channel} size="small" color={channel === 'beta' ? 'warning' : 'primary'} />
+                          ))}
+                          {release.groupIds.map(id => (
+                            <Chip key={id} label={groupName(id)} size="small" variant="outlined" />
+                          ))}
+                        </Box>
+                      </TableCell>
+                      <TableCell>{release.rolloutPercentage}%</TableCell>
+                      <TableCell>
+                        <Chip
+                          label={release.status}
+                          size="small"
+                          color={RELEASE_STATUS_COLORS[release.status] || 'default'}
+                        />
+                      </TableCell>
+                      <TableCell>{release.stats?.installed || 0}</TableCell>
+                      <TableCell>
+                        {(release.stats?.offered || 0) + (release.stats?.downloading || 0) + (release.stats?.installing || 0)}
+                      </TableCell>
+                      <TableCell>
+                        <Tooltip title={`Halts at ${release.failureThreshold}%`}>
+                          <span>{release.stats?.failed || 0} ({release.stats?.failureRate || 0}%)</span>
+                        </Tooltip>
+                      </TableCell>
+                      <TableCell>{new Date(release.createdAt).toLocaleString()}</TableCell>
+                      <TableCell align="right" onClick={(e) => e.stopPropagation()}>
+                        {release.status === 'active' ? (
+                          <Tooltip title="Pause rollout">
+                            <IconButton size="small" onClick={() => handleSetStatus(release, 'paused')}>
+                              <PauseIcon fontSize="small" />
+                            </IconButton>
+                          </Tooltip>
+                        ) : (
+                          <Tooltip title="Resume rollout">
+                            <IconButton size="small" onClick={() => handleSetStatus(release, 'active')}>
+                              <ResumeIcon fontSize="small" />
+                            </IconButton>
+                          </Tooltip>
+                        )}
+                        <Tooltip title="Edit rollout">
+                          <IconButton size="small" onClick={() => setEditing(release)}>
+                            <EditIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                        <Tooltip title="Delete">
+                          <IconButton size="small" color="error" onClick={() => handleDelete(release)}>
+                            <DeleteIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+        </CardContent>
+      </Card>
+
+      <ReleaseDialog
+        open={uploadOpen || !!editing}
+        release={editing}
+        groups={groups}
+        onClose={() => {
+          setUploadOpen(false);
+          setEditing(null);
+        }}
+        onSave={fetchData}
+        onSnackbar={showSnackbar}
+      />
+
+      <ReleaseDevicesDialog
+        release={selected}
+        onClose={() => setSelected(null)}
+      />
+
+      {/* Snackbar */}
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={() => setSnackbar({ ...snackbar, open: false })}
+        message={snackbar.message}
+      />
+    </Box>
+  );
+};
+
+const emptyReleaseForm = {
+  apk: null,
+  versionCode: '',
+  versionName: '',
+  releaseNotes: '',
+  channels: ['beta'],
+  groupIds: [],
+  rolloutPercentage: 10,
+  failureThreshold: 20,
+};
+
+// Upload a new release, or edit the rollout of an existing one
+const ReleaseDialog = ({ open, release, groups, onClose, onSave, onSnackbar }) => {
+  const [form, setForm] = useState(emptyReleaseForm);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      setForm(release ? {
+        ...emptyReleaseForm,
+        releaseNotes: release.releaseNotes,
+        channels: release.channels,
+        groupIds: release.groupIds,
+        rolloutPercentage: release.rolloutPercentage,
+        failureThreshold: release.failureThreshold,
+      } : emptyReleaseForm);
+    }
+  }, [open, release]);
+
+  const handleSave = async () => {
+    if (form.channels.length === 0 && form.groupIds.length === 0) {
+      onSnackbar('Choose at least one channel or group', 'error');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      let response;
+
+      if (release) {
+        response = await axios.put(`/api/launcher-releases/${release.id}`, {
+          releaseNotes: form.releaseNotes,
+          channels: form.channels,
+          groupIds: form.groupIds,
+          rolloutPercentage: form.rolloutPercentage,
+          failureThreshold: form.failureThreshold,
+        }, { headers: authHeaders() });
+      } else {
+        const submitData = new FormData();
+        submitData.append('apk', form.apk);
+        submitData.append('versionCode', form.versionCode);
+        submitData.append('versionName', form.versionName.trim());
+        submitData.append('releaseNotes', form.releaseNotes);
+        submitData.append('channels', form.channels.join(','));
+        submitData.append('groupIds', form.groupIds.join(','));
+        submitData.append('rolloutPercentage', form.rolloutPercentage);
+        submitData.append('failureThreshold', form.failureThreshold);
+
+        response = await axios.post('/api/launcher-releases', submitData, {
+          headers: {
+            ...authHeaders(),
+            'Content-Type': 'multipart/form-data'
+          }
+        });
+      }
+
+      onSave();
+      onSnackbar(response.data.message);
+      onClose();
+    } catch (err) {
+      onSnackbar(err.response?.data?.message || `Failed to ${release ? 'update' : 'upload'} release`, 'error');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const canSave = release || (form.apk && form.versionCode && form.versionName.trim());
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>
+        {release ? `Edit Launcher ${release.versionName}` : 'Upload Launcher Release'}
+      </DialogTitle>
+      <DialogContent>
+        <Grid container spacing={2} sx={{ mt: 0 }}>
+          {!release && (
+            <>
+              <Grid item xs={12}>
+                <Button variant="outlined" component="label" startIcon={<UploadIcon />}>
+                  {form.apk ? form.apk.name : 'Choose APK'}
+                  <input
+                    type="file"
+                    accept=".apk"
+                    hidden
+                    onChange={(e) => setForm({ ...form, apk: e.target.files[0] || null })}
+                  />
+                </Button>
+              </Grid>
+              <Grid item xs={12} sm={6}>
+                <TextField
+                  fullWidth
+                  type="number"
+                  label="Version Code"
+                  value={form.versionCode}
+                  onChange={(e) => setForm({ ...form, versionCode: e.target.value })}
+                  inputProps={{ min: 1 }}
+                />
+              </Grid>
+              <Grid item xs={12} sm={6}>
+                <TextField
+                  fullWidth
+                  label="Version Name"
+                  value={form.versionName}
+                  onChange={(e) => setForm({ ...form, versionName: e.target.value })}
+                  inputProps={{ maxLength: 50 }}
+                />
+              </Grid>
+            </>
+          )}
+          <Grid item xs={12}>
+            <TextField
+              fullWidth
+              multiline
+              minRows={3}
+              label="Release Notes"
+              value={form.releaseNotes}
+              onChange={(e) => setForm({ ...form, releaseNotes: e.target.value })}
+              inputProps={{ maxLength: 5000 }}
+            />
+          </Grid>
+          <Grid item xs={12} sm={6}>
+            <TextField
+              select
+              fullWidth
+              label="Channels"
+              value={form.channels}
+              onChange={(e) => setForm({ ...form, channels: e.target.value })}
+              SelectProps={{ multiple: true }}
+            >
+              {CHANNELS.map(channel => (
+                <MenuItem key={channel} value={channel}>{channel}</MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+          <Grid item xs={12} sm={6}>
+            <TextField
+              select
+              fullWidth
+              label="Device Groups"
+              value={form.groupIds}
+              onChange={(e) => setForm({ ...form, groupIds: e.target.value })}
+              SelectProps={{ multiple: true }}
+            >
+              {groups.map(group => (
+                <MenuItem key={group.id} value={group.id}>{group.name}</MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+          <Grid item xs={12} sm={6}>
+            <Typography gutterBottom>Rollout: {form.rolloutPercentage}% of devices</Typography>
+            <Slider
+              value={form.rolloutPercentage}
+              min={0}
+              max={100}
+              step={5}
+              onChange={(e, value) => setForm({ ...form, rolloutPercentage: value })}
+            />
+          </Grid>
+          <Grid item xs={12} sm={6}>
+            <TextField
+              fullWidth
+              type="number"
+              label="Halt at Failure Rate (%)"
+              value={form.failureThreshold}
+              onChange={(e) => setForm({ ...form, failureThreshold: Number(e.target.value) })}
+              inputProps={{ min: 1, max: 100 }}
+            />
+          </Grid>
+        </Grid>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button variant="contained" onClick={handleSave} disabled={!canSave || submitting}>
+          {submitting ? <CircularProgress size={20} /> : release ? 'Save' : 'Upload'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+// Per-device progress of one release
+const ReleaseDevicesDialog = ({ release, onClose }) => (
+  <Dialog open={!!release} onClose={onClose} maxWidth="md" fullWidth>
+    <DialogTitle>
+      Launcher {release?.versionName} ({release?.versionCode})
+    </DialogTitle>
+    <DialogContent>
+      {release?.releaseNotes && (
+        <Typography variant="body2" sx={{ whiteSpace: 'pre-line', mb: 2 }}>
+          {release.releaseNotes}
+        </Typography>
+      )}
+      {(release?.updates || []).length === 0 ? (
+        <Typography color="text.secondary">No device has been offered this release yet.</Typography>
+      ) : (
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Device</TableCell>
+                <TableCell>From</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell>Progress</TableCell>
+                <TableCell>Updated</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {release.updates.map(update => (
+                <TableRow key={update.id}>
+                  <TableCell>{update.deviceUuid.slice(0, 8)}</TableCell>
+                  <TableCell>{update.fromVersionCode || '-'}</TableCell>
+                  <TableCell>
+                    <Tooltip title={update.error || ''}>
+                      <Chip
+                        label={update.status}
+                        size="small"
+                        color={UPDATE_STATUS_COLORS[update.status] || 'default'}
+                      />
+                    </Tooltip>
+                  </TableCell>
+                  <TableCell sx={{ minWidth: 120 }}>
+                    <LinearProgress
+                      variant="determinate"
+                      value={update.progress}
+                      color={update.status === 'failed' ? 'error' : 'primary'}
+                    />
+                  </TableCell>
+                  <TableCell>{new Date(update.updatedAt).toLocaleString()}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+    </DialogContent>
+    <DialogActions>
+      <Button onClick={onClose}>Close</Button>
+    </DialogActions>
+  </Dialog>
+);
+
+export default LauncherUpdatesPage;
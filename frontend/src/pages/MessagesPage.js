@@ -0,0 +1,839 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Card,
+  CardContent,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  MenuItem,
+  Chip,
+  IconButton,
+  Tooltip,
+  Alert,
+  CircularProgress,
+  Grid,
+  Tabs,
+  Tab,
+  FormControl,
+  InputLabel,
+  Select,
+  Switch,
+  FormControlLabel,
+  Snackbar,
+  OutlinedInput,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Refresh as RefreshIcon,
+  Visibility as ViewIcon,
+  Close as CloseIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon,
+  Image as ImageIcon,
+  Message as MessageIcon,
+} from '@mui/icons-material';
+import axios from 'axios';
+import { useSocket } from '../contexts/SocketContext';
+
+const MESSAGE_STATUS_COLORS = {
+  scheduled: 'info',
+  sending: 'warning',
+  sent: 'success',
+  cancelled: 'default',
+  failed: 'error',
+};
+
+const DELIVERY_STATUS_COLORS = {
+  queued: 'default',
+  delivered: 'info',
+  displayed: 'success',
+  dismissed: 'success',
+  failed: 'error',
+  expired: 'warning',
+};
+
+const TARGET_TYPES = [
+  { value: 'all', label: 'All devices' },
+  { value: 'roomNumbers', label: 'Rooms' },
+  { value: 'floors', label: 'Floors' },
+  { value: 'roomTypes', label: 'Room types' },
+  { value: 'groupIds', label: 'Device groups' },
+  { value: 'deviceIds', label: 'Devices' },
+];
+
+// Targets typed as a comma separated list
+const TEXT_TARGET_TYPES = ['roomNumbers', 'floors', 'roomTypes'];
+const TEXT_TARGET_LABELS = { roomNumbers: 'Room Numbers', floors: 'Floors', roomTypes: 'Room Types' };
+const TEXT_TARGET_PLACEHOLDERS = { roomNumbers: '101, 102, 204', floors: '2, 3', roomTypes: 'suite, deluxe' };
+
+const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+const splitList = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+const describeTarget = (target, groups) => {
+  if (target.all) return 'All devices';
+  const parts = [];
+  if (target.roomNumbers?.length) parts.push(`Rooms ${target.roomNumbers.join(', ')}`);
+  if (target.floors?.length) parts.push(`Floors ${target.floors.join(', ')}`);
+  if (target.roomTypes?.length) parts.push(`Room types ${target.roomTypes.join(', ')}`);
+  if (target.groupIds?.length) {
+    parts.push(target.groupIds.map(id => groups.find(group => group.id === id)?.name || 'Deleted group').join(', '));
+  }
+  if (target.deviceIds?.length) parts.push(`${target.deviceIds.length} device(s)`);
+  return parts.join('; ') || '-';
+};
+
+const MessagesPage = () => {
+  const [messages, setMessages] = useState([]);
+  const [groups, setGroups] = useState([]);
+  const [devices, setDevices] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [activeTab, setActiveTab] = useState(0);
+  const [composeOpen, setComposeOpen] = useState(false);
+  const [detailMessage, setDetailMessage] = useState(null);
+  const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
+
+  const { socket } = useSocket();
+
+  useEffect(() => {
+    fetchData();
+
+    if (socket) {
+      socket.emit('admin:join-room', 'messages');
+      socket.on('message:created', handleMessageEvent);
+      socket.on('message:updated', handleMessageEvent);
+      socket.on('message:delivery-updated', handleMessageEvent);
+
+      return () => {
+        socket.off('message:created');
+        socket.off('message:updated');
+        socket.off('message:delivery-updated');
+      };
+    }
+  }, [socket]);
+
+  const fetchData = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const [messagesRes, groupsRes, devicesRes] = await Promise.all([
+        axios.get('/api/messages', { headers: authHeaders() }),
+        axios.get('/api/device-groups', { headers: authHeaders() }),
+        axios.get('/api/devices', { params: { status: 'approved' }, headers: authHeaders() })
+      ]);
+
+      setMessages(messagesRes.data?.data || []);
+      setGroups(groupsRes.data?.data || []);
+      setDevices(Array.isArray(devicesRes.data) ? devicesRes.data : (devicesRes.data?.data || []));
+    } catch (err) {
+      console.error('Error fetching messages:', err);
+      setError('Failed to load messages');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleMessageEvent = ({ message }) => {
+    setMessages(prev => {
+      const exists = prev.some(item => item.id === message.id);
+      return exists
+        ? prev.map(item => (item.id === message.id ? message : item))
+        : [message, ...prev];
+    });
+  };
+
+  const showSnackbar = (message, severity = 'success') => {
+    setSnackbar({ open: true, message, severity });
+  };
+
+  const handleCancel = async (message) => {
+    try {
+      const response = await axios.post(`/api/messages/${message.id}/cancel`, {}, { headers: authHeaders() });
+      handleMessageEvent({ message: response.data.data });
+      showSnackbar(response.data.message);
+    } catch (err) {
+      showSnackbar(err.response?.data?.message || 'Failed to cancel message', 'error');
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" alignItems="center" minHeight="400px">
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      {/* Header */}
+      <Box display="flex" justifyContent="space-between" alignItems="center" mb={3}>
+        <Typography variant="h4" component="h1">
+          Guest Messages
+        </Typography>
+        <Box display="flex" alignItems="center" gap={2}>
+          <Button
+            variant="outlined"
+            startIcon={<RefreshIcon />}
+            onClick={fetchData}
+          >
+            Refresh
+          </Button>
+          <Button
+            variant="contained"
+            startIcon={<AddIcon />}
+            onClick={() => setComposeOpen(true)}
+          >
+            New Message
+          </Button>
+        </Box>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }}>
+          {error}
+        </Alert>
+      )}
+
+      {/* Tabs */}
+      <Card sx={{ mb: 3 }}>
+        <CardContent>
+          <Tabs value={activeTab} onChange={(e, newValue) => setActiveTab(newValue)}>
+            <Tab label="Messages" />
+            <Tab label="Device Groups" />
+          </Tabs>
+        </CardContent>
+      </Card>
+
+      {activeTab === 0 && (
+        <MessageHistory
+          messages={messages}
+          groups={groups}
+          onView={setDetailMessage}
+          onCancel={handleCancel}
+        />
+      )}
+
+      {activeTab === 1 && (
+        <DeviceGroupsTab
+          groups={groups}
+          devices={devices}
+          onChanged={fetchData}
+          onSnackbar={showSnackbar}
+        />
+      )}
+
+      <ComposeDialog
+        open={composeOpen}
+        groups={groups}
+        devices={devices}
+        onClose={() => setComposeOpen(false)}
+        onSent={(message, text) => {
+          handleMessageEvent({ message });
+          showSnackbar(text);
+        }}
+        onSnackbar={showSnackbar}
+      />
+
+      <MessageDetailDialog
+        message={detailMessage}
+        onClose={() => setDetailMessage(null)}
+      />
+
+      {/* Snackbar */}
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={() => setSnackbar({ ...snackbar, open: false })}
+        message={snackbar.message}
+      />
+    </Box>
+  );
+};
+
+// Sent and scheduled messages with delivery progress
+const MessageHistory = ({ messages, groups, onView, onCancel }) => (
+  <Card>
+    <CardContent>
+      {messages.length === 0 ? (
+        <Box textAlign="center" py={4}>
+          <MessageIcon sx={{ fontSize: 64, color: 'text.secondary', mb: 2 }} />
+          <Typography variant="h6" color="text.secondary" gutterBottom>
+            No messages yet
+          </Typography>
+        </Box>
+      ) : (
+        <TableContainer>
+          <Table>
+            <TableHead>
+              <TableRow>
+                <TableCell>Message</TableCell>
+                <TableCell>Target</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell>Scheduled / Sent</TableCell>
+                <TableCell>Delivery</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {messages.map((message) => (
+                <TableRow key={message.id}>
+                  <TableCell sx={{ maxWidth: 320 }}>
+                    <Typography variant="subtitle2" noWrap>
+                      {message.title || message.body}
+                    </Typography>
+                    {message.title && (
+                      <Typography variant="body2" color="text.secondary" noWrap>
+                        {message.body}
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell>{describeTarget(message.target, groups)}</TableCell>
+                  <TableCell>
+                    <Chip
+                      label={message.status}
+                      size="small"
+                      color={MESSAGE_STATUS_COLORS[message.status] || 'default'}
+                    />
+                  </TableCell>
+                  <TableCell>
+                    {new Date(message.sentAt || message.scheduledAt).toLocaleString()}
+                  </TableCell>
+                  <TableCell>
+                    {message.stats.total > 0
+                      ? `${message.stats.displayed + message.stats.dismissed}/${message.stats.total} displayed`
+                      : '-'}
+                    {message.stats.failed > 0 && (
+                      <Typography variant="caption" color="error" display="block">
+                        {message.stats.failed} failed
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell align="right">
+                    <Tooltip title="Delivery details">
+                      <IconButton size="small" onClick={() => onView(message)}>
+                        <ViewIcon />
+                      </IconButton>
+                    </Tooltip>
+                    {message.status === 'scheduled' && (
+                      <Tooltip title="Cancel message">
+                        <IconButton size="small" onClick={() => onCancel(message)}>
+                          <CloseIcon />
+                        </IconButton>
+                      </Tooltip>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+    </CardContent>
+  </Card>
+);
+
+const EMPTY_MESSAGE = {
+  title: '',
+  body: '',
+  imageUrl: '',
+  ctaLabel: '',
+  ctaUrl: '',
+  priority: 'normal',
+  displaySeconds: 15,
+  targetType: 'roomNumbers',
+  targetText: '',
+  targetIds: [],
+  schedule: false,
+  scheduledAt: '',
+  ttlMinutes: 60,
+};
+
+// Composer: content, target and optional schedule
+const ComposeDialog = ({ open, groups, devices, onClose, onSent, onSnackbar }) => {
+  const [form, setForm] = useState(EMPTY_MESSAGE);
+  const [uploading, setUploading] = useState(false);
+  const [sending, setSending] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      setForm(EMPTY_MESSAGE);
+    }
+  }, [open]);
+
+  const update = (field) => (event) => {
+    setForm({ ...form, [field]: event.target.value });
+  };
+
+  const handleImageUpload = async (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+
+    try {
+      setUploading(true);
+      const data = new FormData();
+      data.append('image', file);
+      const response = await axios.post('/api/messages/images', data, {
+        headers: { ...authHeaders(), 'Content-Type': 'multipart/form-data' }
+      });
+      setForm(prev => ({ ...prev, imageUrl: response.data.data.imageUrl }));
+    } catch (err) {
+      onSnackbar(err.response?.data?.message || 'Failed to upload image', 'error');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const buildTarget = () => {
+    if (form.targetType === 'all') return { all: true };
+    if (TEXT_TARGET_TYPES.includes(form.targetType)) {
+      return { [form.targetType]: splitList(form.targetText) };
+    }
+    return { [form.targetType]: form.targetIds };
+  };
+
+  const handleSend = async () => {
+    try {
+      setSending(true);
+      const payload = {
+        title: form.title,
+        body: form.body,
+        imageUrl: form.imageUrl || null,
+        cta: form.ctaLabel || form.ctaUrl ? { label: form.ctaLabel, url: form.ctaUrl } : null,
+        priority: form.priority,
+        displayDuration: Number(form.displaySeconds) * 1000,
+        target: buildTarget(),
+        ttlMinutes: Number(form.ttlMinutes),
+        scheduledAt: form.schedule && form.scheduledAt ? new Date(form.scheduledAt).toISOString() : null
+      };
+
+      const response = await axios.post('/api/messages', payload, { headers: authHeaders() });
+      onSent(response.data.data, response.data.message);
+      onClose();
+    } catch (err) {
+      const validation = err.response?.data?.errors?.[0]?.msg;
+      onSnackbar(validation || err.response?.data?.message || 'Failed to send message', 'error');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const selectOptions = form.targetType === 'groupIds'
+    ? groups.map(group => ({ id: group.id, label: `${group.name} (${group.deviceCount})` }))
+    : devices.map(device => ({ id: device.id, label: device.roomNumber ? `Room ${device.roomNumber}` : device.uuid }));
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>New Message</DialogTitle>
+      <DialogContent>
+        <Grid container spacing={2} sx={{ mt: 0 }}>
+          <Grid item xs={12}>
+            <TextField
+              fullWidth
+              label="Title"
+              value={form.title}
+              onChange={update('title')}
+              inputProps={{ maxLength: 100 }}
+            />
+          </Grid>
+          <Grid item xs={12}>
+            <TextField
+              fullWidth
+              multiline
+              minRows={3}
+              label="Message"
+              value={form.body}
+              onChange={update('body')}
+              inputProps={{ maxLength: 1000 }}
+              required
+            />
+          </Grid>
+          <Grid item xs={12}>
+            <Box display="flex" alignItems="center" gap={2}>
+              <Button
+                variant="outlined"
+                component="label"
+                startIcon={uploading ? <CircularProgress size={16} /> : <ImageIcon />}
+                disabled={uploading}
+              >
+                {form.imageUrl ? 'Replace Image' : 'Attach Image'}
+                <input type="file" accept="image/*" hidden onChange={handleImageUpload} />
+              </Button>
+              {form.imageUrl && (
+                <>
+                  <Box component="img" src={form.imageUrl} alt="" sx={{ height: 48, borderRadius: 1 }} />
+                  <IconButton size="small" onClick={() => setForm({ ...form, imageUrl: '' })}>
+                    <CloseIcon />
+                  </IconButton>
+                </>
+              )}
+            </Box>
+          </Grid>
+          <Grid item xs={12} sm={6}>
+            <TextField
+              fullWidth
+              label="Button Label (optional)"
+              value={form.ctaLabel}
+              onChange={update('ctaLabel')}
+              inputProps={{ maxLength: 40 }}
+            />
+          </Grid>
+          <Grid item xs={12} sm={6}>
+            <TextField
+              fullWidth
+              label="Button URL"
+              value={form.ctaUrl}
+              onChange={update('ctaUrl')}
+              placeholder="https://"
+            />
+          </Grid>
+          <Grid item xs={12} sm={4}>
+            <TextField
+              select
+              fullWidth
+              label="Priority"
+              value={form.priority}
+              onChange={update('priority')}
+            >
+              <MenuItem value="normal">Normal</MenuItem>
+              <MenuItem value="high">High</MenuItem>
+            </TextField>
+          </Grid>
+          <Grid item xs={12} sm={4}>
+            <TextField
+              fullWidth
+              type="number"
+              label="Display Time (seconds)"
+              value={form.displaySeconds}
+              onChange={update('displaySeconds')}
+              helperText="0 keeps it on screen until dismissed"
+              inputProps={{ min: 0, max: 600 }}
+            />
+          </Grid>
+          <Grid item xs={12} sm={4}>
+            <TextField
+              fullWidth
+              type="number"
+              label="Valid For (minutes)"
+              value={form.ttlMinutes}
+              onChange={update('ttlMinutes')}
+              helperText="Offline TVs get it until then"
+              inputProps={{ min: 1 }}
+            />
+          </Grid>
+
+          <Grid item xs={12} sm={4}>
+            <TextField
+              select
+              fullWidth
+              label="Send To"
+              value={form.targetType}
+              onChange={(e) => setForm({ ...form, targetType: e.target.value, targetText: '', targetIds: [] })}
+            >
+              {TARGET_TYPES.map(type => (
+                <MenuItem key={type.value} value={type.value}>{type.label}</MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+          <Grid item xs={12} sm={8}>
+            {TEXT_TARGET_TYPES.includes(form.targetType) && (
+              <TextField
+                fullWidth
+                label={TEXT_TARGET_LABELS[form.targetType]}
+                value={form.targetText}
+                onChange={update('targetText')}
+                placeholder={TEXT_TARGET_PLACEHOLDERS[form.targetType]}
+                helperText="Comma separated"
+              />
+            )}
+            {['groupIds', 'deviceIds'].includes(form.targetType) && (
+              <FormControl fullWidth>
+                <InputLabel>{form.targetType === 'groupIds' ? 'Groups' : 'Devices'}</InputLabel>
+                <Select
+                  multiple
+                  value={form.targetIds}
+                  onChange={update('targetIds')}
+                  input={<OutlinedInput label={form.targetType === 'groupIds' ? 'Groups' : 'Devices'} />}
+                  renderValue={(selected) => selectOptions
+                    .filter(option => selected.includes(option.id))
+                    .map(option => option.label)
+                    .join(', ')}
+                >
+                  {selectOptions.map(option => (
+                    <MenuItem key={option.id} value={option.id}>{option.label}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            )}
+          </Grid>
+
+          <Grid item xs={12} sm={4}>
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={form.schedule}
+                  onChange={(e) => setForm({ ...form, schedule: e.target.checked })}
+                />
+              }
+              label="Schedule for later"
+            />
+          </Grid>
+          {form.schedule && (
+            <Grid item xs={12} sm={8}>
+              <TextField
+                fullWidth
+                type="datetime-local"
+                label="Send At"
+                value={form.scheduledAt}
+                onChange={update('scheduledAt')}
+                InputLabelProps={{ shrink: true }}
+              />
+            </Grid>
+          )}
+        </Grid>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={handleSend}
+          disabled={sending || !form.body.trim() || (form.schedule && !form.scheduledAt)}
+        >
+          {form.schedule ? 'Schedule' : 'Send Now'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+// Per-device delivery records of one message
+const MessageDetailDialog = ({ message, onClose }) => {
+  const [details, setDetails] = useState(null);
+
+  useEffect(() => {
+    if (!message) {
+      setDetails(null);
+      return;
+    }
+
+    axios.get(`/api/messages/${message.id}`, { headers: authHeaders() })
+      .then(response => setDetails(response.data.data))
+      .catch(err => console.error('Error fetching message details:', err));
+  }, [message]);
+
+  const formatTime = (value) => (value ? new Date(value).toLocaleTimeString() : '-');
+
+  return (
+    <Dialog open={!!message} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>{message?.title || 'Message Delivery'}</DialogTitle>
+      <DialogContent>
+        {!details ? (
+          <Box display="flex" justifyContent="center" py={4}>
+            <CircularProgress />
+          </Box>
+        ) : details.deliveries.length === 0 ? (
+          <Typography color="text.secondary">
+            {details.status === 'scheduled' ? 'Not sent yet.' : 'No devices matched the target.'}
+          </Typography>
+        ) : (
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Room</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell>Delivered</TableCell>
+                  <TableCell>Displayed</TableCell>
+                  <TableCell>Dismissed</TableCell>
+                  <TableCell>Error</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {details.deliveries.map((delivery) => (
+                  <TableRow key={delivery.deviceId}>
+                    <TableCell>{delivery.roomNumber || delivery.deviceUuid}</TableCell>
+                    <TableCell>
+                      <Chip
+                        label={delivery.status}
+                        size="small"
+                        color={DELIVERY_STATUS_COLORS[delivery.status] || 'default'}
+                      />
+                    </TableCell>
+                    <TableCell>{formatTime(delivery.deliveredAt)}</TableCell>
+                    <TableCell>{formatTime(delivery.displayedAt)}</TableCell>
+                    <TableCell>{formatTime(delivery.dismissedAt)}</TableCell>
+                    <TableCell>{delivery.error || '-'}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+// Named sets of devices that messages can target
+const DeviceGroupsTab = ({ groups, devices, onChanged, onSnackbar }) => {
+  const [dialog, setDialog] = useState({ open: false, group: null });
+  const [form, setForm] = useState({ name: '', description: '', deviceIds: [] });
+
+  const openDialog = (group = null) => {
+    setForm(group
+      ? { name: group.name, description: group.description || '', deviceIds: group.deviceIds }
+      : { name: '', description: '', deviceIds: [] });
+    setDialog({ open: true, group });
+  };
+
+  const handleSave = async () => {
+    try {
+      const response = dialog.group
+        ? await axios.put(`/api/device-groups/${dialog.group.id}`, form, { headers: authHeaders() })
+        : await axios.post('/api/device-groups', form, { headers: authHeaders() });
+      onSnackbar(response.data.message);
+      setDialog({ open: false, group: null });
+      onChanged();
+    } catch (err) {
+      onSnackbar(err.response?.data?.message || 'Failed to save device group', 'error');
+    }
+  };
+
+  const handleDelete = async (group) => {
+    if (!window.confirm(`Delete group "${group.name}"?`)) return;
+
+    try {
+      const response = await axios.delete(`/api/device-groups/${group.id}`, { headers: authHeaders() });
+      onSnackbar(response.data.message);
+      onChanged();
+    } catch (err) {
+      onSnackbar(err.response?.data?.message || 'Failed to delete device group', 'error');
+    }
+  };
+
+  const deviceLabel = (id) => {
+    const device = devices.find(item => item.id === id);
+    if (!device) return null;
+    return device.roomNumber ? `Room ${device.roomNumber}` : device.uuid;
+  };
+
+  return (
+    <Card>
+      <CardContent>
+        <Box display="flex" justifyContent="space-between" alignItems="center" mb={3}>
+          <Typography variant="h6">
+            Device Groups
+          </Typography>
+          <Button
+            variant="contained"
+            startIcon={<AddIcon />}
+            onClick={() => openDialog()}
+          >
+            New Group
+          </Button>
+        </Box>
+
+        {groups.length === 0 ? (
+          <Typography color="text.secondary">
+            No device groups yet. Groups let you message a set of TVs (e.g. suites, lobby screens) at once.
+          </Typography>
+        ) : (
+          <TableContainer>
+            <Table>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Name</TableCell>
+                  <TableCell>Description</TableCell>
+                  <TableCell>Devices</TableCell>
+                  <TableCell align="right">Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {groups.map((group) => (
+                  <TableRow key={group.id}>
+                    <TableCell>{group.name}</TableCell>
+                    <TableCell>{group.description || '-'}</TableCell>
+                    <TableCell>{group.deviceCount}</TableCell>
+                    <TableCell align="right">
+                      <Tooltip title="Edit group">
+                        <IconButton size="small" onClick={() => openDialog(group)}>
+                          <EditIcon />
+                        </IconButton>
+                      </Tooltip>
+                      <Tooltip title="Delete group">
+                        <IconButton size="small" color="error" onClick={() => handleDelete(group)}>
+                          <DeleteIcon />
+                        </IconButton>
+                      </Tooltip>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </CardContent>
+
+      <Dialog open={dialog.open} onClose={() => setDialog({ open: false, group: null })} maxWidth="sm" fullWidth>
+        <DialogTitle>{dialog.group ? 'Edit Device Group' : 'New Device Group'}</DialogTitle>
+        <DialogContent>
+          <TextField
+            fullWidth
+            label="Name"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            margin="normal"
+            required
+          />
+          <TextField
+            fullWidth
+            label="Description"
+            value={form.description}
+            onChange={(e) => setForm({ ...form, description: e.target.value })}
+            margin="normal"
+          />
+          <FormControl fullWidth margin="normal">
+            <InputLabel>Devices</InputLabel>
+            <Select
+              multiple
+              value={form.deviceIds}
+              onChange={(e) => setForm({ ...form, deviceIds: e.target.value })}
+              input={<OutlinedInput label="Devices" />}
+              renderValue={(selected) => selected.map(deviceLabel).filter(Boolean).join(', ')}
+            >
+              {devices.map(device => (
+                <MenuItem key={device.id} value={device.id}>
+                  {device.roomNumber ? `Room ${device.roomNumber}` : device.uuid}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDialog({ open: false, group: null })}>Cancel</Button>
+          <Button variant="contained" onClick={handleSave} disabled={!form.name.trim()}>
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Card>
+  );
+};
+
+export default MessagesPage;
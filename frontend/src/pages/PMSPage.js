@@ -24,6 +24,8 @@ import {
   InputLabel,
   Select,
   Switch,
+  Checkbox,
+  FormGroup,
   FormControlLabel,
   Snackbar,
   List,
@@ -59,6 +61,9 @@ import {
   Edit as EditIcon,
   Save as SaveIcon,
   RestoreFromTrash as RestoreIcon,
+  Send as ForwardIcon,
+  Done as DoneIcon,
+  Close as CloseIcon,
 } from '@mui/icons-material';
 import axios from 'axios';
 import { useSocket } from '../contexts/SocketContext';
@@ -69,6 +74,7 @@ const PMSPage = () => {
   const [guests, setGuests] = useState([]);
   const [reservations, setReservations] = useState([]);
   const [syncHistory, setSyncHistory] = useState([]);
+  const [checkoutRequests, setCheckoutRequests] = useState([]);
   const [loading, setLoading] = useState(true);
   const [syncing, setSyncing] = useState(false);
   const [error, setError] = useState(null);
@@ -81,18 +87,20 @@ const PMSPage = () => {
   const { user } = useAuth();
 
   // Tab labels
-  const tabLabels = ['Dashboard', 'Guests', 'Configuration', 'Sync History'];
+  const tabLabels = ['Dashboard', 'Guests', 'Checkout Requests', 'Configuration', 'Sync History', 'Message Triggers'];
 
   useEffect(() => {
     fetchData();
     
     // Socket event listeners for real-time updates
     if (socket) {
+      socket.emit('admin:join-room', 'pms');
       socket.on('pms:sync-started', handleSyncStarted);
       socket.on('pms:sync-completed', handleSyncCompleted);
       socket.on('pms:sync-failed', handleSyncFailed);
       socket.on('pms:guest-checkin', handleGuestCheckin);
       socket.on('pms:guest-checkout', handleGuestCheckout);
+      socket.on('pms:checkout-request', handleCheckoutRequest);
 
       return () => {
         socket.off('pms:sync-started');
@@ -100,6 +108,7 @@ const PMSPage = () => {
         socket.off('pms:sync-failed');
         socket.off('pms:guest-checkin');
         socket.off('pms:guest-checkout');
+        socket.off('pms:checkout-request');
       };
     }
   }, [socket]);
@@ -109,7 +118,7 @@ const PMSPage = () => {
       setLoading(true);
       setError(null);
       
-      const [configRes, guestsRes, reservationsRes, historyRes] = await Promise.all([
+      const [configRes, guestsRes, reservationsRes, historyRes, checkoutRes] = await Promise.all([
         axios.get('/api/pms/config', {
           headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
         }),
@@ -121,6 +130,9 @@ const PMSPage = () => {
         }),
         axios.get('/api/pms/sync-history', {
           headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
+        }),
+        axios.get('/api/pms/checkout-requests', {
+          headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
         })
       ]);
 
@@ -129,6 +141,7 @@ const PMSPage = () => {
       setGuests(Array.isArray(guestsRes.data) ? guestsRes.data : (guestsRes.data?.data || []));
       setReservations(Array.isArray(reservationsRes.data) ? reservationsRes.data : (reservationsRes.data?.data || []));
       setSyncHistory(Array.isArray(historyRes.data) ? historyRes.data : (historyRes.data?.data || []));
+      setCheckoutRequests(checkoutRes.data?.data || []);
     } catch (err) {
       console.error('Error fetching PMS data:', err);
       setError('Failed to load PMS data');
@@ -136,6 +149,7 @@ const PMSPage = () => {
       setGuests([]);
       setReservations([]);
       setSyncHistory([]);
+      setCheckoutRequests([]);
     } finally {
       setLoading(false);
     }
@@ -150,7 +164,7 @@ const PMSPage = () => {
   const handleSyncCompleted = (data) => {
     setSyncing(false);
     fetchData(); // Refresh all data
-    showSnackbar(`PMS sync completed: ${data.guestsSync} guests synced`, 'success');
+    showSnackbar(`PMS sync completed: ${data.guestsCount} guests synced`, 'success');
   };
 
   const handleSyncFailed = (data) => {
@@ -168,6 +182,17 @@ const PMSPage = () => {
     showSnackbar(`Guest checked out: Room ${data.room_number}`, 'info');
   };
 
+  const handleCheckoutRequest = (request) => {
+    setCheckoutRequests(prev => {
+      const exists = prev.some(item => item.id === request.id);
+      if (!exists) {
+        showSnackbar(`Express checkout requested: Room ${request.roomNumber}`, 'info');
+        return [request, ...prev];
+      }
+      return prev.map(item => (item.id === request.id ? request : item));
+    });
+  };
+
   const showSnackbar = (message, severity = 'success') => {
     setSnackbar({ open: true, message, severity });
   };
@@ -285,6 +310,15 @@ const PMSPage = () => {
       )}
 
       {activeTab === 2 && (
+        <CheckoutRequestsTab
+          requests={checkoutRequests}
+          onUpdated={handleCheckoutRequest}
+          onRefresh={fetchData}
+          onSnackbar={showSnackbar}
+        />
+      )}
+
+      {activeTab === 3 && (
         <ConfigurationTab
           pmsConfig={pmsConfig}
           onSave={fetchData}
@@ -293,13 +327,17 @@ const PMSPage = () => {
         />
       )}
 
-      {activeTab === 3 && (
+      {activeTab === 4 && (
         <SyncHistoryTab
           syncHistory={syncHistory}
           onRefresh={fetchData}
         />
       )}
 
+      {activeTab === 5 && (
+        <MessageTriggersTab onSnackbar={showSnackbar} />
+      )}
+
       {/* Configuration Dialog */}
       <PMSConfigDialog
         open={configDialog}
@@ -323,14 +361,14 @@ const PMSPage = () => {
 
 // Dashboard Tab Component
 const DashboardTab = ({ pmsConfig, guests, reservations, onTestConnection, onRefresh }) => {
-  const activeGuests = guests.filter(guest => guest.status === 'checked_in');
+  const activeGuests = guests.filter(guest => guest.status === 'in-house');
   const todayCheckIns = guests.filter(guest => {
-    const checkIn = new Date(guest.check_in_date);
+    const checkIn = new Date(guest.arrivalDate);
     const today = new Date();
     return checkIn.toDateString() === today.toDateString();
   });
   const todayCheckOuts = reservations.filter(res => {
-    const checkOut = new Date(res.check_out_date);
+    const checkOut = new Date(res.departureDate);
     const today = new Date();
     return checkOut.toDateString() === today.toDateString();
   });
@@ -442,12 +480,12 @@ const DashboardTab = ({ pmsConfig, guests, reservations, onTestConnection, onRef
                   </ListItemIcon>
                   <ListItemText
                     primary={guest.name}
-                    secondary={`Room ${guest.room_number} • ${guest.status}`}
+                    secondary={`Room ${guest.roomNumber || '-'} • ${guest.status || 'unknown'}`}
                   />
                   <Chip
-                    label={guest.status === 'checked_in' ? 'Active' : 'Checkout'}
+                    label={guest.status === 'in-house' ? 'Active' : 'Checkout'}
                     size="small"
-                    color={guest.status === 'checked_in' ? 'success' : 'default'}
+                    color={guest.status === 'in-house' ? 'success' : 'default'}
                   />
                 </ListItem>
               ))}
@@ -505,29 +543,31 @@ const GuestsTab = ({ guests, reservations, onRefresh }) => {
                   <TableCell>Check-in</TableCell>
                   <TableCell>Check-out</TableCell>
                   <TableCell>Status</TableCell>
-                  <TableCell align="right">Bill Total</TableCell>
+                  <TableCell align="right">Balance</TableCell>
                 </TableRow>
               </TableHead>
               <TableBody>
                 {guests.map((guest) => (
                   <TableRow key={guest.id}>
                     <TableCell>{guest.name}</TableCell>
-                    <TableCell>{guest.room_number}</TableCell>
+                    <TableCell>{guest.roomNumber || '-'}</TableCell>
                     <TableCell>
-                      {guest.check_in_date ? new Date(guest.check_in_date).toLocaleDateString() : 'N/A'}
+                      {guest.arrivalDate ? new Date(guest.arrivalDate).toLocaleDateString() : 'N/A'}
                     </TableCell>
                     <TableCell>
-                      {guest.check_out_date ? new Date(guest.check_out_date).toLocaleDateString() : 'N/A'}
+                      {guest.departureDate ? new Date(guest.departureDate).toLocaleDateString() : 'N/A'}
                     </TableCell>
                     <TableCell>
                       <Chip
-                        label={guest.status}
+                        label={guest.status || 'unknown'}
                         size="small"
-                        color={guest.status === 'checked_in' ? 'success' : 'default'}
+                        color={guest.status === 'in-house' ? 'success' : 'default'}
                       />
                     </TableCell>
                     <TableCell align="right">
-                      {guest.bill_total ? `$${guest.bill_total.toFixed(2)}` : 'N/A'}
+                      {guest.balance !== null && guest.balance !== undefined
+                        ? `${guest.balance.toFixed(2)} ${guest.currency || ''}`
+                        : 'N/A'}
                     </TableCell>
                   </TableRow>
                 ))}
@@ -630,6 +670,147 @@ const ConfigurationTab = ({ pmsConfig, onSave, onSnackbar, user }) => {
   );
 };
 
+const CHECKOUT_STATUS_COLORS = {
+  pending: 'info',
+  forwarded: 'warning',
+  completed: 'success',
+  failed: 'error',
+  cancelled: 'default'
+};
+
+// Checkout Requests Tab Component (front-desk queue)
+const CheckoutRequestsTab = ({ requests, onUpdated, onRefresh, onSnackbar }) => {
+  const [busy, setBusy] = useState(null);
+
+  const runAction = async (request, action) => {
+    try {
+      setBusy(request.id);
+      const headers = { Authorization: `Bearer ${localStorage.getItem('token')}` };
+      const response = action === 'forward'
+        ? await axios.post(`/api/pms/checkout-requests/${request.id}/forward`, {}, { headers })
+        : await axios.put(`/api/pms/checkout-requests/${request.id}`, { status: action }, { headers });
+
+      onUpdated(response.data.data);
+      onSnackbar(response.data.message, response.data.success ? 'success' : 'warning');
+    } catch (err) {
+      onSnackbar(err.response?.data?.message || 'Failed to update checkout request', 'error');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  return (
+    <Card>
+      <CardContent>
+        <Box display="flex" justifyContent="space-between" alignItems="center" mb={3}>
+          <Typography variant="h6">
+            Express Checkout Requests
+          </Typography>
+          <Button
+            variant="outlined"
+            startIcon={<RefreshIcon />}
+            onClick={onRefresh}
+          >
+            Refresh
+          </Button>
+        </Box>
+
+        {requests.length === 0 ? (
+          <Box textAlign="center" py={4}>
+            <BillingIcon sx={{ fontSize: 64, color: 'text.secondary', mb: 2 }} />
+            <Typography variant="h6" color="text.secondary" gutterBottom>
+              No checkout requests
+            </Typography>
+          </Box>
+        ) : (
+          <TableContainer>
+            <Table>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Requested</TableCell>
+                  <TableCell>Room</TableCell>
+                  <TableCell>Guest</TableCell>
+                  <TableCell align="right">Balance</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell>Details</TableCell>
+                  <TableCell align="right">Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {requests.map((request) => {
+                  const open = ['pending', 'forwarded', 'failed'].includes(request.status);
+                  return (
+                    <TableRow key={request.id}>
+                      <TableCell>{new Date(request.requestedAt).toLocaleString()}</TableCell>
+                      <TableCell>{request.roomNumber}</TableCell>
+                      <TableCell>{request.guestName || '-'}</TableCell>
+                      <TableCell align="right">
+                        {request.balance !== null && request.balance !== undefined
+                          ? `${request.balance.toFixed(2)} ${request.currency || ''}`
+                          : 'N/A'}
+                      </TableCell>
+                      <TableCell>
+                        <Chip
+                          label={request.status}
+                          size="small"
+                          color={CHECKOUT_STATUS_COLORS[request.status] || 'default'}
+                        />
+                      </TableCell>
+                      <TableCell>{request.error || request.notes || '-'}</TableCell>
+                      <TableCell align="right">
+                        {['pending', 'failed'].includes(request.status) && (
+                          <Tooltip title="Forward to PMS">
+                            <span>
+                              <IconButton
+                                size="small"
+                                disabled={busy === request.id}
+                                onClick={() => runAction(request, 'forward')}
+                              >
+                                <ForwardIcon />
+                              </IconButton>
+                            </span>
+                          </Tooltip>
+                        )}
+                        {open && (
+                          <>
+                            <Tooltip title="Mark completed">
+                              <span>
+                                <IconButton
+                                  size="small"
+                                  color="success"
+                                  disabled={busy === request.id}
+                                  onClick={() => runAction(request, 'completed')}
+                                >
+                                  <DoneIcon />
+                                </IconButton>
+                              </span>
+                            </Tooltip>
+                            <Tooltip title="Cancel request">
+                              <span>
+                                <IconButton
+                                  size="small"
+                                  disabled={busy === request.id}
+                                  onClick={() => runAction(request, 'cancelled')}
+                                >
+                                  <CloseIcon />
+                                </IconButton>
+                              </span>
+                            </Tooltip>
+                          </>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
 // Sync History Tab Component
 const SyncHistoryTab = ({ syncHistory, onRefresh }) => {
   return (
@@ -669,10 +850,10 @@ const SyncHistoryTab = ({ syncHistory, onRefresh }) => {
                 </TableRow>
               </TableHead>
               <TableBody>
-                {syncHistory.map((sync, index) => (
-                  <TableRow key={index}>
+                {syncHistory.map((sync) => (
+                  <TableRow key={sync.id}>
                     <TableCell>
-                      {new Date(sync.timestamp).toLocaleString()}
+                      {new Date(sync.startedAt).toLocaleString()}
                     </TableCell>
                     <TableCell>
                       <Chip
@@ -681,10 +862,144 @@ const SyncHistoryTab = ({ syncHistory, onRefresh }) => {
                         color={sync.status === 'success' ? 'success' : 'error'}
                       />
                     </TableCell>
-                    <TableCell>{sync.guests_synced || 0}</TableCell>
-                    <TableCell>{sync.duration || 'N/A'}</TableCell>
-                    <TableCell>{sync.triggered_by || 'System'}</TableCell>
-                    <TableCell>{sync.notes || '-'}</TableCell>
+                    <TableCell>{sync.guestsSynced || 0}</TableCell>
+                    <TableCell>{sync.duration !== null && sync.duration !== undefined ? `${(sync.duration / 1000).toFixed(1)}s` : 'N/A'}</TableCell>
+                    <TableCell>{sync.triggeredBy || 'System'}</TableCell>
+                    <TableCell>{sync.status === 'error' || sync.errors > 0 ? sync.message : '-'}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+const TRIGGER_OUTCOME_COLORS = {
+  scheduled: 'info',
+  sent: 'success',
+  skipped: 'warning',
+  failed: 'error'
+};
+
+// Message Triggers Tab Component: why a room did or didn't get its welcome/farewell
+const MessageTriggersTab = ({ onSnackbar }) => {
+  const [triggers, setTriggers] = useState([]);
+  const [filters, setFilters] = useState({ roomNumber: '', type: '', outcome: '' });
+  const [loading, setLoading] = useState(false);
+
+  const fetchTriggers = async () => {
+    try {
+      setLoading(true);
+      const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+      const response = await axios.get('/api/pms/message-triggers', {
+        params,
+        headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
+      });
+      setTriggers(response.data.data.triggers || []);
+    } catch (err) {
+      onSnackbar('Failed to load message triggers', 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchTriggers();
+  }, [filters.type, filters.outcome]);
+
+  return (
+    <Card>
+      <CardContent>
+        <Box display="flex" justifyContent="space-between" alignItems="center" mb={3} gap={2} flexWrap="wrap">
+          <Typography variant="h6">
+            Welcome &amp; Farewell Triggers
+          </Typography>
+          <Box display="flex" gap={2} alignItems="center">
+            <TextField
+              size="small"
+              label="Room"
+              value={filters.roomNumber}
+              onChange={(e) => setFilters({ ...filters, roomNumber: e.target.value })}
+              onKeyDown={(e) => e.key === 'Enter' && fetchTriggers()}
+            />
+            <FormControl size="small" sx={{ minWidth: 120 }}>
+              <InputLabel>Type</InputLabel>
+              <Select
+                value={filters.type}
+                label="Type"
+                onChange={(e) => setFilters({ ...filters, type: e.target.value })}
+              >
+                <MenuItem value="">All</MenuItem>
+                <MenuItem value="welcome">Welcome</MenuItem>
+                <MenuItem value="farewell">Farewell</MenuItem>
+              </Select>
+            </FormControl>
+            <FormControl size="small" sx={{ minWidth: 120 }}>
+              <InputLabel>Outcome</InputLabel>
+              <Select
+                value={filters.outcome}
+                label="Outcome"
+                onChange={(e) => setFilters({ ...filters, outcome: e.target.value })}
+              >
+                <MenuItem value="">All</MenuItem>
+                {Object.keys(TRIGGER_OUTCOME_COLORS).map(outcome => (
+                  <MenuItem key={outcome} value={outcome}>{outcome}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            <Button
+              variant="outlined"
+              startIcon={<RefreshIcon />}
+              onClick={fetchTriggers}
+              disabled={loading}
+            >
+              Refresh
+            </Button>
+          </Box>
+        </Box>
+
+        {loading && <LinearProgress sx={{ mb: 2 }} />}
+
+        {triggers.length === 0 ? (
+          <Box textAlign="center" py={4}>
+            <GuestIcon sx={{ fontSize: 64, color: 'text.secondary', mb: 2 }} />
+            <Typography variant="h6" color="text.secondary" gutterBottom>
+              No message triggers recorded
+            </Typography>
+          </Box>
+        ) : (
+          <TableContainer>
+            <Table>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Date/Time</TableCell>
+                  <TableCell>Room</TableCell>
+                  <TableCell>Guest</TableCell>
+                  <TableCell>Reservation</TableCell>
+                  <TableCell>Type</TableCell>
+                  <TableCell>Outcome</TableCell>
+                  <TableCell>Reason</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {triggers.map((trigger, index) => (
+                  <TableRow key={`${trigger.reservationId}-${trigger.at}-${index}`}>
+                    <TableCell>{new Date(trigger.at).toLocaleString()}</TableCell>
+                    <TableCell>{trigger.roomNumber || '-'}</TableCell>
+                    <TableCell>{trigger.guestName || '-'}</TableCell>
+                    <TableCell>{trigger.reservationId}</TableCell>
+                    <TableCell>{trigger.type}{trigger.locale ? ` (${trigger.locale})` : ''}</TableCell>
+                    <TableCell>
+                      <Chip
+                        label={trigger.outcome}
+                        size="small"
+                        color={TRIGGER_OUTCOME_COLORS[trigger.outcome] || 'default'}
+                      />
+                    </TableCell>
+                    <TableCell>{trigger.message || trigger.reason}</TableCell>
                   </TableRow>
                 ))}
               </TableBody>
@@ -696,29 +1011,48 @@ const SyncHistoryTab = ({ syncHistory, onRefresh }) => {
   );
 };
 
+// Guest fields the launcher may show on the TV (guest_screen_fields)
+const GUEST_SCREEN_FIELDS = [
+  { value: 'name', label: 'Name' },
+  { value: 'salutation', label: 'Salutation' },
+  { value: 'language', label: 'Language' },
+  { value: 'stayDates', label: 'Arrival & departure' },
+  { value: 'loyaltyTier', label: 'Loyalty tier' },
+  { value: 'balance', label: 'Folio balance' }
+];
+
 // PMS Configuration Dialog
 const PMSConfigDialog = ({ open, config, onClose, onSave, onSnackbar, user }) => {
   const [formData, setFormData] = useState({
+    vendor: 'opera',
     base_url: '',
     sync_interval: 15,
     auto_sync: true,
     enable_welcome_messages: true,
-    enable_farewell_messages: true
+    enable_farewell_messages: true,
+    guest_screen_fields: ['name', 'salutation', 'language', 'stayDates']
   });
   const [submitting, setSubmitting] = useState(false);
 
   useEffect(() => {
     if (config) {
       setFormData({
+        vendor: config.vendor || 'opera',
         base_url: config.base_url || '',
         sync_interval: config.sync_interval || 15,
         auto_sync: config.auto_sync || true,
         enable_welcome_messages: config.enable_welcome_messages || true,
-        enable_farewell_messages: config.enable_farewell_messages || true
+        enable_farewell_messages: config.enable_farewell_messages || true,
+        guest_screen_fields: config.guest_screen_fields || ['name', 'salutation', 'language', 'stayDates']
       });
     }
   }, [config]);
 
+  const toggleScreenField = (field, checked) => {
+    const fields = formData.guest_screen_fields.filter(value => value !== field);
+    setFormData({ ...formData, guest_screen_fields: checked ? [...fields, field] : fields });
+  };
+
   const handleSave = async () => {
     if (user.role !== 'super_admin') {
       onSnackbar('Only super admin can modify PMS configuration', 'error');
@@ -746,14 +1080,28 @@ const PMSConfigDialog = ({ open, config, onClose, onSave, onSnackbar, user }) =>
       <DialogTitle>PMS Configuration</DialogTitle>
       <DialogContent>
         <Grid container spacing={3}>
-          <Grid item xs={12}>
+          <Grid item xs={12} md={4}>
+            <FormControl fullWidth margin="dense">
+              <InputLabel>PMS Vendor</InputLabel>
+              <Select
+                value={formData.vendor}
+                label="PMS Vendor"
+                onChange={(e) => setFormData({ ...formData, vendor: e.target.value })}
+              >
+                <MenuItem value="opera">Opera (OHIP-style)</MenuItem>
+                <MenuItem value="mews">Mews (Connector-style)</MenuItem>
+                <MenuItem value="generic">Generic REST</MenuItem>
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12} md={8}>
             <TextField
               fullWidth
               label="PMS Base URL"
               value={formData.base_url}
               onChange={(e) => setFormData({ ...formData, base_url: e.target.value })}
               margin="dense"
-              helperText="Opera PMS API base URL (e.g., http://192.168.1.200:7001/api)"
+              helperText="PMS API base URL (e.g., http://192.168.1.200:7001/api)"
             />
           </Grid>
           <Grid item xs={12} md={6}>
@@ -803,6 +1151,28 @@ const PMSConfigDialog = ({ open, config, onClose, onSave, onSnackbar, user }) =>
               sx={{ display: 'block' }}
             />
           </Grid>
+          <Grid item xs={12}>
+            <Typography variant="h6" gutterBottom>
+              Guest Privacy
+            </Typography>
+            <Typography variant="body2" color="text.secondary" gutterBottom>
+              Guest details the TV in the room may display
+            </Typography>
+            <FormGroup row>
+              {GUEST_SCREEN_FIELDS.map(field => (
+                <FormControlLabel
+                  key={field.value}
+                  control={
+                    <Checkbox
+                      checked={formData.guest_screen_fields.includes(field.value)}
+                      onChange={(e) => toggleScreenField(field.value, e.target.checked)}
+                    />
+                  }
+                  label={field.label}
+                />
+              ))}
+            </FormGroup>
+          </Grid>
         </Grid>
       </DialogContent>
       <DialogActions>
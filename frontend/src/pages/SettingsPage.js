@@ -599,32 +599,162 @@ const UsersTab = ({ users, currentUser, onEdit, onDelete, onCreate }) => {
 };
 
 // Messages Tab
-const MessagesTab = ({ settings, onSave, onSnackbar, saving }) => {
-  const [templates, setTemplates] = useState({
-    welcome_message: '',
-    farewell_message: ''
+const MESSAGE_TYPES = [
+  { key: 'welcome', label: 'Welcome Message' },
+  { key: 'farewell', label: 'Farewell Message' }
+];
+
+// Older installs stored one string per message type; treat it as the default locale
+const normalizeMessageTemplates = (value) => {
+  const source = value && typeof value === 'object' ? value : {};
+  const defaultLocale = source.defaultLocale || 'en';
+  const templates = { defaultLocale };
+
+  MESSAGE_TYPES.forEach(({ key }) => {
+    const entry = source[key];
+    templates[key] = typeof entry === 'string' ? { [defaultLocale]: entry } : { ...(entry || {}) };
   });
 
+  return templates;
+};
+
+// Rendered template with sample guest data for the locale, refreshed as the admin types
+const TemplatePreview = ({ template, locale }) => {
+  const [preview, setPreview] = useState('');
+  const [problems, setProblems] = useState([]);
+
   useEffect(() => {
-    setTemplates({
-      welcome_message: settings.welcome_message_template || 'Welcome, {{guest_name}}! We hope you enjoy your stay in room {{room_number}}.',
-      farewell_message: settings.farewell_message_template || 'Dear {{guest_name}}, we hope you had a great stay. Checkout is at {{check_out_time}}. Safe travels!'
-    });
+    if (!template) {
+      setPreview('');
+      setProblems([]);
+      return undefined;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await axios.post('/api/settings/message-templates/preview', {
+          template,
+          locale
+        }, {
+          headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
+        });
+        setPreview(response.data.data.preview);
+        setProblems(response.data.data.errors || []);
+      } catch (err) {
+        setPreview('');
+        setProblems(err.response?.data?.errors || [{ message: 'Preview unavailable' }]);
+      }
+    }, 400);
+
+    return () => clearTimeout(timer);
+  }, [template, locale]);
+
+  return (
+    <Paper variant="outlined" sx={{ p: 2, mt: 1, bgcolor: 'grey.50' }}>
+      <Typography variant="caption" color="text.secondary">
+        Preview ({locale})
+      </Typography>
+      <Typography variant="body2">
+        {preview || '—'}
+      </Typography>
+      {problems.map((problem, index) => (
+        <Typography key={index} variant="caption" color="error" display="block">
+          {problem.message}
+        </Typography>
+      ))}
+    </Paper>
+  );
+};
+
+const MessagesTab = ({ settings, onSave, onSnackbar, saving }) => {
+  const [templates, setTemplates] = useState(normalizeMessageTemplates(null));
+  const [selectedLocale, setSelectedLocale] = useState('en');
+  const [newLocale, setNewLocale] = useState('');
+
+  useEffect(() => {
+    const normalized = normalizeMessageTemplates(settings.guest_message_templates);
+    setTemplates(normalized);
+    setSelectedLocale(prev => (getLocales(normalized).includes(prev) ? prev : normalized.defaultLocale));
   }, [settings]);
 
-  const handleSaveTemplate = (key, value) => {
-    setTemplates(prev => ({ ...prev, [key]: value }));
-    onSave(`${key}_template`, value);
+  const getLocales = (value) => {
+    const locales = new Set([value.defaultLocale]);
+    MESSAGE_TYPES.forEach(({ key }) => Object.keys(value[key] || {}).forEach(locale => locales.add(locale)));
+    return Array.from(locales).sort();
   };
 
-  const resetToDefault = (key) => {
-    const defaults = {
-      welcome_message: 'Welcome, {{guest_name}}! We hope you enjoy your stay in room {{room_number}}.',
-      farewell_message: 'Dear {{guest_name}}, we hope you had a great stay. Checkout is at {{check_out_time}}. Safe travels!'
-    };
-    
-    setTemplates(prev => ({ ...prev, [key]: defaults[key] }));
-    onSave(`${key}_template`, defaults[key]);
+  const locales = getLocales(templates);
+
+  const saveTemplates = (next) => {
+    setTemplates(next);
+    onSave('guest_message_templates', next);
+  };
+
+  // Templates with syntax errors or unknown variables are kept in the editor but not saved
+  const handleTemplateBlur = async (type) => {
+    const template = templates[type][selectedLocale];
+    if (template) {
+      try {
+        const response = await axios.post('/api/settings/message-templates/validate', {
+          template
+        }, {
+          headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
+        });
+        const { valid, errors } = response.data.data;
+        if (!valid) {
+          onSnackbar(`Template not saved: ${errors.map(error => error.message).join(', ')}`, 'error');
+          return;
+        }
+      } catch (err) {
+        onSnackbar('Failed to validate template', 'error');
+        return;
+      }
+    }
+
+    saveTemplates(templates);
+  };
+
+  const handleTemplateChange = (type, value) => {
+    setTemplates(prev => ({ ...prev, [type]: { ...prev[type], [selectedLocale]: value } }));
+  };
+
+  const handleAddLocale = () => {
+    const locale = newLocale.trim().toLowerCase().replace(/_/g, '-');
+    if (!/^[a-z]{2,3}(-[a-z0-9]{2,8})?$/.test(locale)) {
+      onSnackbar('Enter a language code such as "de" or "pt-br"', 'error');
+      return;
+    }
+    if (locales.includes(locale)) {
+      setSelectedLocale(locale);
+      setNewLocale('');
+      return;
+    }
+
+    // Start the new locale from the default locale's text so there is something to translate
+    const next = { ...templates };
+    MESSAGE_TYPES.forEach(({ key }) => {
+      next[key] = { ...next[key], [locale]: next[key][templates.defaultLocale] || '' };
+    });
+    saveTemplates(next);
+    setSelectedLocale(locale);
+    setNewLocale('');
+  };
+
+  const handleRemoveLocale = (locale) => {
+    if (locale === templates.defaultLocale) {
+      onSnackbar('The default locale cannot be removed', 'error');
+      return;
+    }
+
+    if (window.confirm(`Remove the "${locale}" templates?`)) {
+      const next = { ...templates };
+      MESSAGE_TYPES.forEach(({ key }) => {
+        const { [locale]: removed, ...rest } = next[key];
+        next[key] = rest;
+      });
+      saveTemplates(next);
+      setSelectedLocale(templates.defaultLocale);
+    }
   };
 
   return (
@@ -636,62 +766,87 @@ const MessagesTab = ({ settings, onSave, onSnackbar, saving }) => {
               Guest Message Templates
             </Typography>
             <Typography variant="body2" color="text.secondary" gutterBottom>
-              Preview: Welcome, {'{{guest_name}}'} ! We hope you enjoy your stay in room {'{{room_number}}'} . Check-in: {'{{check_in_time}}'} , Check-out: {'{{check_out_time}}'} .
+              Templates are chosen by the guest language from the PMS (e.g. pt-br, then pt), falling back to the
+              default locale. Variables: {'{{guest_name}}'}, {'{{guest_first_name}}'}, {'{{guest_salutation}}'}, {'{{room_number}}'},
+              {' {{loyalty_tier}}'}, {'{{is_vip}}'}, {'{{check_in}}'}, {'{{check_out}}'}, {'{{check_in_time}}'}, {'{{check_out_time}}'},
+              {' {{nights}}'}, {'{{balance}}'}, {'{{currency}}'}, {'{{hotel_name}}'}.
+            </Typography>
+            <Typography variant="body2" color="text.secondary" gutterBottom>
+              Formatting: {'{{check_out | date:long}}'}, {'{{check_out | time}}'}, {'{{balance | currency}}'}, {'{{guest_salutation | default:"Dear guest"}}'}.
+              Conditions: {'{{#if loyalty_tier in ["gold", "platinum"]}}...{{else}}...{{/if}}'}.
             </Typography>
 
-            <Accordion sx={{ mt: 2 }}>
-              <AccordionSummary expandIcon={<ExpandMoreIcon />}>
-                <Typography>Welcome Message</Typography>
-              </AccordionSummary>
-              <AccordionDetails>
-                <TextField
-                  fullWidth
-                  label="Welcome Message Template"
-                  multiline
-                  rows={4}
-                  value={templates.welcome_message}
-                  onChange={(e) => setTemplates({ ...templates, welcome_message: e.target.value })}
-                  onBlur={(e) => handleSaveTemplate('welcome_message', e.target.value)}
-                  margin="normal"
-                />
-                <Box mt={2}>
-                  <Button
-                    variant="outlined"
-                    size="small"
-                    onClick={() => resetToDefault('welcome_message')}
-                  >
-                    Reset to Default
-                  </Button>
-                </Box>
-              </AccordionDetails>
-            </Accordion>
-
-            <Accordion>
-              <AccordionSummary expandIcon={<ExpandMoreIcon />}>
-                <Typography>Farewell Message</Typography>
-              </AccordionSummary>
-              <AccordionDetails>
-                <TextField
-                  fullWidth
-                  label="Farewell Message Template"
-                  multiline
-                  rows={4}
-                  value={templates.farewell_message}
-                  onChange={(e) => setTemplates({ ...templates, farewell_message: e.target.value })}
-                  onBlur={(e) => handleSaveTemplate('farewell_message', e.target.value)}
-                  margin="normal"
+            <Box display="flex" alignItems="center" gap={2} flexWrap="wrap" mt={2}>
+              <FormControl size="small" sx={{ minWidth: 160 }}>
+                <InputLabel>Default Locale</InputLabel>
+                <Select
+                  value={templates.defaultLocale}
+                  label="Default Locale"
+                  onChange={(e) => saveTemplates({ ...templates, defaultLocale: e.target.value })}
+                  disabled={saving}
+                >
+                  {locales.map(locale => (
+                    <MenuItem key={locale} value={locale}>{locale}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+              <TextField
+                size="small"
+                label="Add Locale"
+                placeholder="de, pt-br"
+                value={newLocale}
+                onChange={(e) => setNewLocale(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && handleAddLocale()}
+              />
+              <Button
+                variant="outlined"
+                startIcon={<AddIcon />}
+                onClick={handleAddLocale}
+                disabled={saving || !newLocale.trim()}
+              >
+                Add
+              </Button>
+            </Box>
+
+            <Box display="flex" gap={1} flexWrap="wrap" mt={2}>
+              {locales.map(locale => (
+                <Chip
+                  key={locale}
+                  label={locale === templates.defaultLocale ? `${locale} (default)` : locale}
+                  color={locale === selectedLocale ? 'primary' : 'default'}
+                  variant={locale === selectedLocale ? 'filled' : 'outlined'}
+                  onClick={() => setSelectedLocale(locale)}
+                  onDelete={locale === templates.defaultLocale ? undefined : () => handleRemoveLocale(locale)}
                 />
-                <Box mt={2}>
-                  <Button
-                    variant="outlined"
-                    size="small"
-                    onClick={() => resetToDefault('farewell_message')}
-                  >
-                    Reset to Default
-                  </Button>
-                </Box>
-              </AccordionDetails>
-            </Accordion>
+              ))}
+            </Box>
+
+            {MESSAGE_TYPES.map(({ key, label }) => (
+              <Accordion key={key} defaultExpanded sx={{ mt: 2 }}>
+                <AccordionSummary expandIcon={<ExpandMoreIcon />}>
+                  <Typography>{label} ({selectedLocale})</Typography>
+                </AccordionSummary>
+                <AccordionDetails>
+                  <TextField
+                    fullWidth
+                    label={`${label} Template`}
+                    multiline
+                    rows={4}
+                    value={templates[key][selectedLocale] || ''}
+                    onChange={(e) => handleTemplateChange(key, e.target.value)}
+                    onBlur={() => handleTemplateBlur(key)}
+                    helperText={templates[key][selectedLocale]
+                      ? null
+                      : `No ${selectedLocale} template; guests fall back to ${templates.defaultLocale}`}
+                    margin="normal"
+                  />
+                  <TemplatePreview
+                    template={templates[key][selectedLocale] || templates[key][templates.defaultLocale] || ''}
+                    locale={selectedLocale}
+                  />
+                </AccordionDetails>
+              </Accordion>
+            ))}
           </CardContent>
         </Card>
       </Grid>
@@ -0,0 +1,54 @@
+const mockData = require('./data');
+const clock = require('./clock');
+const stayEvents = require('./stayEvents');
+
+// Express checkout: the outstanding balance goes on the card on file and the folio is closed
+function closeFolio(folio) {
+  const now = clock.now().toISOString();
+
+  if (folio.balance > 0) {
+    folio.payments = folio.payments || [];
+    folio.payments.push({
+      id: `payment-${Date.now()}`,
+      date: now,
+      description: 'Express Checkout - Card on File',
+      amount: folio.balance,
+      method: 'credit_card',
+      status: 'captured'
+    });
+    folio.balance = 0;
+  }
+
+  folio.status = 'closed';
+  folio.modified = now;
+  return folio;
+}
+
+// Check the reservation out and tell FIAS/webhook subscribers
+function checkOutReservation(reservation) {
+  if (reservation.status === 'checked-out') {
+    return reservation;
+  }
+
+  reservation.status = 'checked-out';
+  reservation.modified = clock.now().toISOString();
+  stayEvents.publish({ type: 'CHECK_OUT', reservation });
+  return reservation;
+}
+
+function expressCheckout(folio) {
+  closeFolio(folio);
+
+  const reservation = mockData.getReservationById(folio.reservationId);
+  if (reservation) {
+    checkOutReservation(reservation);
+  }
+
+  return { folio, reservation: reservation || null };
+}
+
+module.exports = {
+  closeFolio,
+  checkOutReservation,
+  expressCheckout
+};
@@ -0,0 +1,98 @@
+const express = require('express');
+const mockData = require('./data');
+const stayEvents = require('./stayEvents');
+
+// Simulated PMS clock. Moving it forward checks in arrivals and checks out
+// departures, so stay transitions can be tested without waiting for real time.
+let offsetMs = 0;
+
+function now() {
+  return new Date(Date.now() + offsetMs);
+}
+
+// Apply the clock to reservation statuses; returns the changes made
+function applyClock() {
+  const current = now();
+  const changes = [];
+
+  mockData.getReservations().forEach(reservation => {
+    const arrival = new Date(reservation.arrivalDate);
+    const departure = new Date(reservation.departureDate);
+    const from = reservation.status;
+    let to = null;
+
+    if (from === 'confirmed' && arrival <= current && departure > current) {
+      to = 'in-house';
+    } else if (from === 'in-house' && departure <= current) {
+      to = 'checked-out';
+    }
+
+    if (to) {
+      reservation.status = to;
+      reservation.modified = current.toISOString();
+      changes.push({ reservation, from, to });
+    }
+  });
+
+  changes.forEach(({ reservation, to }) => {
+    stayEvents.publish({ type: to === 'in-house' ? 'CHECK_IN' : 'CHECK_OUT', reservation });
+  });
+  return changes;
+}
+
+function describe() {
+  return {
+    now: now().toISOString(),
+    offsetMinutes: Math.round(offsetMs / 60000)
+  };
+}
+
+function summarize(changes) {
+  return changes.map(({ reservation, from, to }) => ({
+    reservationId: reservation.id,
+    roomNumber: reservation.roomNumber,
+    from,
+    to
+  }));
+}
+
+const router = express.Router();
+
+router.get('/', (req, res) => {
+  res.json(describe());
+});
+
+// Set the clock: { now: ISO date } or { offsetMinutes }
+router.post('/', (req, res) => {
+  const { now: target, offsetMinutes } = req.body || {};
+
+  if (target) {
+    const date = new Date(target);
+    if (isNaN(date.getTime())) {
+      return res.status(400).json({ error: 'Invalid date' });
+    }
+    offsetMs = date.getTime() - Date.now();
+  } else if (offsetMinutes !== undefined) {
+    offsetMs = Number(offsetMinutes) * 60000;
+  } else {
+    offsetMs = 0;
+  }
+
+  res.json({ ...describe(), changes: summarize(applyClock()) });
+});
+
+// Move the clock forward: { minutes }
+router.post('/advance', (req, res) => {
+  const minutes = Number((req.body || {}).minutes);
+  if (!Number.isFinite(minutes) || minutes <= 0) {
+    return res.status(400).json({ error: 'minutes must be a positive number' });
+  }
+
+  offsetMs += minutes * 60000;
+  res.json({ ...describe(), changes: summarize(applyClock()) });
+});
+
+module.exports = {
+  router,
+  now
+};
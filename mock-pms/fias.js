@@ -0,0 +1,264 @@
+const net = require('net');
+const express = require('express');
+const mockData = require('./data');
+const clock = require('./clock');
+const stayEvents = require('./stayEvents');
+
+// FIAS socket simulator: plays the PMS side of the link and pushes guest
+// records for the mock reservations. HTTP triggers drive check-in/out and moves.
+const STX = '\x02';
+const ETX = '\x03';
+
+const clients = new Set();
+let log = () => {};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// FIAS dates are property-local; the simulator uses the machine's local time
+function dateFields(date = clock.now()) {
+  return {
+    DA: `${pad(date.getFullYear() % 100)}${pad(date.getMonth() + 1)}${pad(date.getDate())}`,
+    TI: `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`
+  };
+}
+
+function encode(recordType, fields = {}) {
+  const body = Object.entries(fields)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([id, value]) => `${id}${value}`)
+    .join('|');
+  return `${STX}${recordType}|${body}${body ? '|' : ''}${ETX}`;
+}
+
+function decode(message) {
+  const parts = message.split('|').filter(Boolean);
+  const recordType = parts.shift();
+  const fields = {};
+  parts.forEach(part => {
+    fields[part.slice(0, 2)] = part.slice(2);
+  });
+  return { recordType, fields };
+}
+
+function send(client, recordType, fields) {
+  client.socket.write(encode(recordType, fields), 'latin1');
+}
+
+function broadcast(recordType, fields) {
+  let delivered = 0;
+  clients.forEach(client => {
+    if (client.linked) {
+      send(client, recordType, fields);
+      delivered += 1;
+    }
+  });
+  log(`FIAS -> ${recordType}`, { fields, delivered });
+  return delivered;
+}
+
+function linkedCount() {
+  return Array.from(clients).filter(client => client.linked).length;
+}
+
+function guestFields(reservation) {
+  const guest = mockData.getGuestById(reservation.guestId) || {};
+  const arrival = dateFields(new Date(reservation.arrivalDate));
+  const departure = dateFields(new Date(reservation.departureDate));
+
+  return {
+    RN: reservation.roomNumber,
+    'G#': reservation.id,
+    GN: guest.lastName,
+    GF: guest.firstName,
+    GT: guest.title,
+    GL: (guest.preferences?.language || 'en').toUpperCase(),
+    GV: guest.loyaltyProgram?.level === 'platinum' ? '1' : undefined,
+    GA: arrival.DA,
+    GD: departure.DA,
+    ...dateFields()
+  };
+}
+
+function handleRecord(client, { recordType, fields }) {
+  log(`FIAS <- ${recordType}`, fields);
+
+  switch (recordType) {
+    case 'LS':
+      send(client, 'LS', dateFields());
+      break;
+    case 'LA':
+      if (!client.linked) {
+        client.linked = true;
+        send(client, 'LA', dateFields());
+      }
+      break;
+    case 'LE':
+      client.socket.end(encode('LE', dateFields()));
+      break;
+    case 'DR': {
+      send(client, 'DS', dateFields());
+      mockData.getReservations()
+        .filter(reservation => reservation.status === 'in-house')
+        .forEach(reservation => send(client, 'GI', guestFields(reservation)));
+      send(client, 'DE', dateFields());
+      break;
+    }
+    default:
+      // LD/LR describe the interface; nothing to answer
+      break;
+  }
+}
+
+function startFiasServer(port, logger = log) {
+  log = logger;
+
+  const server = net.createServer(socket => {
+    const client = { socket, linked: false, buffer: '' };
+    clients.add(client);
+    socket.setEncoding('latin1');
+    log(`FIAS client connected from ${socket.remoteAddress}`);
+
+    socket.on('data', chunk => {
+      client.buffer += chunk;
+      let start = client.buffer.indexOf(STX);
+      let end = client.buffer.indexOf(ETX, start + 1);
+
+      while (start !== -1 && end !== -1) {
+        handleRecord(client, decode(client.buffer.slice(start + 1, end)));
+        client.buffer = client.buffer.slice(end + 1);
+        start = client.buffer.indexOf(STX);
+        end = client.buffer.indexOf(ETX, start + 1);
+      }
+    });
+
+    socket.on('error', () => {});
+    socket.on('close', () => {
+      clients.delete(client);
+      log('FIAS client disconnected');
+    });
+  });
+
+  server.listen(port);
+  return server;
+}
+
+// Stay changes from the clock or the triggers below become FIAS records
+stayEvents.subscribe(({ type, reservation, previousRoomNumber }) => {
+  switch (type) {
+    case 'CHECK_IN':
+      broadcast('GI', guestFields(reservation));
+      break;
+    case 'CHECK_OUT':
+      broadcast('GO', { RN: reservation.roomNumber, 'G#': reservation.id, ...dateFields() });
+      break;
+    case 'ROOM_MOVE':
+      broadcast('GC', { ...guestFields(reservation), RO: previousRoomNumber });
+      break;
+    default:
+      broadcast('GC', guestFields(reservation));
+  }
+});
+
+function findReservation({ reservationId, roomNumber }) {
+  if (reservationId) {
+    return mockData.getReservationById(reservationId);
+  }
+  return mockData.getCurrentReservationByRoom(roomNumber);
+}
+
+// HTTP triggers for the simulator
+const router = express.Router();
+
+router.get('/status', (req, res) => {
+  res.json({
+    clients: clients.size,
+    linked: linkedCount()
+  });
+});
+
+router.post('/checkin', (req, res) => {
+  const reservation = findReservation(req.body || {});
+  if (!reservation) {
+    return res.status(404).json({ error: 'Reservation not found' });
+  }
+
+  reservation.status = 'in-house';
+  reservation.modified = clock.now().toISOString();
+  stayEvents.publish({ type: 'CHECK_IN', reservation });
+
+  res.json({ record: 'GI', reservationId: reservation.id, roomNumber: reservation.roomNumber, delivered: linkedCount() });
+});
+
+router.post('/checkout', (req, res) => {
+  const reservation = findReservation(req.body || {});
+  if (!reservation) {
+    return res.status(404).json({ error: 'Reservation not found' });
+  }
+
+  reservation.status = 'checked-out';
+  reservation.modified = clock.now().toISOString();
+  stayEvents.publish({ type: 'CHECK_OUT', reservation });
+
+  res.json({ record: 'GO', reservationId: reservation.id, roomNumber: reservation.roomNumber, delivered: linkedCount() });
+});
+
+router.post('/move', (req, res) => {
+  const { newRoomNumber } = req.body || {};
+  const reservation = findReservation(req.body || {});
+  if (!reservation || !newRoomNumber) {
+    return res.status(400).json({ error: 'Reservation and newRoomNumber are required' });
+  }
+
+  const oldRoomNumber = reservation.roomNumber;
+  reservation.roomNumber = String(newRoomNumber);
+  reservation.modified = clock.now().toISOString();
+
+  const guest = mockData.getGuestById(reservation.guestId);
+  if (guest) {
+    guest.roomNumber = reservation.roomNumber;
+  }
+
+  stayEvents.publish({ type: 'ROOM_MOVE', reservation, previousRoomNumber: oldRoomNumber });
+
+  res.json({ record: 'GC', reservationId: reservation.id, oldRoomNumber, roomNumber: reservation.roomNumber, delivered: linkedCount() });
+});
+
+router.post('/guest-change', (req, res) => {
+  const reservation = findReservation(req.body || {});
+  if (!reservation) {
+    return res.status(404).json({ error: 'Reservation not found' });
+  }
+
+  const fields = guestFields(reservation);
+  const { lastName, firstName, language } = req.body;
+  if (lastName) fields.GN = lastName;
+  if (firstName) fields.GF = firstName;
+  if (language) fields.GL = String(language).toUpperCase();
+
+  const delivered = broadcast('GC', fields);
+
+  res.json({ record: 'GC', reservationId: reservation.id, roomNumber: reservation.roomNumber, delivered });
+});
+
+router.post('/room-status', (req, res) => {
+  const { roomNumber, roomStatus, cleanStatus, doNotDisturb, messageWaiting } = req.body || {};
+  if (!roomNumber) {
+    return res.status(400).json({ error: 'roomNumber is required' });
+  }
+
+  const delivered = broadcast('RE', {
+    RN: roomNumber,
+    RS: roomStatus,
+    CS: cleanStatus,
+    DN: doNotDisturb === undefined ? undefined : (doNotDisturb ? 'Y' : 'N'),
+    MW: messageWaiting === undefined ? undefined : (messageWaiting ? 'Y' : 'N'),
+    ...dateFields()
+  });
+
+  res.json({ record: 'RE', roomNumber, delivered });
+});
+
+module.exports = {
+  router,
+  startFiasServer
+};
@@ -0,0 +1,202 @@
+const express = require('express');
+const mockData = require('./data');
+const { closeFolio, checkOutReservation } = require('./checkout');
+
+// Mews Connector-style API backed by the same mock data as the Opera endpoints
+const router = express.Router();
+
+const STATE_BY_STATUS = {
+  'confirmed': 'Confirmed',
+  'in-house': 'Started',
+  'checked-out': 'Processed',
+  'cancelled': 'Canceled'
+};
+
+const toResourceId = (roomNumber) => `room-${roomNumber}`;
+
+function toCustomer(guest) {
+  return {
+    Id: guest.id,
+    FirstName: guest.firstName,
+    LastName: guest.lastName,
+    Title: guest.title || null,
+    Email: guest.email,
+    Phone: guest.phone,
+    NationalityCode: guest.nationality,
+    LanguageCode: guest.preferences?.language || null,
+    LoyaltyCode: guest.loyaltyProgram?.level || null,
+    Classifications: guest.loyaltyProgram?.level === 'platinum' ? ['VeryImportant'] : []
+  };
+}
+
+function toReservation(reservation) {
+  return {
+    Id: reservation.id,
+    Number: reservation.confirmationNumber,
+    State: STATE_BY_STATUS[reservation.status] || 'Confirmed',
+    StartUtc: reservation.arrivalDate,
+    EndUtc: reservation.departureDate,
+    CustomerId: reservation.guestId,
+    AssignedResourceId: reservation.roomNumber ? toResourceId(reservation.roomNumber) : null,
+    RequestedResourceCategoryId: reservation.roomType,
+    AdultCount: reservation.adults,
+    ChildCount: reservation.children,
+    UpdatedUtc: reservation.modified,
+    Notes: (reservation.specialRequests || []).join(', ') || null
+  };
+}
+
+function toBill(folio) {
+  const amount = (currency, gross, net, tax) => ({
+    Currency: currency,
+    GrossValue: gross,
+    NetValue: net,
+    TaxValues: tax ? [{ Value: tax }] : []
+  });
+
+  return {
+    Id: folio.id,
+    CustomerId: folio.guestId,
+    State: folio.status === 'open' ? 'Open' : 'Closed',
+    Revenue: (folio.charges || []).map(charge => ({
+      Id: charge.id,
+      Name: charge.description,
+      Type: charge.category,
+      ConsumptionUtc: charge.date,
+      Amount: amount(folio.currency, charge.total, charge.amount, charge.taxAmount)
+    })),
+    Payments: (folio.payments || []).map(payment => ({
+      Id: payment.id,
+      Name: payment.description,
+      Type: payment.method,
+      State: payment.status,
+      ConsumptionUtc: payment.date,
+      Amount: amount(folio.currency, -payment.amount, -payment.amount, 0)
+    }))
+  };
+}
+
+router.post('/configuration/get', (req, res) => {
+  res.json({
+    NowUtc: new Date().toISOString(),
+    Version: '1.0.0',
+    Enterprise: {
+      Id: 'mock-enterprise',
+      Name: 'Mock PMS Hotel (Mews-style)'
+    }
+  });
+});
+
+router.post('/reservations/getAll', (req, res) => {
+  const { StartUtc, EndUtc, TimeFilter = 'Colliding', States, Extent = {} } = req.body || {};
+
+  if (!StartUtc || !EndUtc) {
+    return res.status(400).json({
+      Message: 'StartUtc and EndUtc are required'
+    });
+  }
+
+  const start = new Date(StartUtc);
+  const end = new Date(EndUtc);
+
+  let reservations = mockData.getReservations().map(toReservation);
+
+  if (TimeFilter === 'Updated') {
+    reservations = reservations.filter(reservation => {
+      const updated = new Date(reservation.UpdatedUtc);
+      return updated >= start && updated <= end;
+    });
+  } else {
+    // Colliding: stay overlaps the interval
+    reservations = reservations.filter(reservation =>
+      new Date(reservation.StartUtc) <= end && new Date(reservation.EndUtc) >= start
+    );
+  }
+
+  if (Array.isArray(States) && States.length > 0) {
+    reservations = reservations.filter(reservation => States.includes(reservation.State));
+  }
+
+  const response = {
+    Reservations: Extent.Reservations === false ? null : reservations
+  };
+
+  if (Extent.Customers) {
+    const customerIds = new Set(reservations.map(reservation => reservation.CustomerId));
+    response.Customers = mockData.getGuests()
+      .filter(guest => customerIds.has(guest.id))
+      .map(toCustomer);
+  }
+
+  if (Extent.Resources) {
+    const roomNumbers = new Set(mockData.getReservations().map(reservation => reservation.roomNumber));
+    response.Resources = Array.from(roomNumbers).map(roomNumber => ({
+      Id: toResourceId(roomNumber),
+      Name: roomNumber,
+      IsActive: true
+    }));
+  }
+
+  res.json(response);
+});
+
+router.post('/customers/getAll', (req, res) => {
+  const { CustomerIds } = req.body || {};
+  let guests = mockData.getGuests();
+
+  if (Array.isArray(CustomerIds)) {
+    guests = guests.filter(guest => CustomerIds.includes(guest.id));
+  }
+
+  res.json({ Customers: guests.map(toCustomer) });
+});
+
+router.post('/bills/getAll', (req, res) => {
+  const { CustomerIds, BillIds, State } = req.body || {};
+  let bills = mockData.getFolios().map(toBill);
+
+  if (Array.isArray(CustomerIds)) {
+    bills = bills.filter(bill => CustomerIds.includes(bill.CustomerId));
+  }
+  if (Array.isArray(BillIds)) {
+    bills = bills.filter(bill => BillIds.includes(bill.Id));
+  }
+  if (State) {
+    bills = bills.filter(bill => bill.State === State);
+  }
+
+  res.json({ Bills: bills });
+});
+
+// Settles the open balance with the card on file and closes the bill
+router.post('/bills/close', (req, res) => {
+  const { BillId } = req.body || {};
+  const folio = BillId ? mockData.getFolioById(BillId) : null;
+
+  if (!folio) {
+    return res.status(400).json({ Message: 'Bill not found' });
+  }
+  if (folio.status !== 'open') {
+    return res.status(400).json({ Message: 'Bill is already closed' });
+  }
+
+  res.json({ Bill: toBill(closeFolio(folio)) });
+});
+
+// Checks out a started reservation
+router.post('/reservations/process', (req, res) => {
+  const { ReservationId } = req.body || {};
+  const reservation = ReservationId ? mockData.getReservationById(ReservationId) : null;
+
+  if (!reservation) {
+    return res.status(400).json({ Message: 'Reservation not found' });
+  }
+  if (reservation.status !== 'in-house') {
+    return res.status(400).json({ Message: 'Reservation is not started' });
+  }
+
+  checkOutReservation(reservation);
+  res.json({});
+});
+
+module.exports = router;
@@ -4,6 +4,7 @@ const path = require('path');
 
 const app = express();
 const PORT = process.env.MOCK_PMS_PORT || 3001;
+const FIAS_PORT = process.env.MOCK_FIAS_PORT || 5010;
 
 // Simple logging function
 function log(message, data = null) {
@@ -38,6 +39,7 @@ app.use((req, res, next) => {
 
 // Load mock data
 const mockData = require('./data');
+const { expressCheckout } = require('./checkout');
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -218,6 +220,36 @@ app.get('/folio/v0/folios/:folioId', (req, res) => {
   res.json(folio);
 });
 
+// Express checkout: settle the balance, close the folio and check the reservation out
+app.post('/folio/v0/folios/:folioId/checkout', (req, res) => {
+  const { folioId } = req.params;
+  const folio = mockData.getFolioById(folioId);
+
+  if (!folio) {
+    return res.status(404).json({
+      error: 'Folio not found',
+      code: 'FOLIO_NOT_FOUND'
+    });
+  }
+
+  const { reservationId } = req.body || {};
+  if (reservationId && folio.reservationId !== reservationId) {
+    return res.status(409).json({
+      error: 'Folio does not belong to reservation',
+      code: 'FOLIO_RESERVATION_MISMATCH'
+    });
+  }
+
+  if (folio.status !== 'open') {
+    return res.status(409).json({
+      error: 'Folio already closed',
+      code: 'FOLIO_CLOSED'
+    });
+  }
+
+  res.json(expressCheckout(folio));
+});
+
 // Room status endpoint (custom for testing)
 app.get('/rooms/:roomNumber/status', (req, res) => {
   const { roomNumber } = req.params;
@@ -252,6 +284,16 @@ app.get('/rooms/:roomNumber/status', (req, res) => {
   });
 });
 
+// Mews Connector-style endpoints (POST, tokens in body)
+app.use('/api/connector/v1', require('./mews'));
+
+// FIAS simulator triggers (records are pushed over the FIAS socket)
+const fias = require('./fias');
+app.use('/fias', fias.router);
+
+// Simulated clock: advancing it checks guests in and out
+app.use('/test/time', require('./clock').router);
+
 // Error simulation endpoints
 app.get('/test/error/:code', (req, res) => {
   const { code } = req.params;
@@ -300,7 +342,23 @@ app.use('*', (req, res) => {
       'GET /reservation/v0/reservations/:reservationId',
       'GET /folio/v0/folios',
       'GET /folio/v0/folios/:folioId',
+      'POST /folio/v0/folios/:folioId/checkout',
       'GET /rooms/:roomNumber/status',
+      'POST /api/connector/v1/configuration/get',
+      'POST /api/connector/v1/reservations/getAll',
+      'POST /api/connector/v1/customers/getAll',
+      'POST /api/connector/v1/bills/getAll',
+      'POST /api/connector/v1/bills/close',
+      'POST /api/connector/v1/reservations/process',
+      'GET /fias/status',
+      'POST /fias/checkin',
+      'POST /fias/checkout',
+      'POST /fias/move',
+      'POST /fias/guest-change',
+      'POST /fias/room-status',
+      'GET /test/time',
+      'POST /test/time',
+      'POST /test/time/advance',
       'GET /test/error/:code',
       'GET /health'
     ]
@@ -323,15 +381,25 @@ const server = app.listen(PORT, () => {
   info('  - GET /guest/v0/guests');
   info('  - GET /reservation/v0/reservations');
   info('  - GET /folio/v0/folios');
+  info('  - POST /folio/v0/folios/:folioId/checkout');
   info('  - GET /rooms/:roomNumber/status');
+  info('  - POST /api/connector/v1/* (Mews-style)');
+  info('  - POST /fias/* (FIAS simulator triggers)');
+  info('  - GET|POST /test/time, POST /test/time/advance (simulated clock)');
   info('  - GET /test/error/:code (for testing)');
   info('  - GET /health');
   info(`Access health check: http://localhost:${PORT}/health`);
 });
 
+const fiasServer = fias.startFiasServer(FIAS_PORT, log);
+fiasServer.on('listening', () => {
+  info(`FIAS simulator listening on port ${FIAS_PORT}`);
+});
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
   info('SIGTERM received, shutting down gracefully');
+  fiasServer.close();
   server.close(() => {
     info('Mock PMS Server closed');
     process.exit(0);
@@ -340,6 +408,7 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   info('SIGINT received, shutting down gracefully');
+  fiasServer.close();
   server.close(() => {
     info('Mock PMS Server closed');
     process.exit(0);
@@ -0,0 +1,62 @@
+const http = require('http');
+const https = require('https');
+
+// Stay changes made by the simulator (clock, FIAS triggers) fan out to
+// subscribers (FIAS socket) and, when configured, to the panel's webhook.
+const WEBHOOK_URL = process.env.MOCK_PMS_WEBHOOK_URL || '';
+const WEBHOOK_SECRET = process.env.MOCK_PMS_WEBHOOK_SECRET || '';
+
+const subscribers = [];
+
+function subscribe(listener) {
+  subscribers.push(listener);
+}
+
+function toWebhookPayload({ type, reservation, previousRoomNumber }) {
+  return {
+    event: type,
+    reservationId: reservation.id,
+    roomNumber: reservation.roomNumber,
+    previousRoomNumber,
+    status: reservation.status === 'confirmed' ? 'expected' : reservation.status,
+    arrivalDate: reservation.arrivalDate,
+    departureDate: reservation.departureDate
+  };
+}
+
+function postWebhook(payload) {
+  const url = new URL(WEBHOOK_URL);
+  const body = JSON.stringify(payload);
+  const client = url.protocol === 'https:' ? https : http;
+
+  const request = client.request(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body),
+      'X-PMS-Webhook-Secret': WEBHOOK_SECRET
+    },
+    timeout: 5000
+  }, response => {
+    response.resume();
+    console.log(`[INFO] Mock PMS: webhook ${payload.event} -> ${response.statusCode}`);
+  });
+
+  request.on('timeout', () => request.destroy(new Error('Webhook timed out')));
+  request.on('error', err => console.warn(`[WARN] Mock PMS: webhook failed: ${err.message}`));
+  request.end(body);
+}
+
+// change: { type: CHECK_IN | CHECK_OUT | ROOM_MOVE | GUEST_CHANGE, reservation, previousRoomNumber? }
+function publish(change) {
+  subscribers.forEach(listener => listener(change));
+
+  if (WEBHOOK_URL) {
+    postWebhook(toWebhookPayload(change));
+  }
+}
+
+module.exports = {
+  subscribe,
+  publish
+};